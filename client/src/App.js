@@ -11,6 +11,7 @@ import Calendar from './components/Calendar';
 import AIScheduler from './components/AIScheduler';
 import EventForm from './components/EventForm';
 import Dashboard from './components/Dashboard';
+import Settings from './components/Settings';
 
 // Context
 import { CalendarProvider, useCalendar } from './context/CalendarContext';
@@ -249,6 +250,15 @@ const AppContent = ({ user, pendingSessionId }) => {
   if (!isGoogleConnected && !sessionId) {
     return <WelcomePage onConnect={async () => {
       try {
+        // Offline development: sign in against the server's local calendar store
+        if (process.env.REACT_APP_CALENDAR_PROVIDER === 'local') {
+          const response = await axios.post('/api/auth/local', {
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+          });
+          handleOAuthCallback(response.data.sessionId);
+          return;
+        }
+
         const response = await axios.get('/api/auth/google');
         window.location.href = response.data.authUrl;
       } catch (error) {
@@ -266,6 +276,8 @@ const AppContent = ({ user, pendingSessionId }) => {
           <Route path="/calendar" element={<Calendar />} />
           <Route path="/ai-scheduler" element={<AIScheduler />} />
           <Route path="/new-event" element={<EventForm />} />
+          <Route path="/events/:eventId/edit" element={<EventForm key="edit" />} />
+          <Route path="/settings" element={<Settings />} />
         </Routes>
       </main>
     </div>
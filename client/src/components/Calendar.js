@@ -1,4 +1,5 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
 import { Link } from 'react-router-dom';
 import { 
   ChevronLeft, 
@@ -10,6 +11,12 @@ import {
   Users
 } from 'lucide-react';
 import { useCalendar } from '../context/CalendarContext';
+import CalendarToggles from './CalendarToggles';
+import TimeGrid from './TimeGrid';
+import EventActions from './EventActions';
+import { PLAN_STATUS, projectPlanEvents } from '../utils/planPreview';
+import { eventOccursOnDay, sortEventsForDay, isMultiDayEvent, getEventSpan, formatEventTime } from '../utils/eventDates';
+import { moveEventTimes, resizeEventTimes, findConflicts, buildRescheduleUpdate } from '../utils/eventDrag';
 import { 
   format, 
   startOfMonth, 
@@ -19,9 +26,13 @@ import {
   isSameDay, 
   isToday,
   addMonths,
-  subMonths,
+  addWeeks,
+  addDays,
   startOfWeek,
-  endOfWeek
+  endOfWeek,
+  startOfDay,
+  endOfDay,
+  differenceInCalendarDays
 } from 'date-fns';
 
 const Calendar = () => {
@@ -30,49 +41,57 @@ const Calendar = () => {
     currentDate, 
     selectedDate,
     fetchEvents, 
+    updateEvent,
     getEventsForDate,
     hasEventsOnDate,
+    setVisibleRange,
     setCurrentDate,
     setSelectedDate,
+    getEventCalendar,
+    planPreview,
+    setPlanPreview,
+    applyPlan,
+    discardPlan,
     sessionId,
     sessionValidated
   } = useCalendar();
 
   const [viewMode, setViewMode] = useState('month');
-  const [lastFetchDate, setLastFetchDate] = useState(null);
-
-  // Debounced fetch events to prevent excessive API calls
-  const debouncedFetchEvents = useCallback(async () => {
-    const now = new Date();
-    const lastFetch = lastFetchDate;
-    
-    // Only fetch if we haven't fetched in the last 30 seconds
-    if (!lastFetch || (now - lastFetch) > 30000) {
-      setLastFetchDate(now);
-      await fetchEvents();
-    }
-  }, [fetchEvents, lastFetchDate]);
 
-  useEffect(() => {
-    // Only fetch if we have events and the month has changed significantly
-    if (events.length > 0 && sessionId && sessionValidated) {
-      debouncedFetchEvents();
+  // Days the current view shows: whole weeks of the month, the week, or the day itself
+  const getVisibleDays = () => {
+    if (viewMode === 'day') {
+      return [startOfDay(currentDate)];
+    }
+    if (viewMode === 'week') {
+      return eachDayOfInterval({ start: startOfWeek(currentDate), end: endOfWeek(currentDate) });
     }
-  }, [debouncedFetchEvents, events.length, sessionId, sessionValidated]);
+    return eachDayOfInterval({ start: startOfWeek(startOfMonth(currentDate)), end: endOfWeek(endOfMonth(currentDate)) });
+  };
+
+  const visibleDays = getVisibleDays();
+  const rangeStartMs = startOfDay(visibleDays[0]).getTime();
+  const rangeEndMs = endOfDay(visibleDays[visibleDays.length - 1]).getTime();
 
-  // Initial fetch when component mounts
+  // Load only the visible range, again whenever it changes
   useEffect(() => {
-    if (events.length === 0 && sessionId && sessionValidated) {
-      fetchEvents();
-    }
-  }, [events.length, sessionId, sessionValidated]); // Only run when session is ready
+    if (!sessionId || !sessionValidated) return;
+    const range = { start: new Date(rangeStartMs), end: new Date(rangeEndMs) };
+    setVisibleRange(range);
+    fetchEvents(range.start, range.end);
+  }, [rangeStartMs, rangeEndMs, sessionId, sessionValidated, fetchEvents, setVisibleRange]);
 
-  const goToPreviousMonth = () => {
-    setCurrentDate(subMonths(currentDate, 1));
-  };
+  // Other pages load their own range
+  useEffect(() => () => setVisibleRange(null), [setVisibleRange]);
 
-  const goToNextMonth = () => {
-    setCurrentDate(addMonths(currentDate, 1));
+  const moveBy = (amount) => {
+    if (viewMode === 'day') {
+      setCurrentDate(addDays(currentDate, amount));
+    } else if (viewMode === 'week') {
+      setCurrentDate(addWeeks(currentDate, amount));
+    } else {
+      setCurrentDate(addMonths(currentDate, amount));
+    }
   };
 
   const goToToday = () => {
@@ -80,26 +99,96 @@ const Calendar = () => {
     setSelectedDate(new Date());
   };
 
-  const getCalendarDays = () => {
-    const monthStart = startOfMonth(currentDate);
-    const monthEnd = endOfMonth(currentDate);
-    const calendarStart = startOfWeek(monthStart);
-    const calendarEnd = endOfWeek(monthEnd);
+  // Week columns open the day view of their day
+  const openDay = (day) => {
+    setSelectedDate(day);
+    if (viewMode === 'week') {
+      setCurrentDate(day);
+      setViewMode('day');
+    }
+  };
 
-    return eachDayOfInterval({ start: calendarStart, end: calendarEnd });
+  const getViewTitle = () => {
+    if (viewMode === 'day') {
+      return format(currentDate, 'EEEE, MMMM d, yyyy');
+    }
+    if (viewMode === 'week') {
+      const first = visibleDays[0];
+      const last = visibleDays[visibleDays.length - 1];
+      return isSameMonth(first, last)
+        ? `${format(first, 'MMMM d')} - ${format(last, 'd, yyyy')}`
+        : `${format(first, 'MMM d')} - ${format(last, 'MMM d, yyyy')}`;
+    }
+    return format(currentDate, 'MMMM yyyy');
   };
 
+  // While a plan is previewed, its changes are shown as ghost events
+  const displayedEvents = projectPlanEvents(events, planPreview);
+
   const getEventsForDay = (day) => {
-    return getEventsForDate(day);
+    if (!planPreview) {
+      return getEventsForDate(day);
+    }
+    return sortEventsForDay(displayedEvents.filter(event => eventOccursOnDay(event, day)));
   };
 
-  const getEventTime = (event) => {
-    if (event.start.dateTime) {
-      return format(new Date(event.start.dateTime), 'h:mm a');
+  const eventKey = (event) => `${event.calendarId}-${event.id}${event.planStatus ? `-${event.planStatus}` : ''}`;
+
+  // Drag and drop rescheduling: events of calendars the user can edit, not while a plan is previewed
+  const dragRef = useRef(null); // { event, mode: 'move' | 'resize', fromDay } while dragging in the month grid or all-day strip
+
+  const canDrag = (event) => {
+    const eventCalendar = getEventCalendar(event);
+    return !planPreview && !event.planStatus && (!eventCalendar || ['owner', 'writer'].includes(eventCalendar.accessRole));
+  };
+
+  const getConflicts = (event, times) => findConflicts(event, times, events);
+
+  // Show the new times at once, warn about overlaps, and put the event back if saving fails
+  const rescheduleEvent = (event, times) => {
+    const conflicts = getConflicts(event, times);
+    if (conflicts.length > 0) {
+      toast(`"${event.summary}" now overlaps ${conflicts.map(conflict => `"${conflict.summary}"`).join(', ')}`, { icon: '⚠️' });
     }
-    return 'All day';
+    updateEvent(event.id, buildRescheduleUpdate(event, times), { optimisticEvent: { ...event, ...times }, skipToast: true })
+      .then(() => toast.success(`Rescheduled "${event.summary}"`))
+      .catch(() => {});
   };
 
+  const dayDragProps = (event, day, mode = 'move') => (canDrag(event) ? {
+    draggable: true,
+    onDragStart: (e) => {
+      e.stopPropagation();
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', event.id);
+      dragRef.current = { event, mode, fromDay: day };
+    }
+  } : {});
+
+  const dayDropProps = (day) => ({
+    onDragOver: (e) => {
+      if (dragRef.current) e.preventDefault();
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      const drag = dragRef.current;
+      dragRef.current = null;
+      if (!drag) return;
+
+      if (drag.mode === 'resize') {
+        const times = resizeEventTimes(drag.event, { lastDay: day });
+        if (times.end.date !== drag.event.end.date || times.end.dateTime !== drag.event.end.dateTime) {
+          rescheduleEvent(drag.event, times);
+        }
+      } else {
+        const days = differenceInCalendarDays(day, drag.fromDay);
+        if (days !== 0) {
+          rescheduleEvent(drag.event, moveEventTimes(drag.event, { days }));
+        }
+      }
+    }
+  });
+
   const DayCell = ({ day, events }) => {
     const isCurrentMonth = isSameMonth(day, currentDate);
     const isSelected = isSameDay(day, selectedDate);
@@ -116,6 +205,7 @@ const Calendar = () => {
           ${dayEvents.length > 0 ? 'has-events' : ''}
         `}
         onClick={() => setSelectedDate(day)}
+        {...dayDropProps(day)}
       >
         <div className="flex items-center justify-between mb-1">
           <span className={`
@@ -131,15 +221,41 @@ const Calendar = () => {
         </div>
 
         <div className="space-y-1">
-          {dayEvents.slice(0, 2).map((event) => (
-            <div
-              key={event.id}
-              className="text-xs p-1 bg-primary-100 text-primary-800 rounded truncate"
-              title={event.summary}
-            >
-              {event.summary}
-            </div>
-          ))}
+          {dayEvents.slice(0, 2).map((event) => {
+            const eventCalendar = getEventCalendar(event);
+            // Multi-day events run as one bar across the cells they cover, titled where each week's part starts
+            const span = isMultiDayEvent(event) ? getEventSpan(event, day) : null;
+            const showTitle = !span || span.isFirst || day.getDay() === 0;
+            return (
+              <div
+                key={eventKey(event)}
+                {...dayDragProps(event, day)}
+                className={`
+                  text-xs p-1 rounded truncate relative
+                  ${canDrag(event) ? 'cursor-move' : ''}
+                  ${event.planStatus ? PLAN_STATUS[event.planStatus].className : 'bg-primary-100 text-primary-800'}
+                  ${span && !span.isFirst ? '-ml-2 rounded-l-none' : ''}
+                  ${span && !span.isLast ? '-mr-2 rounded-r-none' : ''}
+                `}
+                style={eventCalendar && (!span || span.isFirst) ? { borderLeft: `3px solid ${eventCalendar.backgroundColor}` } : undefined}
+                title={[
+                  eventCalendar ? `${event.summary} (${eventCalendar.summary})` : event.summary,
+                  span && formatEventTime(event),
+                  event.planStatus && PLAN_STATUS[event.planStatus].label
+                ].filter(Boolean).join(' - ')}
+              >
+                {showTitle ? event.summary : '\u00a0'}
+                {/* Drag the end to another day to make the event longer or shorter */}
+                {canDrag(event) && (!span || span.isLast) && (
+                  <span
+                    {...dayDragProps(event, day, 'resize')}
+                    className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize"
+                    title="Drag to change the end day"
+                  />
+                )}
+              </div>
+            );
+          })}
           {dayEvents.length > 2 && (
             <div className="text-xs text-gray-500">
               +{dayEvents.length - 2} more
@@ -167,38 +283,52 @@ const Calendar = () => {
 
         {dayEvents.length > 0 ? (
           <div className="space-y-3">
-            {dayEvents.map((event) => (
-              <div key={event.id} className="event-card">
-                <div className="flex items-start justify-between">
-                  <div className="flex-1">
-                    <h4 className="font-medium text-gray-900 mb-1">
-                      {event.summary}
-                    </h4>
-                    <div className="space-y-1 text-sm text-gray-600">
-                      <div className="flex items-center space-x-2">
-                        <Clock className="h-4 w-4" />
-                        <span>{getEventTime(event)}</span>
-                      </div>
-                      {event.location && (
-                        <div className="flex items-center space-x-2">
-                          <MapPin className="h-4 w-4" />
-                          <span>{event.location}</span>
-                        </div>
+            {dayEvents.map((event) => {
+              const eventCalendar = getEventCalendar(event);
+              return (
+                <div
+                  key={eventKey(event)}
+                  className={`event-card ${event.planStatus ? PLAN_STATUS[event.planStatus].className : ''}`}
+                  style={eventCalendar ? { borderLeft: `4px solid ${eventCalendar.backgroundColor}` } : undefined}
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <h4 className="font-medium text-gray-900 mb-1">
+                        {event.summary}
+                      </h4>
+                      {event.planStatus && (
+                        <p className="text-xs font-medium text-primary-700 mb-1">{PLAN_STATUS[event.planStatus].label} (planned)</p>
+                      )}
+                      {eventCalendar && (
+                        <p className="text-xs text-gray-500 mb-1">{eventCalendar.summary}</p>
                       )}
-                      {event.attendees && event.attendees.length > 0 && (
+                      <div className="space-y-1 text-sm text-gray-600">
                         <div className="flex items-center space-x-2">
-                          <Users className="h-4 w-4" />
-                          <span>{event.attendees.length} attendee{event.attendees.length !== 1 ? 's' : ''}</span>
+                          <Clock className="h-4 w-4" />
+                          <span>{formatEventTime(event)}</span>
                         </div>
-                      )}
-                      {event.description && (
-                        <p className="text-gray-600 mt-2">{event.description}</p>
-                      )}
+                        {event.location && (
+                          <div className="flex items-center space-x-2">
+                            <MapPin className="h-4 w-4" />
+                            <span>{event.location}</span>
+                          </div>
+                        )}
+                        {event.attendees && event.attendees.length > 0 && (
+                          <div className="flex items-center space-x-2">
+                            <Users className="h-4 w-4" />
+                            <span>{event.attendees.length} attendee{event.attendees.length !== 1 ? 's' : ''}</span>
+                          </div>
+                        )}
+                        {event.description && (
+                          <p className="text-gray-600 mt-2">{event.description}</p>
+                        )}
+                      </div>
                     </div>
+                    {!planPreview && <EventActions event={event} />}
                   </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         ) : (
           <div className="text-center py-8">
@@ -233,6 +363,29 @@ const Calendar = () => {
         </div>
       </div>
 
+      {/* Plan preview: nothing has changed yet */}
+      {planPreview && (
+        <div className="card border border-dashed border-primary-300 bg-primary-50 flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <p className="font-medium text-gray-900">
+              Previewing a plan: {planPreview.changes.length} change{planPreview.changes.length !== 1 ? 's' : ''}
+            </p>
+            {planPreview.summary && <p className="text-sm text-gray-600">{planPreview.summary}</p>}
+          </div>
+          <div className="flex items-center space-x-2">
+            <button onClick={() => applyPlan(planPreview.id).catch(() => {})} className="btn-primary text-sm">
+              Apply
+            </button>
+            <button onClick={() => discardPlan(planPreview.id).catch(() => {})} className="btn-secondary text-sm">
+              Discard
+            </button>
+            <button onClick={() => setPlanPreview(null)} className="text-sm text-gray-600 hover:text-gray-900 px-2">
+              Close preview
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
         {/* Calendar Grid */}
         <div className="lg:col-span-3">
@@ -241,18 +394,18 @@ const Calendar = () => {
             <div className="flex items-center justify-between mb-6">
               <div className="flex items-center space-x-4">
                 <button
-                  onClick={goToPreviousMonth}
+                  onClick={() => moveBy(-1)}
                   className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
                 >
                   <ChevronLeft className="h-5 w-5" />
                 </button>
                 
                 <h2 className="text-xl font-semibold text-gray-900">
-                  {format(currentDate, 'MMMM yyyy')}
+                  {getViewTitle()}
                 </h2>
                 
                 <button
-                  onClick={goToNextMonth}
+                  onClick={() => moveBy(1)}
                   className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
                 >
                   <ChevronRight className="h-5 w-5" />
@@ -280,25 +433,42 @@ const Calendar = () => {
             </div>
 
             {/* Calendar Grid */}
-            <div className="grid grid-cols-7 gap-px bg-gray-200 rounded-lg overflow-hidden">
-              {/* Day Headers */}
-              {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day) => (
-                <div key={day} className="bg-gray-50 p-3 text-center">
-                  <span className="text-sm font-medium text-gray-700">{day}</span>
-                </div>
-              ))}
+            {viewMode === 'month' ? (
+              <div className="grid grid-cols-7 gap-px bg-gray-200 rounded-lg overflow-hidden">
+                {/* Day Headers */}
+                {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day) => (
+                  <div key={day} className="bg-gray-50 p-3 text-center">
+                    <span className="text-sm font-medium text-gray-700">{day}</span>
+                  </div>
+                ))}
 
-              {/* Calendar Days */}
-              {getCalendarDays().map((day) => (
-                <DayCell key={day.toISOString()} day={day} />
-              ))}
-            </div>
+                {/* Calendar Days */}
+                {visibleDays.map((day) => (
+                  <DayCell key={day.toISOString()} day={day} />
+                ))}
+              </div>
+            ) : (
+              <TimeGrid
+                days={visibleDays}
+                getEventsForDay={getEventsForDay}
+                getEventCalendar={getEventCalendar}
+                eventKey={eventKey}
+                selectedDate={selectedDate}
+                onSelectDay={openDay}
+                canDrag={canDrag}
+                getConflicts={getConflicts}
+                onReschedule={rescheduleEvent}
+                dayDragProps={dayDragProps}
+                dayDropProps={dayDropProps}
+              />
+            )}
           </div>
         </div>
 
         {/* Selected Day Events */}
-        <div className="lg:col-span-1">
+        <div className="lg:col-span-1 space-y-6">
           <SelectedDayEvents />
+          <CalendarToggles />
         </div>
       </div>
     </div>
@@ -0,0 +1,67 @@
+import React from 'react';
+import { useCalendar } from '../context/CalendarContext';
+
+// Show/hide toggles for the user's calendars, colored like their events.
+// `compact` renders a row of chips (Dashboard header) instead of a checkbox list.
+const CalendarToggles = ({ compact = false }) => {
+  const { calendars, setCalendarVisibility } = useCalendar();
+
+  if (calendars.length === 0) {
+    return null;
+  }
+
+  if (compact) {
+    // A single calendar has nothing to toggle
+    if (calendars.length < 2) {
+      return null;
+    }
+
+    return (
+      <div className="flex flex-wrap items-center gap-1">
+        {calendars.map((calendar) => (
+          <button
+            key={calendar.id}
+            type="button"
+            onClick={() => setCalendarVisibility(calendar.id, !calendar.visible)}
+            className={`flex items-center space-x-1 px-2 py-0.5 rounded-full border text-xs transition-opacity ${calendar.visible ? 'border-gray-200 text-gray-700' : 'border-gray-100 text-gray-400 opacity-60'}`}
+            title={`${calendar.visible ? 'Hide' : 'Show'} ${calendar.summary}`}
+          >
+            <span
+              className="w-2 h-2 rounded-full"
+              style={{ backgroundColor: calendar.visible ? calendar.backgroundColor : 'transparent', border: `1px solid ${calendar.backgroundColor}` }}
+            ></span>
+            <span className="truncate max-w-[8rem]">{calendar.summary}</span>
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-3">My Calendars</h3>
+      <div className="space-y-2">
+        {calendars.map((calendar) => (
+          <label key={calendar.id} className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={calendar.visible}
+              onChange={(e) => setCalendarVisibility(calendar.id, e.target.checked)}
+              className="rounded border-gray-300"
+              style={{ accentColor: calendar.backgroundColor }}
+            />
+            <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: calendar.backgroundColor }}></span>
+            <span className="text-sm text-gray-700 truncate" title={calendar.description || calendar.summary}>
+              {calendar.summary}
+            </span>
+            {calendar.accessRole && !['owner', 'writer'].includes(calendar.accessRole) && (
+              <span className="text-xs text-gray-400">read-only</span>
+            )}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarToggles;
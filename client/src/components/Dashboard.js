@@ -1,4 +1,5 @@
 import React, { useEffect, useState, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import {
   Calendar,
   Clock,
@@ -7,10 +8,17 @@ import {
   Play,
   Pause,
   RotateCcw,
-  Trash2
+  Trash2,
+  Settings as SettingsIcon
 } from 'lucide-react';
 import { useCalendar } from '../context/CalendarContext';
-import { format, isToday, isTomorrow } from 'date-fns';
+import CalendarToggles from './CalendarToggles';
+import EventActions from './EventActions';
+import QuickAdd from './QuickAdd';
+import { formatReminder } from '../utils/reminders';
+import ToolConfirmation from './ToolConfirmation';
+import { format, isToday, isTomorrow, startOfDay } from 'date-fns';
+import { getEventStart, getEventEnd, getEventDays, sortEventsForDay, formatEventTime } from '../utils/eventDates';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 
@@ -25,14 +33,20 @@ const Dashboard = () => {
     sessionId,
     isGoogleConnected,
     sessionValidated,
+    liveUpdates,
     user,
     fetchUserInfo,
-    disconnectGoogleCalendar
+    disconnectGoogleCalendar,
+    getEventCalendar,
+    setPlanPreview,
+    applyPlan,
+    discardPlan
   } = useCalendar();
 
   const [chatMessages, setChatMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [planOnly, setPlanOnly] = useState(false); // the assistant proposes a plan instead of changing the calendar
   const [hasAttemptedFetch, setHasAttemptedFetch] = useState(false);
   const [hasAttemptedUserFetch, setHasAttemptedUserFetch] = useState(false);
   const chatContainerRef = useRef(null);
@@ -183,6 +197,9 @@ const Dashboard = () => {
       });
       setLastEventCount(events.length);
 
+      // Pushed changes are already current
+      if (liveUpdates) return;
+
       // Force a re-fetch of events to ensure we have the latest data
       // Use a longer delay to ensure Google Calendar API has propagated changes
       setTimeout(() => {
@@ -190,7 +207,7 @@ const Dashboard = () => {
         fetchEvents(undefined, undefined, false); // Background refresh, no loading indicator
       }, 2000); // Increased delay to 2 seconds
     }
-  }, [events, lastEventCount, fetchEvents]);
+  }, [events, lastEventCount, liveUpdates, fetchEvents]);
 
 
 
@@ -201,16 +218,114 @@ const Dashboard = () => {
     }
   }, [sessionId]);
 
-  // Periodic event refresh (fallback for webhooks)
+  // Periodic event refresh, only while the server cannot push calendar changes
   useEffect(() => {
-    if (!sessionId || !isGoogleConnected) return;
+    if (!sessionId || !isGoogleConnected || liveUpdates) return;
 
     const refreshInterval = setInterval(() => {
       fetchEvents(undefined, undefined, false); // Background refresh, no loading indicator
     }, 5 * 60 * 1000); // Refresh every 5 minutes
 
     return () => clearInterval(refreshInterval);
-  }, [sessionId, isGoogleConnected, fetchEvents]);
+  }, [sessionId, isGoogleConnected, liveUpdates, fetchEvents]);
+
+  // Plan-only mode is a session setting, so it is the same in every tab
+  useEffect(() => {
+    if (!sessionId || !sessionValidated) return;
+
+    fetch('/api/ai/plan-mode', { headers: { 'x-session-id': sessionId } })
+      .then(response => (response.ok ? response.json() : { enabled: false }))
+      .then(({ enabled }) => setPlanOnly(enabled))
+      .catch(error => console.error('❌ [DASHBOARD] Failed to load plan mode:', error));
+  }, [sessionId, sessionValidated]);
+
+  const handleTogglePlanOnly = async () => {
+    const enabled = !planOnly;
+    setPlanOnly(enabled);
+
+    try {
+      const response = await fetch('/api/ai/plan-mode', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-session-id': sessionId
+        },
+        body: JSON.stringify({ enabled })
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+    } catch (error) {
+      console.error('❌ [DASHBOARD] Failed to update plan mode:', error);
+      setPlanOnly(!enabled);
+    }
+  };
+
+  // The confirmation stream outlives a single request, so it reads fetchEvents through a ref
+  const fetchEventsRef = useRef(fetchEvents);
+  fetchEventsRef.current = fetchEvents;
+
+  // Pending confirmations survive reloads: restore their prompts, and receive the AI's reply to a
+  // confirmed or rejected batch on the confirmation stream
+  useEffect(() => {
+    if (!sessionId || !sessionValidated) return;
+
+    fetch('/api/ai/confirmations', { headers: { 'x-session-id': sessionId } })
+      .then(response => (response.ok ? response.json() : { confirmations: [] }))
+      .then(({ confirmations }) => {
+        setChatMessages(prev => [
+          ...prev,
+          ...confirmations
+            .filter(batch => !prev.some(msg => msg.confirmationId === batch.id))
+            .map(batch => ({
+              id: batch.id,
+              type: 'ai',
+              content: batch.message,
+              requiresConfirmation: true,
+              tools: batch.tools,
+              currentEvents: batch.currentEvents,
+              reasons: batch.reasons,
+              confirmationId: batch.id,
+              isProcessing: false
+            }))
+        ]);
+      })
+      .catch(error => console.error('❌ [DASHBOARD] Failed to load pending confirmations:', error));
+
+    const eventSource = new EventSource(`http://localhost:50001/api/ai/confirmations/stream?${new URLSearchParams({ sessionId })}`);
+
+    eventSource.onmessage = (event) => {
+      const data = JSON.parse(event.data);
+      if (!data.confirmationId) return;
+
+      console.log('📨 [DASHBOARD] Confirmation outcome received:', data.type, data.confirmationId);
+      setChatMessages(prev => {
+        const existing = prev.find(msg => msg.confirmationId === data.confirmationId);
+        const update = data.type === 'delta'
+          ? { content: existing?.isReplying ? existing.content + data.text : data.text, isReplying: true }
+          : {
+            content: data.message,
+            isReplying: false,
+            isProcessing: false,
+            isCompleted: !data.cancelled,
+            requiresConfirmation: false,
+            tools: undefined,
+            operationGroupId: data.operationGroupId
+          };
+        if (!existing) {
+          return [...prev, { id: data.confirmationId, type: 'ai', confirmationId: data.confirmationId, ...update }];
+        }
+        return prev.map(msg => msg.confirmationId === data.confirmationId ? { ...msg, ...update } : msg);
+      });
+
+      // Refresh events after confirmed operations
+      if (data.type === 'final' && !data.cancelled) {
+        fetchEventsRef.current(undefined, undefined, false);
+      }
+    };
+
+    return () => eventSource.close();
+  }, [sessionId, sessionValidated]);
 
   // Request notification permissions on mount
   useEffect(() => {
@@ -270,61 +385,48 @@ const Dashboard = () => {
     const thirtyDaysFromNow = new Date(today);
     thirtyDaysFromNow.setDate(today.getDate() + 30);
 
+    // Include multi-day events that are still going on
     const upcoming = events
-      .filter(event => {
-        const eventDate = new Date(event.start.dateTime || event.start.date);
-        return eventDate >= today && eventDate <= thirtyDaysFromNow;
-      })
-      .sort((a, b) => new Date(a.start.dateTime || a.start.date) - new Date(b.start.dateTime || b.start.date));
+      .filter(event => getEventEnd(event) >= today && getEventStart(event) <= thirtyDaysFromNow)
+      .sort((a, b) => getEventStart(a) - getEventStart(b));
 
     return upcoming;
   };
 
+  // Color-code events by the calendar they belong to
+  const getEventCalendarStyle = (event) => {
+    const eventCalendar = getEventCalendar(event);
+    return eventCalendar ? { borderLeft: `3px solid ${eventCalendar.backgroundColor}` } : undefined;
+  };
+
   const getEventsByDay = () => {
     const events = getUpcomingEvents();
     const eventsByDay = {};
+    const today = startOfDay(new Date());
 
-    // Get unique dates from events (up to 30 days)
-    const uniqueDates = new Set();
+    // Multi-day events are listed under each of their days from today on
     events.forEach(event => {
-      const eventDate = new Date(event.start.dateTime || event.start.date);
-      const dateKey = eventDate.toDateString();
-      uniqueDates.add(dateKey);
+      getEventDays(event)
+        .filter(day => day >= today)
+        .forEach(day => {
+          const dateKey = day.toDateString();
+          eventsByDay[dateKey] = [...(eventsByDay[dateKey] || []), event];
+        });
     });
 
     // Sort dates chronologically and take the first 14 days (to fit on screen)
-    const sortedDates = Array.from(uniqueDates)
-      .map(dateKey => new Date(dateKey))
-      .sort((a, b) => a - b)
-      .map(date => date.toDateString())
-      .slice(0, 14);
-
-    // Initialize days with events
-    sortedDates.forEach(dateKey => {
-      eventsByDay[dateKey] = [];
-    });
-
-    // Group events by day
-    events.forEach(event => {
-      const eventDate = new Date(event.start.dateTime || event.start.date);
-      const dateKey = eventDate.toDateString();
-      if (eventsByDay[dateKey]) {
-        eventsByDay[dateKey].push(event);
-      }
-    });
-
-    return eventsByDay;
+    return Object.fromEntries(
+      Object.keys(eventsByDay)
+        .sort((a, b) => new Date(a) - new Date(b))
+        .slice(0, 14)
+        .map(dateKey => [dateKey, sortEventsForDay(eventsByDay[dateKey])])
+    );
   };
 
-  const getEventTime = (event) => {
-    if (event.start.dateTime) {
-      return format(new Date(event.start.dateTime), 'h:mm a');
-    }
-    return 'All day';
-  };
+  const getEventTime = (event) => formatEventTime(event);
 
   const getEventDate = (event) => {
-    const eventDate = new Date(event.start.dateTime || event.start.date);
+    const eventDate = getEventStart(event);
     if (isToday(eventDate)) return 'Today';
     if (isTomorrow(eventDate)) return 'Tomorrow';
     return format(eventDate, 'MMM d');
@@ -713,11 +815,15 @@ const Dashboard = () => {
       // Track if this SSE session used any tools
       let usedToolsInThisSession = false;
 
+      // The streamed draft of a reply is replaced by the complete message once it arrives
+      const withoutDraft = (messages) => messages.filter(msg => !msg.isStreaming);
+
       // Create EventSource for SSE
       const eventSource = new EventSource(`http://localhost:50001/api/ai/schedule-stream?${new URLSearchParams({
         description: inputValue,
         sessionId: sessionId,
-        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        planOnly
       })}`);
 
       eventSource.onopen = () => {
@@ -730,7 +836,28 @@ const Dashboard = () => {
         try {
           const data = JSON.parse(event.data);
 
-          if (data.type === 'intermittent') {
+          if (data.type === 'delta') {
+            // Render the reply as it is generated; a new model turn starts a new draft
+            setChatMessages(prev => {
+              const last = prev[prev.length - 1];
+              if (last?.isStreaming) {
+                return [...prev.slice(0, -1), {
+                  ...last,
+                  content: last.streamTurn === data.turn ? last.content + data.text : data.text,
+                  streamTurn: data.turn
+                }];
+              }
+              return [...prev, {
+                id: Date.now() + Math.random(),
+                type: 'ai',
+                content: data.text,
+                isStreaming: true,
+                streamTurn: data.turn,
+                isProcessing: false
+              }];
+            });
+
+          } else if (data.type === 'intermittent') {
             console.log('⚡ [DASHBOARD] Showing intermittent message:', data.message);
             console.log('🔧 [DASHBOARD] Tools running:', data.tools);
 
@@ -742,7 +869,7 @@ const Dashboard = () => {
 
             // Add intermittent message immediately
             const messageId = Date.now();
-            setChatMessages(prev => [...prev, {
+            setChatMessages(prev => [...withoutDraft(prev), {
               id: messageId,
               type: 'ai',
               content: data.message,
@@ -754,12 +881,15 @@ const Dashboard = () => {
             console.log('⚠️ [DASHBOARD] Tools require confirmation:', data.tools);
             // Add confirmation message with special UI
             const messageId = Date.now();
-            setChatMessages(prev => [...prev, {
+            setChatMessages(prev => [...withoutDraft(prev), {
               id: messageId,
               type: 'ai',
               content: data.message,
               requiresConfirmation: true,
+              confirmationId: data.confirmationId,
               tools: data.tools,
+              currentEvents: data.currentEvents,
+              reasons: data.reasons,
               isProcessing: false
             }]);
             eventSource.close();
@@ -770,7 +900,7 @@ const Dashboard = () => {
             console.log('✅ [DASHBOARD] Showing final message:', data.message);
             // Clear processing state from intermittent messages and add final message
             setChatMessages(prev => {
-              const updated = prev.map(msg =>
+              const updated = withoutDraft(prev).map(msg =>
                 msg.isProcessing
                   ? { ...msg, isProcessing: false }
                   : msg
@@ -780,7 +910,9 @@ const Dashboard = () => {
                 type: 'ai',
                 content: data.message,
                 isProcessing: false,
-                tools: [] // No tools for final message
+                tools: [], // No tools for final message
+                operationGroupId: data.operationGroupId, // Calendar changes of this request, for undo
+                plan: data.plan && { ...data.plan, summary: data.message } // Changes proposed in plan-only mode
               }];
             });
 
@@ -806,7 +938,7 @@ const Dashboard = () => {
 
           } else if (data.type === 'error') {
             console.error('❌ [DASHBOARD] SSE error:', data.message);
-            setChatMessages(prev => [...prev, {
+            setChatMessages(prev => [...withoutDraft(prev), {
               id: Date.now(),
               type: 'ai',
               content: data.message,
@@ -827,7 +959,7 @@ const Dashboard = () => {
         console.error('❌ [DASHBOARD] SSE error:', error);
         eventSource.close();
         setIsTyping(false);
-        setChatMessages(prev => [...prev, {
+        setChatMessages(prev => [...withoutDraft(prev), {
           id: Date.now(),
           type: 'ai',
           content: '连接出现问题，请稍后再试。',
@@ -987,12 +1119,15 @@ const Dashboard = () => {
 
 
 
-  const handleConfirmActions = async (tools, messageId) => {
+  // `decisions` approves or rejects each tool ([{ approved, parameters }], parameters possibly edited);
+  // without it the whole batch is confirmed
+  const handleConfirmActions = async (tools, messageId, confirmationId, decisions = null) => {
     try {
       console.log('✅ [DASHBOARD] User confirmed actions:', {
         messageId,
         toolCount: tools?.length || 0,
-        tools: tools?.map(t => t.tool)
+        tools: tools?.map(t => t.tool),
+        approved: decisions ? decisions.filter(d => d.approved).length : tools?.length || 0
       });
 
       // Update message to show processing
@@ -1001,26 +1136,35 @@ const Dashboard = () => {
           ? {
             ...msg,
             content: "⏳ Executing operations...",
+            proposalContent: msg.content,
             isProcessing: true,
-            requiresConfirmation: false
+            requiresConfirmation: false,
+            reviewError: null
           }
           : msg
       ));
 
-      // Call confirmation endpoint
-      const response = await fetch('/api/ai/confirm-tools', {
+      // Confirm the batch by id; the AI's summary arrives on the confirmation stream
+      const response = await fetch(`/api/ai/confirmations/${confirmationId}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'x-session-id': sessionId
         },
-        body: JSON.stringify({
-          tools: tools,
-          confirmed: true,
-          originalMessage: inputMessage
-        })
+        body: JSON.stringify(decisions ? { decisions } : { confirmed: true })
       });
 
+      // Rejected edits leave the batch pending: show the proposal again so they can be fixed
+      if (response.status === 400) {
+        const { error } = await response.json();
+        setChatMessages(prev => prev.map(msg =>
+          msg.id === messageId
+            ? { ...msg, content: msg.proposalContent, isProcessing: false, requiresConfirmation: true, reviewError: error }
+            : msg
+        ));
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(`Failed to confirm tools: ${response.status} ${response.statusText}`);
       }
@@ -1029,29 +1173,8 @@ const Dashboard = () => {
 
       console.log('✅ [DASHBOARD] Tool confirmation completed:', {
         success: result.success,
-        messageLength: result.message?.length || 0
+        toolCount: result.toolResults?.length || 0
       });
-
-      // Update message with final result
-      setChatMessages(prev => prev.map(msg =>
-        msg.id === messageId
-          ? {
-            ...msg,
-            content: result.message,
-            isProcessing: false,
-            isCompleted: true,
-            requiresConfirmation: false,
-            tools: undefined
-          }
-          : msg
-      ));
-
-      // Refresh events after successful operations
-      setTimeout(() => {
-        console.log('📅 [DASHBOARD] Refreshing events after confirmed operations');
-        fetchEvents(undefined, undefined, false);
-      }, 1000);
-
     } catch (error) {
       console.error('❌ [DASHBOARD] Error confirming actions:', error);
 
@@ -1071,7 +1194,7 @@ const Dashboard = () => {
     }
   };
 
-  const handleCancelActions = async (tools, messageId) => {
+  const handleCancelActions = async (tools, messageId, confirmationId) => {
     try {
       console.log('❌ [DASHBOARD] User cancelled actions:', {
         messageId,
@@ -1090,18 +1213,14 @@ const Dashboard = () => {
           : msg
       ));
 
-      // Call confirmation endpoint with cancelled=false
-      const response = await fetch('/api/ai/confirm-tools', {
+      // Reject the batch by id; the AI's acknowledgement arrives on the confirmation stream
+      const response = await fetch(`/api/ai/confirmations/${confirmationId}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'x-session-id': sessionId
         },
-        body: JSON.stringify({
-          tools: tools,
-          confirmed: false,
-          originalMessage: inputMessage
-        })
+        body: JSON.stringify({ confirmed: false })
       });
 
       if (!response.ok) {
@@ -1114,13 +1233,15 @@ const Dashboard = () => {
         success: result.success,
         cancelled: result.cancelled
       });
+    } catch (error) {
+      console.error('❌ [DASHBOARD] Error cancelling actions:', error);
 
-      // Update message with cancellation result
+      // Update message to show error
       setChatMessages(prev => prev.map(msg =>
         msg.id === messageId
           ? {
             ...msg,
-            content: result.message || "❌ Operations cancelled. No changes were made to your calendar.",
+            content: "❌ Error processing cancellation. Operations were not executed.",
             isProcessing: false,
             isCompleted: false,
             requiresConfirmation: false,
@@ -1128,23 +1249,75 @@ const Dashboard = () => {
           }
           : msg
       ));
+    }
+  };
+
+  // Undo the calendar changes made for a chat message; events edited since are left alone (conflicts)
+  const handleUndoOperations = async (messageId, operationGroupId) => {
+    setChatMessages(prev => prev.map(msg =>
+      msg.id === messageId ? { ...msg, isUndoing: true, undoError: null } : msg
+    ));
+
+    try {
+      const response = await fetch(`/api/calendar/operations/${operationGroupId}/undo`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-session-id': sessionId
+        }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `${response.status} ${response.statusText}`);
+      }
 
+      console.log('↩️ [DASHBOARD] Calendar changes undone:', {
+        operationGroupId,
+        undone: result.undone.length,
+        conflicts: result.conflicts.length
+      });
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === messageId ? { ...msg, isUndoing: false, operationsUndone: true, undoConflicts: result.conflicts } : msg
+      ));
+      fetchEvents(undefined, undefined, false);
     } catch (error) {
-      console.error('❌ [DASHBOARD] Error cancelling actions:', error);
+      console.error('❌ [DASHBOARD] Error undoing calendar changes:', error);
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === messageId ? { ...msg, isUndoing: false, undoError: `Undo failed: ${error.message}` } : msg
+      ));
+    }
+  };
 
-      // Update message to show error
+  // Make or drop the changes of a plan proposed in plan-only mode; an applied plan can be undone
+  const handleApplyPlan = async (messageId, plan) => {
+    setChatMessages(prev => prev.map(msg =>
+      msg.id === messageId ? { ...msg, isApplyingPlan: true } : msg
+    ));
+
+    try {
+      const result = await applyPlan(plan.id);
       setChatMessages(prev => prev.map(msg =>
         msg.id === messageId
-          ? {
-            ...msg,
-            content: "❌ Error processing cancellation. Operations were not executed.",
-            isProcessing: false,
-            isCompleted: false,
-            requiresConfirmation: false,
-            tools: undefined
-          }
+          ? { ...msg, isApplyingPlan: false, planStatus: 'applied', planConflicts: result.conflicts, operationGroupId: result.operationGroupId }
           : msg
       ));
+    } catch (error) {
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === messageId
+          ? { ...msg, isApplyingPlan: false, planStatus: error.response?.status === 404 ? 'expired' : undefined }
+          : msg
+      ));
+    }
+  };
+
+  const handleDiscardPlan = async (messageId, plan) => {
+    try {
+      await discardPlan(plan.id);
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === messageId ? { ...msg, planStatus: 'discarded' } : msg
+      ));
+    } catch (error) {
+      console.error('❌ [DASHBOARD] Error discarding plan:', error);
     }
   };
 
@@ -1197,6 +1370,7 @@ const Dashboard = () => {
             description: event.description,
             startTime: event.startTime,
             endTime: event.endTime,
+            allDay: event.allDay,
             location: event.location,
             attendees: event.attendees || [],
             reminders: event.reminders || ['15 minutes before']
@@ -1363,6 +1537,7 @@ const Dashboard = () => {
       <div className="flex items-center justify-between p-1 flex-shrink-0">
         <h1 className="text-sm font-normal text-gray-800">Vibe Calendar made by Dorian and his intern Cursor</h1>
         <div className="flex items-center space-x-2">
+          {sessionId && <QuickAdd />}
           {!isChatVisible && (
             <button
               onClick={() => setIsChatVisible(true)}
@@ -1399,6 +1574,7 @@ const Dashboard = () => {
                 <p className="text-xs text-gray-500">Upcoming events</p>
               </div>
             </div>
+            <CalendarToggles compact />
           </div>
 
           {(() => {
@@ -1428,8 +1604,9 @@ const Dashboard = () => {
                           {dayEvents.length > 0 ? (
                             dayEvents.map((event) => (
                               <div
-                                key={event.id}
+                                key={`${event.calendarId}-${event.id}`}
                                 className="group relative bg-white border border-gray-100 rounded-2xl p-2 hover:bg-gray-50 hover:border-gray-200 transition-all duration-200 cursor-pointer"
+                                style={getEventCalendarStyle(event)}
                                 title={event.description || event.location || event.attendees || event.reminders ? 'Hover for details' : ''}
                               >
                                 <div className="flex items-start justify-between">
@@ -1456,6 +1633,9 @@ const Dashboard = () => {
                                     </div>
                                   </div>
                                   <div className="flex flex-col items-end space-y-1 ml-2">
+                                    <div className="opacity-0 group-hover:opacity-100 transition-opacity">
+                                      <EventActions event={event} compact />
+                                    </div>
                                     {event.recurringEventId && (
                                       <div className="w-2 h-2 bg-blue-500 rounded-full" title="Recurring event"></div>
                                     )}
@@ -1528,7 +1708,7 @@ const Dashboard = () => {
                                     {/* Reminders - simplified */}
                                     {event.reminders && event.reminders.overrides && event.reminders.overrides.length > 0 && (
                                       <div className="text-gray-600">
-                                        {event.reminders.overrides[0].minutes} min reminder
+                                        Reminders: {event.reminders.overrides.map(formatReminder).join(', ')}
                                       </div>
                                     )}
 
@@ -1751,34 +1931,79 @@ const Dashboard = () => {
                         });
 
                         return shouldShowConfirmation ? (
-                          <div className="mt-3 space-y-2">
-                            <div className="text-xs text-gray-500 mb-2">
-                              Please confirm these operations:
-                              <div className="mt-1">
-                                {message.tools.map((tool, idx) => (
-                                  <div key={idx} className="text-xs text-gray-600">
-                                    • {tool.tool === 'delete_event' ? `Delete "${tool.parameters.eventTitle}"` : tool.tool}
-                                  </div>
-                                ))}
-                              </div>
-                            </div>
-                            <div className="flex flex-wrap gap-2">
+                          <ToolConfirmation
+                            tools={message.tools}
+                            currentEvents={message.currentEvents}
+                            reasons={message.reasons}
+                            error={message.reviewError}
+                            onApply={(decisions) => handleConfirmActions(message.tools, message.id, message.confirmationId, decisions)}
+                            onCancel={() => handleCancelActions(message.tools, message.id, message.confirmationId)}
+                          />
+                        ) : null;
+                      })()}
+
+                      {/* Plan proposed in plan-only mode: preview it on the calendar, apply or discard it */}
+                      {message.type === 'ai' && message.plan && (
+                        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                          {message.planStatus ? (
+                            <span className="text-gray-500">
+                              {message.planStatus === 'applied' && '✅ Plan applied'}
+                              {message.planStatus === 'applied' && message.planConflicts?.length > 0 &&
+                                ` (${message.planConflicts.length} skipped: ${message.planConflicts.map(c => c.reason).join('; ')})`}
+                              {message.planStatus === 'discarded' && '🗑️ Plan discarded'}
+                              {message.planStatus === 'expired' && 'This plan was already applied, discarded or has expired'}
+                            </span>
+                          ) : (
+                            <>
+                              <span className="text-gray-500">
+                                📝 Plan: {message.plan.changes.length} change{message.plan.changes.length !== 1 ? 's' : ''}, nothing changed yet
+                              </span>
+                              <Link
+                                to="/calendar"
+                                onClick={() => setPlanPreview(message.plan)}
+                                className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs hover:bg-gray-200 transition-colors font-normal"
+                              >
+                                👁️ Preview
+                              </Link>
                               <button
-                                onClick={() => handleConfirmActions(message.tools, message.id)}
-                                className="px-3 py-1 bg-red-100 text-red-700 rounded-lg text-xs hover:bg-red-200 transition-colors font-normal"
+                                onClick={() => handleApplyPlan(message.id, message.plan)}
+                                disabled={message.isApplyingPlan}
+                                className="px-3 py-1 bg-black text-white rounded-lg text-xs hover:bg-gray-700 transition-colors font-normal disabled:opacity-50"
                               >
-                                ✅ Confirm All
+                                {message.isApplyingPlan ? '⏳ Applying...' : '✅ Apply'}
                               </button>
                               <button
-                                onClick={() => handleCancelActions(message.tools, message.id)}
-                                className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs hover:bg-gray-200 transition-colors font-normal"
+                                onClick={() => handleDiscardPlan(message.id, message.plan)}
+                                disabled={message.isApplyingPlan}
+                                className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs hover:bg-gray-200 transition-colors font-normal disabled:opacity-50"
                               >
-                                ❌ Cancel
+                                🗑️ Discard
                               </button>
-                            </div>
-                          </div>
-                        ) : null;
-                      })()}
+                            </>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Undo the calendar changes this reply made */}
+                      {message.type === 'ai' && message.operationGroupId && (
+                        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                          {message.operationsUndone ? (
+                            <span className="text-gray-500">
+                              ↩️ Changes undone
+                              {message.undoConflicts?.length > 0 && ` (${message.undoConflicts.length} could not be undone: ${message.undoConflicts.map(c => c.reason).join('; ')})`}
+                            </span>
+                          ) : (
+                            <button
+                              onClick={() => handleUndoOperations(message.id, message.operationGroupId)}
+                              disabled={message.isUndoing}
+                              className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs hover:bg-gray-200 transition-colors font-normal disabled:opacity-50"
+                            >
+                              {message.isUndoing ? '⏳ Undoing...' : '↩️ Undo'}
+                            </button>
+                          )}
+                          {message.undoError && <span className="text-red-600">{message.undoError}</span>}
+                        </div>
+                      )}
                     </div>
 
                     {/* Tool indicator - separate bubble below message */}
@@ -1802,6 +2027,7 @@ const Dashboard = () => {
                                 <span key={idx}>
                                   {tool.name === 'create_event' && (message.isProcessing ? 'Creating event...' : 'Event created')}
                                   {tool.name === 'query_events' && (message.isProcessing ? 'Querying calendar...' : 'Calendar queried')}
+                                  {tool.name === 'find_meeting_times' && (message.isProcessing ? 'Checking availability...' : 'Availability checked')}
                                   {tool.name === 'update_event' && (message.isProcessing ? 'Updating event...' : 'Event updated')}
                                   {tool.name === 'delete_event' && (message.isProcessing ? 'Deleting event...' : 'Event deleted')}
                                   {idx < message.tools.length - 1 && ', '}
@@ -1815,7 +2041,7 @@ const Dashboard = () => {
                   </div>
                 ))
               )}
-              {isTyping && (
+              {isTyping && !chatMessages[chatMessages.length - 1]?.isStreaming && (
                 <div className="flex justify-start">
                   <div className="bg-gray-100 text-gray-800 px-4 py-3 rounded-lg max-w-[80%]">
                     <div className="flex space-x-1">
@@ -1913,6 +2139,14 @@ const Dashboard = () => {
                               <Trash2 className="w-4 h-4" />
                               <span>Clear History</span>
                             </button>
+                            <Link
+                              to="/settings"
+                              className="flex items-center gap-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors rounded-none text-left"
+                              onClick={() => setToolsOpen(false)}
+                            >
+                              <SettingsIcon className="w-4 h-4" />
+                              <span>Confirmation Rules</span>
+                            </Link>
                             {/* Example for future tools:
                             <button
                               type="button"
@@ -1927,6 +2161,14 @@ const Dashboard = () => {
                         </div>
                       )}
                     </div>
+                    <button
+                      type="button"
+                      onClick={handleTogglePlanOnly}
+                      className={`px-2 py-1 text-sm rounded-lg transition-colors ${planOnly ? 'bg-primary-100 text-primary-800' : 'text-gray-600 hover:text-gray-700 hover:bg-gray-50'}`}
+                      title="Plan only: the assistant proposes changes for you to preview and apply"
+                    >
+                      📝 Plan only{planOnly ? ' (on)' : ''}
+                    </button>
                   </div>
 
                   <button
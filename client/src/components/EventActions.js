@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Edit2, Trash2 } from 'lucide-react';
+import { useCalendar } from '../context/CalendarContext';
+import { RECURRENCE_SCOPES } from '../utils/recurrence';
+
+const editEventPath = (event) =>
+  `/events/${encodeURIComponent(event.id)}/edit?calendarId=${encodeURIComponent(event.calendarId || 'primary')}`;
+
+// Edit and Delete buttons for an event the user can change (not on read-only calendars or planned
+// events). Occurrences of a recurring event ask which occurrences to delete.
+// `compact` renders small icon buttons (Dashboard tiles).
+const EventActions = ({ event, compact = false }) => {
+  const { deleteEvent, getEventCalendar } = useCalendar();
+  const [choosingScope, setChoosingScope] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  const eventCalendar = getEventCalendar(event);
+  if (event.planStatus || (eventCalendar && !['owner', 'writer'].includes(eventCalendar.accessRole))) {
+    return null;
+  }
+
+  const remove = async (scope) => {
+    setChoosingScope(false);
+    setDeleting(true);
+    try {
+      await deleteEvent(event.id, { scope, calendarId: event.calendarId || 'primary' });
+    } catch (error) {
+      // deleteEvent already reported the error
+      setDeleting(false);
+    }
+  };
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    if (event.recurringEventId) {
+      setChoosingScope(true);
+    } else if (window.confirm(`Delete "${event.summary}"?`)) {
+      remove('instance');
+    }
+  };
+
+  const buttonClass = compact
+    ? 'p-0.5 text-gray-400 hover:text-gray-700'
+    : 'btn-secondary text-sm flex items-center space-x-1 px-2 py-1';
+  const iconClass = compact ? 'h-3 w-3' : 'h-4 w-4';
+
+  if (choosingScope) {
+    return (
+      <div className="flex flex-wrap items-center gap-1 text-xs" onClick={(e) => e.stopPropagation()}>
+        <span className="text-gray-500">Delete:</span>
+        {RECURRENCE_SCOPES.map(scope => (
+          <button
+            key={scope.value}
+            type="button"
+            onClick={() => remove(scope.value)}
+            className="px-2 py-0.5 rounded-full border border-red-200 text-red-700 hover:bg-red-50"
+          >
+            {scope.label}
+          </button>
+        ))}
+        <button type="button" onClick={() => setChoosingScope(false)} className="px-2 py-0.5 text-gray-500 hover:text-gray-700">
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`flex items-center ${compact ? 'space-x-0.5' : 'space-x-2'}`}>
+      <Link
+        to={editEventPath(event)}
+        onClick={(e) => e.stopPropagation()}
+        className={buttonClass}
+        title="Edit event"
+      >
+        <Edit2 className={iconClass} />
+        {!compact && <span>Edit</span>}
+      </Link>
+      <button
+        type="button"
+        onClick={handleDelete}
+        disabled={deleting}
+        className={`${buttonClass} hover:text-red-600`}
+        title="Delete event"
+      >
+        <Trash2 className={iconClass} />
+        {!compact && <span>{deleting ? 'Deleting...' : 'Delete'}</span>}
+      </button>
+    </div>
+  );
+};
+
+export default EventActions;
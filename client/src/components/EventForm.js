@@ -1,16 +1,66 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Calendar, Clock, MapPin, Users, FileText, Save, X } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { Calendar, Clock, MapPin, Users, Save, X, Repeat, Bell, Plus, Trash2 } from 'lucide-react';
 import { useCalendar } from '../context/CalendarContext';
-import { format } from 'date-fns';
+import { addDays, format } from 'date-fns';
+import { FREQUENCY_OPTIONS, WEEKDAYS, RECURRENCE_SCOPES, weekdayOfDate, buildRecurrence, recurrenceToForm } from '../utils/recurrence';
+import { REMINDER_METHODS, REMINDER_TIMES, MAX_REMINDERS, DEFAULT_FORM_REMINDERS, formatReminderTime, buildReminders, remindersFromEvent } from '../utils/reminders';
+import { getEventStart, getEventEnd, isAllDayEvent, parseLocalDate } from '../utils/eventDates';
 
+// Form fields for an existing event; all-day events show their last day as the end date
+const eventToForm = (event, recurrence) => {
+  const start = getEventStart(event);
+  const end = isAllDayEvent(event) ? addDays(parseLocalDate(event.end.date), -1) : getEventEnd(event);
+  return {
+    title: event.summary || '',
+    description: event.description || '',
+    calendarId: event.calendarId || '',
+    startDate: format(start, 'yyyy-MM-dd'),
+    startTime: isAllDayEvent(event) ? '09:00' : format(start, 'HH:mm'),
+    endDate: format(end, 'yyyy-MM-dd'),
+    endTime: isAllDayEvent(event) ? '10:00' : format(end, 'HH:mm'),
+    location: event.location || '',
+    attendees: (event.attendees || []).map(attendee => attendee.email).join(', '),
+    isAllDay: isAllDayEvent(event),
+    reminders: remindersFromEvent(event),
+    ...recurrenceToForm(recurrence)
+  };
+};
+
+// Arguments for buildRecurrence from the form's repeat fields
+const repeatOptions = (fields) => ({
+  frequency: fields.repeatFrequency,
+  interval: fields.repeatInterval,
+  // Weekly events repeat on the start date's weekday unless others are picked
+  weekdays: fields.repeatWeekdays.length > 0 ? fields.repeatWeekdays : [weekdayOfDate(fields.startDate)],
+  ends: fields.repeatEnds,
+  untilDate: fields.repeatUntil,
+  count: fields.repeatCount,
+  customRule: fields.repeatRule
+});
+
+// Creates events at /new-event and edits them at /events/:eventId/edit?calendarId=...
 const EventForm = () => {
   const navigate = useNavigate();
-  const { createEvent, loading } = useCalendar();
+  const { eventId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { createEvent, fetchEvent, updateEvent, loading, calendars, sessionId } = useCalendar();
+  const isEditing = !!eventId;
+  const editCalendarId = searchParams.get('calendarId') || 'primary';
+
+  // Calendars the user can add events to
+  const writableCalendars = calendars.filter(calendar => ['owner', 'writer'].includes(calendar.accessRole));
+
+  // The event being edited as loaded: { event, recurrence } (recurrence is the series' rule)
+  const [original, setOriginal] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [scope, setScope] = useState('instance');
+  const isRecurring = !!(original?.event.recurringEventId || original?.recurrence);
   
   const [formData, setFormData] = useState({
     title: '',
     description: '',
+    calendarId: '',
     startDate: format(new Date(), 'yyyy-MM-dd'),
     startTime: format(new Date(), 'HH:mm'),
     endDate: format(new Date(), 'yyyy-MM-dd'),
@@ -18,11 +68,38 @@ const EventForm = () => {
     location: '',
     attendees: '',
     isAllDay: false,
-    reminders: ['15']
+    reminders: DEFAULT_FORM_REMINDERS,
+    repeatFrequency: 'none',
+    repeatInterval: '1',
+    repeatWeekdays: [],
+    repeatEnds: 'never',
+    repeatUntil: '',
+    repeatCount: '10',
+    repeatRule: ''
   });
 
   const [errors, setErrors] = useState({});
 
+  useEffect(() => {
+    if (!isEditing || !sessionId) return;
+    let cancelled = false;
+    setLoadError('');
+    fetchEvent(eventId, editCalendarId)
+      .then(({ event, recurrence }) => {
+        if (cancelled) return;
+        setOriginal({ event, recurrence });
+        setFormData(eventToForm(event, recurrence));
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setLoadError(error.response?.status === 404 ? 'This event no longer exists.' : 'The event could not be loaded.');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isEditing, eventId, editCalendarId, sessionId, fetchEvent]);
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -63,12 +140,38 @@ const EventForm = () => {
       }
     }
 
-    // Check if end date/time is after start date/time
-    const startDateTime = new Date(`${formData.startDate}T${formData.startTime}`);
-    const endDateTime = new Date(`${formData.endDate}T${formData.endTime}`);
-    
-    if (endDateTime <= startDateTime) {
-      newErrors.endTime = 'End time must be after start time';
+    // Check if end date/time is after start date/time; all-day events may start and end on the same day
+    if (formData.isAllDay) {
+      if (formData.endDate < formData.startDate) {
+        newErrors.endDate = 'End date must be on or after the start date';
+      }
+    } else {
+      const startDateTime = new Date(`${formData.startDate}T${formData.startTime}`);
+      const endDateTime = new Date(`${formData.endDate}T${formData.endTime}`);
+
+      if (endDateTime <= startDateTime) {
+        newErrors.endTime = 'End time must be after start time';
+      }
+    }
+
+    // A single occurrence of a series keeps the series' repeat rule
+    const checksRepeat = !(isRecurring && scope === 'instance');
+    if (checksRepeat && isRecurring && formData.repeatFrequency === 'none') {
+      newErrors.repeatFrequency = 'A repeating series cannot be made one-off; delete the occurrences you no longer want instead';
+    }
+    if (checksRepeat && formData.repeatFrequency === 'custom' && !formData.repeatRule.trim()) {
+      newErrors.repeatRule = 'Enter a recurrence rule, e.g. FREQ=WEEKLY;BYDAY=MO,WE';
+    }
+    if (checksRepeat && formData.repeatFrequency !== 'none' && formData.repeatFrequency !== 'custom') {
+      if (!(Number(formData.repeatInterval) >= 1)) {
+        newErrors.repeatInterval = 'Interval must be at least 1';
+      }
+      if (formData.repeatEnds === 'on' && (!formData.repeatUntil || formData.repeatUntil < formData.startDate)) {
+        newErrors.repeatUntil = 'End date must be on or after the start date';
+      }
+      if (formData.repeatEnds === 'after' && !(Number(formData.repeatCount) >= 1)) {
+        newErrors.repeatCount = 'Number of occurrences must be at least 1';
+      }
     }
 
     setErrors(newErrors);
@@ -86,21 +189,48 @@ const EventForm = () => {
       const eventData = {
         title: formData.title,
         description: formData.description,
-        startTime: formData.isAllDay 
-          ? `${formData.startDate}T00:00:00.000Z`
-          : `${formData.startDate}T${formData.startTime}:00.000Z`,
+        // All-day events are sent as dates, ending on their last day; times are the browser's local time
+        startTime: formData.isAllDay
+          ? formData.startDate
+          : new Date(`${formData.startDate}T${formData.startTime}`).toISOString(),
         endTime: formData.isAllDay
-          ? `${formData.endDate}T23:59:59.999Z`
-          : `${formData.endDate}T${formData.endTime}:00.000Z`,
+          ? formData.endDate
+          : new Date(`${formData.endDate}T${formData.endTime}`).toISOString(),
+        allDay: formData.isAllDay,
+        // Timed events and the occurrences of repeating ones keep their local time in this timezone
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
         location: formData.location,
-        attendees: formData.attendees ? formData.attendees.split(',').map(email => email.trim()) : [],
-        reminders: formData.reminders
+        attendees: formData.attendees ? formData.attendees.split(',').map(email => email.trim()).filter(Boolean) : [],
+        reminders: buildReminders(formData.reminders)
       };
 
-      await createEvent(eventData);
+      const recurrence = buildRecurrence(repeatOptions(formData));
+
+      if (isEditing) {
+        eventData.calendarId = original.event.calendarId || editCalendarId;
+        eventData.scope = scope;
+        // The repeat rule is only sent when it changed; a series' rule changes for this and
+        // following or all occurrences, and its other lines (e.g. EXDATE) are kept
+        const originalRecurrence = buildRecurrence(repeatOptions(recurrenceToForm(original.recurrence)));
+        const ruleChanged = recurrence.join() !== originalRecurrence.join();
+        if (ruleChanged && recurrence.length > 0 && (!isRecurring || scope !== 'instance')) {
+          eventData.recurrence = [...recurrence, ...(original.recurrence || []).filter(line => !/^RRULE:/i.test(line))];
+        }
+
+        await updateEvent(eventId, eventData);
+      } else {
+        if (formData.calendarId) {
+          eventData.calendarId = formData.calendarId;
+        }
+        if (recurrence.length > 0) {
+          eventData.recurrence = recurrence;
+        }
+
+        await createEvent(eventData);
+      }
       navigate('/calendar');
     } catch (error) {
-      console.error('Error creating event:', error);
+      console.error(`Error ${isEditing ? 'updating' : 'creating'} event:`, error);
     }
   };
 
@@ -108,21 +238,54 @@ const EventForm = () => {
     navigate('/calendar');
   };
 
-  const reminderOptions = [
-    { value: '5', label: '5 minutes before' },
-    { value: '15', label: '15 minutes before' },
-    { value: '30', label: '30 minutes before' },
-    { value: '60', label: '1 hour before' },
-    { value: '1440', label: '1 day before' }
-  ];
+  const toggleRepeatWeekday = (code) => {
+    setFormData(prev => ({
+      ...prev,
+      repeatWeekdays: prev.repeatWeekdays.includes(code)
+        ? prev.repeatWeekdays.filter(day => day !== code)
+        : [...prev.repeatWeekdays, code]
+    }));
+  };
+
+  const repeatUnit = FREQUENCY_OPTIONS.find(option => option.value === formData.repeatFrequency)?.unit;
+
+  const updateReminders = (changes) => {
+    setFormData(prev => ({ ...prev, reminders: { ...prev.reminders, ...changes } }));
+  };
+
+  const updateReminder = (index, changes) => {
+    updateReminders({
+      overrides: formData.reminders.overrides.map((reminder, i) => (i === index ? { ...reminder, ...changes } : reminder))
+    });
+  };
+
+  const submitLabel = isEditing
+    ? (loading ? 'Saving...' : 'Save Changes')
+    : (loading ? 'Creating...' : 'Create Event');
+
+  if (isEditing && !original) {
+    return (
+      <div className="max-w-2xl mx-auto space-y-6">
+        <h1 className="text-3xl font-bold text-gray-900">Edit Event</h1>
+        <div className="card text-center py-8">
+          <p className="text-gray-500 mb-4">{loadError || 'Loading event...'}</p>
+          {loadError && (
+            <button onClick={handleCancel} className="btn-secondary">
+              Back to Calendar
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="max-w-2xl mx-auto space-y-6">
       {/* Header */}
       <div className="flex items-center justify-between">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">New Event</h1>
-          <p className="text-gray-600">Create a new calendar event</p>
+          <h1 className="text-3xl font-bold text-gray-900">{isEditing ? 'Edit Event' : 'New Event'}</h1>
+          <p className="text-gray-600">{isEditing ? 'Change the details of this event' : 'Create a new calendar event'}</p>
         </div>
         <div className="flex space-x-3">
           <button
@@ -138,7 +301,7 @@ const EventForm = () => {
             className="btn-primary flex items-center space-x-2"
           >
             <Save className="h-4 w-4" />
-            <span>{loading ? 'Creating...' : 'Create Event'}</span>
+            <span>{submitLabel}</span>
           </button>
         </div>
       </div>
@@ -183,6 +346,28 @@ const EventForm = () => {
               />
             </div>
 
+            {writableCalendars.length > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Calendar
+                </label>
+                <select
+                  name="calendarId"
+                  value={formData.calendarId || writableCalendars.find(calendar => calendar.primary)?.id || writableCalendars[0].id}
+                  onChange={handleInputChange}
+                  disabled={isEditing}
+                  className="input-field"
+                >
+                  {writableCalendars.map((calendar) => (
+                    <option key={calendar.id} value={calendar.id}>{calendar.summary}</option>
+                  ))}
+                </select>
+                {isEditing && (
+                  <p className="text-sm text-gray-500 mt-1">Events cannot be moved to another calendar</p>
+                )}
+              </div>
+            )}
+
             <div className="flex items-center space-x-2">
               <input
                 type="checkbox"
@@ -276,6 +461,189 @@ const EventForm = () => {
           </div>
         </div>
 
+        {/* Repeat */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center space-x-2">
+            <Repeat className="h-5 w-5 text-primary-600" />
+            <span>Repeat</span>
+          </h2>
+
+          {isRecurring && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Apply changes to
+              </label>
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className="input-field"
+              >
+                {RECURRENCE_SCOPES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {scope === 'instance' && (
+                <p className="text-sm text-gray-500 mt-1">
+                  To change how the event repeats, apply the changes to following or all events
+                </p>
+              )}
+            </div>
+          )}
+
+          <fieldset disabled={isRecurring && scope === 'instance'} className="space-y-4 disabled:opacity-60">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Repeats
+                </label>
+                <select
+                  name="repeatFrequency"
+                  value={formData.repeatFrequency}
+                  onChange={handleInputChange}
+                  className="input-field"
+                >
+                  {FREQUENCY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {errors.repeatFrequency && (
+                  <p className="text-red-500 text-sm mt-1">{errors.repeatFrequency}</p>
+                )}
+              </div>
+
+              {repeatUnit && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Every
+                  </label>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="number"
+                      name="repeatInterval"
+                      min="1"
+                      value={formData.repeatInterval}
+                      onChange={handleInputChange}
+                      className={`input-field w-24 ${errors.repeatInterval ? 'border-red-500' : ''}`}
+                    />
+                    <span className="text-sm text-gray-600">{repeatUnit}</span>
+                  </div>
+                  {errors.repeatInterval && (
+                    <p className="text-red-500 text-sm mt-1">{errors.repeatInterval}</p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {formData.repeatFrequency === 'WEEKLY' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Repeat on
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {WEEKDAYS.map((day) => {
+                    const selected = formData.repeatWeekdays.length > 0
+                      ? formData.repeatWeekdays.includes(day.code)
+                      : weekdayOfDate(formData.startDate) === day.code;
+                    return (
+                      <button
+                        key={day.code}
+                        type="button"
+                        onClick={() => toggleRepeatWeekday(day.code)}
+                        className={`px-3 py-1 rounded-full text-sm border transition-colors ${selected ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                      >
+                        {day.label}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {formData.repeatFrequency === 'custom' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Recurrence rule
+                </label>
+                <input
+                  type="text"
+                  name="repeatRule"
+                  value={formData.repeatRule}
+                  onChange={handleInputChange}
+                  placeholder="FREQ=MONTHLY;BYDAY=-1FR;COUNT=6"
+                  className={`input-field font-mono ${errors.repeatRule ? 'border-red-500' : ''}`}
+                />
+                {errors.repeatRule && (
+                  <p className="text-red-500 text-sm mt-1">{errors.repeatRule}</p>
+                )}
+                <p className="text-sm text-gray-500 mt-1">
+                  An RFC 5545 RRULE, e.g. every last Friday of the month for six months
+                </p>
+              </div>
+            )}
+
+            {repeatUnit && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Ends
+                </label>
+                <div className="flex flex-wrap items-center gap-4">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="repeatEnds"
+                      value="never"
+                      checked={formData.repeatEnds === 'never'}
+                      onChange={handleInputChange}
+                    />
+                    <span>Never</span>
+                  </label>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="repeatEnds"
+                      value="on"
+                      checked={formData.repeatEnds === 'on'}
+                      onChange={handleInputChange}
+                    />
+                    <span>On</span>
+                    <input
+                      type="date"
+                      name="repeatUntil"
+                      value={formData.repeatUntil}
+                      onChange={handleInputChange}
+                      disabled={formData.repeatEnds !== 'on'}
+                      className={`input-field ${errors.repeatUntil ? 'border-red-500' : ''}`}
+                    />
+                  </label>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="repeatEnds"
+                      value="after"
+                      checked={formData.repeatEnds === 'after'}
+                      onChange={handleInputChange}
+                    />
+                    <span>After</span>
+                    <input
+                      type="number"
+                      name="repeatCount"
+                      min="1"
+                      value={formData.repeatCount}
+                      onChange={handleInputChange}
+                      disabled={formData.repeatEnds !== 'after'}
+                      className={`input-field w-20 ${errors.repeatCount ? 'border-red-500' : ''}`}
+                    />
+                    <span>occurrences</span>
+                  </label>
+                </div>
+                {(errors.repeatUntil || errors.repeatCount) && (
+                  <p className="text-red-500 text-sm mt-1">{errors.repeatUntil || errors.repeatCount}</p>
+                )}
+              </div>
+            )}
+          </fieldset>
+        </div>
+
         {/* Location & Attendees */}
         <div className="card">
           <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center space-x-2">
@@ -320,38 +688,72 @@ const EventForm = () => {
         {/* Reminders */}
         <div className="card">
           <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center space-x-2">
-            <FileText className="h-5 w-5 text-primary-600" />
+            <Bell className="h-5 w-5 text-primary-600" />
             <span>Reminders</span>
           </h2>
-          
+
           <div className="space-y-3">
-            {reminderOptions.map((option) => (
-              <div key={option.value} className="flex items-center space-x-2">
-                <input
-                  type="checkbox"
-                  name="reminders"
-                  value={option.value}
-                  checked={formData.reminders.includes(option.value)}
-                  onChange={(e) => {
-                    if (e.target.checked) {
-                      setFormData(prev => ({
-                        ...prev,
-                        reminders: [...prev.reminders, option.value]
-                      }));
-                    } else {
-                      setFormData(prev => ({
-                        ...prev,
-                        reminders: prev.reminders.filter(r => r !== option.value)
-                      }));
-                    }
-                  }}
-                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
-                />
-                <label className="text-sm font-medium text-gray-700">
-                  {option.label}
-                </label>
-              </div>
-            ))}
+            <div className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                id="useDefaultReminders"
+                checked={formData.reminders.useDefault}
+                onChange={(e) => updateReminders({ useDefault: e.target.checked })}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <label htmlFor="useDefaultReminders" className="text-sm font-medium text-gray-700">
+                Use the calendar's default reminders
+              </label>
+            </div>
+
+            {!formData.reminders.useDefault && (
+              <>
+                {formData.reminders.overrides.length === 0 && (
+                  <p className="text-sm text-gray-500">No reminders</p>
+                )}
+                {formData.reminders.overrides.map((reminder, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <select
+                      value={reminder.minutes}
+                      onChange={(e) => updateReminder(index, { minutes: Number(e.target.value) })}
+                      className="input-field"
+                    >
+                      {/* Keep times set elsewhere (e.g. in Google Calendar) selectable */}
+                      {[...new Set([...REMINDER_TIMES, reminder.minutes])].sort((a, b) => a - b).map(minutes => (
+                        <option key={minutes} value={minutes}>{formatReminderTime(minutes)}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={reminder.method}
+                      onChange={(e) => updateReminder(index, { method: e.target.value })}
+                      className="input-field w-40"
+                    >
+                      {REMINDER_METHODS.map(method => (
+                        <option key={method.value} value={method.value}>{method.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => updateReminders({ overrides: formData.reminders.overrides.filter((_, i) => i !== index) })}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                      title="Remove reminder"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                {formData.reminders.overrides.length < MAX_REMINDERS && (
+                  <button
+                    type="button"
+                    onClick={() => updateReminders({ overrides: [...formData.reminders.overrides, { minutes: 30, method: 'popup' }] })}
+                    className="btn-secondary text-sm flex items-center space-x-1"
+                  >
+                    <Plus className="h-4 w-4" />
+                    <span>Add reminder</span>
+                  </button>
+                )}
+              </>
+            )}
           </div>
         </div>
 
@@ -370,7 +772,7 @@ const EventForm = () => {
             className="btn-primary flex items-center space-x-2"
           >
             <Save className="h-4 w-4" />
-            <span>{loading ? 'Creating...' : 'Create Event'}</span>
+            <span>{submitLabel}</span>
           </button>
         </div>
       </form>
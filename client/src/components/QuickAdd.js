@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Zap, Check, X } from 'lucide-react';
+import { useCalendar } from '../context/CalendarContext';
+
+// One-line event entry ("Lunch with Sam tomorrow 12:30 for 45m at Cafe Roma") parsed on the server
+// without the AI; the parsed event is shown for confirmation before it is created
+const QuickAdd = () => {
+  const { parseQuickAdd, createEvent } = useCalendar();
+  const [text, setText] = useState('');
+  const [parsed, setParsed] = useState(null); // { draft, summary }
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim() || busy) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      setParsed(await parseQuickAdd(text));
+    } catch (parseError) {
+      setParsed(null);
+      setError(parseError.response?.data?.details || 'Could not understand the event');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const { draft } = parsed;
+    setBusy(true);
+    try {
+      await createEvent({
+        title: draft.title,
+        startTime: draft.startTime,
+        endTime: draft.endTime,
+        allDay: draft.allDay,
+        location: draft.location,
+        attendees: draft.attendees,
+        timezone: draft.timezone
+      });
+      setParsed(null);
+      setText('');
+    } catch (createError) {
+      // createEvent already reported the error
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reset = () => {
+    setParsed(null);
+    setError('');
+  };
+
+  return (
+    <div className="relative">
+      <form onSubmit={handleSubmit} className="flex items-center">
+        <Zap className="absolute left-2 h-3 w-3 text-gray-400" />
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            reset();
+          }}
+          placeholder="Quick add: Lunch with Sam tomorrow 12:30 at Cafe Roma"
+          className="w-80 pl-6 pr-2 py-1 text-xs border border-gray-200 rounded-lg focus:outline-none focus:border-gray-400"
+          disabled={busy}
+        />
+      </form>
+
+      {(parsed || error) && (
+        <div className="absolute right-0 mt-1 w-80 bg-white border border-gray-100 rounded-lg shadow-lg p-2 z-50 text-xs">
+          {error ? (
+            <div className="flex items-start justify-between space-x-2">
+              <span className="text-red-600">{error}</span>
+              <button type="button" onClick={reset} className="text-gray-400 hover:text-gray-700" title="Close">
+                <X className="h-3 w-3" />
+              </button>
+            </div>
+          ) : (
+            <>
+              <div className="text-gray-800 mb-1">Add {parsed.summary}?</div>
+              {parsed.draft.attendees.length > 0 && (
+                <div className="text-gray-500 mb-1">With {parsed.draft.attendees.join(', ')}</div>
+              )}
+              <div className="flex justify-end space-x-1">
+                <button
+                  type="button"
+                  onClick={reset}
+                  className="flex items-center space-x-1 px-2 py-1 text-gray-600 hover:bg-gray-50 rounded-lg"
+                >
+                  <X className="h-3 w-3" />
+                  <span>Cancel</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={handleAdd}
+                  disabled={busy}
+                  className="flex items-center space-x-1 px-2 py-1 bg-black text-white rounded-lg hover:bg-gray-800"
+                >
+                  <Check className="h-3 w-3" />
+                  <span>{busy ? 'Adding...' : 'Add'}</span>
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuickAdd;
@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Plus, Trash2 } from 'lucide-react';
+import { useCalendar } from '../context/CalendarContext';
+import { TOOL_ACTIONS } from '../utils/toolReview';
+
+const EFFECT_LABELS = {
+  confirm: 'Ask me first',
+  auto: 'Do it without asking'
+};
+
+// Conditions left out of a rule match anything; booleans are picked as Any / Yes / No
+const setCondition = (rule, condition, value) => {
+  const when = { ...rule.when };
+  if (value === undefined) {
+    delete when[condition];
+  } else {
+    when[condition] = value;
+  }
+  return { ...rule, when };
+};
+
+// Confirmation policy editor: rules deciding which assistant actions wait for the user's approval
+const Settings = () => {
+  const { sessionId, sessionValidated } = useCalendar();
+  const [policy, setPolicy] = useState(null); // { tools, conditions, presets } from the server
+  const [rules, setRules] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!sessionId || !sessionValidated) return;
+
+    axios.get('/api/ai/confirmation-policy')
+      .then((response) => {
+        const { rules: storedRules, ...options } = response.data;
+        setPolicy(options);
+        setRules(storedRules);
+      })
+      .catch((loadError) => {
+        console.error('❌ [SETTINGS] Failed to load confirmation policy:', loadError);
+        toast.error('Failed to load settings');
+      });
+  }, [sessionId, sessionValidated]);
+
+  const updateRule = (index, rule) => {
+    setRules(prev => prev.map((existing, i) => (i === index ? rule : existing)));
+  };
+
+  const addRule = (preset) => {
+    setRules(prev => [...prev, {
+      name: preset?.name || 'New rule',
+      effect: preset?.effect || 'confirm',
+      tools: preset?.tools || policy.tools.map(tool => tool.name),
+      when: { ...preset?.when }
+    }]);
+  };
+
+  const saveRules = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await axios.put('/api/ai/confirmation-policy', { rules });
+      setRules(response.data.rules);
+      toast.success('Confirmation rules saved');
+    } catch (saveError) {
+      console.error('❌ [SETTINGS] Failed to save confirmation policy:', saveError);
+      setError(saveError.response?.data?.error || 'Failed to save confirmation rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!policy) {
+    return <div className="max-w-3xl mx-auto p-6 text-gray-500">Loading settings...</div>;
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto p-6 space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+        <p className="text-gray-600">Choose when the assistant asks before changing your calendar</p>
+      </div>
+
+      <div className="card space-y-3">
+        <h3 className="text-lg font-semibold text-gray-900">Without rules</h3>
+        <div className="space-y-1 text-sm text-gray-700">
+          {policy.tools.map(tool => (
+            <div key={tool.name} className="flex justify-between">
+              <span>{TOOL_ACTIONS[tool.name] || tool.name}</span>
+              <span className="text-gray-500">{tool.requiresConfirmation ? EFFECT_LABELS.confirm : EFFECT_LABELS.auto}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="card space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900">Rules</h3>
+          <span className="text-xs text-gray-500">When rules disagree, asking first wins</span>
+        </div>
+
+        {rules.length === 0 && (
+          <p className="text-sm text-gray-500">No rules yet. Add one below.</p>
+        )}
+
+        {rules.map((rule, index) => (
+          <div key={rule.id || index} className="rounded-lg border border-gray-200 p-3 space-y-2 text-sm">
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={rule.name}
+                onChange={(e) => updateRule(index, { ...rule, name: e.target.value })}
+                className="input-field flex-1"
+              />
+              <select
+                value={rule.effect}
+                onChange={(e) => updateRule(index, { ...rule, effect: e.target.value })}
+                className="input-field w-48"
+              >
+                {Object.entries(EFFECT_LABELS).map(([effect, label]) => (
+                  <option key={effect} value={effect}>{label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}
+                className="p-2 text-gray-400 hover:text-red-600"
+                title="Remove rule"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              <span className="text-gray-500">For:</span>
+              {policy.tools.map(tool => (
+                <label key={tool.name} className="flex items-center space-x-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={rule.tools.includes(tool.name)}
+                    onChange={(e) => updateRule(index, {
+                      ...rule,
+                      tools: e.target.checked ? [...rule.tools, tool.name] : rule.tools.filter(name => name !== tool.name)
+                    })}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{TOOL_ACTIONS[tool.name] || tool.name}</span>
+                </label>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {Object.entries(policy.conditions).map(([condition, definition]) => (
+                <label key={condition} className="flex items-center justify-between gap-2">
+                  <span className="text-gray-600">{definition.desc}</span>
+                  {definition.type === 'boolean' ? (
+                    <select
+                      value={rule.when[condition] === undefined ? '' : String(rule.when[condition])}
+                      onChange={(e) => updateRule(index, setCondition(rule, condition, e.target.value === '' ? undefined : e.target.value === 'true'))}
+                      className="input-field w-24 text-sm"
+                    >
+                      <option value="">Any</option>
+                      <option value="true">Yes</option>
+                      <option value="false">No</option>
+                    </select>
+                  ) : (
+                    <input
+                      type="number"
+                      min="0"
+                      value={rule.when[condition] ?? ''}
+                      placeholder="Any"
+                      onChange={(e) => updateRule(index, setCondition(rule, condition, e.target.value === '' ? undefined : parseInt(e.target.value, 10)))}
+                      className="input-field w-24 text-sm"
+                    />
+                  )}
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value=""
+            onChange={(e) => {
+              if (e.target.value !== '') addRule(policy.presets[e.target.value]);
+            }}
+            className="input-field text-sm w-auto"
+          >
+            <option value="">Add a suggested rule...</option>
+            {policy.presets.map((preset, index) => (
+              <option key={preset.name} value={index}>{preset.name}</option>
+            ))}
+          </select>
+          <button type="button" onClick={() => addRule(null)} className="btn-secondary text-sm flex items-center space-x-1">
+            <Plus className="h-4 w-4" />
+            <span>Custom rule</span>
+          </button>
+        </div>
+
+        {error && <div className="text-sm text-red-600">{error}</div>}
+
+        <div className="flex justify-end">
+          <button type="button" onClick={saveRules} disabled={saving} className="btn-primary disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save rules'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
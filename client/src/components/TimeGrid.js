@@ -0,0 +1,265 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { format, isSameDay, isToday, differenceInMinutes, startOfDay } from 'date-fns';
+import { PLAN_STATUS } from '../utils/planPreview';
+import { formatEventTime, getEventSpan } from '../utils/eventDates';
+import { HOUR_HEIGHT, isGridEvent, layoutDayEvents } from '../utils/timeGrid';
+import { moveEventTimes, resizeEventTimes, snapMinutes } from '../utils/eventDrag';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const WORKDAY_START_HOUR = 8; // The grid opens scrolled to here
+
+// Hourly grid for the week and day views: all-day events in a strip on top, timed events placed by
+// time with overlapping ones side by side, and a line at the current time. Timed events can be
+// dragged to another time or day and resized from their bottom edge; all-day ones use the
+// month view's drag and drop (`dayDragProps` / `dayDropProps`).
+const TimeGrid = ({
+  days,
+  getEventsForDay,
+  getEventCalendar,
+  eventKey,
+  selectedDate,
+  onSelectDay,
+  canDrag,
+  getConflicts,
+  onReschedule,
+  dayDragProps,
+  dayDropProps
+}) => {
+  const scrollRef = useRef(null);
+  const gridRef = useRef(null);
+  const gutterRef = useRef(null);
+  const justDragged = useRef(false); // Swallows the click that ends a drag
+  const [now, setNow] = useState(new Date());
+  const [drag, setDrag] = useState(null); // { event, mode, dayIndex, originX, originY, days, minutes }
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Open at working hours whenever the visible days change
+  const firstDayKey = days[0].toDateString();
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = WORKDAY_START_HOUR * HOUR_HEIGHT;
+    }
+  }, [firstDayKey, days.length]);
+
+  const eventsByDay = days.map(day => getEventsForDay(day));
+  const hasAllDayEvents = eventsByDay.some(dayEvents => dayEvents.some(event => !isGridEvent(event)));
+  const columnTemplate = { gridTemplateColumns: `3.5rem repeat(${days.length}, minmax(0, 1fr))` };
+
+  const eventStyle = (event) => {
+    const eventCalendar = getEventCalendar(event);
+    return eventCalendar ? { borderLeft: `3px solid ${eventCalendar.backgroundColor}` } : {};
+  };
+
+  const eventClassName = (event) =>
+    (event.planStatus ? PLAN_STATUS[event.planStatus].className : 'bg-primary-100 text-primary-800');
+
+  const dragTimes = (current) => (current.mode === 'resize'
+    ? resizeEventTimes(current.event, { minutes: current.minutes })
+    : moveEventTimes(current.event, { days: current.days, minutes: current.minutes }));
+
+  const startDrag = (e, event, dayIndex, mode) => {
+    if (e.button !== 0 || !canDrag(event)) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    justDragged.current = false;
+    setDrag({ event, mode, dayIndex, originX: e.clientX, originY: e.clientY, days: 0, minutes: 0 });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const minutes = snapMinutes(((e.clientY - drag.originY) / HOUR_HEIGHT) * 60);
+    let dayShift = 0;
+    if (drag.mode === 'move' && gridRef.current && gutterRef.current) {
+      const columnWidth = (gridRef.current.offsetWidth - gutterRef.current.offsetWidth) / days.length;
+      dayShift = Math.round((e.clientX - drag.originX) / columnWidth);
+      dayShift = Math.min(Math.max(dayShift, -drag.dayIndex), days.length - 1 - drag.dayIndex);
+    }
+    if (minutes !== drag.minutes || dayShift !== drag.days) {
+      setDrag({ ...drag, minutes, days: dayShift });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    if (drag.minutes !== 0 || drag.days !== 0) {
+      justDragged.current = true;
+      onReschedule(drag.event, dragTimes(drag));
+    }
+    setDrag(null);
+  };
+
+  const handleColumnClick = (day) => {
+    if (justDragged.current) {
+      justDragged.current = false;
+      return;
+    }
+    onSelectDay(day);
+  };
+
+  // Where the dragged event would land, drawn over the grid while dragging
+  const dragPreview = (() => {
+    if (!drag || (drag.minutes === 0 && drag.days === 0)) return null;
+    const times = dragTimes(drag);
+    const dayIndex = drag.dayIndex + drag.days;
+    const [position] = layoutDayEvents([{ ...drag.event, ...times }], days[dayIndex]);
+    return position ? { ...position, dayIndex, times, conflicts: getConflicts(drag.event, times) } : null;
+  })();
+
+  const eventTitle = (event) => [
+    event.summary,
+    formatEventTime(event),
+    getEventCalendar(event)?.summary,
+    event.planStatus && PLAN_STATUS[event.planStatus].label
+  ].filter(Boolean).join(' - ');
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden">
+      {/* Day headers */}
+      <div className="grid bg-gray-50 border-b border-gray-200" style={columnTemplate}>
+        <div />
+        {days.map(day => (
+          <button
+            key={day.toISOString()}
+            type="button"
+            onClick={() => onSelectDay(day)}
+            className={`p-2 text-center border-l border-gray-200 ${isSameDay(day, selectedDate) ? 'bg-primary-50' : ''}`}
+          >
+            <div className="text-xs font-medium text-gray-500">{format(day, 'EEE')}</div>
+            <div className={`text-lg font-semibold ${isToday(day) ? 'text-primary-600' : 'text-gray-900'}`}>{format(day, 'd')}</div>
+          </button>
+        ))}
+      </div>
+
+      {/* All-day and multi-day events */}
+      {hasAllDayEvents && (
+        <div className="grid border-b border-gray-200" style={columnTemplate}>
+          <div className="text-xs text-gray-500 p-1 text-right">All day</div>
+          {days.map((day, index) => (
+            <div key={day.toISOString()} className="border-l border-gray-200 p-1 space-y-1 min-w-0" {...dayDropProps(day)}>
+              {eventsByDay[index].filter(event => !isGridEvent(event)).map(event => (
+                <div
+                  key={eventKey(event)}
+                  {...dayDragProps(event, day)}
+                  className={`text-xs p-1 rounded truncate relative ${canDrag(event) ? 'cursor-move' : ''} ${eventClassName(event)}`}
+                  style={eventStyle(event)}
+                  title={eventTitle(event)}
+                >
+                  {event.summary}
+                  {canDrag(event) && getEventSpan(event, day).isLast && (
+                    <span
+                      {...dayDragProps(event, day, 'resize')}
+                      className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize"
+                      title="Drag to change the end day"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Hourly grid */}
+      <div ref={scrollRef} className="overflow-y-auto" style={{ maxHeight: `${12 * HOUR_HEIGHT}px` }}>
+        <div
+          ref={gridRef}
+          className={`grid relative ${drag ? 'select-none' : ''}`}
+          style={columnTemplate}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => setDrag(null)}
+        >
+          <div ref={gutterRef}>
+            {HOURS.map(hour => (
+              <div key={hour} className="text-xs text-gray-400 text-right pr-2 -mt-2" style={{ height: `${HOUR_HEIGHT}px` }}>
+                {hour > 0 && format(new Date(2000, 0, 1, hour), 'h a')}
+              </div>
+            ))}
+          </div>
+
+          {days.map((day, index) => (
+            <div
+              key={day.toISOString()}
+              className={`relative border-l border-gray-200 ${isToday(day) ? 'bg-primary-50/40' : ''}`}
+              onClick={() => handleColumnClick(day)}
+            >
+              {HOURS.map(hour => (
+                <div key={hour} className="border-t border-gray-100" style={{ height: `${HOUR_HEIGHT}px` }} />
+              ))}
+
+              {layoutDayEvents(eventsByDay[index], day).map(({ event, top, height, column, columns }) => (
+                <div
+                  key={eventKey(event)}
+                  className={`
+                    absolute rounded px-1 py-0.5 text-xs overflow-hidden shadow-sm ${eventClassName(event)}
+                    ${canDrag(event) ? 'cursor-move' : ''}
+                    ${drag?.event === event && dragPreview ? 'opacity-40' : ''}
+                  `}
+                  style={{
+                    ...eventStyle(event),
+                    top: `${(top / 60) * HOUR_HEIGHT}px`,
+                    height: `${(height / 60) * HOUR_HEIGHT - 2}px`,
+                    left: `calc(${(column / columns) * 100}% + 1px)`,
+                    width: `calc(${100 / columns}% - 2px)`,
+                    touchAction: canDrag(event) ? 'none' : undefined
+                  }}
+                  title={eventTitle(event)}
+                  onPointerDown={(e) => startDrag(e, event, index, 'move')}
+                >
+                  <div className="font-medium truncate">{event.summary}</div>
+                  {height >= 40 && <div className="truncate">{formatEventTime(event)}</div>}
+                  {canDrag(event) && (
+                    <div
+                      className="absolute left-0 right-0 bottom-0 h-1.5 cursor-ns-resize"
+                      onPointerDown={(e) => startDrag(e, event, index, 'resize')}
+                    />
+                  )}
+                </div>
+              ))}
+
+              {/* Drop preview */}
+              {dragPreview?.dayIndex === index && (
+                <div
+                  className={`
+                    absolute left-0.5 right-0.5 z-20 rounded px-1 py-0.5 text-xs overflow-hidden shadow-md pointer-events-none
+                    ${eventClassName(drag.event)} ${dragPreview.conflicts.length > 0 ? 'ring-2 ring-red-500' : 'ring-2 ring-primary-400'}
+                  `}
+                  style={{
+                    top: `${(dragPreview.top / 60) * HOUR_HEIGHT}px`,
+                    height: `${(dragPreview.height / 60) * HOUR_HEIGHT - 2}px`
+                  }}
+                >
+                  <div className="font-medium truncate">{drag.event.summary}</div>
+                  <div className="truncate">{formatEventTime({ ...drag.event, ...dragPreview.times })}</div>
+                  {dragPreview.conflicts.length > 0 && (
+                    <div className="truncate text-red-700">
+                      Overlaps {dragPreview.conflicts.map(conflict => conflict.summary).join(', ')}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Current time */}
+              {isToday(day) && (
+                <div
+                  className="absolute left-0 right-0 z-10 pointer-events-none"
+                  style={{ top: `${(differenceInMinutes(now, startOfDay(now)) / 60) * HOUR_HEIGHT}px` }}
+                >
+                  <div className="h-0.5 bg-red-500 relative">
+                    <div className="absolute -left-1 -top-1 w-2.5 h-2.5 rounded-full bg-red-500" />
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimeGrid;
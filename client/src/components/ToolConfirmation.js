@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { TOOL_ACTIONS, EDITABLE_FIELDS, toolTitle, diffToolFields, toDateTimeInput, fromDateTimeInput } from '../utils/toolReview';
+
+// Review card for a batch of operations that need confirmation: each operation can be approved or
+// rejected on its own, and event operations can be edited first. Shows what each operation changes.
+// `reasons` names the confirmation policy rule that asked about each tool (null if none did).
+// `onApply` receives one decision per tool ({ approved, parameters }); `onCancel` rejects the batch.
+const ToolConfirmation = ({ tools, currentEvents = [], reasons = [], error = null, onApply, onCancel }) => {
+  const [decisions, setDecisions] = useState(() =>
+    tools.map(toolRequest => ({ approved: true, parameters: toolRequest.parameters, editing: false })));
+
+  const updateDecision = (index, changes) => {
+    setDecisions(prev => prev.map((decision, i) => (i === index ? { ...decision, ...changes } : decision)));
+  };
+
+  // A cleared field is left out, so an update keeps the event's current value
+  const setEventField = (index, key, value) => {
+    const event = { ...decisions[index].parameters.event };
+    if (value === '') {
+      delete event[key];
+    } else {
+      event[key] = value;
+    }
+    updateDecision(index, { parameters: { ...decisions[index].parameters, event } });
+  };
+
+  const approvedCount = decisions.filter(decision => decision.approved).length;
+  const edited = decisions.some((decision, index) => decision.parameters !== tools[index].parameters);
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="text-xs text-gray-500">Please review these operations:</div>
+
+      {tools.map((toolRequest, index) => {
+        const decision = decisions[index];
+        const proposal = { ...toolRequest, parameters: decision.parameters };
+        const currentEvent = currentEvents?.[index] || null;
+        const rows = diffToolFields(proposal, currentEvent);
+        const title = toolTitle(proposal, currentEvent);
+
+        return (
+          <div
+            key={index}
+            className={`rounded-lg border px-3 py-2 text-xs ${decision.approved ? 'border-yellow-200 bg-white' : 'border-gray-100 bg-gray-50 opacity-60'}`}
+          >
+            <div className="flex items-center justify-between gap-2">
+              <label className="flex items-center space-x-2 cursor-pointer text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={decision.approved}
+                  onChange={(e) => updateDecision(index, { approved: e.target.checked })}
+                  className="rounded border-gray-300"
+                />
+                <span className="font-medium">{TOOL_ACTIONS[toolRequest.tool] || toolRequest.tool}</span>
+                {title && <span className="truncate max-w-[14rem]">"{title}"</span>}
+              </label>
+              {decision.parameters?.event && decision.approved && (
+                <button
+                  type="button"
+                  onClick={() => updateDecision(index, { editing: !decision.editing })}
+                  className="text-gray-500 hover:text-gray-800"
+                >
+                  {decision.editing ? 'Done' : 'Edit'}
+                </button>
+              )}
+            </div>
+
+            {reasons?.[index] && (
+              <div className="mt-0.5 text-gray-400">Asked because: {reasons[index]}</div>
+            )}
+
+            {rows.length > 0 && (
+              <div className="mt-1 space-y-0.5">
+                {rows.map(row => (
+                  <div key={row.key} className="flex flex-wrap gap-x-1">
+                    <span className="text-gray-500">{row.label}:</span>
+                    {row.before && <span className="text-red-600 line-through">{row.before}</span>}
+                    {row.before && row.after && <span className="text-gray-400">→</span>}
+                    {row.after && <span className="text-green-700">{row.after}</span>}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {decision.editing && decision.approved && (
+              <div className="mt-2 grid grid-cols-1 gap-1">
+                {EDITABLE_FIELDS.map(field => (
+                  <label key={field.key} className="flex items-center gap-2">
+                    <span className="w-16 text-gray-500">{field.label}</span>
+                    <input
+                      type={field.isTime ? 'datetime-local' : 'text'}
+                      value={field.isTime
+                        ? toDateTimeInput(decision.parameters.event[field.key])
+                        : decision.parameters.event[field.key] || ''}
+                      placeholder={currentEvents?.[index]?.[field.key] || ''}
+                      onChange={(e) => setEventField(index, field.key, field.isTime ? fromDateTimeInput(e.target.value) : e.target.value)}
+                      className="flex-1 rounded border border-gray-200 px-2 py-0.5"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => (approvedCount === 0 ? onCancel() : onApply(decisions.map(({ approved, parameters }) => ({ approved, parameters }))))}
+          className="px-3 py-1 bg-red-100 text-red-700 rounded-lg text-xs hover:bg-red-200 transition-colors font-normal"
+        >
+          {approvedCount === tools.length && !edited ? '✅ Confirm All' : `✅ Apply ${approvedCount} of ${tools.length}`}
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs hover:bg-gray-200 transition-colors font-normal"
+        >
+          ❌ Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ToolConfirmation;
@@ -1,6 +1,7 @@
-import React, { createContext, useContext, useReducer, useEffect, useCallback, useState } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useState, useRef } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { eventOccursOnDay, sortEventsForDay } from '../utils/eventDates';
 
 // Browser notification utility (only for Pomodoro timer)
 const showPomodoroNotification = (title, message) => {
@@ -40,11 +41,16 @@ const initialState = {
   sessionId: null,
   isGoogleConnected: false,
   events: [],
+  calendars: [],
   loading: false,
   error: null,
   aiSuggestions: [],
   sessionValidated: false,
-  user: null
+  liveUpdates: false, // calendar changes are pushed by the server (no polling needed)
+  user: null,
+  currentDate: new Date(), // month shown in the calendar
+  selectedDate: new Date(),
+  planPreview: null // plan from plan-only mode shown as ghost events ({ id, summary, changes })
 };
 
 const calendarReducer = (state, action) => {
@@ -55,6 +61,8 @@ const calendarReducer = (state, action) => {
       return { ...state, error: action.payload };
     case 'SET_EVENTS':
       return { ...state, events: action.payload };
+    case 'SET_CALENDARS':
+      return { ...state, calendars: action.payload };
     case 'ADD_EVENT':
       return { ...state, events: [...state.events, action.payload] };
     case 'UPDATE_EVENT':
@@ -78,11 +86,19 @@ const calendarReducer = (state, action) => {
     case 'SET_SESSION_ID':
       return { ...state, sessionId: action.payload, isGoogleConnected: true, sessionValidated: true };
     case 'CLEAR_SESSION':
-      return { ...state, sessionId: null, isGoogleConnected: false, events: [], sessionValidated: false };
+      return { ...state, sessionId: null, isGoogleConnected: false, events: [], calendars: [], sessionValidated: false, liveUpdates: false, planPreview: null };
     case 'SET_SESSION_VALIDATED':
       return { ...state, sessionValidated: action.payload };
     case 'SET_USER':
       return { ...state, user: action.payload };
+    case 'SET_LIVE_UPDATES':
+      return { ...state, liveUpdates: action.payload };
+    case 'SET_CURRENT_DATE':
+      return { ...state, currentDate: action.payload };
+    case 'SET_SELECTED_DATE':
+      return { ...state, selectedDate: action.payload };
+    case 'SET_PLAN_PREVIEW':
+      return { ...state, planPreview: action.payload };
     default:
       return state;
   }
@@ -240,6 +256,13 @@ export const CalendarProvider = ({ children }) => {
     }
   }, [state.sessionId]);
 
+  // Range the calendar view shows ({ start, end }); refreshes without a range reload it instead of the next 7 days
+  const visibleRangeRef = useRef(null);
+
+  const setVisibleRange = useCallback((range) => {
+    visibleRangeRef.current = range;
+  }, []);
+
   // Fetch events from Google Calendar - memoized to prevent infinite loops
   const fetchEvents = useCallback(async (startDate, endDate, showLoading = true) => {
     if (!state.sessionId) {
@@ -256,8 +279,9 @@ export const CalendarProvider = ({ children }) => {
         dispatch({ type: 'SET_LOADING', payload: true });
       }
 
-      const timeMin = startDate ? startDate.toISOString() : new Date().toISOString();
-      const timeMax = endDate ? endDate.toISOString() : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+      const range = startDate ? { start: startDate, end: endDate } : visibleRangeRef.current;
+      const timeMin = range?.start ? range.start.toISOString() : new Date().toISOString();
+      const timeMax = range?.end ? range.end.toISOString() : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
 
       const response = await axios.get('/api/calendar/events', {
         params: { timeMin, timeMax }
@@ -434,7 +458,8 @@ export const CalendarProvider = ({ children }) => {
         toast.error('Please reconnect your Google Calendar');
       } else if (error.response?.status === 400) {
         dispatch({ type: 'SET_ERROR', payload: 'Invalid event data' });
-        toast.error(error.response?.data?.error || 'Invalid event data');
+        const details = error.response?.data?.details;
+        toast.error(`${error.response?.data?.error || 'Invalid event data'}${details ? `: ${details}` : ''}`);
       } else if (error.response?.status === 403) {
         dispatch({ type: 'SET_ERROR', payload: 'Permission denied' });
         toast.error('Permission denied - check your Google Calendar permissions');
@@ -449,6 +474,36 @@ export const CalendarProvider = ({ children }) => {
     }
   };
 
+  // Parse a quick-add phrase into an event draft on the server, without the AI: { draft, summary }.
+  // Nothing is created until the draft is passed to createEvent.
+  const parseQuickAdd = async (text) => {
+    if (!state.sessionId) {
+      toast.error('Please connect your Google Calendar first');
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await axios.post('/api/calendar/quick-add', {
+        text,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+      return response.data;
+    } catch (error) {
+      console.error('❌ [CLIENT] Error parsing quick add:', {
+        status: error.response?.status,
+        message: error.response?.data?.details || error.response?.data?.error || error.message,
+        sessionId: state.sessionId.substring(0, 8) + '...'
+      });
+
+      if (error.response?.status === 401) {
+        dispatch({ type: 'CLEAR_SESSION' });
+        clearSessionFromStorage();
+        toast.error('Please reconnect your Google Calendar');
+      }
+      throw error;
+    }
+  };
+
   // Get AI scheduling suggestions
   const getAISuggestions = async (description, preferences) => {
     // Check rate limiting
@@ -637,18 +692,59 @@ export const CalendarProvider = ({ children }) => {
 
 
 
-  // Update event
-  const updateEvent = async (eventId, eventData) => {
+  // Load one event for editing: { event, recurrence }, where recurrence is the series' rule for
+  // occurrences of a recurring event
+  const fetchEvent = useCallback(async (eventId, calendarId = 'primary') => {
+    if (!state.sessionId) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await axios.get(`/api/calendar/events/${eventId}`, {
+        params: { calendarId },
+        headers: { 'x-session-id': state.sessionId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('❌ [CLIENT] Error loading event:', {
+        status: error.response?.status,
+        message: error.response?.data?.error || error.message,
+        eventId,
+        sessionId: state.sessionId.substring(0, 8) + '...'
+      });
+
+      if (error.response?.status === 401) {
+        dispatch({ type: 'CLEAR_SESSION' });
+        clearSessionFromStorage();
+        toast.error('Please reconnect your Google Calendar');
+      }
+      throw error;
+    }
+  }, [state.sessionId]);
+
+  // Update event. eventData.calendarId names the event's calendar (default primary); for occurrences
+  // of a recurring series, eventData.scope picks what changes: 'instance' (default), 'following' or 'all'
+  // With `optimisticEvent` the event is shown changed right away and put back if the update fails
+  const updateEvent = async (eventId, eventData, options = {}) => {
+    const { optimisticEvent = null, skipToast = false } = options;
+
     if (!state.sessionId) {
       console.log('❌ [CLIENT] Cannot update event: No session ID');
       toast.error('Please connect your Google Calendar first');
       throw new Error('Not authenticated');
     }
 
+    const previousEvent = optimisticEvent ? eventsRef.current.find(event => event.id === eventId) : null;
+    if (previousEvent) {
+      dispatch({ type: 'UPDATE_EVENT', payload: optimisticEvent });
+    }
+
     try {
       console.log('🔄 [CLIENT] Updating calendar event...', {
         eventId,
         title: eventData.title,
+        scope: eventData.scope,
+        calendarId: eventData.calendarId,
         sessionId: state.sessionId.substring(0, 8) + '...'
       });
 
@@ -663,7 +759,9 @@ export const CalendarProvider = ({ children }) => {
       });
 
       dispatch({ type: 'UPDATE_EVENT', payload: response.data.event });
-      toast.success('Event updated successfully!');
+      if (!skipToast) {
+        toast.success('Event updated successfully!');
+      }
 
       // Refresh events to ensure we have the latest data
       setTimeout(() => fetchEvents(), 1000);
@@ -678,10 +776,21 @@ export const CalendarProvider = ({ children }) => {
         url: error.config?.url
       });
 
+      if (previousEvent) {
+        dispatch({ type: 'UPDATE_EVENT', payload: previousEvent });
+      }
+
       if (error.response?.status === 401) {
         dispatch({ type: 'CLEAR_SESSION' });
         clearSessionFromStorage();
         toast.error('Please reconnect your Google Calendar');
+      } else if (previousEvent) {
+        dispatch({ type: 'SET_ERROR', payload: 'Failed to update event' });
+        toast.error(`Could not move "${previousEvent.summary}": ${error.response?.data?.details || error.response?.data?.error || error.message}`);
+      } else if (error.response?.status === 400) {
+        dispatch({ type: 'SET_ERROR', payload: 'Invalid event data' });
+        const details = error.response?.data?.details;
+        toast.error(`${error.response?.data?.error || 'Invalid event data'}${details ? `: ${details}` : ''}`);
       } else {
         dispatch({ type: 'SET_ERROR', payload: 'Failed to update event' });
         // Don't show technical errors to user, just log them
@@ -691,8 +800,9 @@ export const CalendarProvider = ({ children }) => {
     }
   };
 
-  // Delete event
-  const deleteEvent = async (eventId) => {
+  // Delete event from its calendar (default primary). For occurrences of a recurring series,
+  // scope picks what is removed: 'instance' (default), 'following' or 'all'
+  const deleteEvent = async (eventId, { scope = 'instance', calendarId = 'primary' } = {}) => {
     if (!state.sessionId) {
       console.log('❌ [CLIENT] Cannot delete event: No session ID');
       toast.error('Please connect your Google Calendar first');
@@ -702,12 +812,16 @@ export const CalendarProvider = ({ children }) => {
     try {
       console.log('🔄 [CLIENT] Deleting calendar event...', {
         eventId,
+        scope,
+        calendarId,
         sessionId: state.sessionId.substring(0, 8) + '...'
       });
 
       dispatch({ type: 'SET_LOADING', payload: true });
 
-      const response = await axios.delete(`/api/calendar/events/${eventId}?confirmed=true`);
+      const response = await axios.delete(`/api/calendar/events/${eventId}`, {
+        params: { confirmed: true, scope, calendarId }
+      });
 
       console.log('✅ [CLIENT] Event deleted successfully', {
         eventId,
@@ -775,14 +889,18 @@ export const CalendarProvider = ({ children }) => {
           let result;
 
           if (action === 'update_event') {
-            const response = await axios.put(`/api/calendar/events/${actionResult.parameters.eventId}`, actionResult.parameters.event);
+            const { eventId, event, scope, calendarId } = actionResult.parameters;
+            const response = await axios.put(`/api/calendar/events/${eventId}`, { ...event, scope, calendarId });
             result = response.data.event;
             dispatch({ type: 'UPDATE_EVENT', payload: result });
             toast.success('Event updated successfully!');
           } else if (action === 'delete_event') {
             // Get eventId from either parameters or the action result
             const eventId = actionResult.parameters?.eventId || actionResult.eventId;
-            const response = await axios.delete(`/api/calendar/events/${eventId}?confirmed=true`);
+            const { scope = 'instance', calendarId = 'primary' } = actionResult.parameters || {};
+            const response = await axios.delete(`/api/calendar/events/${eventId}`, {
+              params: { confirmed: true, scope, calendarId }
+            });
             dispatch({ type: 'DELETE_EVENT', payload: eventId });
             toast.success(response.data.message || 'Event deleted successfully!');
             result = { deleted: true };
@@ -837,13 +955,126 @@ export const CalendarProvider = ({ children }) => {
   };
 
   // Get events for a specific date
+  // Events on a day, including all-day and multi-day events covering it
   const getEventsForDate = (date) => {
-    return state.events.filter(event => {
-      const eventDate = new Date(event.start.dateTime || event.start.date);
-      return eventDate.toDateString() === date.toDateString();
-    });
+    return sortEventsForDay(state.events.filter(event => eventOccursOnDay(event, date)));
   };
 
+  // Fetch the user's calendars (color, access role, visibility)
+  const fetchCalendars = useCallback(async () => {
+    if (!state.sessionId) {
+      return;
+    }
+
+    try {
+      const response = await axios.get('/api/calendar/calendars');
+      dispatch({ type: 'SET_CALENDARS', payload: response.data.calendars || [] });
+      return response.data.calendars;
+    } catch (error) {
+      console.error('❌ [CLIENT] Error fetching calendars:', {
+        status: error.response?.status,
+        message: error.response?.data?.error || error.message,
+        sessionId: state.sessionId.substring(0, 8) + '...'
+      });
+    }
+  }, [state.sessionId]);
+
+  useEffect(() => {
+    if (state.sessionId && state.sessionValidated) {
+      fetchCalendars();
+    }
+  }, [state.sessionId, state.sessionValidated, fetchCalendars]);
+
+  // The stream handler reads the latest events and fetchEvents without reopening the stream
+  const eventsRef = useRef(state.events);
+  eventsRef.current = state.events;
+  const fetchEventsRef = useRef(fetchEvents);
+  fetchEventsRef.current = fetchEvents;
+
+  // Live calendar changes pushed by the server (Google push notifications + incremental sync)
+  useEffect(() => {
+    if (!state.sessionId || !state.sessionValidated) {
+      return;
+    }
+
+    const eventSource = new EventSource(`http://localhost:50001/api/calendar/stream?${new URLSearchParams({
+      sessionId: state.sessionId
+    })}`);
+    let connectedBefore = false;
+
+    eventSource.onmessage = (message) => {
+      const data = JSON.parse(message.data);
+
+      switch (data.type) {
+        case 'ready':
+          dispatch({ type: 'SET_LIVE_UPDATES', payload: data.live });
+          // Changes made while the stream was down were not pushed
+          if (connectedBefore) {
+            fetchEventsRef.current(undefined, undefined, false);
+          }
+          connectedBefore = true;
+          break;
+        case 'event-changed': {
+          const exists = eventsRef.current.some(event => event.id === data.event.id);
+          dispatch({ type: exists ? 'UPDATE_EVENT' : 'ADD_EVENT', payload: data.event });
+          break;
+        }
+        case 'event-deleted':
+          // A deleted series takes its expanded occurrences with it
+          eventsRef.current
+            .filter(event => event.id === data.eventId || event.recurringEventId === data.eventId)
+            .forEach(event => dispatch({ type: 'DELETE_EVENT', payload: event.id }));
+          break;
+        case 'resync':
+          fetchEventsRef.current(undefined, undefined, false);
+          break;
+        default:
+          break;
+      }
+    };
+
+    eventSource.onerror = () => {
+      // EventSource reconnects on its own; poll until it does
+      dispatch({ type: 'SET_LIVE_UPDATES', payload: false });
+    };
+
+    return () => {
+      eventSource.close();
+      dispatch({ type: 'SET_LIVE_UPDATES', payload: false });
+    };
+  }, [state.sessionId, state.sessionValidated]);
+
+  // Show or hide a calendar's events, then reload the events
+  const setCalendarVisibility = async (calendarId, visible) => {
+    const previousCalendars = state.calendars;
+    const calendars = previousCalendars.map(calendar =>
+      calendar.id === calendarId ? { ...calendar, visible } : calendar
+    );
+    dispatch({ type: 'SET_CALENDARS', payload: calendars });
+
+    try {
+      const response = await axios.put('/api/calendar/calendars/visible', {
+        calendarIds: calendars.filter(calendar => calendar.visible).map(calendar => calendar.id)
+      });
+      dispatch({ type: 'SET_CALENDARS', payload: response.data.calendars });
+      await fetchEvents();
+    } catch (error) {
+      console.error('❌ [CLIENT] Error updating visible calendars:', {
+        status: error.response?.status,
+        message: error.response?.data?.error || error.message,
+        calendarId,
+        sessionId: state.sessionId?.substring(0, 8) + '...'
+      });
+      dispatch({ type: 'SET_CALENDARS', payload: previousCalendars });
+      toast.error('Failed to update calendar visibility');
+    }
+  };
+
+  // Calendar an event belongs to (events carry the calendarId they were listed from)
+  const getEventCalendar = (event) =>
+    state.calendars.find(calendar => calendar.id === event.calendarId) ||
+    (!event.calendarId || event.calendarId === 'primary' ? state.calendars.find(calendar => calendar.primary) : undefined);
+
   // Fetch user information from Google Calendar
   const fetchUserInfo = async () => {
     if (!state.sessionId) {
@@ -881,6 +1112,59 @@ export const CalendarProvider = ({ children }) => {
     }
   };
 
+  // Make the changes of a plan from plan-only mode; resolves to { applied, conflicts, operationGroupId }
+  const applyPlan = async (planId) => {
+    try {
+      const response = await axios.post(`/api/ai/plans/${planId}/apply`);
+      const { applied, conflicts } = response.data;
+
+      console.log('✅ [CLIENT] Plan applied:', { planId, applied: applied.length, conflicts: conflicts.length });
+      if (conflicts.length > 0) {
+        toast.error(`${conflicts.length} change(s) skipped: the events were changed after the plan was made`);
+      }
+      if (applied.length > 0) {
+        toast.success(`Plan applied: ${applied.length} change(s) made`);
+      }
+
+      if (state.planPreview?.id === planId) {
+        dispatch({ type: 'SET_PLAN_PREVIEW', payload: null });
+      }
+      await fetchEvents(undefined, undefined, false);
+      return response.data;
+    } catch (error) {
+      console.error('❌ [CLIENT] Error applying plan:', {
+        status: error.response?.status,
+        message: error.response?.data?.error || error.message,
+        planId
+      });
+      toast.error(error.response?.status === 404 ? 'This plan was already applied or discarded' : 'Failed to apply plan');
+      throw error;
+    }
+  };
+
+  // Drop a plan without making its changes
+  const discardPlan = async (planId) => {
+    if (state.planPreview?.id === planId) {
+      dispatch({ type: 'SET_PLAN_PREVIEW', payload: null });
+    }
+
+    try {
+      await axios.delete(`/api/ai/plans/${planId}`);
+      console.log('🗑️ [CLIENT] Plan discarded:', { planId });
+    } catch (error) {
+      // An expired or already applied plan has nothing left to discard
+      if (error.response?.status !== 404) {
+        console.error('❌ [CLIENT] Error discarding plan:', {
+          status: error.response?.status,
+          message: error.response?.data?.error || error.message,
+          planId
+        });
+        toast.error('Failed to discard plan');
+        throw error;
+      }
+    }
+  };
+
   // Check if date has events
   const hasEventsOnDate = (date) => {
     return getEventsForDate(date).length > 0;
@@ -893,6 +1177,8 @@ export const CalendarProvider = ({ children }) => {
     disconnectGoogleCalendar,
     handleOAuthCallback,
     createEvent,
+    parseQuickAdd,
+    fetchEvent,
     updateEvent,
     deleteEvent,
     getAISuggestions,
@@ -900,9 +1186,16 @@ export const CalendarProvider = ({ children }) => {
     confirmAIAction,
     getEventsForDate,
     hasEventsOnDate,
+    fetchCalendars,
+    setCalendarVisibility,
+    getEventCalendar,
     fetchUserInfo,
     setCurrentDate: (date) => dispatch({ type: 'SET_CURRENT_DATE', payload: date }),
     setSelectedDate: (date) => dispatch({ type: 'SET_SELECTED_DATE', payload: date }),
+    setPlanPreview: (plan) => dispatch({ type: 'SET_PLAN_PREVIEW', payload: plan }),
+    setVisibleRange,
+    applyPlan,
+    discardPlan
   };
 
   return (
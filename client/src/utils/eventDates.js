@@ -0,0 +1,65 @@
+// Event dates for display: all-day events carry { date: 'yyyy-MM-dd' } with an exclusive end date,
+// timed events { dateTime }. Dates are read as local days, so an all-day event on the 20th stays on
+// the 20th whatever the browser's timezone.
+import { addDays, differenceInCalendarDays, format, startOfDay } from 'date-fns';
+
+export const isAllDayEvent = (event) => !!event?.start?.date;
+
+// Local midnight of a 'yyyy-MM-dd' date
+export const parseLocalDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const getEventStart = (event) =>
+  (event.start.date ? parseLocalDate(event.start.date) : new Date(event.start.dateTime));
+
+export const getEventEnd = (event) => {
+  if (event.end?.date) return parseLocalDate(event.end.date);
+  return event.end?.dateTime ? new Date(event.end.dateTime) : getEventStart(event);
+};
+
+// Days an event covers, from its first day to its last (the exclusive end of all-day events and
+// timed events ending at midnight do not count)
+export const getEventDays = (event) => {
+  const first = startOfDay(getEventStart(event));
+  const end = getEventEnd(event);
+  const last = end > first ? startOfDay(new Date(end.getTime() - 1)) : first;
+  return Array.from({ length: differenceInCalendarDays(last, first) + 1 }, (_, index) => addDays(first, index));
+};
+
+export const isMultiDayEvent = (event) => getEventDays(event).length > 1;
+
+export const eventOccursOnDay = (event, day) => {
+  const dayStart = startOfDay(day);
+  const days = getEventDays(event);
+  return dayStart >= days[0] && dayStart <= days[days.length - 1];
+};
+
+// Where `day` falls in a multi-day event: { index, count, isFirst, isLast }
+export const getEventSpan = (event, day) => {
+  const days = getEventDays(event);
+  const index = differenceInCalendarDays(startOfDay(day), days[0]);
+  return { index, count: days.length, isFirst: index === 0, isLast: index === days.length - 1 };
+};
+
+// "All day", "9:00 AM", or for multi-day events "Oct 20 - Oct 24" (all-day) / "Oct 20, 9:00 AM - Oct 21, 5:00 PM"
+export const formatEventTime = (event) => {
+  const days = getEventDays(event);
+  if (isAllDayEvent(event)) {
+    return days.length > 1 ? `${format(days[0], 'MMM d')} - ${format(days[days.length - 1], 'MMM d')}` : 'All day';
+  }
+  const start = getEventStart(event);
+  if (days.length > 1) {
+    return `${format(start, 'MMM d, h:mm a')} - ${format(getEventEnd(event), 'MMM d, h:mm a')}`;
+  }
+  return format(start, 'h:mm a');
+};
+
+// Order for a day's list: all-day and multi-day events first (longest first), then by start time
+export const sortEventsForDay = (events) => [...events].sort((a, b) => {
+  const spanA = isAllDayEvent(a) || isMultiDayEvent(a) ? getEventDays(a).length : 0;
+  const spanB = isAllDayEvent(b) || isMultiDayEvent(b) ? getEventDays(b).length : 0;
+  if ((spanA > 0) !== (spanB > 0)) return spanB - spanA;
+  return getEventStart(a) - getEventStart(b) || spanB - spanA;
+});
@@ -0,0 +1,69 @@
+// New times for events moved or resized by dragging in the calendar, and the update sent for them.
+// Moves keep the wall-clock time across DST changes; all-day events move by whole days.
+import { addDays, addMinutes, differenceInCalendarDays, format } from 'date-fns';
+import { getEventStart, getEventEnd, isAllDayEvent, parseLocalDate } from './eventDates';
+
+export const SNAP_MINUTES = 15;
+export const MIN_DURATION_MINUTES = 15;
+
+export const snapMinutes = (minutes) => Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES;
+
+const shiftDate = (dateString, days) => format(addDays(parseLocalDate(dateString), days), 'yyyy-MM-dd');
+
+// { start, end } of the event moved by whole days and/or minutes
+export const moveEventTimes = (event, { days = 0, minutes = 0 }) => {
+  if (isAllDayEvent(event)) {
+    return { start: { date: shiftDate(event.start.date, days) }, end: { date: shiftDate(event.end.date, days) } };
+  }
+  return {
+    start: { ...event.start, dateTime: addMinutes(addDays(getEventStart(event), days), minutes).toISOString() },
+    end: { ...event.end, dateTime: addMinutes(addDays(getEventEnd(event), days), minutes).toISOString() }
+  };
+};
+
+// { start, end } of the event with its end moved by `minutes` (time grid), or onto `lastDay` (month
+// view and all-day strip: the event then ends on that day); never shorter than the minimum
+export const resizeEventTimes = (event, { minutes = 0, lastDay = null }) => {
+  const start = getEventStart(event);
+  if (isAllDayEvent(event)) {
+    const days = Math.max(differenceInCalendarDays(lastDay, start), 0) + 1;
+    return { start: event.start, end: { date: format(addDays(start, days), 'yyyy-MM-dd') } };
+  }
+
+  let end = lastDay
+    ? addDays(getEventEnd(event), differenceInCalendarDays(lastDay, getEventEnd(event)))
+    : addMinutes(getEventEnd(event), minutes);
+  if (end < addMinutes(start, MIN_DURATION_MINUTES)) {
+    end = addMinutes(start, MIN_DURATION_MINUTES);
+  }
+  return { start: event.start, end: { ...event.end, dateTime: end.toISOString() } };
+};
+
+// Timed events other than `event` the new times would overlap; free (transparent) events do not count
+export const findConflicts = (event, { start, end }, events) => {
+  if (start.date) return [];
+  const newStart = new Date(start.dateTime);
+  const newEnd = new Date(end.dateTime);
+  return events.filter(other =>
+    other.id !== event.id &&
+    !isAllDayEvent(other) &&
+    other.transparency !== 'transparent' &&
+    !other.planStatus &&
+    getEventStart(other) < newEnd &&
+    getEventEnd(other) > newStart);
+};
+
+// Body for PUT /api/calendar/events/:eventId keeping the event's other fields; all-day events are
+// sent with their last day as the end, as the API expects
+export const buildRescheduleUpdate = (event, { start, end }) => ({
+  title: event.summary,
+  description: event.description,
+  location: event.location,
+  attendees: (event.attendees || []).map(attendee => attendee.email),
+  reminders: event.reminders,
+  calendarId: event.calendarId,
+  scope: 'instance',
+  ...(start.date
+    ? { allDay: true, startTime: start.date, endTime: shiftDate(end.date, -1) }
+    : { startTime: start.dateTime, endTime: end.dateTime })
+});
@@ -0,0 +1,45 @@
+// Ghost events for a plan from plan-only mode: the calendar as it would look with the plan applied,
+// with each event the plan touches marked by `planStatus`
+
+export const PLAN_STATUS = {
+  created: { label: 'New', className: 'border border-dashed border-green-500 bg-green-50 text-green-800' },
+  moved: { label: 'Moved here', className: 'border border-dashed border-primary-500 bg-white text-primary-800' },
+  updated: { label: 'Changed', className: 'border border-dashed border-primary-500 bg-white text-primary-800' },
+  'moved-from': { label: 'Moving away', className: 'opacity-50' },
+  deleted: { label: 'Removed', className: 'line-through opacity-60 bg-red-50 text-red-800' }
+};
+
+const timeKey = (event) => JSON.stringify([event?.start, event?.end]);
+
+// Plan changes name the calendar they apply to; listed events from the primary calendar may not
+const isChangeFor = (change, event) =>
+  change.eventId === event.id && change.calendarId === (event.calendarId || 'primary');
+
+// Loaded events with the plan projected onto them. Updates that change the time show the event at
+// its new time and keep the original, faded, at the old one.
+export const projectPlanEvents = (events, plan) => {
+  if (!plan) return events;
+
+  const projected = [];
+  events.forEach((event) => {
+    const change = plan.changes.find(candidate => isChangeFor(candidate, event));
+    if (!change) {
+      projected.push(event);
+    } else if (change.action === 'delete') {
+      projected.push({ ...event, planStatus: 'deleted' });
+    } else if (timeKey(change.before) !== timeKey(change.after)) {
+      projected.push({ ...event, planStatus: 'moved-from' });
+    }
+  });
+
+  plan.changes
+    .filter(change => change.after)
+    .forEach((change) => {
+      const planStatus = change.action === 'create'
+        ? 'created'
+        : timeKey(change.before) !== timeKey(change.after) ? 'moved' : 'updated';
+      projected.push({ ...change.after, calendarId: change.calendarId, planStatus });
+    });
+
+  return projected;
+};
@@ -0,0 +1,101 @@
+// Build RRULE lines (RFC 5545) for the event form's repeat control
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' }
+];
+
+export const FREQUENCY_OPTIONS = [
+  { value: 'none', label: 'Does not repeat', unit: '' },
+  { value: 'DAILY', label: 'Daily', unit: 'day(s)' },
+  { value: 'WEEKLY', label: 'Weekly', unit: 'week(s)' },
+  { value: 'MONTHLY', label: 'Monthly', unit: 'month(s)' },
+  { value: 'YEARLY', label: 'Yearly', unit: 'year(s)' },
+  { value: 'custom', label: 'Custom rule (RRULE)', unit: '' }
+];
+
+// What an edit or delete of an occurrence of a recurring event applies to
+export const RECURRENCE_SCOPES = [
+  { value: 'instance', label: 'This event' },
+  { value: 'following', label: 'This and following events' },
+  { value: 'all', label: 'All events' }
+];
+
+// Weekday code ('MO'...) of a yyyy-MM-dd date
+export const weekdayOfDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][weekday];
+};
+
+// Returns the recurrence array for the API (empty when the event does not repeat)
+export const buildRecurrence = ({ frequency, interval, weekdays, ends, untilDate, count, customRule }) => {
+  if (!frequency || frequency === 'none') return [];
+
+  if (frequency === 'custom') {
+    const rule = customRule.trim();
+    if (!rule) return [];
+    return [/^RRULE:/i.test(rule) ? rule : `RRULE:${rule}`];
+  }
+
+  const parts = [`FREQ=${frequency}`];
+  if (Number(interval) > 1) {
+    parts.push(`INTERVAL=${Number(interval)}`);
+  }
+  if (frequency === 'WEEKLY' && weekdays.length > 0) {
+    parts.push(`BYDAY=${WEEKDAYS.filter(day => weekdays.includes(day.code)).map(day => day.code).join(',')}`);
+  }
+  if (ends === 'on' && untilDate) {
+    // Inclusive of the whole end date
+    parts.push(`UNTIL=${untilDate.replace(/-/g, '')}T235959Z`);
+  } else if (ends === 'after' && Number(count) > 0) {
+    parts.push(`COUNT=${Number(count)}`);
+  }
+
+  return [`RRULE:${parts.join(';')}`];
+};
+
+// Repeat fields of the event form for an event's recurrence lines. Rules the simple controls cannot
+// show (e.g. BYMONTHDAY or BYSETPOS) come back as a custom rule.
+export const recurrenceToForm = (recurrence) => {
+  const rruleLine = (recurrence || []).find(line => /^RRULE:/i.test(line));
+  const fields = {
+    repeatFrequency: 'none',
+    repeatInterval: '1',
+    repeatWeekdays: [],
+    repeatEnds: 'never',
+    repeatUntil: '',
+    repeatCount: '10',
+    repeatRule: ''
+  };
+  if (!rruleLine) return fields;
+
+  const rule = rruleLine.slice(6);
+  const parts = Object.fromEntries(rule.split(';').filter(Boolean).map(part => {
+    const [key, value = ''] = part.split('=');
+    return [key.toUpperCase(), value.toUpperCase()];
+  }));
+  const weekdays = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  const isSimple = FREQUENCY_OPTIONS.some(option => option.unit && option.value === parts.FREQ) &&
+    Object.keys(parts).every(key => ['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT'].includes(key)) &&
+    (weekdays.length === 0 || (parts.FREQ === 'WEEKLY' && weekdays.every(code => WEEKDAYS.some(day => day.code === code))));
+  if (!isSimple) {
+    return { ...fields, repeatFrequency: 'custom', repeatRule: rule };
+  }
+
+  const until = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL || '');
+  return {
+    ...fields,
+    repeatFrequency: parts.FREQ,
+    repeatInterval: parts.INTERVAL || '1',
+    repeatWeekdays: weekdays,
+    repeatEnds: until ? 'on' : parts.COUNT ? 'after' : 'never',
+    repeatUntil: until ? `${until[1]}-${until[2]}-${until[3]}` : '',
+    repeatCount: parts.COUNT || fields.repeatCount
+  };
+};
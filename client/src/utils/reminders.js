@@ -0,0 +1,42 @@
+// Event reminders for the event form, in the API's shape: { useDefault, overrides: [{ minutes, method }] }
+
+export const REMINDER_METHODS = [
+  { value: 'popup', label: 'Notification' },
+  { value: 'email', label: 'Email' }
+];
+
+export const REMINDER_TIMES = [0, 5, 10, 15, 30, 60, 120, 1440, 2880, 10080];
+
+export const MAX_REMINDERS = 5;
+
+// Reminders of a new event
+export const DEFAULT_FORM_REMINDERS = { useDefault: false, overrides: [{ minutes: 15, method: 'popup' }] };
+
+const UNITS = [[10080, 'week'], [1440, 'day'], [60, 'hour'], [1, 'minute']];
+
+// "15 minutes before", "1 day before", "At start"
+export const formatReminderTime = (minutes) => {
+  if (minutes === 0) return 'At start';
+  const [size, unit] = UNITS.find(([unitSize]) => minutes >= unitSize && minutes % unitSize === 0) || [1, 'minute'];
+  const amount = minutes / size;
+  return `${amount} ${unit}${amount === 1 ? '' : 's'} before`;
+};
+
+export const formatReminder = ({ minutes, method }) =>
+  `${formatReminderTime(minutes)}${method === 'email' ? ' (email)' : ''}`;
+
+// Form state from a stored event; events without reminders use the calendar's defaults, as in Google Calendar
+export const remindersFromEvent = (event) => {
+  const reminders = event?.reminders;
+  if (!reminders || reminders.useDefault) {
+    return { useDefault: true, overrides: [] };
+  }
+  return {
+    useDefault: false,
+    overrides: (reminders.overrides || []).map(({ minutes, method }) => ({ minutes, method: method || 'popup' }))
+  };
+};
+
+// Reminders to send to the API from the form state
+export const buildReminders = ({ useDefault, overrides }) =>
+  (useDefault ? { useDefault: true } : { useDefault: false, overrides });
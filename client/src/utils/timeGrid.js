@@ -0,0 +1,63 @@
+// Layout of timed events in a day column of the week/day time grid: events that overlap share the
+// column width side by side, each taking the first free column of its overlap group
+import { differenceInMinutes, endOfDay, startOfDay } from 'date-fns';
+import { getEventStart, getEventEnd, isAllDayEvent, isMultiDayEvent } from './eventDates';
+
+export const HOUR_HEIGHT = 48; // px per hour
+export const MIN_EVENT_MINUTES = 20; // Shorter events are drawn this tall so their title fits
+
+// All-day and multi-day events go in the strip above the grid
+export const isGridEvent = (event) => !isAllDayEvent(event) && !isMultiDayEvent(event);
+
+// Position of each timed event of `day`: { event, top, height } in minutes from midnight,
+// { column, columns } for side-by-side placement
+export const layoutDayEvents = (events, day) => {
+  const dayStart = startOfDay(day);
+  const dayEnd = endOfDay(day);
+
+  const items = events
+    .filter(isGridEvent)
+    .map((event) => {
+      const start = Math.max(getEventStart(event), dayStart);
+      const end = Math.min(getEventEnd(event), dayEnd);
+      const top = differenceInMinutes(start, dayStart);
+      return { event, top, bottom: Math.max(differenceInMinutes(end, dayStart), top + MIN_EVENT_MINUTES) };
+    })
+    .sort((a, b) => a.top - b.top || b.bottom - a.bottom);
+
+  const positioned = [];
+  let group = [];
+  let columnEnds = [];
+  let groupEnd = -1;
+
+  const closeGroup = () => {
+    group.forEach(item => positioned.push({ ...item, columns: columnEnds.length }));
+    group = [];
+    columnEnds = [];
+  };
+
+  items.forEach((item) => {
+    // An event starting after everything so far has ended begins a new overlap group
+    if (item.top >= groupEnd) {
+      closeGroup();
+    }
+    let column = columnEnds.findIndex(end => end <= item.top);
+    if (column === -1) {
+      column = columnEnds.length;
+      columnEnds.push(item.bottom);
+    } else {
+      columnEnds[column] = item.bottom;
+    }
+    group.push({ ...item, column });
+    groupEnd = Math.max(groupEnd, item.bottom);
+  });
+  closeGroup();
+
+  return positioned.map(({ event, top, bottom, column, columns }) => ({
+    event,
+    top,
+    height: bottom - top,
+    column,
+    columns
+  }));
+};
@@ -0,0 +1,62 @@
+import { format } from 'date-fns';
+
+// Before/after view of the calendar operations in a confirmation batch
+
+export const TOOL_ACTIONS = {
+  create_event: 'Create',
+  update_event: 'Update',
+  delete_event: 'Delete',
+  undo_last_operations: 'Undo recent changes'
+};
+
+// Event fields shown in the review, named like the event tool parameters
+export const REVIEW_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'startTime', label: 'Start', isTime: true },
+  { key: 'endTime', label: 'End', isTime: true },
+  { key: 'location', label: 'Location' },
+  { key: 'description', label: 'Details' },
+  { key: 'attendees', label: 'Attendees' }
+];
+
+// Fields the user can change before approving an operation
+export const EDITABLE_FIELDS = REVIEW_FIELDS.filter(field => ['title', 'startTime', 'endTime', 'location'].includes(field.key));
+
+const formatFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (field.isTime) {
+    const date = new Date(value);
+    return isNaN(date) ? String(value) : format(date, 'EEE MMM d, HH:mm');
+  }
+  return String(value);
+};
+
+// Title to show for an operation: the proposed one, else the event's current one
+export const toolTitle = (toolRequest, currentEvent) =>
+  toolRequest.parameters?.event?.title || currentEvent?.title || toolRequest.parameters?.eventTitle || '';
+
+// Changed fields of an operation as { key, label, before, after } display strings ('' when absent).
+// Creations only have an after value, deletions only a before value, and updates list the fields
+// they set to a different value. `currentEvent` is the event as stored now (null if unknown).
+export const diffToolFields = (toolRequest, currentEvent) => {
+  const proposed = toolRequest.parameters?.event || {};
+  return REVIEW_FIELDS
+    .map((field) => {
+      const before = formatFieldValue(field, currentEvent?.[field.key]);
+      if (toolRequest.tool === 'delete_event') {
+        return { ...field, before, after: '' };
+      }
+      const after = proposed[field.key] === undefined ? before : formatFieldValue(field, proposed[field.key]);
+      return { ...field, before, after };
+    })
+    .filter(row => row.before !== row.after);
+};
+
+// datetime-local input value (local time) for an ISO time, and back
+export const toDateTimeInput = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date) ? format(date, "yyyy-MM-dd'T'HH:mm") : '';
+};
+
+export const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : '');
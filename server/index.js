@@ -7,116 +7,141 @@ import { google } from 'googleapis';
 import path from 'path';
 import requestLogger from './middleware/requestLogger.js';
 import { toolHandlers, enforceCalendarRateLimit } from './utils/tools.js';
+import { getCalendarProvider, DEFAULT_CALENDAR_PROVIDER } from './utils/calendarProvider.js';
 import { generateGlobalSystemPrompt } from './utils/systemPrompt.js';
-import { geminiGenerateContent, getModelStatus } from './utils/gemini.js';
+import { buildFunctionDeclarations } from './utils/toolSchema.js';
+import { normalizeRecurrence } from './utils/recurrence.js';
+import { normalizeReminders } from './utils/reminders.js';
+import { buildEventTimes, resolveEventTimes } from './utils/eventTimes.js';
+import { parseQuickAdd, describeQuickAdd, quickAddToolCall } from './utils/quickAdd.js';
+import { RECURRENCE_SCOPES, updateEventWithScope, deleteEventWithScope } from './utils/recurringEvents.js';
+import { DEFAULT_CALENDAR_ID, listCalendars, getVisibleCalendarIds, listEventsAcrossCalendars } from './utils/calendars.js';
+import { syncCalendarChanges } from './utils/calendarSync.js';
+import { createCalendarPushHub } from './utils/calendarPush.js';
+import { createConfirmationStore, loadCurrentEvents, resolveDecisions } from './utils/pendingConfirmations.js';
+import { createOperationJournal, withOperationJournal } from './utils/operationJournal.js';
+import { createPlanningCalendar, applyPlan, createPlanStore } from './utils/planningCalendar.js';
+import { EVENT_TOOLS, POLICY_CONDITIONS, POLICY_PRESETS, validatePolicyRules, evaluateConfirmationPolicy } from './utils/confirmationPolicy.js';
+import { createCalendarWatchManager, getWebhookBaseUrl } from './utils/calendarWatch.js';
+import { DEFAULT_LLM_PROVIDER, getLLMProvider, listLLMProviders } from './utils/llmProvider.js';
 import { compactConversationHistory } from './utils/conversationUtils.js';
-import { parseAiResponse, processTool } from './utils/aiUtils.js';
-import { saveSessions, cleanupExpiredSessions, initSessions, refreshTokenIfNeeded, getCurrentModel } from './utils/session.js';
+import { extractAiResponse, createMessageStreamer, buildFunctionResponseParts, validateToolCall, processTool } from './utils/aiUtils.js';
+import { initSessions, startSessionCleanup, closeSessions, getSessionOAuthClient, refreshTokenIfNeeded, getCurrentModel, getSessionLLM, updateSessionModel } from './utils/session.js';
+import { createOAuthClient } from './utils/oauthClient.js';
+import { redactTokens } from './utils/tokenEncryption.js';
 
 // Load environment variables
 dotenv.config();
 
-// Track pending confirmations and their SSE connections
-const pendingConfirmations = new Map(); // sessionId -> { res, sendSSE, tools, aiResponse, currentConversationHistory }
+// Gemini function declarations for the tool registry (native tool protocol)
+const toolDeclarations = buildFunctionDeclarations(toolHandlers);
 
-// Helper function to continue SSE processing after confirmation
-async function continueSSEAfterConfirmation(sessionId, updatedConversationHistory, toolResults, wasCancelled) {
-  const pendingContext = pendingConfirmations.get(sessionId);
-  if (!pendingContext) {
-    console.error('❌ [SSE] No pending context found for session:', sessionId.substring(0, 8) + '...');
-    return;
-  }
+// System prompt builder - the LLM provider picks the native or text tool protocol per model
+const buildSystemPrompt = (userTimezone, promptOptions = {}) => (options) =>
+  generateGlobalSystemPrompt(userTimezone, toolHandlers, { ...options, ...promptOptions });
 
-  const { res, sendSSE, userSession } = pendingContext;
+// Rounds of invalid tool calls the model may correct before the request is abandoned
+const MAX_TOOL_CORRECTION_ATTEMPTS = 3;
 
-  try {
-    const systemPrompt = generateGlobalSystemPrompt(userTimezone, toolHandlers);
-
-    // Update user session with new conversation history
-    userSession.conversationHistory = updatedConversationHistory;
-    sessions.set(sessionId, userSession);
-    await saveSessions();
-
-    if (wasCancelled) {
-      // Handle cancellation with AI
-      const userTimezone = userSession.timezone || 'UTC';
-      const cancellationResponse = await callModel({
-        conversationHistory: updatedConversationHistory,
-        currentMessage: '',
-        systemPrompt: cancellationSystemPrompt,
-        sessionId: sessionId
-      });
+const app = express();
+const PORT = process.env.PORT || 50001;
 
-      const cancellationText = cancellationResponse.data.candidates?.[0]?.content?.parts?.[0]?.text || 'Operations cancelled.';
-      const parsedCancellation = parseAiResponse(cancellationText);
+// Trust proxy for rate limiting (fixes X-Forwarded-For header error)
+app.set('trust proxy', 1);
 
-      // Update conversation history with cancellation response
-      userSession.conversationHistory = [
-        ...updatedConversationHistory,
-        { role: 'model', content: parsedCancellation.message, timestamp: new Date() }
-      ];
-      sessions.set(sessionId, userSession);
-      await saveSessions();
+// Add request logging middleware
+app.use(requestLogger);
 
-      console.log('✅ [SSE] Sending cancellation message:', parsedCancellation.message.substring(0, 100) + '...');
-      sendSSE({ type: 'final', message: parsedCancellation.message });
-      res.end();
-      return;
-    }
+// Persistent session store, selected with SESSION_STORE (file, sqlite or memory; see env.example)
+const sessions = await initSessions();
+// Expired sessions are invisible right away; purge them from storage periodically
+startSessionCleanup();
 
-    // Handle successful tool execution with AI summary
-    const userTimezone = userSession.timezone || 'UTC';
-    const summarySystemPrompt = generateGlobalSystemPrompt(userTimezone, toolHandlers);
-    const finalResponse = await callModel({
-      conversationHistory: updatedConversationHistory,
-      currentMessage: '',
-      systemPrompt,
-      sessionId: sessionId
-    });
+// Replace a session's conversation history without clobbering concurrent changes to the session
+const saveConversationHistory = (sessionId, conversationHistory) =>
+  sessions.update(sessionId, (session) => {
+    session.conversationHistory = conversationHistory;
+  });
 
-    const finalText = finalResponse.data.candidates?.[0]?.content?.parts?.[0]?.text || 'Operations completed.';
-    const parsedFinalResponse = parseAiResponse(finalText);
+// Append to the stored conversation history; resolves to the updated session (null if it is gone)
+const appendConversationHistory = (sessionId, messages) =>
+  sessions.update(sessionId, (session) => {
+    session.conversationHistory = [...(session.conversationHistory || []), ...messages];
+  });
 
-    // Update conversation history with final AI response
-    userSession.conversationHistory = [
-      ...updatedConversationHistory,
-      { role: 'model', content: parsedFinalResponse.message, timestamp: new Date() }
-    ];
-    sessions.set(sessionId, userSession);
-    await saveSessions();
+// Calendar changes per session with the events before and after, for undo
+const operationJournal = createOperationJournal(sessions);
 
-    console.log('✅ [SSE] Sending final message:', parsedFinalResponse.message.substring(0, 100) + '...');
-    sendSSE({ type: 'final', message: parsedFinalResponse.message });
-    res.end();
+// Plans made in plan-only mode, waiting to be applied or discarded
+const plans = createPlanStore(sessions);
 
-  } catch (error) {
-    console.error('❌ [SSE] Error continuing after confirmation:', error);
-    sendSSE({ type: 'final', message: 'Sorry, an error occurred during processing.' });
-    res.end();
+// Tool batches waiting for confirmation, persisted per session and confirmed or rejected by id
+const confirmations = createConfirmationStore(sessions);
+// Streams that receive the assistant's reply once a batch is confirmed or rejected
+// (the same per-session SSE fan-out as calendar changes)
+const confirmationPush = createCalendarPushHub();
+
+// Send a confirmation outcome to the session's open streams; the final message is kept for
+// the next stream to connect when none is open
+const deliverConfirmationMessage = async (sessionId, confirmationId, message) => {
+  const payload = { ...message, confirmationId };
+  if (confirmationPush.publish(sessionId, payload) === 0 && message.type === 'final') {
+    await confirmations.saveResult(sessionId, payload);
   }
-}
+};
 
-const app = express();
-const PORT = process.env.PORT || 50001;
+// Reply for a quick-add request from its tool results, without asking the model
+const quickAddReply = (toolResults, cancelled) => (cancelled
+  ? 'Okay, I did not add the event.'
+  : toolResults.map(result => result.message).filter(Boolean).join(' ') || 'Operations completed.');
 
-// Trust proxy for rate limiting (fixes X-Forwarded-For header error)
-app.set('trust proxy', 1);
+// After a batch was confirmed or rejected: add the outcome to the conversation and let the AI
+// summarize it for the user (quick-add batches are summarized without the model)
+async function continueAfterConfirmation(sessionId, batch, resultMessages, { cancelled, toolResults = null, operationGroupId = null }) {
+  try {
+    const session = await appendConversationHistory(sessionId, resultMessages);
+    if (!session) return;
 
-// Add request logging middleware
-app.use(requestLogger);
+    if (batch.quickAdd) {
+      const message = quickAddReply(toolResults || [], cancelled);
+      await appendConversationHistory(sessionId, [{ role: 'model', content: message, timestamp: new Date() }]);
+      await deliverConfirmationMessage(sessionId, batch.id, { type: 'final', message, cancelled, toolResults, operationGroupId });
+      return;
+    }
+
+    const modelResult = await callModel({
+      conversationHistory: session.conversationHistory,
+      currentMessage: '',
+      systemPrompt: buildSystemPrompt(batch.timezone || session.timezone || 'UTC'),
+      functionDeclarations: toolDeclarations,
+      sessionId,
+      options: {
+        onTextDelta: createMessageStreamer(text => deliverConfirmationMessage(sessionId, batch.id, { type: 'delta', text }))
+      }
+    });
 
-// Persistent session store
-// Use process.env.SESSIONS_PATH for the sessions file path
-// Make sure to set SESSIONS_PATH in your environment or .env file, e.g. SESSIONS_PATH=./server/sessions.json
-const sessionsFilePath = process.env.SESSIONS_PATH;
-const sessions = await initSessions(sessionsFilePath);
-// Run cleanup every hour
-setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
+    const aiResponse = extractAiResponse(modelResult);
+    const message = aiResponse.message || (cancelled ? 'Operations cancelled.' : 'Operations completed.');
+    await appendConversationHistory(sessionId, [{ role: 'model', content: message, timestamp: new Date() }]);
+
+    console.log('✅ [SSE] Sending confirmation outcome:', message.substring(0, 100) + '...');
+    await deliverConfirmationMessage(sessionId, batch.id, { type: 'final', message, cancelled, toolResults, operationGroupId });
+  } catch (error) {
+    console.error('❌ [SSE] Error continuing after confirmation:', redactTokens(error));
+    await deliverConfirmationMessage(sessionId, batch.id, {
+      type: 'final',
+      message: 'Sorry, an error occurred during processing.',
+      cancelled,
+      toolResults,
+      operationGroupId
+    }).catch(() => { });
+  }
+}
 
 function registerGracefulShutdown(server) {
 process.on('SIGINT', async () => {
   console.log('🛑 [SERVER] Shutting down gracefully...');
-  await saveSessions();
+  await closeSessions();
     if (server && server.close) {
   server.close(() => {
     console.log('✅ [SERVER] Server closed');
@@ -129,7 +154,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('🛑 [SERVER] Shutting down gracefully...');
-  await saveSessions();
+  await closeSessions();
     if (server && server.close) {
   server.close(() => {
     console.log('✅ [SERVER] Server closed');
@@ -174,112 +199,69 @@ app.use(generalLimiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Google Calendar API setup
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
-
-// Store active watch subscriptions
-const watchSubscriptions = new Map();
-
-// Google Calendar Watch API setup
-const setupCalendarWatch = async (sessionId, oauth2Client) => {
-  // Skip webhook setup in development mode (localhost)
-  const isDevelopment = process.env.NODE_ENV === 'development' ||
-    (process.env.CLIENT_URL && process.env.CLIENT_URL.includes('localhost'));
-
-  if (isDevelopment) {
-    console.log('⚠️ [SERVER] Skipping Google Calendar watch setup in development mode');
-    return null;
-  }
-
-  try {
-    console.log('🔄 [SERVER] Setting up Google Calendar watch for session:', sessionId.substring(0, 8) + '...');
-
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-    // Create a unique webhook URL for this session
-    const webhookUrl = `${process.env.CLIENT_URL || 'http://localhost:30001'}/api/calendar/webhook/${sessionId}`;
-
-    const watchRequest = {
-      id: `vibe-calendar-${sessionId}`,
-      type: 'web_hook',
-      address: webhookUrl,
-      params: {
-        ttl: '604800' // 7 days in seconds
-      }
-    };
-
-    const response = await calendar.events.watch({
-      calendarId: 'primary',
-      resource: watchRequest
+// Google OAuth app client: consent URLs and code exchange only. API calls for a user go through
+// that session's own client (getSessionOAuthClient), never through a shared one.
+const appOAuthClient = createOAuthClient();
+
+// Live calendar change streams to the browser
+const calendarPush = createCalendarPushHub();
+
+// Incremental sync after a push notification, one at a time per session so a sync token is never reused
+const calendarSyncs = new Map(); // sessionId -> promise of the latest queued sync
+const pushCalendarChanges = (sessionId, calendarId = DEFAULT_CALENDAR_ID) => {
+  const previous = calendarSyncs.get(sessionId) || Promise.resolve();
+  const run = previous.then(async () => {
+    const session = await sessions.get(sessionId);
+    if (!session) return;
+
+    const calendar = getCalendarProvider(session, getSessionOAuthClient(sessionId, session));
+    const { messages, nextSyncToken } = await syncCalendarChanges(calendar, {
+      calendarId,
+      syncToken: session.syncTokens?.[calendarId]
     });
-
-    // Store the subscription
-    watchSubscriptions.set(sessionId, {
-      subscriptionId: response.data.id,
-      resourceId: response.data.resourceId,
-      expiration: response.data.expiration,
-      webhookUrl
+    await sessions.update(sessionId, (stored) => {
+      stored.syncTokens = { ...stored.syncTokens, [calendarId]: nextSyncToken };
     });
 
-    console.log('✅ [SERVER] Google Calendar watch setup successful:', {
+    const streams = messages.reduce((count, message) => Math.max(count, calendarPush.publish(sessionId, message)), 0);
+    console.log('📡 [SERVER] Calendar changes pushed:', {
       sessionId: sessionId.substring(0, 8) + '...',
-      subscriptionId: response.data.id,
-      expiration: response.data.expiration
+      calendarId,
+      changes: messages.map(message => message.type),
+      streams
     });
-
-    return response.data;
-  } catch (error) {
-    console.error('❌ [SERVER] Failed to setup Google Calendar watch:', {
+  }).catch((error) => {
+    console.error('❌ [SERVER] Calendar sync failed:', {
       sessionId: sessionId.substring(0, 8) + '...',
+      calendarId,
       error: error.message,
       status: error.code
     });
-    return null;
-  }
-};
-
-// Stop watching calendar
-const stopCalendarWatch = async (sessionId) => {
-  try {
-    const subscription = watchSubscriptions.get(sessionId);
-    if (!subscription) {
-      console.log('⚠️ [SERVER] No active watch subscription found for session:', sessionId.substring(0, 8) + '...');
-      return;
+  }).finally(() => {
+    if (calendarSyncs.get(sessionId) === run) {
+      calendarSyncs.delete(sessionId);
     }
-
-    console.log('🔄 [SERVER] Stopping Google Calendar watch for session:', sessionId.substring(0, 8) + '...');
-
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-    await calendar.channels.stop({
-      resource: {
-        id: subscription.subscriptionId,
-        resourceId: subscription.resourceId
-      }
-    });
-
-    watchSubscriptions.delete(sessionId);
-
-    console.log('✅ [SERVER] Google Calendar watch stopped successfully:', {
-      sessionId: sessionId.substring(0, 8) + '...'
-    });
-  } catch (error) {
-    console.error('❌ [SERVER] Failed to stop Google Calendar watch:', {
-      sessionId: sessionId.substring(0, 8) + '...',
-      error: error.message
-    });
-  }
+  });
+  calendarSyncs.set(sessionId, run);
+  return run;
 };
 
+// Google Calendar watch channels, persisted on sessions and renewed before they expire.
+// Notifications go to WEBHOOK_BASE_URL (a public https URL of this server, see env.example).
+const calendarWatches = createCalendarWatchManager({
+  sessions,
+  // Take each calendar's first sync token now so its first notification can push just its changes
+  onChannelCreated: (sessionId, channel) => pushCalendarChanges(sessionId, channel.calendarId)
+});
+await calendarWatches.restore();
+calendarWatches.startRenewal();
+
 // Authentication middleware
 const requireAuth = async (req, res, next) => {
   const sessionId = req.headers['x-session-id'];
 
-  if (!sessionId || !sessions.has(sessionId)) {
+  const session = sessionId ? await sessions.get(sessionId) : null;
+  if (!session) {
     console.log('❌ [SERVER] Authentication failed:', {
       sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
       path: req.path,
@@ -291,13 +273,15 @@ const requireAuth = async (req, res, next) => {
     });
   }
 
-  const session = sessions.get(sessionId);
+  // Each request uses a client holding only this session's tokens
+  const oauthClient = getSessionOAuthClient(sessionId, session);
 
   // Refresh token if needed
-  await refreshTokenIfNeeded(sessionId, session);
+  await refreshTokenIfNeeded(sessionId, session, oauthClient);
 
   // Check if session still exists after potential refresh
-  if (!sessions.has(sessionId)) {
+  const updatedSession = await sessions.get(sessionId);
+  if (!updatedSession) {
     console.log('❌ [SERVER] Session expired during refresh:', {
       sessionId: sessionId.substring(0, 8) + '...',
       path: req.path,
@@ -309,37 +293,87 @@ const requireAuth = async (req, res, next) => {
     });
   }
 
-  const updatedSession = sessions.get(sessionId);
-  oauth2Client.setCredentials(updatedSession.tokens);
   req.session = updatedSession;
+  req.oauthClient = oauthClient;
+  // Changes made by a request are journaled together, so they can be undone as one
+  req.calendar = withOperationJournal(getCalendarProvider(updatedSession, oauthClient), operationJournal, sessionId, {
+    groupId: req.requestId,
+    source: 'user'
+  });
   next();
 }
 
+// Build the calendar provider used to run AI tools for a session (null when Google credentials are missing).
+// With a journal context ({ groupId, source }) its changes are recorded for undo.
+const createToolCalendar = async (sessionId, session, journalContext = null) => {
+  const journaled = (calendar) => (journalContext ? withOperationJournal(calendar, operationJournal, sessionId, journalContext) : calendar);
+
+  if (session.calendarProvider === 'local') {
+    return journaled(getCalendarProvider(session));
+  }
+
+  if (!session.tokens) {
+    return null;
+  }
+
+  const toolOAuthClient = getSessionOAuthClient(sessionId, session);
+  await refreshTokenIfNeeded(sessionId, session, toolOAuthClient);
+
+  return journaled(getCalendarProvider(session, toolOAuthClient));
+};
+
+// Which tool calls of a batch need confirmation under the session's confirmation policy
+// ([{ requiresConfirmation, reason }] in batch order). Events and the user's email are read only
+// when a rule needs them; `eventsChangedBefore` counts the changes already made for the same message.
+const evaluateToolPolicy = (sessionId, session, tools, eventsChangedBefore = 0) => {
+  let calendarPromise = null;
+  const getCalendar = () => (calendarPromise = calendarPromise || createToolCalendar(sessionId, session));
+
+  return evaluateConfirmationPolicy({
+    rules: session.confirmationPolicy?.rules || [],
+    tools,
+    toolHandlers,
+    eventsChangedBefore,
+    loadEvent: async (params) => {
+      const calendar = await getCalendar();
+      return calendar ? calendar.get(params).catch(() => null) : null;
+    },
+    // The primary calendar's id is the user's email on Google Calendar
+    loadOwnerEmail: async () => {
+      const calendar = await getCalendar();
+      if (!calendar) return null;
+      const { items = [] } = await calendar.calendarList().catch(() => ({}));
+      const primaryId = items.find(item => item.primary)?.id;
+      return primaryId?.includes('@') ? primaryId : null;
+    }
+  });
+};
+
 // Unified model call function with automatic model switching
 async function callModel({
   conversationHistory = [],
   currentMessage,
+  currentParts = null,
   systemPrompt = null,
+  functionDeclarations = null,
   sessionId = null,
   options = {}
 }) {
-  // Always use getCurrentModel
-  const currentModel = getCurrentModel(sessionId);
-  const result = await geminiGenerateContent({
-    model: currentModel,
+  // The session's provider and model (LLM_PROVIDER and its default model unless the user picked others)
+  const { provider, model } = await getSessionLLM(sessionId);
+  const result = await getLLMProvider(provider).generateContent({
+    model,
     conversationHistory,
     currentMessage,
+    currentParts,
     systemPrompt,
+    functionDeclarations,
     sessionId,
     ...options
   });
   // If a fallback model was used, update the session's preferredModel
-  if (result.fallbackModel && sessionId && sessions.has(sessionId)) {
-    const session = sessions.get(sessionId);
-    session.preferredModel = result.fallbackModel;
-    sessions.set(sessionId, session);
-    await saveSessions();
-    console.log(`💾 [SERVER] Updated session ${sessionId.substring(0, 8)}... preferred model to: ${result.fallbackModel}`);
+  if (result.fallbackModel && sessionId) {
+    await updateSessionModel(sessionId, result.fallbackModel, provider);
   }
   return result.data;
 };
@@ -353,7 +387,7 @@ app.get('/', (req, res) => {
   });
 });
 
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   console.log('🏥 [SERVER] Health check request:', {
     ip: req.ip,
     userAgent: req.get('User-Agent')
@@ -364,8 +398,9 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    sessions: sessions.size,
-    modelStatus: getModelStatus()
+    sessions: await sessions.count(),
+    llmProvider: DEFAULT_LLM_PROVIDER,
+    modelStatus: getLLMProvider().getModelStatus()
   });
 });
 
@@ -378,26 +413,28 @@ app.get('/api/auth/session', async (req, res) => {
     ip: req.ip
   });
 
-  if (!sessionId || !sessions.has(sessionId)) {
+  const session = sessionId ? await sessions.get(sessionId) : null;
+  if (!session) {
     return res.json({
       valid: false,
       message: 'No valid session found'
     });
   }
 
-  const session = sessions.get(sessionId);
-
   // Try to refresh token if needed (only once)
   try {
-    await refreshTokenIfNeeded(sessionId, session);
+    await refreshTokenIfNeeded(sessionId, session, getSessionOAuthClient(sessionId, session));
 
-    if (!sessions.has(sessionId)) {
+    if (!(await sessions.has(sessionId))) {
       return res.json({
         valid: false,
         message: 'Session expired and refresh failed'
       });
     }
 
+    // Opening the app keeps the session alive (sliding TTL)
+    await sessions.touch(sessionId);
+
     console.log('✅ [SERVER] Session validated:', sessionId.substring(0, 8) + '...');
     res.json({
       valid: true,
@@ -420,24 +457,24 @@ app.get('/api/health/ai', async (req, res) => {
     timestamp: new Date().toISOString()
   });
 
-  if (!geminiApiKey) {
-    console.log('❌ [SERVER] AI health check failed: No API key configured');
+  const provider = getLLMProvider();
+  if (!provider?.isConfigured()) {
+    console.log(`❌ [SERVER] AI health check failed: LLM provider ${DEFAULT_LLM_PROVIDER} not configured`);
     return res.json({
       status: 'CONFIGURATION_ERROR',
-      message: 'GEMINI_API_KEY not configured',
+      message: `LLM provider "${DEFAULT_LLM_PROVIDER}" is not configured (see LLM_PROVIDER in env.example)`,
       aiAvailable: false,
       timestamp: new Date().toISOString()
     });
   }
 
   try {
-    console.log('🔄 [SERVER] Testing Gemini API connection...');
-    const modelResult = await callModel({
+    console.log(`🔄 [SERVER] Testing ${provider.label} connection...`);
+    const modelResult = await provider.generateContent({
+      model: provider.defaultModel,
       currentMessage: 'Hello, this is a test message.',
-      options: {
-        enableModelSwitching: false, // Disable switching for health check
-        enableCompaction: false
-      }
+      enableModelSwitching: false, // Disable switching for health check
+      enableCompaction: false
     });
     const data = modelResult.data;
 
@@ -446,7 +483,8 @@ app.get('/api/health/ai', async (req, res) => {
       status: 'OK',
       message: 'AI service is available',
       aiAvailable: true,
-      model: modelResult.fallbackModel,
+      provider: provider.name,
+      model: modelResult.model,
       responseReceived: !!data.candidates,
       timestamp: new Date().toISOString()
     });
@@ -486,7 +524,7 @@ app.get('/api/auth/google', (req, res) => {
     'https://www.googleapis.com/auth/userinfo.email'
   ];
 
-  const authUrl = oauth2Client.generateAuthUrl({
+  const authUrl = appOAuthClient.generateAuthUrl({
     access_type: 'offline',
     scope: scopes,
     prompt: 'consent'
@@ -509,30 +547,28 @@ app.get('/api/auth/google/callback', async (req, res) => {
   });
 
   try {
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
+    const { tokens } = await appOAuthClient.getToken(code);
 
     // Create a session with conversation history and preferred model
     const sessionId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-    sessions.set(sessionId, {
+    const session = {
       tokens,
+      calendarProvider: 'google',
       createdAt: new Date(),
       conversationHistory: [],
-    });
-
-    // Save sessions to persistent storage
-    await saveSessions();
+    };
+    await sessions.set(sessionId, session);
 
     console.log('✅ [SERVER] OAuth tokens received and session created:', {
       sessionId: sessionId.substring(0, 8) + '...',
-      accessToken: tokens.access_token ? tokens.access_token.substring(0, 10) + '...' : 'none',
+      accessToken: tokens.access_token ? 'present' : 'none',
       refreshToken: tokens.refresh_token ? 'present' : 'none',
       expiresIn: tokens.expires_in
     });
 
     // Setup Google Calendar watch for real-time notifications
     try {
-      await setupCalendarWatch(sessionId, oauth2Client);
+      await calendarWatches.start(sessionId, session);
     } catch (watchError) {
       console.log('⚠️ [SERVER] Watch setup failed, but continuing:', {
         sessionId: sessionId.substring(0, 8) + '...',
@@ -554,6 +590,31 @@ app.get('/api/auth/google/callback', async (req, res) => {
   }
 });
 
+// Local calendar sign-in - creates a session backed by the local calendar store (offline development/CI)
+app.post('/api/auth/local', async (req, res) => {
+  if (DEFAULT_CALENDAR_PROVIDER !== 'local') {
+    return res.status(403).json({
+      error: 'Local calendar disabled',
+      message: 'Set CALENDAR_PROVIDER=local to enable local calendar sessions'
+    });
+  }
+
+  const sessionId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+  await sessions.set(sessionId, {
+    calendarProvider: 'local',
+    timezone: req.body?.timezone,
+    createdAt: new Date(),
+    conversationHistory: [],
+  });
+
+  console.log('✅ [SERVER] Local calendar session created:', {
+    sessionId: sessionId.substring(0, 8) + '...',
+    ip: req.ip
+  });
+
+  res.json({ success: true, sessionId });
+});
+
 // Logout endpoint
 app.post('/api/auth/logout', async (req, res) => {
   const sessionId = req.headers['x-session-id'];
@@ -563,10 +624,10 @@ app.post('/api/auth/logout', async (req, res) => {
     ip: req.ip
   });
 
-  if (sessionId && sessions.has(sessionId)) {
+  if (sessionId && await sessions.has(sessionId)) {
     // Stop Google Calendar watch before removing session
     try {
-      await stopCalendarWatch(sessionId);
+      await calendarWatches.stop(sessionId);
     } catch (watchError) {
       console.log('⚠️ [SERVER] Watch cleanup failed, but continuing:', {
         sessionId: sessionId.substring(0, 8) + '...',
@@ -574,8 +635,9 @@ app.post('/api/auth/logout', async (req, res) => {
       });
     }
 
-    sessions.delete(sessionId);
-    await saveSessions();
+    await sessions.delete(sessionId);
+    calendarPush.close(sessionId);
+    confirmationPush.close(sessionId);
 
     console.log('✅ [SERVER] Session removed:', sessionId.substring(0, 8) + '...');
     res.json({
@@ -594,11 +656,18 @@ app.post('/api/auth/logout', async (req, res) => {
 app.get('/api/auth/user', requireAuth, async (req, res) => {
   const sessionId = req.headers['x-session-id'];
 
-
+  if (req.calendar.name === 'local') {
+    return res.json({
+      name: 'Local User',
+      email: '',
+      timezone: req.session.timezone || 'UTC',
+      calendarId: 'primary'
+    });
+  }
 
   try {
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-    const people = google.people({ version: 'v1', auth: oauth2Client });
+    const calendar = google.calendar({ version: 'v3', auth: req.oauthClient });
+    const people = google.people({ version: 'v1', auth: req.oauthClient });
 
     // Get user's profile information from Google People API
     const profileResponse = await people.people.get({
@@ -645,7 +714,7 @@ app.get('/api/auth/user', requireAuth, async (req, res) => {
 
     // Fallback to calendar info if People API fails
     try {
-      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      const calendar = google.calendar({ version: 'v3', auth: req.oauthClient });
       const response = await calendar.calendarList.list();
       const primaryCalendar = response.data.items?.find(cal => cal.primary) || response.data.items?.[0];
 
@@ -690,9 +759,62 @@ app.get('/api/auth/user', requireAuth, async (req, res) => {
   }
 });
 
+// List the user's calendars with color, access role and whether the session shows them
+app.get('/api/calendar/calendars', requireAuth, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+
+  try {
+    const calendars = await listCalendars(req.calendar);
+    res.json({ calendars });
+  } catch (error) {
+    console.error('❌ [SERVER] Error listing calendars:', {
+      error: error.message,
+      status: error.code,
+      sessionId: sessionId.substring(0, 8) + '...',
+      ip: req.ip
+    });
+    res.status(500).json({ error: 'Failed to list calendars' });
+  }
+});
+
+// Set which calendars the session shows (events list, AI queries and free-slot search)
+app.put('/api/calendar/calendars/visible', requireAuth, async (req, res) => {
+  const { calendarIds } = req.body || {};
+  const sessionId = req.headers['x-session-id'];
+
+  if (!Array.isArray(calendarIds) || calendarIds.some(id => typeof id !== 'string' || !id)) {
+    return res.status(400).json({ error: 'calendarIds must be an array of calendar ids' });
+  }
+
+  try {
+    const session = await sessions.update(sessionId, (stored) => {
+      stored.visibleCalendars = [...new Set(calendarIds)];
+    });
+
+    console.log('✅ [SERVER] Visible calendars updated:', {
+      sessionId: sessionId.substring(0, 8) + '...',
+      calendarIds: session.visibleCalendars
+    });
+
+    // Watch newly shown calendars and stop watching hidden ones; the response does not wait for it
+    calendarWatches.start(sessionId, session);
+
+    const calendars = await listCalendars(req.calendar, session.visibleCalendars);
+    res.json({ success: true, calendars });
+  } catch (error) {
+    console.error('❌ [SERVER] Error updating visible calendars:', {
+      error: error.message,
+      status: error.code,
+      sessionId: sessionId.substring(0, 8) + '...',
+      ip: req.ip
+    });
+    res.status(500).json({ error: 'Failed to update visible calendars' });
+  }
+});
+
 // Get user's calendar events
 app.get('/api/calendar/events', calendarLimiter, requireAuth, async (req, res) => {
-  const { timeMin, timeMax, searchTerm } = req.query;
+  const { timeMin, timeMax, searchTerm, calendarId } = req.query;
   const sessionId = req.headers['x-session-id'];
 
 
@@ -701,7 +823,8 @@ app.get('/api/calendar/events', calendarLimiter, requireAuth, async (req, res) =
     // Enforce rate limiting before making API call
     await enforceCalendarRateLimit(sessionId, 'list');
 
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    // One calendar if asked for, otherwise every calendar the session shows
+    const calendarIds = calendarId ? [calendarId] : await getVisibleCalendarIds(req.calendar);
 
     // Retry logic for rate limiting
     let retryCount = 0;
@@ -711,8 +834,7 @@ app.get('/api/calendar/events', calendarLimiter, requireAuth, async (req, res) =
 
     while (retryCount <= maxRetries) {
       try {
-        response = await calendar.events.list({
-          calendarId: 'primary',
+        response = await listEventsAcrossCalendars(req.calendar, calendarIds, {
           timeMin: timeMin || new Date().toISOString(),
           timeMax: timeMax || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
           singleEvents: true,
@@ -734,7 +856,7 @@ app.get('/api/calendar/events', calendarLimiter, requireAuth, async (req, res) =
 
 
 
-    res.json(response.data);
+    res.json(response);
   } catch (error) {
     console.error('❌ [SERVER] Google Calendar API error:', {
       error: error.message,
@@ -742,17 +864,92 @@ app.get('/api/calendar/events', calendarLimiter, requireAuth, async (req, res) =
       sessionId: sessionId.substring(0, 8) + '...',
       ip: req.ip
     });
+    if (error.code === 404) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
     res.status(500).json({ error: 'Failed to fetch calendar events' });
   }
 });
 
+// A single event, for the edit form. Occurrences of a recurring series also return the series'
+// recurrence, which only the series itself carries.
+app.get('/api/calendar/events/:eventId', calendarLimiter, requireAuth, async (req, res) => {
+  const { eventId } = req.params;
+  const { calendarId = DEFAULT_CALENDAR_ID } = req.query;
+  const sessionId = req.headers['x-session-id'];
+
+  try {
+    const event = await req.calendar.get({ calendarId, eventId });
+    const series = event.recurringEventId
+      ? await req.calendar.get({ calendarId, eventId: event.recurringEventId })
+      : event;
+
+    res.json({
+      event: { ...event, calendarId },
+      recurrence: series.recurrence || null
+    });
+  } catch (error) {
+    console.error('❌ [SERVER] Get event error:', {
+      error: error.message,
+      status: error.code,
+      sessionId: sessionId.substring(0, 8) + '...',
+      eventId,
+      ip: req.ip
+    });
+    if (error.code === 404) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.status(500).json({ error: 'Failed to fetch calendar event' });
+  }
+});
+
+// List LLM providers and the provider/model the session uses
+app.get('/api/ai/models', requireAuth, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+  res.json({
+    providers: listLLMProviders(),
+    current: await getSessionLLM(sessionId)
+  });
+});
+
+// Pick the session's LLM provider and model (the provider's default model when none is given)
+app.put('/api/ai/model', requireAuth, async (req, res) => {
+  const { provider: providerName, model } = req.body || {};
+  const sessionId = req.headers['x-session-id'];
+
+  const provider = getLLMProvider(providerName);
+  if (!provider) {
+    return res.status(400).json({ error: `Unknown provider: ${providerName}. Use one of: ${listLLMProviders().map(p => p.name).join(', ')}` });
+  }
+  if (!provider.isConfigured()) {
+    return res.status(400).json({ error: `Provider ${provider.name} is not configured on this server` });
+  }
+  const selectedModel = model || provider.defaultModel;
+  if (!provider.listModels().includes(selectedModel)) {
+    return res.status(400).json({ error: `Unknown model for ${provider.name}: ${selectedModel}. Use one of: ${provider.listModels().join(', ')}` });
+  }
+
+  try {
+    await updateSessionModel(sessionId, selectedModel, provider.name);
+    res.json({ success: true, current: await getSessionLLM(sessionId) });
+  } catch (error) {
+    console.error('❌ [SERVER] Error updating session model:', {
+      error: error.message,
+      sessionId: sessionId.substring(0, 8) + '...',
+      ip: req.ip
+    });
+    res.status(500).json({ error: 'Failed to update model' });
+  }
+});
+
 // AI-powered event scheduling with Server-Sent Events
 app.get('/api/ai/schedule-stream', aiLimiter, async (req, res) => {
   const { description, sessionId, timezone } = req.query;
   const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
 
   // Custom auth check for SSE (since EventSource can't send custom headers)
-  if (!sessionId || !sessions.has(sessionId)) {
+  const userSession = sessionId ? await sessions.get(sessionId) : null;
+  if (!userSession) {
     console.log('❌ [SERVER] SSE Authentication failed:', {
       sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'none',
       path: req.path,
@@ -794,26 +991,15 @@ app.get('/api/ai/schedule-stream', aiLimiter, async (req, res) => {
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
 
-  // Clean up pending confirmation if connection is closed
-  res.on('close', () => {
-    console.log('🔌 [SSE] Connection closed, scheduling cleanup for pending confirmation for session:', sessionId.substring(0, 8) + '...');
-    if (pendingConfirmations.has(sessionId)) {
-      // Set a timeout to delete after 2 minutes if not already deleted (increased from 30s to allow for longer reconnects)
-      const context = pendingConfirmations.get(sessionId);
-      context.cleanupTimeout = setTimeout(() => {
-        pendingConfirmations.delete(sessionId);
-        console.log(`🧹 [SSE] Cleaned up pending confirmation for session: ${sessionId} after timeout`);
-      }, 120000); // 2 minutes
-    }
-  });
-
   try {
-    // Get user session for AI processing
-    const userSession = sessions.get(sessionId);
-    const userTimezone = timezone || 'UTC';
+    const userTimezone = timezone || userSession.timezone || 'UTC';
+
+    // Plan-only mode (query param, else the session's setting): calendar changes are simulated and
+    // returned as a plan for the user to apply
+    const planOnly = req.query.planOnly !== undefined ? req.query.planOnly === 'true' : !!userSession.planOnly;
 
     // Build system message for AI
-    const systemPrompt = generateGlobalSystemPrompt(userTimezone, toolHandlers);
+    const systemPrompt = buildSystemPrompt(userTimezone, { planOnly });
 
     // Get conversation history
     let fullConversationHistory = userSession.conversationHistory || [];
@@ -824,83 +1010,165 @@ app.get('/api/ai/schedule-stream', aiLimiter, async (req, res) => {
       maxTotalLength: 25000,
       preserveRecentMessages: 15,
       useAI: true,
-      model: getCurrentModel(sessionId),
+      model: await getCurrentModel(sessionId),
       sessionId: sessionId
     });
 
     // Unified AI conversation loop
     setTimeout(async () => {
+      // Calendar changes of this request are undone together from the final message
+      const journalContext = { groupId: requestId, source: 'ai' };
+      const undoable = () => (journalContext.changes > 0 ? { operationGroupId: journalContext.groupId } : {});
+
+      // In plan-only mode all tool calls of this request share one planning calendar, whose changes
+      // are stored as a plan and sent with the final message
+      let planningCalendar = null;
+      const planned = async (summary) => {
+        const changes = planningCalendar?.plannedChanges() || [];
+        if (changes.length === 0) return {};
+        try {
+          const plan = await plans.add(sessionId, { changes, summary });
+          console.log('📝 [SSE] Plan ready:', { planId: plan.id, changes: changes.map(change => change.action) });
+          return { plan: { id: plan.id, changes } };
+        } catch (error) {
+          console.error('❌ [SSE] Failed to store plan:', error.message);
+          return {};
+        }
+      };
+
       try {
         let currentConversationHistory = fullConversationHistory; // Start with original history
         let currentMessage = description; // Start with user's initial message
+        let currentParts = null; // functionResponse parts answering native function calls
+        let correctionAttempts = 0;
+        let modelTurn = 0;
+
+        // An explicit request for a new event ("Add lunch with Sam tomorrow 12:30 at Cafe Roma") is
+        // parsed without a model call, so it also works when the model's quota is used up
+        let quickAddDraft = null;
+        try {
+          const draft = parseQuickAdd(description, { timezone: userTimezone });
+          quickAddDraft = draft.complete ? draft : null;
+        } catch (parseError) {
+          // Not a quick-add phrase, the model handles it
+        }
 
         while (true) {
-          // Get AI response
-          const modelResult = await callModel({
-            conversationHistory: currentConversationHistory,
-            currentMessage: currentMessage,
-            systemPrompt: systemPrompt,
-            sessionId: sessionId,
-            requestId: requestId,
-            options: { enableModelSwitching: true, enableCompaction: currentMessage === '' }
-          });
-
-          const aiResponseText = modelResult.candidates?.[0]?.content?.parts?.[0]?.text || '';
-          const aiResponse = parseAiResponse(aiResponseText);
+          // Get AI response, streaming its message to the client as 'delta' events while it is generated
+          modelTurn++;
+          const turn = modelTurn;
+          let aiResponse;
+          if (quickAddDraft && turn === 1) {
+            console.log('⚡ [SSE] Quick add without the model:', { title: quickAddDraft.title, understood: quickAddDraft.understood });
+            aiResponse = {
+              message: `${planOnly ? 'Planning' : 'Adding'} ${describeQuickAdd(quickAddDraft)}.`,
+              tools: [quickAddToolCall(quickAddDraft)],
+              isJson: false,
+              quickAdd: true
+            };
+          } else {
+            const modelResult = await callModel({
+              conversationHistory: currentConversationHistory,
+              currentMessage: currentMessage,
+              currentParts: currentParts,
+              systemPrompt: systemPrompt,
+              functionDeclarations: toolDeclarations,
+              sessionId: sessionId,
+              requestId: requestId,
+              options: {
+                enableModelSwitching: true,
+                enableCompaction: currentMessage === '',
+                onTextDelta: createMessageStreamer(text => sendSSE({ type: 'delta', turn, text }))
+              }
+            });
+            aiResponse = extractAiResponse(modelResult);
+          }
 
           // Add user message to conversation history (first iteration only)
           if (currentMessage !== '') {
             currentConversationHistory = [
               ...currentConversationHistory,
-              { role: 'user', content: currentMessage, timestamp: new Date() }
+              { role: 'user', content: currentMessage, ...(currentParts && { parts: currentParts }), timestamp: new Date() }
             ];
           }
 
-          // Add AI response to conversation history
+          // Add AI response to conversation history (native calls keep their raw parts for replay,
+          // with a text summary for models on the text protocol)
           currentConversationHistory = [
             ...currentConversationHistory,
-            { role: 'model', content: aiResponse.message, timestamp: new Date() }
+            aiResponse.nativeTools
+              ? {
+                role: 'model',
+                content: aiResponse.message || `Calling tools: ${aiResponse.tools.map(t => t.tool).join(', ')}`,
+                parts: aiResponse.parts,
+                timestamp: new Date()
+              }
+              : { role: 'model', content: aiResponse.message, timestamp: new Date() }
           ];
 
           // If no tools requested, send final response and exit
           if (!aiResponse.tools || aiResponse.tools.length === 0) {
-            userSession.conversationHistory = currentConversationHistory;
-            sessions.set(sessionId, userSession);
-            await saveSessions();
+            await saveConversationHistory(sessionId, currentConversationHistory);
 
             console.log('✅ [SSE] Sending final message:', aiResponse.message.substring(0, 100) + '...');
-            sendSSE({ type: 'final', message: aiResponse.message });
+            sendSSE({ type: 'final', message: aiResponse.message, ...undoable(), ...(await planned(aiResponse.message)) });
             res.end();
             return;
           }
 
-          // Check for confirmation requirement
-          const toolsRequiringConfirmation = aiResponse.tools.filter(t => {
-            const toolConfig = toolHandlers[t.tool];
-            return toolConfig && toolConfig.requiresConfirmation;
+          // Validate all tool calls up front so invalid ones never reach confirmation or execution;
+          // the structured errors go back to the model as TOOL_RESULTS so it can correct the calls
+          const validations = aiResponse.tools.map(t => validateToolCall(t.tool, t.parameters, toolHandlers));
+          if (validations.some(v => !v.valid)) {
+            correctionAttempts++;
+            if (correctionAttempts > MAX_TOOL_CORRECTION_ATTEMPTS) {
+              console.error('❌ [SSE] Model kept sending invalid tool calls, giving up');
+              sendSSE({ type: 'final', message: 'Sorry, I could not complete this request. Please try rephrasing it.', ...undoable(), ...(await planned()) });
+              res.end();
+              return;
+            }
+
+            console.log(`⚠️ [SSE] Invalid tool calls, asking model to correct (attempt ${correctionAttempts}/${MAX_TOOL_CORRECTION_ATTEMPTS})`);
+            const toolResults = validations.map(v => v.valid
+              ? { success: false, skipped: true, message: 'Not executed because another tool call in this batch was invalid. Resend it with the corrected calls.' }
+              : v.error);
+            currentMessage = `TOOL_RESULTS: ${JSON.stringify(toolResults, null, 2)}`;
+            currentParts = aiResponse.nativeTools ? buildFunctionResponseParts(aiResponse.tools, toolResults) : null;
+            continue;
+          }
+          aiResponse.tools.forEach((t, index) => {
+            t.parameters = validations[index].parameters;
           });
 
-          if (toolsRequiringConfirmation.length > 0) {
-            console.log('⚠️ [SSE] Tools require confirmation, keeping connection alive');
+          // Check for confirmation requirement with the session's confirmation policy (a plan is
+          // reviewed as a whole instead)
+          const policyDecisions = planOnly ? [] : await evaluateToolPolicy(sessionId, userSession, aiResponse.tools, journalContext.changes || 0);
+          const toolsRequiringConfirmation = aiResponse.tools.filter((t, index) => policyDecisions[index]?.requiresConfirmation);
 
-            // Store SSE context for later continuation
-            pendingConfirmations.set(sessionId, {
-              res,
-              sendSSE,
+          if (toolsRequiringConfirmation.length > 0) {
+            // Persist the batch; it is confirmed or rejected by id from any connection later
+            await saveConversationHistory(sessionId, currentConversationHistory);
+            const batch = await confirmations.add(sessionId, {
+              message: aiResponse.message,
               tools: aiResponse.tools,
-              aiResponse,
-              currentConversationHistory,
-              userSession
+              currentEvents: await loadCurrentEvents(await createToolCalendar(sessionId, userSession), aiResponse.tools),
+              reasons: policyDecisions.map(decision => decision.reason),
+              nativeTools: aiResponse.nativeTools,
+              quickAdd: aiResponse.quickAdd,
+              timezone: userTimezone
             });
+            console.log('⚠️ [SSE] Tools require confirmation:', { confirmationId: batch.id, tools: batch.tools.map(t => t.tool), reasons: batch.reasons });
 
             sendSSE({
               type: 'confirmation',
+              confirmationId: batch.id,
               message: aiResponse.message,
               tools: aiResponse.tools,
+              currentEvents: batch.currentEvents,
+              reasons: batch.reasons,
               requiresConfirmation: true
             });
-
-            // Don't end connection - wait for confirm-tools to continue
+            res.end();
             return;
           }
 
@@ -917,26 +1185,23 @@ app.get('/api/ai/schedule-stream', aiLimiter, async (req, res) => {
           for (const [index, toolRequest] of aiResponse.tools.entries()) {
             try {
               // Rate limiting
-              if (index > 0 && ['delete_event', 'create_event', 'update_event'].includes(toolRequest.tool)) {
+              if (!planOnly && index > 0 && ['delete_event', 'create_event', 'update_event'].includes(toolRequest.tool)) {
                 await new Promise(resolve => setTimeout(resolve, 1000));
               }
 
-              // Setup OAuth2 client
-              if (!userSession.tokens) {
+              // Setup calendar provider
+              if (planOnly && !planningCalendar) {
+                const baseCalendar = await createToolCalendar(sessionId, userSession);
+                planningCalendar = baseCalendar && createPlanningCalendar(baseCalendar);
+              }
+              const calendar = planOnly ? planningCalendar : await createToolCalendar(sessionId, userSession, journalContext);
+              if (!calendar) {
                 toolResults.push({ success: false, message: 'Please reconnect your Google Calendar' });
                 continue;
               }
 
-              const oauth2Client = new google.auth.OAuth2(
-                process.env.GOOGLE_CLIENT_ID,
-                process.env.GOOGLE_CLIENT_SECRET,
-                process.env.GOOGLE_REDIRECT_URI
-              );
-              oauth2Client.setCredentials(userSession.tokens);
-              await refreshTokenIfNeeded(sessionId, userSession);
-
               // Execute tool
-              const toolResult = await processTool(toolRequest.tool, toolRequest.parameters, sessionId, oauth2Client, toolHandlers);
+              const toolResult = await processTool(toolRequest.tool, toolRequest.parameters, sessionId, calendar, toolHandlers, { timezone: userTimezone });
               toolResults.push(toolResult);
 
             } catch (toolError) {
@@ -946,102 +1211,173 @@ app.get('/api/ai/schedule-stream', aiLimiter, async (req, res) => {
           }
 
           currentMessage = `TOOL_RESULTS: ${JSON.stringify(toolResults, null, 2)}`;
+          currentParts = aiResponse.nativeTools ? buildFunctionResponseParts(aiResponse.tools, toolResults) : null;
+
+          if (aiResponse.quickAdd) {
+            // In plan-only mode the event was only added to the plan
+            const message = planOnly && toolResults.every(result => result.success)
+              ? `Planned: ${describeQuickAdd(quickAddDraft)}. Apply the plan to add it to your calendar.`
+              : quickAddReply(toolResults, false);
+            await saveConversationHistory(sessionId, [
+              ...currentConversationHistory,
+              { role: 'user', content: currentMessage, timestamp: new Date() },
+              { role: 'model', content: message, timestamp: new Date() }
+            ]);
+            sendSSE({ type: 'final', message, ...undoable(), ...(await planned(message)) });
+            res.end();
+            return;
+          }
         }
 
       } catch (processingError) {
         console.error('❌ [SSE] Processing error:', processingError);
-        sendSSE({ type: 'final', message: 'Sorry, an error occurred during processing.' });
+        sendSSE({ type: 'final', message: 'Sorry, an error occurred during processing.', ...undoable(), ...(await planned()) });
         res.end();
       }
     }, 100);
 
   } catch (error) {
-    console.error('❌ [SERVER] SSE error:', error);
+    console.error('❌ [SERVER] SSE error:', redactTokens(error));
     sendSSE({ type: 'error', message: '处理过程中出错，请稍后再试。' });
     res.end();
   }
 });
 
-// Simplified tool confirmation - just execute and notify SSE
-app.post('/api/ai/confirm-tools', aiLimiter, requireAuth, async (req, res) => {
-  const { confirmed } = req.body;
+// Pending tool batches of the session, oldest first (e.g. to restore confirmation prompts after a reload)
+app.get('/api/ai/confirmations', requireAuth, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+  res.json({ confirmations: await confirmations.list(sessionId) });
+});
+
+// Stream of confirmation outcomes: the AI's reply (`delta` and `final` events tagged with the
+// confirmationId) after a batch is confirmed or rejected. Outcomes that finished while no stream
+// was open are sent on connect.
+app.get('/api/ai/confirmations/stream', async (req, res) => {
+  const { sessionId } = req.query;
+
+  if (!sessionId || !(await sessions.has(sessionId))) {
+    // A non-stream response stops EventSource from reconnecting
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control, x-session-id, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  });
+  confirmationPush.subscribe(sessionId, res, { type: 'ready' });
+
+  const missed = await confirmations.takeResults(sessionId);
+  missed.forEach(result => res.write(`data: ${JSON.stringify(result)}\n\n`));
+
+  console.log('📡 [SERVER] Confirmation stream opened:', {
+    sessionId: sessionId.substring(0, 8) + '...',
+    missedResults: missed.length
+  });
+});
+
+// Answer a pending tool batch: approve or reject each tool (`decisions`, optionally with edited
+// parameters) or the whole batch (`confirmed`). Approved tools run right away; the AI's reply
+// follows on the confirmation stream.
+const handleToolConfirmation = async (req, res, confirmationId) => {
+  const { confirmed, decisions } = req.body;
   const sessionId = req.headers['x-session-id'];
   const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
 
   console.log('🔄 [SERVER] Tool confirmation request:', {
     requestId,
     sessionId: sessionId.substring(0, 8) + '...',
+    confirmationId,
     confirmed,
+    decisions: Array.isArray(decisions) ? decisions.map(d => (d?.approved ? 'approve' : 'reject')) : undefined,
     ip: req.ip,
     timestamp: new Date().toISOString()
   });
 
   try {
-    // Get pending confirmation context
-    const pendingContext = pendingConfirmations.get(sessionId);
-    if (!pendingContext) {
+    // Check the decisions before claiming the batch, so a bad edit can be corrected and resent
+    const pending = (await confirmations.list(sessionId)).find(entry => entry.id === confirmationId);
+    if (!pending) {
       return res.status(404).json({ error: 'No pending confirmation found' });
     }
-    if (pendingContext.cleanupTimeout) {
-      clearTimeout(pendingContext.cleanupTimeout);
+    const resolution = resolveDecisions(pending.tools, { confirmed, decisions }, (tool, parameters) => validateToolCall(tool, parameters, toolHandlers));
+    if (!resolution.valid) {
+      return res.status(400).json({ error: resolution.error });
     }
-    pendingConfirmations.delete(sessionId);
+    const approvedCount = resolution.decisions.filter(d => d.approved).length;
 
-    const { res: sseRes, sendSSE, tools, currentConversationHistory, userSession } = pendingContext;
+    // Set up calendar provider for tool execution (with the session as stored now, not as it was when the tools were proposed)
+    const journalContext = { groupId: confirmationId, source: 'ai' };
+    const calendar = approvedCount > 0 ? await createToolCalendar(sessionId, req.session, journalContext) : null;
+    if (approvedCount > 0 && !calendar) {
+      return res.status(401).json({ error: 'Please reconnect your Google Calendar' });
+    }
 
-    if (!confirmed) {
-      // User cancelled - notify SSE and let it handle with AI
-      console.log('❌ [SERVER] User cancelled tool execution');
+    // Claim the batch; a second confirmation of the same batch finds nothing
+    const batch = await confirmations.take(sessionId, confirmationId);
+    if (!batch) {
+      return res.status(404).json({ error: 'No pending confirmation found' });
+    }
+    const { tools } = batch;
 
-      // Add cancellation to conversation history
-      const updatedHistory = [
-        ...currentConversationHistory,
-        { role: 'user', content: 'User cancelled the requested operations.', timestamp: new Date() }
-      ];
+    if (approvedCount === 0) {
+      // User cancelled - let the AI acknowledge it
+      console.log('❌ [SERVER] User cancelled tool execution');
 
-      // Continue SSE with cancellation - it will call AI to handle this
-      continueSSEAfterConfirmation(sessionId, updatedHistory, null, true);
+      // Add cancellation to conversation history (native function calls still need a response each)
+      const cancelledResults = tools.map(() => ({ success: false, cancelled: true, message: 'User cancelled the operation' }));
+      continueAfterConfirmation(sessionId, batch, [
+        {
+          role: 'user',
+          content: 'User cancelled the requested operations.',
+          ...(batch.nativeTools && { parts: buildFunctionResponseParts(tools, cancelledResults) }),
+          timestamp: new Date()
+        }
+      ], { cancelled: true });
 
       return res.json({
         success: true,
+        confirmationId: batch.id,
         message: '',
         cancelled: true
       });
     }
 
-    // User confirmed - execute tools
-    console.log('✅ [SERVER] User confirmed tool execution, proceeding...');
-
-    // Set up OAuth2 client for tool execution
-    if (!userSession.tokens) {
-      pendingConfirmations.delete(sessionId);
-      return res.status(401).json({ error: 'Please reconnect your Google Calendar' });
-    }
-
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials(userSession.tokens);
-    await refreshTokenIfNeeded(sessionId, userSession);
+    // User approved some or all tools - execute those, with the user's edits
+    console.log('✅ [SERVER] User confirmed tool execution, proceeding...', {
+      approved: approvedCount,
+      rejected: tools.length - approvedCount,
+      edited: resolution.decisions.filter(d => d.edited).length
+    });
 
-    // Execute tools with rate limiting
+    // Execute tools with rate limiting; rejected tools get a result telling the AI so
     const toolResults = [];
+    let executed = 0;
     for (const [index, toolRequest] of tools.entries()) {
+      const decision = resolution.decisions[index];
+      if (!decision.approved) {
+        toolResults.push({ success: false, cancelled: true, message: 'User rejected this operation' });
+        continue;
+      }
+
       try {
         // Add delay between calendar operations
-        if (index > 0 && ['delete_event', 'create_event', 'update_event'].includes(toolRequest.tool)) {
+        if (executed > 0 && ['delete_event', 'create_event', 'update_event'].includes(toolRequest.tool)) {
           const delay = 1000;
           console.log(`⏳ [SERVER] Adding ${delay}ms delay between ${toolRequest.tool} operations (${index + 1}/${tools.length})`);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
+        executed++;
 
-        console.log(`🔧 [SERVER] Executing confirmed tool ${index + 1}/${tools.length}: ${toolRequest.tool}`);
+        console.log(`🔧 [SERVER] Executing confirmed tool ${index + 1}/${tools.length}: ${toolRequest.tool}`, { edited: decision.edited });
 
         // Use unified tool processing
-        const toolResult = await processTool(toolRequest.tool, toolRequest.parameters, sessionId, oauth2Client, toolHandlers);
-        toolResults.push(toolResult);
+        const toolResult = await processTool(toolRequest.tool, decision.parameters, sessionId, calendar, toolHandlers, { timezone: batch.timezone || req.session.timezone || 'UTC' });
+        toolResults.push(decision.edited ? { ...toolResult, userEditedParameters: decision.parameters } : toolResult);
 
         console.log(`✅ [SERVER] Confirmed tool ${index + 1} completed:`, {
           tool: toolRequest.tool,
@@ -1057,52 +1393,78 @@ app.post('/api/ai/confirm-tools', aiLimiter, requireAuth, async (req, res) => {
       }
     }
 
-    // Add tool results to conversation history
-    const updatedHistory = [
-      ...currentConversationHistory,
-      { role: 'user', content: 'Confirm operations', timestamp: new Date() },
-      { role: 'user', content: `TOOL_RESULTS: ${JSON.stringify(toolResults, null, 2)}`, timestamp: new Date() }
-    ];
+    // Add tool results to conversation history. Native function calls are answered with a
+    // functionResponse message (replayed as text if other turns came in between).
+    const confirmText = approvedCount === tools.length ? 'Confirm operations' : 'Confirm some operations, reject the others';
+    const toolResultsContent = `TOOL_RESULTS: ${JSON.stringify(toolResults, null, 2)}`;
+    const resultMessages = batch.nativeTools
+      ? [
+        {
+          role: 'user',
+          content: `${confirmText}\n${toolResultsContent}`,
+          parts: buildFunctionResponseParts(tools, toolResults),
+          timestamp: new Date()
+        }
+      ]
+      : [
+        { role: 'user', content: confirmText, timestamp: new Date() },
+        { role: 'user', content: toolResultsContent, timestamp: new Date() }
+      ];
 
-    // Instead of sending a final message here, resume the SSE loop so the AI can summarize the tool results
-    continueSSEAfterConfirmation(sessionId, updatedHistory, toolResults, false);
+    // The AI summarizes the results on the confirmation stream
+    continueAfterConfirmation(sessionId, batch, resultMessages, {
+      cancelled: false,
+      toolResults,
+      operationGroupId: journalContext.changes > 0 ? journalContext.groupId : null
+    });
 
-    // Respond to the HTTP request with a simple acknowledgement (the SSE will handle the user-facing message)
+    // Respond to the HTTP request with a simple acknowledgement (the stream carries the user-facing message)
     res.json({
       success: true,
+      confirmationId: batch.id,
       message: '',
       toolResults: toolResults,
       confirmed: true
     });
 
   } catch (error) {
-    console.error('❌ [SERVER] Tool confirmation error:', error);
-    // Clean up pending confirmation on error
-    pendingConfirmations.delete(sessionId);
+    console.error('❌ [SERVER] Tool confirmation error:', redactTokens(error));
     res.status(500).json({
       error: 'Failed to process tool confirmation',
       details: error.message
     });
   }
+};
+
+app.post('/api/ai/confirmations/:confirmationId', aiLimiter, requireAuth, (req, res) =>
+  handleToolConfirmation(req, res, req.params.confirmationId));
+
+// Older clients confirm without an id; that answers the most recent pending batch
+app.post('/api/ai/confirm-tools', aiLimiter, requireAuth, async (req, res) => {
+  const confirmationId = req.body.confirmationId || (await confirmations.list(req.headers['x-session-id'])).at(-1)?.id;
+  return handleToolConfirmation(req, res, confirmationId);
 });
 
 // Create calendar event
 app.post('/api/calendar/events', requireAuth, async (req, res) => {
-  const { title, description, startTime, endTime, location, attendees, reminders } = req.body;
+  const { title, description, startTime, endTime, allDay, location, attendees, reminders, recurrence, calendarId = DEFAULT_CALENDAR_ID } = req.body;
   const sessionId = req.headers['x-session-id'];
   const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
 
   console.log('🔄 [SERVER] Creating calendar event:', {
     requestId,
     sessionId: sessionId.substring(0, 8) + '...',
+    calendarId,
     title,
     description: description?.substring(0, 50) + (description?.length > 50 ? '...' : ''),
     startTime,
     endTime,
+    allDay,
     location,
     attendeesCount: attendees?.length || 0,
     attendees: attendees,
     reminders,
+    recurrence,
     ip: req.ip,
     timestamp: new Date().toISOString()
   });
@@ -1120,6 +1482,21 @@ app.post('/api/calendar/events', requireAuth, async (req, res) => {
     return res.status(400).json({ error: 'Missing required fields: title, startTime, endTime' });
   }
 
+  // Timed or all-day start/end; for all-day events endTime is the last day of the event
+  let eventTimes;
+  try {
+    eventTimes = buildEventTimes({ startTime, endTime, allDay, timezone: req.body.timezone || req.session.timezone || 'UTC' });
+  } catch (timesError) {
+    console.error('❌ [SERVER] Invalid all-day dates for event creation:', {
+      requestId,
+      sessionId: sessionId.substring(0, 8) + '...',
+      startTime,
+      endTime,
+      error: timesError.message
+    });
+    return res.status(400).json({ error: 'Invalid event dates', details: timesError.message });
+  }
+
   // Validate date formats
   try {
     const startDate = new Date(startTime);
@@ -1137,7 +1514,8 @@ app.post('/api/calendar/events', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid date format' });
     }
 
-    if (endDate <= startDate) {
+    // A one-day all-day event starts and ends on the same day
+    if (!eventTimes.start.date && endDate <= startDate) {
       console.error('❌ [SERVER] End time must be after start time:', {
         requestId,
         sessionId: sessionId.substring(0, 8) + '...',
@@ -1164,38 +1542,52 @@ app.post('/api/calendar/events', requireAuth, async (req, res) => {
     return res.status(400).json({ error: 'Invalid date format' });
   }
 
+  // Validate recurrence rules (RRULE/EXDATE lines)
+  let normalizedRecurrence = [];
   try {
-    // Get user's timezone from the request or use UTC as fallback
-    const userTimezone = req.body.timezone || 'UTC';
+    normalizedRecurrence = recurrence ? normalizeRecurrence(recurrence) : [];
+  } catch (recurrenceError) {
+    console.error('❌ [SERVER] Invalid recurrence for event creation:', {
+      requestId,
+      sessionId: sessionId.substring(0, 8) + '...',
+      recurrence,
+      error: recurrenceError.message
+    });
+    return res.status(400).json({ error: 'Invalid recurrence', details: recurrenceError.message });
+  }
 
+  // Structured or natural-language reminders; none sent means the calendar's defaults
+  let normalizedReminders;
+  try {
+    normalizedReminders = reminders !== undefined ? normalizeReminders(reminders) : { useDefault: true };
+  } catch (reminderError) {
+    console.error('❌ [SERVER] Invalid reminders for event creation:', {
+      requestId,
+      sessionId: sessionId.substring(0, 8) + '...',
+      reminders,
+      error: reminderError.message
+    });
+    return res.status(400).json({ error: 'Invalid reminders', details: reminderError.message });
+  }
+
+  try {
     const event = {
       summary: title,
       description: description,
-      start: {
-        dateTime: startTime,
-        timeZone: userTimezone,
-      },
-      end: {
-        dateTime: endTime,
-        timeZone: userTimezone,
-      },
+      ...eventTimes,
       location: location,
       attendees: attendees ? attendees.map(email => ({ email })) : [],
-      reminders: {
-        useDefault: false,
-        overrides: reminders ? reminders.map(reminder => ({
-          method: 'email',
-          minutes: reminder === '15 minutes before' ? 15 : 60
-        })) : []
-      }
+      reminders: normalizedReminders
     };
+    if (normalizedRecurrence.length > 0) {
+      event.recurrence = normalizedRecurrence;
+    }
 
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-    console.log('🌐 [SERVER] Making Google Calendar API call to create event...', {
+    console.log('🌐 [SERVER] Making calendar API call to create event...', {
       requestId,
       sessionId: sessionId.substring(0, 8) + '...',
-      calendarId: 'primary',
+      provider: req.calendar.name,
+      calendarId,
       eventSummary: event.summary,
       eventData: {
         summary: event.summary,
@@ -1209,35 +1601,35 @@ app.post('/api/calendar/events', requireAuth, async (req, res) => {
     });
 
     const apiStartTime = Date.now();
-    const response = await calendar.events.insert({
-      calendarId: 'primary',
+    const createdEvent = await req.calendar.insert({
+      calendarId,
       resource: event,
       sendUpdates: 'all'
     });
     const apiEndTime = Date.now();
     const apiResponseTime = apiEndTime - apiStartTime;
 
-    console.log('✅ [SERVER] Google Calendar API event created successfully:', {
+    console.log('✅ [SERVER] Calendar event created successfully:', {
       requestId,
       sessionId: sessionId.substring(0, 8) + '...',
-      eventId: response.data.id,
-      eventSummary: response.data.summary,
-      htmlLink: response.data.htmlLink,
+      eventId: createdEvent.id,
+      eventSummary: createdEvent.summary,
+      htmlLink: createdEvent.htmlLink,
       apiResponseTime: `${apiResponseTime}ms`,
       responseData: {
-        id: response.data.id,
-        summary: response.data.summary,
-        start: response.data.start,
-        end: response.data.end,
-        location: response.data.location,
-        attendeesCount: response.data.attendees?.length || 0,
-        reminders: response.data.reminders
+        id: createdEvent.id,
+        summary: createdEvent.summary,
+        start: createdEvent.start,
+        end: createdEvent.end,
+        location: createdEvent.location,
+        attendeesCount: createdEvent.attendees?.length || 0,
+        reminders: createdEvent.reminders
       }
     });
 
     res.json({
       success: true,
-      event: response.data
+      event: { ...createdEvent, calendarId }
     });
 
   } catch (error) {
@@ -1400,7 +1792,7 @@ app.post('/api/ai/pomodoro-suggestion', aiLimiter, requireAuth, async (req, res)
   });
 
   // Get session data
-  const session = sessions.get(sessionId);
+  const session = sessionId ? await sessions.get(sessionId) : null;
   if (!session) {
     console.error('❌ [SERVER] Session not found for Pomodoro suggestion:', {
       requestId,
@@ -1467,8 +1859,9 @@ CRITICAL RULES:
 
     // Store system prompt in session
     session.pomodoroSystemPrompt = systemPrompt;
-    sessions.set(sessionId, session);
-    await saveSessions();
+    await sessions.update(sessionId, (stored) => {
+      stored.pomodoroSystemPrompt = systemPrompt;
+    });
 
     console.log('🔄 [SERVER] Pomodoro system prompt initialized for session:', {
       requestId,
@@ -1648,15 +2041,38 @@ Suggest optimal Pomodoro strategy:`;
   }
 });
 
+// Parse a quick-add phrase ("Lunch with Sam tomorrow 12:30 for 45m at Cafe Roma") into an event
+// draft without the LLM. Nothing is created: the client shows the draft and creates it through
+// POST /api/calendar/events once the user confirms.
+app.post('/api/calendar/quick-add', requireAuth, (req, res) => {
+  const { text } = req.body || {};
+  const timezone = req.body?.timezone || req.session.timezone || 'UTC';
+  const sessionId = req.headers['x-session-id'];
+
+  try {
+    const draft = parseQuickAdd(text, { timezone });
+    console.log('⚡ [SERVER] Quick add parsed:', {
+      sessionId: sessionId.substring(0, 8) + '...',
+      title: draft.title,
+      understood: draft.understood
+    });
+    res.json({ draft, summary: describeQuickAdd(draft) });
+  } catch (error) {
+    res.status(400).json({ error: 'Could not understand the event', details: error.message });
+  }
+});
+
 // Update calendar event
 app.put('/api/calendar/events/:eventId', requireAuth, async (req, res) => {
   const { eventId } = req.params;
-  const { title, description, startTime, endTime, location, attendees, reminders } = req.body;
+  const { title, description, startTime, endTime, allDay, timezone, location, attendees, reminders, recurrence, scope = 'instance', calendarId = DEFAULT_CALENDAR_ID } = req.body;
   const sessionId = req.headers['x-session-id'];
 
   console.log('🔄 [SERVER] Updating calendar event:', {
     sessionId: sessionId.substring(0, 8) + '...',
     eventId,
+    calendarId,
+    scope,
     title,
     startTime,
     endTime,
@@ -1665,55 +2081,86 @@ app.put('/api/calendar/events/:eventId', requireAuth, async (req, res) => {
     ip: req.ip
   });
 
+  if (!RECURRENCE_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `Invalid scope, expected one of: ${RECURRENCE_SCOPES.join(', ')}` });
+  }
+
+  let normalizedRecurrence = null;
   try {
-    const event = {
-      summary: title,
-      description: description,
-      start: {
-        dateTime: startTime,
-        timeZone: 'UTC',
-      },
-      end: {
-        dateTime: endTime,
-        timeZone: 'UTC',
-      },
-      location: location,
-      attendees: attendees ? attendees.map(email => ({ email })) : [],
-      reminders: {
-        useDefault: false,
-        overrides: reminders ? reminders.map(reminder => ({
-          method: 'email',
-          minutes: reminder === '15 minutes before' ? 15 : 60
-        })) : []
+    normalizedRecurrence = recurrence ? normalizeRecurrence(recurrence) : null;
+  } catch (recurrenceError) {
+    return res.status(400).json({ error: 'Invalid recurrence', details: recurrenceError.message });
+  }
+
+  let normalizedReminders = null;
+  try {
+    normalizedReminders = reminders !== undefined ? normalizeReminders(reminders) : null;
+  } catch (reminderError) {
+    return res.status(400).json({ error: 'Invalid reminders', details: reminderError.message });
+  }
+
+  // Times sent on their own are completed from the existing event, so they can only be fully
+  // checked once it is loaded; times sent together are checked before anything is fetched
+  const timeChanges = { startTime, endTime, allDay, timezone, defaultTimezone: req.session.timezone || 'UTC' };
+  if (startTime && (endTime || allDay)) {
+    try {
+      resolveEventTimes(null, timeChanges);
+    } catch (timesError) {
+      return res.status(400).json({ error: 'Invalid event dates', details: timesError.message });
+    }
+  }
+
+  try {
+    // Fields the client did not send are kept as they are
+    const applyChanges = (existingEvent) => {
+      const event = {
+        ...existingEvent,
+        summary: title !== undefined ? title : existingEvent.summary,
+        description: description !== undefined ? description : existingEvent.description,
+        location: location !== undefined ? location : existingEvent.location,
+        reminders: normalizedReminders || existingEvent.reminders
+      };
+      if (attendees !== undefined) {
+        // Attendees who stay keep their response status
+        event.attendees = (attendees || []).map(email =>
+          (existingEvent.attendees || []).find(attendee => attendee.email === email) || { email });
+      }
+      const times = resolveEventTimes(existingEvent, timeChanges);
+      if (times) {
+        Object.assign(event, times);
+      }
+      if (normalizedRecurrence) {
+        event.recurrence = normalizedRecurrence;
       }
+      return event;
     };
 
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-    console.log('🌐 [SERVER] Making Google Calendar API call to update event...', {
+    console.log('🌐 [SERVER] Making calendar API call to update event...', {
       sessionId: sessionId.substring(0, 8) + '...',
-      calendarId: 'primary',
+      provider: req.calendar.name,
+      calendarId,
       eventId,
-      eventSummary: event.summary
+      scope,
+      eventSummary: title
     });
 
-    const response = await calendar.events.update({
-      calendarId: 'primary',
-      eventId: eventId,
-      resource: event,
-      sendUpdates: 'all'
+    const updatedEvent = await updateEventWithScope(req.calendar, {
+      calendarId,
+      eventId,
+      scope,
+      applyChanges
     });
 
-    console.log('✅ [SERVER] Google Calendar API event updated:', {
+    console.log('✅ [SERVER] Calendar event updated:', {
       sessionId: sessionId.substring(0, 8) + '...',
-      eventId: response.data.id,
-      eventSummary: response.data.summary,
-      htmlLink: response.data.htmlLink
+      eventId: updatedEvent.id,
+      eventSummary: updatedEvent.summary,
+      htmlLink: updatedEvent.htmlLink
     });
 
     res.json({
       success: true,
-      event: response.data
+      event: { ...updatedEvent, calendarId }
     });
 
   } catch (error) {
@@ -1725,48 +2172,78 @@ app.put('/api/calendar/events/:eventId', requireAuth, async (req, res) => {
       title,
       ip: req.ip
     });
+    if (error.code === 400) {
+      return res.status(400).json({ error: 'Failed to update calendar event', details: error.message });
+    }
     res.status(500).json({ error: 'Failed to update calendar event' });
   }
 });
 
+// Live calendar changes for the browser over SSE (EventSource can't send custom headers, so the
+// session id is a query parameter). `live` tells the client whether Google push notifications
+// feed this stream; without them it keeps polling.
+app.get('/api/calendar/stream', async (req, res) => {
+  const { sessionId } = req.query;
+  const session = sessionId ? await sessions.get(sessionId) : null;
+  if (!session) {
+    // A non-stream response stops EventSource from reconnecting
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control, x-session-id, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  });
+  calendarPush.subscribe(sessionId, res, { type: 'ready', live: calendarWatches.isActive(sessionId) });
+
+  console.log('📡 [SERVER] Calendar change stream opened:', {
+    sessionId: sessionId.substring(0, 8) + '...',
+    live: calendarWatches.isActive(sessionId)
+  });
+});
+
 // Google Calendar webhook endpoint for real-time notifications
 app.post('/api/calendar/webhook/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
 
+  // Only log non-secret notification headers; X-Goog-Channel-Token authenticates the request
   console.log('🔄 [SERVER] Received Google Calendar webhook:', {
     sessionId: sessionId.substring(0, 8) + '...',
-    headers: req.headers,
-    body: req.body,
+    channelId: req.get('X-Goog-Channel-ID'),
+    resourceState: req.get('X-Goog-Resource-State'),
+    messageNumber: req.get('X-Goog-Message-Number'),
     ip: req.ip
   });
 
   try {
-    // Verify this is a valid Google Calendar webhook
-    const subscription = watchSubscriptions.get(sessionId);
-    if (!subscription) {
-      console.log('⚠️ [SERVER] No active subscription found for webhook:', sessionId.substring(0, 8) + '...');
-      return res.status(404).json({ error: 'Subscription not found' });
+    // Verify the notification comes from the channel registered for this session
+    const verification = calendarWatches.verifyNotification(sessionId, req.headers);
+    if (!verification.valid) {
+      console.log('⚠️ [SERVER] Rejected Google Calendar webhook:', {
+        sessionId: sessionId.substring(0, 8) + '...',
+        reason: verification.reason
+      });
+      return res.status(verification.status).json({ error: verification.reason });
     }
 
-    // Handle different types of notifications
-    const { state, resourceId, resourceUri } = req.body;
+    // Always respond with 200 to acknowledge receipt; the sync runs afterwards
+    res.status(200).json({ received: true });
 
-    if (state === 'exists') {
-      // Calendar events have changed, notify connected clients
-      console.log('📅 [SERVER] Calendar events changed, notifying clients:', {
+    // 'sync' only confirms a new channel; the others report changes
+    if (verification.state !== 'sync') {
+      // Calendar events have changed, push them to connected clients
+      console.log('📅 [SERVER] Calendar events changed, syncing:', {
         sessionId: sessionId.substring(0, 8) + '...',
-        resourceId,
-        resourceUri
+        resourceId: req.get('X-Goog-Resource-ID')
       });
-
-      // Here you would typically send a WebSocket message to connected clients
-      // For now, we'll just log the change
-      console.log('🔄 [SERVER] Calendar events updated, clients should refresh');
+      pushCalendarChanges(sessionId, verification.calendarId);
     }
 
-    // Always respond with 200 to acknowledge receipt
-    res.status(200).json({ received: true });
-
   } catch (error) {
     console.error('❌ [SERVER] Webhook processing error:', {
       sessionId: sessionId.substring(0, 8) + '...',
@@ -1780,11 +2257,13 @@ app.post('/api/calendar/webhook/:sessionId', async (req, res) => {
 app.delete('/api/calendar/events/:eventId', requireAuth, calendarEventLimiter, async (req, res) => {
   const { eventId } = req.params;
   const sessionId = req.headers['x-session-id'];
-  const { confirmed } = req.query; // Check if user confirmed the deletion
+  const { confirmed, scope = 'instance', calendarId = DEFAULT_CALENDAR_ID } = req.query; // Check if user confirmed the deletion
 
   console.log('🔄 [SERVER] Deleting calendar event:', {
     sessionId: sessionId.substring(0, 8) + '...',
     eventId,
+    calendarId,
+    scope,
     confirmed: confirmed === 'true',
     ip: req.ip
   });
@@ -1801,11 +2280,10 @@ app.delete('/api/calendar/events/:eventId', requireAuth, calendarEventLimiter, a
     // Enforce rate limiting before making API call
     await enforceCalendarRateLimit(sessionId, 'delete');
 
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-    console.log('🌐 [SERVER] Making Google Calendar API call to delete event...', {
+    console.log('🌐 [SERVER] Making calendar API call to delete event...', {
       sessionId: sessionId.substring(0, 8) + '...',
-      calendarId: 'primary',
+      provider: req.calendar.name,
+      calendarId,
       eventId
     });
 
@@ -1814,12 +2292,13 @@ app.delete('/api/calendar/events/:eventId', requireAuth, calendarEventLimiter, a
     const maxRetries = 5; // Increased retries
     const baseDelay = 2000; // 2 seconds base delay
 
+    let result;
     while (retryCount <= maxRetries) {
       try {
-        await calendar.events.delete({
-          calendarId: 'primary',
+        result = await deleteEventWithScope(req.calendar, {
+          calendarId,
           eventId: eventId,
-          sendUpdates: 'all'
+          scope
         });
         break; // Success, exit retry loop
       } catch (error) {
@@ -1835,14 +2314,20 @@ app.delete('/api/calendar/events/:eventId', requireAuth, calendarEventLimiter, a
       }
     }
 
-    console.log('✅ [SERVER] Google Calendar API event deleted:', {
+    console.log('✅ [SERVER] Calendar event deleted:', {
       sessionId: sessionId.substring(0, 8) + '...',
-      eventId
+      eventId,
+      deleted: result.deleted
     });
 
     res.json({
       success: true,
-      message: 'Event deleted successfully'
+      deleted: result.deleted,
+      message: result.deleted === 'event' || result.deleted === 'instance'
+        ? 'Event deleted successfully'
+        : result.deleted === 'following'
+          ? 'This and following events deleted successfully'
+          : 'All events in the series deleted successfully'
     });
 
   } catch (error) {
@@ -1874,6 +2359,9 @@ app.delete('/api/calendar/events/:eventId', requireAuth, calendarEventLimiter, a
     } else if (error.code === 429) {
       errorMessage = 'Rate limit exceeded - please try again later';
       statusCode = 429;
+    } else if (error.code === 400) {
+      errorMessage = error.message;
+      statusCode = 400;
     }
 
     res.status(statusCode).json({
@@ -1884,24 +2372,180 @@ app.delete('/api/calendar/events/:eventId', requireAuth, calendarEventLimiter, a
   }
 });
 
+// Confirmation policy of the session, with the tools it can cover and ready-made rules
+app.get('/api/ai/confirmation-policy', requireAuth, (req, res) => {
+  res.json({
+    rules: req.session.confirmationPolicy?.rules || [],
+    tools: Object.entries(toolHandlers)
+      .filter(([name, def]) => EVENT_TOOLS.includes(name) || def.requiresConfirmation)
+      .map(([name, def]) => ({ name, requiresConfirmation: !!def.requiresConfirmation })),
+    conditions: POLICY_CONDITIONS,
+    presets: POLICY_PRESETS
+  });
+});
+
+// Replace the session's confirmation policy rules
+app.put('/api/ai/confirmation-policy', requireAuth, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+  const validation = validatePolicyRules(req.body?.rules, toolHandlers);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    await sessions.update(sessionId, (session) => {
+      session.confirmationPolicy = { rules: validation.rules };
+    });
+    console.log('✅ [SERVER] Confirmation policy updated:', {
+      sessionId: sessionId.substring(0, 8) + '...',
+      rules: validation.rules.map(rule => `${rule.effect}: ${rule.name}`)
+    });
+    res.json({ success: true, rules: validation.rules });
+  } catch (error) {
+    console.error('❌ [SERVER] Error updating confirmation policy:', {
+      error: error.message,
+      sessionId: sessionId.substring(0, 8) + '...',
+      ip: req.ip
+    });
+    res.status(500).json({ error: 'Failed to update confirmation policy' });
+  }
+});
+
+// Whether the assistant plans changes for review instead of making them (the session default)
+app.get('/api/ai/plan-mode', requireAuth, (req, res) => {
+  res.json({ enabled: !!req.session.planOnly });
+});
+
+app.put('/api/ai/plan-mode', requireAuth, async (req, res) => {
+  const { enabled } = req.body || {};
+  const sessionId = req.headers['x-session-id'];
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
+
+  try {
+    await sessions.update(sessionId, (session) => {
+      session.planOnly = enabled;
+    });
+    console.log('✅ [SERVER] Plan mode updated:', { sessionId: sessionId.substring(0, 8) + '...', enabled });
+    res.json({ success: true, enabled });
+  } catch (error) {
+    console.error('❌ [SERVER] Error updating plan mode:', {
+      error: error.message,
+      sessionId: sessionId.substring(0, 8) + '...',
+      ip: req.ip
+    });
+    res.status(500).json({ error: 'Failed to update plan mode' });
+  }
+});
+
+// Make the changes of a plan. They are journaled as one group, so the whole plan can be undone;
+// events changed since the plan was made are left alone and reported as conflicts.
+app.post('/api/ai/plans/:planId/apply', requireAuth, calendarEventLimiter, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+  const { planId } = req.params;
+
+  try {
+    const plan = await plans.take(sessionId, planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'No plan found' });
+    }
+
+    const journalContext = { groupId: planId, source: 'ai' };
+    const calendar = withOperationJournal(getCalendarProvider(req.session, req.oauthClient), operationJournal, sessionId, journalContext);
+    const { applied, conflicts } = await applyPlan(calendar, plan);
+
+    // Let the assistant know the plan it proposed was carried out
+    await appendConversationHistory(sessionId, [
+      { role: 'user', content: 'Apply the plan', timestamp: new Date() },
+      {
+        role: 'model',
+        content: `The plan was applied: ${applied.length} change(s) made${conflicts.length > 0 ? `, ${conflicts.length} skipped because the events changed in the meantime` : ''}.`,
+        timestamp: new Date()
+      }
+    ]);
+
+    console.log('✅ [SERVER] Plan applied:', {
+      sessionId: sessionId.substring(0, 8) + '...',
+      planId,
+      applied: applied.length,
+      conflicts: conflicts.length
+    });
+    res.json({
+      success: conflicts.length === 0,
+      planId,
+      applied,
+      conflicts,
+      operationGroupId: journalContext.changes > 0 ? journalContext.groupId : null
+    });
+  } catch (error) {
+    console.error('❌ [SERVER] Error applying plan:', {
+      error: error.message,
+      status: error.code,
+      planId,
+      sessionId: sessionId.substring(0, 8) + '...'
+    });
+    res.status(500).json({ error: 'Failed to apply plan' });
+  }
+});
+
+// Discard a plan without making its changes
+app.delete('/api/ai/plans/:planId', requireAuth, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+  const plan = await plans.take(sessionId, req.params.planId);
+  if (!plan) {
+    return res.status(404).json({ error: 'No plan found' });
+  }
+  console.log('🗑️ [SERVER] Plan discarded:', { sessionId: sessionId.substring(0, 8) + '...', planId: plan.id });
+  res.json({ success: true, planId: plan.id });
+});
+
+// Calendar changes of the session (AI tools and API edits), grouped by request, newest first
+app.get('/api/calendar/operations', requireAuth, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+  res.json({ operations: await operationJournal.listGroups(sessionId) });
+});
+
+// Undo the calendar changes of one request (an assistant reply, a confirmed batch or an API edit).
+// Events changed again since are left alone and reported as conflicts.
+app.post('/api/calendar/operations/:groupId/undo', requireAuth, calendarEventLimiter, async (req, res) => {
+  const sessionId = req.headers['x-session-id'];
+  const { groupId } = req.params;
+
+  try {
+    // The undo itself is not journaled
+    const calendar = getCalendarProvider(req.session, req.oauthClient);
+    const { undone, conflicts } = await operationJournal.undoGroup(sessionId, calendar, groupId);
+    res.json({ success: conflicts.length === 0, groupId, undone, conflicts });
+  } catch (error) {
+    console.error('❌ [SERVER] Error undoing calendar changes:', {
+      error: error.message,
+      status: error.code,
+      groupId,
+      sessionId: sessionId.substring(0, 8) + '...'
+    });
+    const statusCode = error.code === 404 ? 404 : 500;
+    res.status(statusCode).json({ error: statusCode === 404 ? error.message : 'Failed to undo calendar changes' });
+  }
+});
+
 // Debug endpoint to clear conversation history for the current session
 app.post('/api/debug/clear-history', requireAuth, async (req, res) => {
   const sessionId = req.headers['x-session-id'];
-  if (!sessionId || !sessions.has(sessionId)) {
+  const session = sessionId ? await sessions.get(sessionId) : null;
+  if (!session) {
     return res.status(401).json({ success: false, error: 'No valid session found' });
   }
-  const session = sessions.get(sessionId);
   console.log('💾 [SERVER] Clearing conversation history for sessionId: ', sessionId, 'conversationHistory: ', session.conversationHistory);
-  session.conversationHistory = [];
-  sessions.set(sessionId, session);
-  await saveSessions();
+  await saveConversationHistory(sessionId, []);
   console.log('💾 [SERVER] Conversation history cleared');
   res.json({ success: true, message: 'Conversation history cleared' });
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+  console.error('Server error:', redactTokens(error));
   res.status(500).json({ error: 'Internal server error' });
 });
 
@@ -1915,8 +2559,9 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 [SERVER] VibeCalendar API server running on port ${PORT}`);
   console.log(`📊 [SERVER] Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 [SERVER] Client URL: ${process.env.CLIENT_URL || 'http://localhost:30001'}`);
-  console.log(`🤖 [SERVER] AI Provider: Google Gemini`);
-  console.log(`📅 [SERVER] Calendar Provider: Google Calendar`);
+  console.log(`🔔 [SERVER] Webhook base URL: ${getWebhookBaseUrl() || 'not set (push notifications disabled)'}`);
+  console.log(`🤖 [SERVER] AI Provider: ${getLLMProvider()?.label || DEFAULT_LLM_PROVIDER}`);
+  console.log(`📅 [SERVER] Calendar Provider: ${DEFAULT_CALENDAR_PROVIDER}`);
 }).on('error', (error) => {
   if (error.code === 'EADDRINUSE') {
     console.error(`❌ [SERVER] Port ${PORT} is already in use. Please try one of the following:`);
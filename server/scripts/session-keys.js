@@ -0,0 +1,76 @@
+// Session encryption key maintenance. Stop the server first when using the file session store,
+// since both processes would rewrite the same sessions file.
+//
+//   node scripts/session-keys.js reencrypt   Re-encrypt every session's tokens with the current key
+//   node scripts/session-keys.js rotate      Add a new key to the key file and re-encrypt with it
+//                                            (older keys stay in the file; a running server reloads
+//                                            the file when it reads tokens encrypted with the new key)
+//   node scripts/session-keys.js prune       Re-encrypt, then drop all but the current key from the key file
+//
+// With SESSION_ENCRYPTION_KEY in the environment, rotate by moving the old key to
+// SESSION_ENCRYPTION_PREVIOUS_KEYS, setting a new SESSION_ENCRYPTION_KEY and running `reencrypt`;
+// servers keep the keys they started with, so restart them with the new environment too.
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const { initSessions, closeSessions } = require('../utils/session');
+const { DEFAULT_KEY_FILE, generateKey, readKeyFile, writeKeyFile } = require('../utils/tokenEncryption');
+
+const keyFile = process.env.SESSION_ENCRYPTION_KEY_FILE || DEFAULT_KEY_FILE;
+
+const requireKeyFile = (command) => {
+  if (process.env.SESSION_ENCRYPTION_KEY) {
+    throw new Error(`"${command}" manages the key file; with SESSION_ENCRYPTION_KEY set, change the environment and run "reencrypt"`);
+  }
+};
+
+async function reencryptSessions() {
+  const sessions = await initSessions();
+  const ids = await sessions.ids();
+  let reencrypted = 0;
+  let failed = 0;
+  for (const id of ids) {
+    try {
+      // Reading decrypts with whichever key wrote the tokens, writing encrypts with the current key
+      await sessions.update(id, session => session);
+      reencrypted++;
+    } catch (error) {
+      console.error('❌ [SESSIONS] Could not re-encrypt session:', id.substring(0, 8) + '...', error.message);
+      failed++;
+    }
+  }
+  await closeSessions();
+  console.log(`🔑 [SESSIONS] Re-encrypted ${reencrypted} sessions${failed ? `, ${failed} failed` : ''}`);
+  return failed;
+}
+
+async function main(command) {
+  switch (command) {
+    case 'reencrypt':
+      return reencryptSessions();
+    case 'rotate': {
+      requireKeyFile(command);
+      writeKeyFile(keyFile, [generateKey(), ...readKeyFile(keyFile)]);
+      console.log(`🔑 [SESSIONS] Added a new current key to ${keyFile}`);
+      return reencryptSessions();
+    }
+    case 'prune': {
+      requireKeyFile(command);
+      const failed = await reencryptSessions();
+      if (failed > 0) {
+        throw new Error('Some sessions still need older keys; the key file was not pruned');
+      }
+      const [currentKey] = readKeyFile(keyFile);
+      writeKeyFile(keyFile, [currentKey]);
+      console.log(`🔑 [SESSIONS] Removed older keys from ${keyFile}`);
+      return 0;
+    }
+    default:
+      throw new Error('Usage: node scripts/session-keys.js <reencrypt|rotate|prune>');
+  }
+}
+
+main(process.argv[2])
+  .then(failed => process.exit(failed ? 1 : 0))
+  .catch((error) => {
+    console.error('❌ [SESSIONS]', error.message);
+    process.exit(1);
+  });
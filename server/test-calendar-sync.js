@@ -0,0 +1,104 @@
+// Tests for incremental calendar sync: changes since a sync token become push messages, and a
+// missing, invalid or expired token (410 Gone) falls back to a full sync and a browser reload.
+// Runs offline against a scripted events listing: node test-calendar-sync.js
+const assert = require('assert');
+const { syncCalendarChanges } = require('./utils/calendarSync');
+
+const providerError = (message, code) => Object.assign(new Error(message), { code });
+
+// Events listing shaped like calendar.list: pages of changes per sync token, full listings
+// (no token) in pages of two; tokens in `expiredTokens` are rejected like Google does
+const createCalendar = ({ events = [], changes = {}, expiredTokens = [], failWith = null }) => {
+  const calls = [];
+  return {
+    calls,
+    list: async (params) => {
+      calls.push(params);
+      if (failWith) throw failWith;
+      if (params.syncToken) {
+        if (expiredTokens.includes(params.syncToken)) {
+          throw providerError('Sync token is no longer valid, a full sync is required.', 410);
+        }
+        return { items: changes[params.syncToken] || [], nextSyncToken: `${params.syncToken}-next` };
+      }
+      const offset = Number(params.pageToken || 0);
+      const page = events.slice(offset, offset + 2);
+      return offset + 2 < events.length
+        ? { items: page, nextPageToken: String(offset + 2) }
+        : { items: page, nextSyncToken: 'full-sync-token' };
+    }
+  };
+};
+
+const event = (id, extra = {}) => ({ id, summary: `Event ${id}`, status: 'confirmed', ...extra });
+
+async function testCalendarSync() {
+  console.log('🧪 Testing calendar sync...');
+
+  try {
+    // Test 1: changes since the token become messages
+    console.log('\n📝 Test 1: Incremental changes...');
+    const calendar = createCalendar({ changes: { t1: [event('a'), event('b', { status: 'cancelled' })] } });
+    const result = await syncCalendarChanges(calendar, { calendarId: 'team', syncToken: 't1' });
+    assert.deepStrictEqual(result, {
+      messages: [
+        { type: 'event-changed', event: { ...event('a'), calendarId: 'team' } },
+        { type: 'event-deleted', eventId: 'b', calendarId: 'team' }
+      ],
+      nextSyncToken: 't1-next'
+    });
+    assert.deepStrictEqual(calendar.calls, [{ calendarId: 'team', syncToken: 't1', maxResults: 250, pageToken: undefined }]);
+    console.log('✅ Changed and deleted events pushed with the next token');
+
+    // Test 2: an expired or invalid token falls back to a full sync
+    console.log('\n📝 Test 2: Expired sync token...');
+    const events = [event('a'), event('b'), event('c'), event('d'), event('e')];
+    const expired = createCalendar({ events, expiredTokens: ['stale'] });
+    const resynced = await syncCalendarChanges(expired, { calendarId: 'primary', syncToken: 'stale' });
+    assert.deepStrictEqual(resynced, { messages: [{ type: 'resync', calendarId: 'primary' }], nextSyncToken: 'full-sync-token' });
+    assert.strictEqual(expired.calls[0].syncToken, 'stale');
+    // The full listing pages through every event without a sync token and takes the last page's token
+    assert.deepStrictEqual(expired.calls.slice(1).map(call => [call.syncToken, call.pageToken]), [[undefined, undefined], [undefined, '2'], [undefined, '4']]);
+    // The new token works for the next sync
+    const next = await syncCalendarChanges(createCalendar({ changes: { 'full-sync-token': [event('f')] } }), {
+      calendarId: 'primary',
+      syncToken: resynced.nextSyncToken
+    });
+    assert.deepStrictEqual(next.messages.map(message => message.type), ['event-changed']);
+    console.log('✅ Full sync done, browser asked to reload');
+
+    // Test 3: no token yet
+    console.log('\n📝 Test 3: First sync...');
+    const first = createCalendar({ events: [event('a')] });
+    assert.deepStrictEqual(await syncCalendarChanges(first, { calendarId: 'primary' }), {
+      messages: [{ type: 'resync', calendarId: 'primary' }],
+      nextSyncToken: 'full-sync-token'
+    });
+    assert.strictEqual(first.calls.length, 1);
+    console.log('✅ Token taken without pushing events');
+
+    // Test 4: changed series and large batches reload instead
+    console.log('\n📝 Test 4: Reloads...');
+    const series = createCalendar({ changes: { t1: [event('a'), event('standup', { recurrence: ['RRULE:FREQ=DAILY'] })] } });
+    assert.deepStrictEqual((await syncCalendarChanges(series, { calendarId: 'primary', syncToken: 't1' })).messages, [{ type: 'resync', calendarId: 'primary' }]);
+    const many = createCalendar({ changes: { t1: Array.from({ length: 51 }, (_, index) => event(`e${index}`)) } });
+    const batch = await syncCalendarChanges(many, { calendarId: 'primary', syncToken: 't1' });
+    assert.deepStrictEqual(batch, { messages: [{ type: 'resync', calendarId: 'primary' }], nextSyncToken: 't1-next' });
+    console.log('✅ Series changes and more than 50 changes reload');
+
+    // Test 5: other errors are not mistaken for an expired token
+    console.log('\n📝 Test 5: Other errors...');
+    const limited = createCalendar({ failWith: providerError('Rate Limit Exceeded', 429) });
+    await assert.rejects(syncCalendarChanges(limited, { calendarId: 'primary', syncToken: 't1' }), error => error.code === 429);
+    assert.strictEqual(limited.calls.length, 1);
+    console.log('✅ Rate limits thrown without a full sync');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testCalendarSync();
@@ -0,0 +1,108 @@
+// Tests for confirmation policies: which AI tool calls wait for the user's confirmation under the
+// session's rules, the tools' own defaults and the number of events a message changes.
+// Runs offline: node test-confirmation-policy.js
+const assert = require('assert');
+const { POLICY_PRESETS, validatePolicyRules, evaluateConfirmationPolicy } = require('./utils/confirmationPolicy');
+const { toolHandlers } = require('./utils/tools');
+
+const OWNER = 'me@example.com';
+
+// Stored events by id: one of mine without guests, one with an outside guest, one I was invited to
+// and a recurring series
+const EVENTS = {
+  solo: { id: 'solo', summary: 'Focus', organizer: { email: OWNER, self: true } },
+  external: { id: 'external', summary: 'Vendor call', organizer: { email: OWNER, self: true }, attendees: [{ email: 'sam@vendor.com' }] },
+  invited: { id: 'invited', summary: 'All hands', organizer: { email: 'ceo@example.com' }, attendees: [{ email: OWNER, self: true }, { email: 'ceo@example.com' }] },
+  series: { id: 'series', summary: 'Standup', organizer: { email: OWNER, self: true }, recurrence: ['RRULE:FREQ=DAILY'] }
+};
+
+const rulesFrom = (rules) => {
+  const validation = validatePolicyRules(rules, toolHandlers);
+  assert.strictEqual(validation.valid, true, validation.error);
+  return validation.rules;
+};
+
+// Reasons per tool call (null when it runs without asking)
+const evaluate = async (rules, tools, eventsChangedBefore = 0) =>
+  (await evaluateConfirmationPolicy({
+    rules,
+    tools,
+    toolHandlers,
+    eventsChangedBefore,
+    loadEvent: async ({ eventId }) => EVENTS[eventId] || null,
+    loadOwnerEmail: async () => OWNER
+  })).map(decision => (decision.requiresConfirmation ? decision.reason : null));
+
+const update = (eventId, scope) => ({ tool: 'update_event', parameters: { eventId, ...(scope && { scope }), event: { title: 'New title' } } });
+const remove = (eventId, scope) => ({ tool: 'delete_event', parameters: { eventId, ...(scope && { scope }) } });
+const create = (title, extra = {}) => ({ tool: 'create_event', parameters: { event: { title, startTime: '2026-10-20T09:00:00Z', endTime: '2026-10-20T10:00:00Z', ...extra } } });
+
+async function testConfirmationPolicy() {
+  console.log('🧪 Testing confirmation policies...');
+
+  try {
+    // Test 1: without rules each tool keeps its default
+    console.log('\n📝 Test 1: Tool defaults...');
+    assert.deepStrictEqual(await evaluate([], [create('Lunch'), update('solo'), remove('solo')]), [null, 'Default for this tool', 'Default for this tool']);
+    console.log('✅ Creates run, updates and deletes ask');
+
+    // Test 2: ownedByMe and noGuests
+    console.log('\n📝 Test 2: Owned events without guests...');
+    const autoDeletes = rulesFrom([POLICY_PRESETS[1]]);
+    assert.deepStrictEqual(
+      await evaluate(autoDeletes, [remove('solo'), remove('external'), remove('invited'), remove('missing')]),
+      [null, 'Default for this tool', 'Default for this tool', 'Default for this tool']
+    );
+    const notMine = rulesFrom([{ name: 'Confirm changes to invitations', effect: 'confirm', tools: ['update_event'], when: { ownedByMe: false } }]);
+    assert.deepStrictEqual(await evaluate(notMine, [update('invited'), update('solo')]), ['Confirm changes to invitations', 'Default for this tool']);
+    console.log('✅ Only my own events without guests are auto-approved');
+
+    // Test 3: a matching confirm rule wins over a matching auto rule
+    console.log('\n📝 Test 3: Confirm wins over auto...');
+    const conflicting = rulesFrom([
+      { name: 'Auto-approve all updates', effect: 'auto', tools: ['update_event'], when: {} },
+      POLICY_PRESETS[0]
+    ]);
+    assert.deepStrictEqual(await evaluate(conflicting, [update('solo'), update('external')]), [null, 'Always confirm events with external attendees']);
+    const confirmCreates = rulesFrom([POLICY_PRESETS[4], { name: 'Auto-approve creates', effect: 'auto', tools: ['create_event'], when: {} }]);
+    assert.deepStrictEqual(await evaluate(confirmCreates, [create('Lunch')]), ['Always confirm new events']);
+    // Guests a call adds count as well
+    assert.deepStrictEqual(
+      await evaluate(rulesFrom([POLICY_PRESETS[0]]), [create('Review', { attendees: ['ana@example.com'] }), create('Demo', { attendees: ['bob@client.org'] })]),
+      [null, 'Always confirm events with external attendees']
+    );
+    console.log('✅ Asking first wins');
+
+    // Test 4: eventCountAbove counts events, not calls
+    console.log('\n📝 Test 4: Events changed by a message...');
+    const moreThanThree = rulesFrom([POLICY_PRESETS[3]]);
+    const reason = 'Confirm anything touching more than 3 events';
+    assert.deepStrictEqual(await evaluate(moreThanThree, [create('A'), create('B'), create('C')]), [null, null, null]);
+    assert.deepStrictEqual(await evaluate(moreThanThree, [create('A'), create('B'), create('C'), create('D')]), [reason, reason, reason, reason]);
+    // A whole series, or its following occurrences, counts as more than any number
+    assert.deepStrictEqual(await evaluate(moreThanThree, [remove('series', 'all')]), [reason]);
+    assert.deepStrictEqual(await evaluate(moreThanThree, [update('series', 'following')]), [reason]);
+    assert.deepStrictEqual(await evaluate(moreThanThree, [remove('series', 'instance')]), ['Default for this tool']);
+    assert.deepStrictEqual(await evaluate(moreThanThree, [remove('solo', 'all')]), ['Default for this tool']);
+    assert.deepStrictEqual(await evaluate(moreThanThree, [create('Gym', { recurrence: ['RRULE:FREQ=WEEKLY'] })]), [reason]);
+    // Changes made in earlier turns for the same message count too
+    assert.deepStrictEqual(await evaluate(moreThanThree, [create('D')], 2), [null]);
+    assert.deepStrictEqual(await evaluate(moreThanThree, [create('D')], 3), [reason]);
+    console.log('✅ Series and earlier turns counted');
+
+    // Test 5: invalid rules are rejected
+    console.log('\n📝 Test 5: Rule validation...');
+    assert.match(validatePolicyRules([{ name: 'X', effect: 'maybe', tools: ['create_event'] }], toolHandlers).error, /effect must be one of/);
+    assert.match(validatePolicyRules([{ name: 'X', effect: 'auto', tools: ['make_coffee'] }], toolHandlers).error, /unknown tool/);
+    assert.match(validatePolicyRules([{ name: 'X', effect: 'auto', tools: ['create_event'], when: { eventCountAbove: -1 } }], toolHandlers).error, /whole number/);
+    console.log('✅ Bad effects, tools and conditions rejected');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testConfirmationPolicy();
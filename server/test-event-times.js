@@ -0,0 +1,110 @@
+// Tests for event start/end resources: all-day dates and the times of partial event updates.
+// Runs offline: node test-event-times.js
+const assert = require('assert');
+const { buildEventTimes, resolveEventTimes } = require('./utils/eventTimes');
+
+const timedEvent = {
+  id: 'evt1',
+  summary: 'Review',
+  start: { dateTime: '2026-10-19T15:00:00-04:00', timeZone: 'America/New_York' },
+  end: { dateTime: '2026-10-19T16:30:00-04:00', timeZone: 'America/New_York' }
+};
+const allDayEvent = {
+  id: 'evt2',
+  summary: 'Vacation',
+  start: { date: '2026-10-19' },
+  end: { date: '2026-10-24' }
+};
+
+function testEventTimes() {
+  console.log('🧪 Testing event times...');
+
+  try {
+    // Test 1: all-day events end the day after their last day
+    console.log('\n📝 Test 1: All-day events...');
+    assert.deepStrictEqual(
+      buildEventTimes({ startTime: '2026-10-19', endTime: '2026-10-23' }),
+      { start: { date: '2026-10-19' }, end: { date: '2026-10-24' } }
+    );
+    assert.throws(() => buildEventTimes({ startTime: '2026-10-19', endTime: '2026-10-18', allDay: true }), /before its start date/);
+    console.log('✅ All-day end dates are exclusive');
+
+    // Test 2: both bounds replace the times, keeping the event's timezone
+    console.log('\n📝 Test 2: Updating both times...');
+    assert.strictEqual(resolveEventTimes(timedEvent, {}), null);
+    assert.deepStrictEqual(
+      resolveEventTimes(timedEvent, { startTime: '2026-10-20T09:00:00-04:00', endTime: '2026-10-20T10:00:00-04:00' }),
+      {
+        start: { dateTime: '2026-10-20T09:00:00-04:00', timeZone: 'America/New_York' },
+        end: { dateTime: '2026-10-20T10:00:00-04:00', timeZone: 'America/New_York' }
+      }
+    );
+    assert.throws(
+      () => resolveEventTimes(null, { startTime: '2026-10-20T10:00:00Z', endTime: '2026-10-20T09:00:00Z' }),
+      (error) => error.code === 400 && /End time must be after start time/.test(error.message)
+    );
+    console.log('✅ Both times applied');
+
+    // Test 3: one bound is completed from the existing event
+    console.log('\n📝 Test 3: Updating only the start or the end...');
+    assert.deepStrictEqual(
+      resolveEventTimes(timedEvent, { startTime: '2026-10-19T17:00:00-04:00' }),
+      {
+        start: { dateTime: '2026-10-19T17:00:00-04:00', timeZone: 'America/New_York' },
+        end: { dateTime: '2026-10-19T18:30:00-04:00', timeZone: 'America/New_York' }
+      }
+    );
+    assert.deepStrictEqual(
+      resolveEventTimes(timedEvent, { endTime: '2026-10-19T17:00:00-04:00' }).start,
+      timedEvent.start
+    );
+    assert.throws(
+      () => resolveEventTimes(timedEvent, { endTime: '2026-10-19T14:00:00-04:00' }),
+      (error) => error.code === 400 && /End time must be after start time/.test(error.message)
+    );
+    assert.deepStrictEqual(
+      resolveEventTimes(allDayEvent, { startTime: '2026-10-26' }),
+      { start: { date: '2026-10-26' }, end: { date: '2026-10-31' } }
+    );
+    assert.deepStrictEqual(
+      resolveEventTimes(allDayEvent, { endTime: '2026-10-20' }),
+      { start: { date: '2026-10-19' }, end: { date: '2026-10-21' } }
+    );
+    assert.throws(
+      () => resolveEventTimes(timedEvent, { endTime: '2026-10-20', allDay: true }),
+      /startTime and endTime must be sent together/
+    );
+    console.log('✅ Start keeps the duration, end keeps the start');
+
+    // Test 4: times without an offset are wall-clock times in the event's timezone
+    console.log('\n📝 Test 4: Timezones...');
+    const localEvent = {
+      start: { dateTime: '2026-10-19T15:00:00', timeZone: 'America/New_York' },
+      end: { dateTime: '2026-10-19T16:00:00', timeZone: 'America/New_York' }
+    };
+    assert.deepStrictEqual(
+      resolveEventTimes(localEvent, { startTime: '2026-10-19T16:00:00' }),
+      {
+        start: { dateTime: '2026-10-19T16:00:00', timeZone: 'America/New_York' },
+        end: { dateTime: '2026-10-19T17:00:00-04:00', timeZone: 'America/New_York' }
+      }
+    );
+    assert.strictEqual(
+      resolveEventTimes(localEvent, { startTime: '2026-10-19T16:00:00', endTime: '2026-10-19T17:00:00', defaultTimezone: 'Europe/Paris' }).start.timeZone,
+      'America/New_York'
+    );
+    assert.deepStrictEqual(
+      resolveEventTimes(allDayEvent, { startTime: '2026-10-19T09:00:00', endTime: '2026-10-19T10:00:00', allDay: false, defaultTimezone: 'Europe/Paris' }).start,
+      { dateTime: '2026-10-19T09:00:00', timeZone: 'Europe/Paris' }
+    );
+    console.log('✅ Events keep their timezone, others get the user\'s');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testEventTimes();
@@ -0,0 +1,129 @@
+// Tests for the free slot search: slots next to busy times and buffers, working hours in the
+// user's timezone clipped to the searched range, and all-day events blocking their whole day.
+// Runs offline against the local calendar provider: node test-free-slots.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalCalendarProvider } = require('./utils/calendarProvider');
+const { mergeIntervals, subtractIntervals, findFreeSlots } = require('./utils/freeSlots');
+const { toolHandlers } = require('./utils/tools');
+
+const at = (time) => new Date(`2026-10-19T${time}:00Z`).getTime();
+const times = (slots) => slots.map(slot => `${slot.start.slice(11, 16)}-${slot.end.slice(11, 16)}`);
+const overlaps = (slot, busy) => new Date(slot.start) < new Date(busy.end) && new Date(slot.end) > new Date(busy.start);
+
+async function testFreeSlots() {
+  console.log('🧪 Testing free slot search...');
+
+  const filePath = path.join(os.tmpdir(), `free-slots-test-${process.pid}.json`);
+  const calendar = createLocalCalendarProvider({ filePath });
+
+  // Monday 2026-10-19, working 09:00-18:00 UTC
+  const search = (options = {}) => findFreeSlots({
+    rangeStart: '2026-10-19T00:00:00Z',
+    rangeEnd: '2026-10-20T00:00:00Z',
+    durationMinutes: 60,
+    maxResults: 20,
+    ...options
+  });
+  const busy = [
+    { start: '2026-10-19T10:00:00Z', end: '2026-10-19T11:00:00Z' },
+    { start: '2026-10-19T11:00:00Z', end: '2026-10-19T12:00:00Z' },
+    { start: '2026-10-19T14:00:00Z', end: '2026-10-19T14:30:00Z' }
+  ];
+
+  try {
+    // Test 1: busy intervals are merged and cut out of the working day
+    console.log('\n📝 Test 1: Interval helpers...');
+    const merged = mergeIntervals([
+      { start: at('11:00'), end: at('12:00') },
+      { start: at('10:00'), end: at('11:00') },
+      { start: at('10:30'), end: at('10:45') },
+      { start: at('14:00'), end: at('14:30') }
+    ]);
+    assert.deepStrictEqual(merged, [{ start: at('10:00'), end: at('12:00') }, { start: at('14:00'), end: at('14:30') }]);
+    assert.deepStrictEqual(subtractIntervals({ start: at('09:00'), end: at('18:00') }, merged), [
+      { start: at('09:00'), end: at('10:00') },
+      { start: at('12:00'), end: at('14:00') },
+      { start: at('14:30'), end: at('18:00') }
+    ]);
+    console.log('✅ Touching and nested intervals merged');
+
+    // Test 2: slots may touch busy times but never overlap them
+    console.log('\n📝 Test 2: Slot boundaries...');
+    const slots = search({ busy });
+    assert.deepStrictEqual(times(slots), ['09:00-10:00', '12:00-13:00', '13:00-14:00', '14:30-15:30', '17:00-18:00', '15:30-16:30']);
+    assert.ok(slots.every(slot => !busy.some(interval => overlaps(slot, interval))));
+    assert.deepStrictEqual(slots[0].reasons, ['keeps remaining free time contiguous', 'starts on the half hour']);
+    assert.deepStrictEqual(slots.map(slot => slot.rank), [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual(times(search({ busy, maxResults: 2 })), ['09:00-10:00', '12:00-13:00']);
+    assert.deepStrictEqual(times(search({ busy, durationMinutes: 180 })), ['14:30-17:30']);
+    console.log('✅ Slots end at the start and start at the end of busy times');
+
+    // Test 3: buffers keep free time around busy times
+    console.log('\n📝 Test 3: Buffers...');
+    const buffered = search({ busy, bufferMinutes: 15 });
+    assert.ok(buffered.length > 0);
+    assert.ok(buffered.every(slot => !busy.some(interval => overlaps(slot, {
+      start: new Date(new Date(interval.start).getTime() - 15 * 60 * 1000),
+      end: new Date(new Date(interval.end).getTime() + 15 * 60 * 1000)
+    }))));
+    assert.ok(!times(buffered).includes('09:00-10:00'));
+    assert.ok(times(buffered).includes('12:15-13:15') && times(buffered).includes('14:45-15:45'));
+    console.log('✅ No slot within 15 minutes of a busy time');
+
+    // Test 4: working hours apply in the timezone and are clipped to the range
+    console.log('\n📝 Test 4: Working hours...');
+    const newYork = search({ timezone: 'America/New_York', workingHoursStart: { hours: 9, minutes: 0 }, workingHoursEnd: { hours: 12, minutes: 0 } });
+    assert.deepStrictEqual(times(newYork), ['13:00-14:00', '15:00-16:00', '14:00-15:00']);
+    assert.deepStrictEqual(newYork.map(slot => slot.localStart), ['2026-10-19 09:00', '2026-10-19 11:00', '2026-10-19 10:00']);
+    const lateStart = search({ rangeStart: '2026-10-19T15:10:00Z' });
+    assert.deepStrictEqual(times(lateStart), ['17:00-18:00', '15:10-16:10']);
+    const earlyEnd = search({ rangeEnd: '2026-10-19T10:40:00Z', durationMinutes: 90 });
+    assert.deepStrictEqual(times(earlyEnd), ['09:00-10:30']);
+    assert.deepStrictEqual(search({ rangeEnd: '2026-10-19T09:30:00Z' }), []);
+    console.log('✅ Only 09:00-12:00 New York time, never outside the range');
+
+    // Test 5: weekends are skipped unless asked for
+    console.log('\n📝 Test 5: Weekends...');
+    const weekend = { rangeStart: '2026-10-17T00:00:00Z', rangeEnd: '2026-10-19T00:00:00Z' };
+    assert.deepStrictEqual(search(weekend), []);
+    assert.deepStrictEqual([...new Set(search({ ...weekend, includeWeekends: true }).map(slot => slot.weekday))], ['Saturday', 'Sunday']);
+    console.log('✅ Saturday and Sunday only with includeWeekends');
+
+    // Test 6: all-day events block their whole day; those marked free do not
+    console.log('\n📝 Test 6: All-day events...');
+    await calendar.insert({ calendarId: 'primary', resource: { summary: 'Offsite', start: { date: '2026-10-20' }, end: { date: '2026-10-21' } } });
+    await calendar.insert({
+      calendarId: 'primary',
+      resource: { summary: 'Mom\'s birthday', start: { date: '2026-10-21' }, end: { date: '2026-10-22' }, transparency: 'transparent' }
+    });
+    const result = await toolHandlers.find_free_slots.handler({
+      startDate: '2026-10-20T00:00:00Z',
+      endDate: '2026-10-22T00:00:00Z',
+      durationMinutes: 60,
+      maxResults: 20
+    }, 'test-session', calendar);
+    assert.ok(result.count > 0);
+    assert.ok(result.slots.every(slot => slot.weekday === 'Wednesday'));
+    await assert.rejects(toolHandlers.find_free_slots.handler({
+      startDate: '2026-10-20T00:00:00Z',
+      endDate: '2026-10-22T00:00:00Z',
+      durationMinutes: 60,
+      workingHoursStart: '18:00',
+      workingHoursEnd: '09:00'
+    }, 'test-session', calendar), /workingHoursStart before workingHoursEnd/);
+    console.log('✅ The offsite day has no slots, the birthday does');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// Run the test
+testFreeSlots();
@@ -0,0 +1,257 @@
+// Tests for the LLM provider layer: the OpenAI-compatible provider (including streaming) against a local
+// stand-in for a chat completions server, the scripted mock provider, per-session provider selection,
+// and how the Gemini provider handles 400 errors on requests with function declarations.
+// Runs offline: node test-llm-providers.js
+const assert = require('assert');
+const http = require('http');
+
+// Fake chat completions server: records requests and answers with the queued completions.
+// A queued number answers with that HTTP status and a "tools are not supported" error instead, { status, message }
+// with that status and error message, and { stream: [...] } with those chunks as server-sent events.
+function startFakeChatServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const next = responses.shift();
+      if (next?.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        next.stream.forEach(chunk => res.write(`data: ${JSON.stringify(chunk)}\n\n`));
+        return res.end('data: [DONE]\n\n');
+      }
+      const error = typeof next === 'number' ? { status: next, message: 'tools are not supported' } : next?.status && next;
+      res.writeHead(error ? error.status : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(error ? { error: { message: error.message } } : next));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+// axios error for an HTTP 400 with the given API error message
+const badRequest = (message) => Object.assign(new Error('Request failed with status code 400'), {
+  response: { status: 400, data: { error: { message } } }
+});
+
+const completion = (message) => ({ choices: [{ message: { role: 'assistant', ...message }, finish_reason: 'stop' }] });
+
+const declarations = [{
+  name: 'get_events',
+  description: 'List events',
+  parameters: { type: 'object', properties: { timeMin: { type: 'string' } } }
+}];
+
+async function testLLMProviders() {
+  console.log('🧪 Testing LLM providers...');
+
+  const responses = [];
+  const { server, requests } = await startFakeChatServer(responses);
+  // Provider modules read their configuration when loaded
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.OPENAI_API_KEY = 'test-key';
+  process.env.OPENAI_MODELS = 'local-model,other-model';
+  process.env.GEMINI_API_KEY = 'test-key';
+  delete process.env.LLM_PROVIDER;
+  delete process.env.MOCK_LLM_SCRIPT;
+
+  const { getLLMProvider, registerLLMProvider, listLLMProviders, resolveLLMSelection } = require('./utils/llmProvider');
+  const { createMockLLMProvider } = require('./utils/mockLLM');
+  const { extractAiResponse, createMessageStreamer, buildFunctionResponseParts } = require('./utils/aiUtils');
+  const { geminiGenerateContent, supportsNativeTools } = require('./utils/gemini');
+  // Gemini requests go to Google, so axios answers them here from a queue of replies and errors
+  const axios = require('axios');
+  const axiosPost = axios.post;
+  const geminiRequests = [];
+  const geminiReplies = [];
+
+  try {
+    // Test 1: native tool calls round trip through chat completion messages
+    console.log('\n📝 Test 1: OpenAI-compatible native tool calls...');
+    const openai = getLLMProvider('openai');
+    responses.push(completion({ content: null, tool_calls: [{ id: 'x', type: 'function', function: { name: 'get_events', arguments: '{"timeMin":"2025-01-01"}' } }] }));
+    const first = await openai.generateContent({
+      model: openai.defaultModel,
+      currentMessage: 'What is on my calendar?',
+      systemPrompt: ({ nativeTools }) => `prompt native=${nativeTools}`,
+      functionDeclarations: declarations
+    });
+    const aiResponse = extractAiResponse(first.data);
+    assert.deepStrictEqual(aiResponse.tools, [{ tool: 'get_events', parameters: { timeMin: '2025-01-01' } }]);
+    assert.strictEqual(first.model, 'local-model');
+    assert.strictEqual(requests[0].url, '/v1/chat/completions');
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer test-key');
+    assert.deepStrictEqual(requests[0].body.messages[0], { role: 'system', content: 'prompt native=true' });
+    assert.strictEqual(requests[0].body.tools[0].function.name, 'get_events');
+
+    // The call and its result are replayed as an assistant tool call followed by a tool message
+    responses.push(completion({ content: 'You have nothing planned.' }));
+    const history = [
+      { role: 'user', content: 'What is on my calendar?' },
+      { role: 'model', content: 'Calling tools: get_events', parts: aiResponse.parts }
+    ];
+    const second = await openai.generateContent({
+      model: openai.defaultModel,
+      conversationHistory: history,
+      currentMessage: '',
+      currentParts: buildFunctionResponseParts(aiResponse.tools, [{ success: true, events: [] }]),
+      functionDeclarations: declarations
+    });
+    const [, assistant, tool] = requests[1].body.messages;
+    assert.strictEqual(assistant.tool_calls[0].function.arguments, '{"timeMin":"2025-01-01"}');
+    assert.strictEqual(tool.role, 'tool');
+    assert.strictEqual(tool.tool_call_id, assistant.tool_calls[0].id);
+    assert.deepStrictEqual(JSON.parse(tool.content), { success: true, events: [] });
+    assert.strictEqual(extractAiResponse(second.data).message, 'You have nothing planned.');
+    console.log('✅ Tool calls and results converted both ways');
+
+    // Test 2: a server without tool support falls back to the JSON-in-text protocol
+    console.log('\n📝 Test 2: Fallback to the text tool protocol...');
+    responses.push(400, completion({ content: '{"tools":[{"tool":"get_events","parameters":{}}],"message":"Checking"}' }));
+    const fallback = await openai.generateContent({
+      model: 'other-model',
+      currentMessage: 'Anything tomorrow?',
+      systemPrompt: ({ nativeTools }) => `prompt native=${nativeTools}`,
+      functionDeclarations: declarations
+    });
+    assert.strictEqual(fallback.nativeTools, false);
+    assert.strictEqual(requests[3].body.tools, undefined);
+    assert.strictEqual(requests[3].body.messages[0].content, 'prompt native=false');
+    assert.deepStrictEqual(extractAiResponse(fallback.data).tools, [{ tool: 'get_events', parameters: {} }]);
+
+    // Other 400s are errors of the request, not a sign the model cannot call tools
+    responses.push({ status: 400, message: "This model's maximum context length is 8192 tokens" });
+    await assert.rejects(openai.generateContent({
+      model: openai.defaultModel,
+      currentMessage: 'Anything tomorrow?',
+      functionDeclarations: declarations
+    }), /maximum context length/);
+    assert.ok(requests[4].body.tools);
+    assert.strictEqual(requests.length, 5);
+    console.log('✅ Rejected tool definitions retried with the text protocol, other 400s left alone');
+
+    // Test 3: streamed replies pass the message to the client as it arrives
+    console.log('\n📝 Test 3: Streaming...');
+    const delta = (fields) => ({ choices: [{ index: 0, delta: fields }] });
+    responses.push({
+      stream: [
+        delta({ content: '{"message":"Booked ' }),
+        delta({ content: 'it \\"Standup\\"",' }),
+        delta({ content: '"tools":[{"tool":"get_events","parameters":{}}]}' }),
+        { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }
+      ]
+    });
+    let streamedText = '';
+    const streamed = await openai.generateContent({
+      model: 'other-model',
+      currentMessage: 'Book standup',
+      functionDeclarations: declarations,
+      onTextDelta: createMessageStreamer((text) => { streamedText += text; })
+    });
+    assert.strictEqual(requests[5].body.stream, true);
+    assert.strictEqual(streamedText, 'Booked it "Standup"');
+    assert.deepStrictEqual(extractAiResponse(streamed.data).tools, [{ tool: 'get_events', parameters: {} }]);
+
+    // Native tool calls arrive in fragments and are assembled at the end
+    responses.push({
+      stream: [
+        delta({ content: 'Checking.' }),
+        delta({ tool_calls: [{ index: 0, id: 'c1', function: { name: 'get_events', arguments: '{"timeMin":' } }] }),
+        delta({ tool_calls: [{ index: 0, function: { arguments: '"2025-01-01"}' } }] })
+      ]
+    });
+    streamedText = '';
+    const streamedCall = await openai.generateContent({
+      model: openai.defaultModel,
+      currentMessage: 'What is on?',
+      functionDeclarations: declarations,
+      onTextDelta: createMessageStreamer((text) => { streamedText += text; })
+    });
+    assert.strictEqual(streamedText, 'Checking.');
+    const streamedResponse = extractAiResponse(streamedCall.data);
+    assert.strictEqual(streamedResponse.message, 'Checking.');
+    assert.deepStrictEqual(streamedResponse.tools, [{ tool: 'get_events', parameters: { timeMin: '2025-01-01' } }]);
+    console.log('✅ Message streamed, tool calls parsed from the complete reply');
+
+    // Test 4: the mock replays its script per session, then echoes
+    console.log('\n📝 Test 4: Scripted mock provider...');
+    const mock = createMockLLMProvider({
+      script: [
+        { functionCalls: [{ name: 'get_events', args: { timeMin: '2025-01-01' } }] },
+        { text: 'All done.' },
+        { error: 'Quota exceeded' }
+      ]
+    });
+    const call = (sessionId, functionDeclarations = declarations) =>
+      mock.generateContent({ currentMessage: 'hi', functionDeclarations, sessionId });
+    assert.deepStrictEqual(extractAiResponse((await call('a')).data).tools, [{ tool: 'get_events', parameters: { timeMin: '2025-01-01' } }]);
+    // Without declarations the same turn is written in the text protocol
+    const textTurn = extractAiResponse((await call('b', null)).data);
+    assert.strictEqual(textTurn.isJson, true);
+    assert.strictEqual(textTurn.tools[0].tool, 'get_events');
+    assert.strictEqual(extractAiResponse((await call('a')).data).message, 'All done.');
+    await assert.rejects(call('a'), /Quota exceeded/);
+    assert.strictEqual(extractAiResponse((await call('a')).data).message, 'Mock reply: hi');
+    console.log('✅ Script replayed in order for each session');
+
+    // Test 5: session selection, including sessions that only stored a Gemini model
+    console.log('\n📝 Test 5: Per-session provider selection...');
+    // Without LLM_PROVIDER=mock or MOCK_LLM_SCRIPT sessions cannot pick the mock
+    assert.strictEqual(getLLMProvider('mock'), null);
+    assert.ok(!listLLMProviders().some(provider => provider.name === 'mock'));
+    assert.deepStrictEqual(resolveLLMSelection({ preferredProvider: 'mock' }), { provider: 'gemini', model: 'gemini-2.5-pro' });
+    registerLLMProvider(mock);
+    assert.deepStrictEqual(resolveLLMSelection({ preferredProvider: 'openai', preferredModel: 'other-model' }), { provider: 'openai', model: 'other-model' });
+    assert.deepStrictEqual(resolveLLMSelection({ preferredProvider: 'mock' }), { provider: 'mock', model: 'mock' });
+    assert.deepStrictEqual(resolveLLMSelection({ preferredModel: 'gemini-2.5-flash' }), { provider: 'gemini', model: 'gemini-2.5-flash' });
+    assert.strictEqual(getLLMProvider('mock'), mock);
+    console.log('✅ Sessions resolve to their own provider and model');
+
+    // Test 6: Gemini only falls back to the text protocol for 400s about tools
+    console.log('\n📝 Test 6: Gemini 400 errors...');
+    axios.post = async (url, body) => {
+      geminiRequests.push({ url, body });
+      const next = geminiReplies.shift();
+      if (next instanceof Error) throw next;
+      return { data: { candidates: [{ content: { role: 'model', parts: [{ text: next }] } }] } };
+    };
+    const gemini = (model) => geminiGenerateContent({
+      model,
+      currentMessage: 'What is on?',
+      functionDeclarations: declarations,
+      enableModelSwitching: false,
+      enableCompaction: false
+    });
+
+    // An invalid request is not a sign the model lacks function calling
+    geminiReplies.push(...[1, 2, 3].map(() => badRequest('Request contains an invalid argument.')));
+    await assert.rejects(gemini('gemini-2.5-pro'), /All Gemini models failed/);
+    assert.strictEqual(geminiRequests.length, 3);
+    assert.ok(geminiRequests.every(request => request.body.tools));
+    assert.strictEqual(supportsNativeTools('gemini-2.5-pro'), true);
+
+    // Refused calls are retried with the text protocol for this request only
+    geminiReplies.push(badRequest('Please ensure that function response turn comes immediately after a function call turn.'), 'Nothing planned.');
+    const retried = await gemini('gemini-2.5-pro');
+    assert.strictEqual(retried.nativeTools, false);
+    assert.strictEqual(geminiRequests[4].body.tools, undefined);
+    assert.strictEqual(supportsNativeTools('gemini-2.5-pro'), true);
+
+    // A model without function calling uses the text protocol from then on
+    geminiReplies.push(badRequest('Function calling is not enabled for models/gemini-2.0-flash-lite'), 'Nothing planned.');
+    assert.strictEqual((await gemini('gemini-2.0-flash-lite')).nativeTools, false);
+    assert.strictEqual(supportsNativeTools('gemini-2.0-flash-lite'), false);
+    console.log('✅ Only unsupported function calling switches a model to the text protocol');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    axios.post = axiosPost;
+    server.close();
+  }
+}
+
+// Run the test
+testLLMProviders();
@@ -0,0 +1,83 @@
+// Tests for the meeting time search: common free times of the user and attendees, each attendee's
+// working hours in their own timezone, and alternatives when nobody can make it together.
+// Runs offline against the local calendar provider: node test-meeting-times.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalCalendarProvider } = require('./utils/calendarProvider');
+const { findMeetingTimes } = require('./utils/meetingTimes');
+const { parseTimeOfDay } = require('./utils/timeUtils');
+
+const attendee = (email, start = '09:00', end = '18:00', timezone = 'UTC') => ({
+  email,
+  workingHoursStart: parseTimeOfDay(start),
+  workingHoursEnd: parseTimeOfDay(end),
+  timezone
+});
+
+async function testMeetingTimes() {
+  console.log('🧪 Testing meeting time search...');
+
+  const filePath = path.join(os.tmpdir(), `meeting-times-test-${process.pid}.json`);
+  const calendar = createLocalCalendarProvider({ filePath });
+
+  const insert = (summary, start, end, attendees = []) => calendar.insert({
+    calendarId: 'primary',
+    resource: { summary, start: { dateTime: start }, end: { dateTime: end }, attendees }
+  });
+
+  // Monday 2026-10-19, user working 09:00-18:00 UTC
+  const search = (attendees, options = {}) => findMeetingTimes(calendar, {
+    attendees,
+    ownCalendarIds: ['primary'],
+    rangeStart: '2026-10-19T00:00:00Z',
+    rangeEnd: '2026-10-20T00:00:00Z',
+    durationMinutes: 60,
+    workingHoursStart: parseTimeOfDay('09:00'),
+    workingHoursEnd: parseTimeOfDay('18:00'),
+    timezone: 'UTC',
+    maxResults: 20,
+    ...options
+  });
+  const starts = slots => slots.map(slot => new Date(slot.start).toISOString().slice(11, 16)).sort();
+
+  try {
+    await insert('Mine', '2026-10-19T09:00:00Z', '2026-10-19T10:00:00Z');
+    await insert('Alice busy', '2026-10-19T10:00:00Z', '2026-10-19T12:00:00Z', [{ email: 'alice@example.com' }]);
+    await insert('Bob declined', '2026-10-19T12:00:00Z', '2026-10-19T13:00:00Z', [{ email: 'bob@example.com', responseStatus: 'declined' }]);
+
+    // Test 1: the user's and attendees' busy times are all avoided
+    console.log('\n📝 Test 1: Common free times...');
+    const common = await search([attendee('alice@example.com'), attendee('bob@example.com')]);
+    assert.deepStrictEqual(starts(common.slots), ['13:00', '14:00', '15:00', '16:00', '17:00']);
+    // Bob declined the 12:00 event, so it only keeps the user busy
+    assert.deepStrictEqual(common.attendees.map(entry => [entry.email, entry.busyCount]), [['alice@example.com', 1], ['bob@example.com', 0]]);
+    assert.deepStrictEqual(common.alternatives, []);
+    console.log('✅ Only times everyone is free');
+
+    // Test 2: working hours apply in the attendee's own timezone
+    console.log('\n📝 Test 2: Attendee working hours...');
+    const newYork = await search([attendee('alice@example.com'), attendee('bob@example.com', '09:00', '11:00', 'America/New_York')]);
+    assert.deepStrictEqual(starts(newYork.slots), ['13:00', '14:00']);
+    console.log('✅ 09:00-11:00 in New York is 13:00-15:00 UTC');
+
+    // Test 3: no common time, so suggest times without each attendee
+    console.log('\n📝 Test 3: Alternatives...');
+    const tokyo = await search([attendee('alice@example.com'), attendee('bob@example.com', '09:00', '11:00', 'Asia/Tokyo')]);
+    assert.deepStrictEqual(tokyo.slots, []);
+    assert.deepStrictEqual(tokyo.alternatives.map(alternative => alternative.without), ['bob@example.com']);
+    assert.ok(tokyo.alternatives[0].slots.length > 0 && tokyo.alternatives[0].slots.length <= 3);
+    console.log('✅ Best times without Bob suggested');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// Run the test
+testMeetingTimes();
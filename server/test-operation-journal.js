@@ -0,0 +1,116 @@
+// Tests for the operation journal: calendar changes are recorded with their before/after state
+// and undone per request, without overwriting later edits.
+// Runs offline against the local calendar provider: node test-operation-journal.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('./utils/sessionStore');
+const { createLocalCalendarProvider } = require('./utils/calendarProvider');
+const { createOperationJournal, withOperationJournal } = require('./utils/operationJournal');
+const { updateEventWithScope } = require('./utils/recurringEvents');
+
+const SESSION_ID = 'journal-session';
+
+const eventResource = (summary, day, hour = 9) => ({
+  summary,
+  start: { dateTime: `2026-10-${day}T${String(hour).padStart(2, '0')}:00:00Z`, timeZone: 'UTC' },
+  end: { dateTime: `2026-10-${day}T${String(hour + 1).padStart(2, '0')}:00:00Z`, timeZone: 'UTC' }
+});
+
+async function testOperationJournal() {
+  console.log('🧪 Testing operation journal...');
+
+  const filePath = path.join(os.tmpdir(), `journal-test-${process.pid}.json`);
+  const calendar = createLocalCalendarProvider({ filePath });
+  const sessions = createSessionStore({ type: 'memory' });
+  await sessions.set(SESSION_ID, { calendarProvider: 'local' });
+  const journal = createOperationJournal(sessions);
+  const journaled = (groupId) => withOperationJournal(calendar, journal, SESSION_ID, { groupId, source: 'ai' });
+
+  const titles = async () => (await calendar.list({ calendarId: 'primary', singleEvents: true }))
+    .items.map(event => event.summary).sort();
+
+  try {
+    // Test 1: a request's creates, updates and deletes are undone together
+    console.log('\n📝 Test 1: Undo a group of changes...');
+    const keep = await calendar.insert({ calendarId: 'primary', resource: eventResource('Standup', 20) });
+    const remove = await calendar.insert({ calendarId: 'primary', resource: eventResource('Retro', 21) });
+
+    const context = { groupId: 'request-1', source: 'ai' };
+    const request1 = withOperationJournal(calendar, journal, SESSION_ID, context);
+    await request1.insert({ calendarId: 'primary', resource: eventResource('Planning', 22) });
+    await request1.update({ calendarId: 'primary', eventId: keep.id, resource: eventResource('Daily standup', 20, 10) });
+    await request1.delete({ calendarId: 'primary', eventId: remove.id });
+    assert.strictEqual(context.changes, 3);
+    assert.deepStrictEqual(await titles(), ['Daily standup', 'Planning']);
+    // Only the fields undo restores are kept
+    const [createEntry] = await journal.list(SESSION_ID);
+    assert.deepStrictEqual(Object.keys(createEntry.after).sort(), ['end', 'start', 'summary']);
+
+    const result = await journal.undoGroup(SESSION_ID, calendar, 'request-1');
+    assert.deepStrictEqual(result.undone.map(entry => entry.action), ['delete', 'update', 'create']);
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.deepStrictEqual(await titles(), ['Retro', 'Standup']);
+    assert.strictEqual((await calendar.get({ calendarId: 'primary', eventId: keep.id })).start.dateTime, '2026-10-20T09:00:00Z');
+    await assert.rejects(journal.undoGroup(SESSION_ID, calendar, 'request-1'), error => error.code === 404);
+    console.log('✅ Created event removed, updated event restored, deleted event back');
+
+    // Test 2: later edits are not overwritten; undoing them first makes the earlier change undoable
+    console.log('\n📝 Test 2: Conflicts with later edits...');
+    const created = await journaled('request-2').insert({ calendarId: 'primary', resource: eventResource('Focus', 23) });
+    await journaled('edit-1').update({ calendarId: 'primary', eventId: created.id, resource: eventResource('Deep work', 23) });
+
+    const conflicted = await journal.undoGroup(SESSION_ID, calendar, 'request-2');
+    assert.strictEqual(conflicted.undone.length, 0);
+    assert.strictEqual(conflicted.conflicts[0].eventId, created.id);
+    assert.ok((await titles()).includes('Deep work'));
+
+    await journal.undoGroup(SESSION_ID, calendar, 'edit-1');
+    const retried = await journal.undoGroup(SESSION_ID, calendar, 'request-2');
+    assert.strictEqual(retried.undone.length, 1);
+    assert.deepStrictEqual(await titles(), ['Retro', 'Standup']);
+    console.log('✅ Edited event reported as a conflict, undoable once the edit is undone');
+
+    // Test 3: splitting a series ("this and following") is undone as one change
+    console.log('\n📝 Test 3: Recurring series split...');
+    const series = await calendar.insert({
+      calendarId: 'primary',
+      resource: { ...eventResource('Sync', 19), recurrence: ['RRULE:FREQ=DAILY;COUNT=5'] }
+    });
+    const instances = (await calendar.instances({ calendarId: 'primary', eventId: series.id })).items;
+    await updateEventWithScope(journaled('request-3'), {
+      calendarId: 'primary',
+      eventId: instances[2].id,
+      scope: 'following',
+      applyChanges: (event) => ({ ...event, summary: 'Sync (new time)' })
+    });
+    assert.strictEqual((await calendar.instances({ calendarId: 'primary', eventId: series.id })).items.length, 2);
+
+    await journal.undoGroup(SESSION_ID, calendar, 'request-3');
+    const restored = await calendar.get({ calendarId: 'primary', eventId: series.id });
+    assert.deepStrictEqual(restored.recurrence, ['RRULE:FREQ=DAILY;COUNT=5']);
+    assert.ok(!(await titles()).includes('Sync (new time)'));
+    console.log('✅ Series restored and the split-off series removed');
+
+    // Test 4: undoLastOperations undoes the most recent groups that still have changes
+    console.log('\n📝 Test 4: Undo the last operations...');
+    await journaled('request-4').insert({ calendarId: 'primary', resource: eventResource('Gym', 24) });
+    await journaled('request-5').insert({ calendarId: 'primary', resource: eventResource('Dinner', 24, 18) });
+    const last = await journaled('request-6').undoLastOperations(2);
+    assert.deepStrictEqual(last.undone.map(entry => entry.title), ['Dinner', 'Gym']);
+    const groups = await journal.listGroups(SESSION_ID);
+    assert.deepStrictEqual(groups.slice(0, 2).map(group => [group.groupId, group.undone]), [['request-5', true], ['request-4', true]]);
+    console.log('✅ Newest groups undone first');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// Run the test
+testOperationJournal();
@@ -0,0 +1,81 @@
+// Tests for plan-only mode: the planning calendar simulates changes on top of the real calendar,
+// and applying the plan makes them unless the events changed in the meantime.
+// Runs offline against the local calendar provider: node test-planning-calendar.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalCalendarProvider } = require('./utils/calendarProvider');
+const { createPlanningCalendar, applyPlan } = require('./utils/planningCalendar');
+
+const eventResource = (summary, day, hour = 9) => ({
+  summary,
+  start: { dateTime: `2026-10-${day}T${String(hour).padStart(2, '0')}:00:00Z`, timeZone: 'UTC' },
+  end: { dateTime: `2026-10-${day}T${String(hour + 1).padStart(2, '0')}:00:00Z`, timeZone: 'UTC' }
+});
+
+async function testPlanningCalendar() {
+  console.log('🧪 Testing planning calendar...');
+
+  const filePath = path.join(os.tmpdir(), `planning-test-${process.pid}.json`);
+  const calendar = createLocalCalendarProvider({ filePath });
+
+  const titles = async (source, params = {}) => (await source.list({ calendarId: 'primary', singleEvents: true, ...params }))
+    .items.map(event => event.summary).sort();
+
+  try {
+    // Test 1: planned changes are visible through the planning calendar only
+    console.log('\n📝 Test 1: Simulated changes...');
+    const standup = await calendar.insert({ calendarId: 'primary', resource: eventResource('Standup', 20) });
+    const retro = await calendar.insert({ calendarId: 'primary', resource: eventResource('Retro', 21) });
+
+    const planning = createPlanningCalendar(calendar);
+    const created = await planning.insert({ calendarId: 'primary', resource: eventResource('Planning', 22) });
+    await planning.update({ calendarId: 'primary', eventId: standup.id, resource: eventResource('Standup', 23) });
+    await planning.delete({ calendarId: 'primary', eventId: retro.id });
+
+    assert.deepStrictEqual(await titles(planning), ['Planning', 'Standup']);
+    assert.deepStrictEqual(await titles(planning, { timeMin: '2026-10-20T00:00:00Z', timeMax: '2026-10-21T00:00:00Z' }), []);
+    assert.deepStrictEqual(await titles(planning, { timeMin: '2026-10-23T00:00:00Z', timeMax: '2026-10-24T00:00:00Z' }), ['Standup']);
+    await assert.rejects(planning.get({ calendarId: 'primary', eventId: retro.id }), error => error.code === 410);
+    assert.deepStrictEqual(await titles(calendar), ['Retro', 'Standup']);
+    console.log('✅ Real calendar unchanged, planning calendar shows the plan');
+
+    // Test 2: the plan holds the net change per event
+    console.log('\n📝 Test 2: Net changes...');
+    await planning.update({ calendarId: 'primary', eventId: created.id, resource: eventResource('Sprint planning', 22) });
+    await planning.update({ calendarId: 'primary', eventId: standup.id, resource: eventResource('Standup', 24) });
+    const changes = planning.plannedChanges();
+    assert.deepStrictEqual(changes.map(change => [change.action, (change.after || change.before).summary]),
+      [['create', 'Sprint planning'], ['update', 'Standup'], ['delete', 'Retro']]);
+    assert.strictEqual(changes[1].before.start.dateTime, '2026-10-20T09:00:00Z');
+    assert.strictEqual(changes[1].after.start.dateTime, '2026-10-24T09:00:00Z');
+
+    const scratch = createPlanningCalendar(calendar);
+    const temporary = await scratch.insert({ calendarId: 'primary', resource: eventResource('Temporary', 22) });
+    await scratch.delete({ calendarId: 'primary', eventId: temporary.id });
+    assert.deepStrictEqual(scratch.plannedChanges(), []);
+    console.log('✅ Repeated changes merged, created-then-deleted events dropped');
+
+    // Test 3: applying skips events changed since the plan was made
+    console.log('\n📝 Test 3: Apply with a conflict...');
+    await calendar.update({ calendarId: 'primary', eventId: retro.id, resource: eventResource('Retro (moved)', 21, 14) });
+    const { applied, conflicts } = await applyPlan(calendar, { changes });
+    assert.deepStrictEqual(applied.map(change => change.action), ['create', 'update']);
+    assert.deepStrictEqual(conflicts.map(change => [change.eventId, change.title]), [[retro.id, 'Retro']]);
+    assert.deepStrictEqual(await titles(calendar), ['Retro (moved)', 'Sprint planning', 'Standup']);
+    const createdEvent = (await calendar.list({ calendarId: 'primary', singleEvents: true })).items.find(event => event.summary === 'Sprint planning');
+    assert.ok(!createdEvent.id.startsWith('planned-') && !createdEvent.planned);
+    console.log('✅ Plan applied, changed event reported as a conflict');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// Run the test
+testPlanningCalendar();
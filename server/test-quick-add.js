@@ -0,0 +1,106 @@
+// Tests for the quick-add parser: dates, times, durations, locations and attendees resolved in
+// the user's timezone without the LLM.
+// Runs offline: node test-quick-add.js
+const assert = require('assert');
+const { parseQuickAdd, describeQuickAdd, quickAddToolCall } = require('./utils/quickAdd');
+
+// Sunday, October 18 2026, 10:00 in New York
+const now = new Date('2026-10-18T14:00:00Z');
+const timezone = 'America/New_York';
+const parse = (text) => parseQuickAdd(text, { timezone, now });
+
+function testQuickAdd() {
+  console.log('🧪 Testing quick add...');
+
+  try {
+    // Test 1: the full phrase
+    console.log('\n📝 Test 1: Title, date, time, duration and location...');
+    const lunch = parse('Lunch with Sam tomorrow 12:30 for 45m at Cafe Roma');
+    assert.deepStrictEqual(
+      [lunch.title, lunch.startTime, lunch.endTime, lunch.allDay, lunch.location],
+      ['Lunch with Sam', '2026-10-19T12:30:00-04:00', '2026-10-19T13:15:00-04:00', false, 'Cafe Roma']
+    );
+    assert.strictEqual(describeQuickAdd(lunch), '"Lunch with Sam" on Mon, Oct 19, 12:30 PM - 1:15 PM at Cafe Roma');
+    assert.deepStrictEqual(quickAddToolCall(lunch).parameters.event, {
+      title: 'Lunch with Sam',
+      startTime: '2026-10-19T12:30:00-04:00',
+      endTime: '2026-10-19T13:15:00-04:00',
+      allDay: false,
+      location: 'Cafe Roma',
+      timezone
+    });
+    console.log('✅ Lunch with Sam parsed');
+
+    // Test 2: dates, weekdays and times
+    console.log('\n📝 Test 2: Dates and times...');
+    const cases = [
+      ['Dentist Friday 3pm', 'Dentist', '2026-10-23T15:00:00-04:00', '2026-10-23T16:00:00-04:00'],
+      ['Team sync Sunday 10-11am', 'Team sync', '2026-10-18T10:00:00-04:00', '2026-10-18T11:00:00-04:00'],
+      ['Deep work 11-1pm', 'Deep work', '2026-10-18T11:00:00-04:00', '2026-10-18T13:00:00-04:00'],
+      ['Call mom in 2 hours', 'Call mom', '2026-10-18T12:00:00-04:00', '2026-10-18T13:00:00-04:00'],
+      ['Review 10/22 2:30pm until 4pm in Room 4', 'Review', '2026-10-22T14:30:00-04:00', '2026-10-22T16:00:00-04:00'],
+      ['Flight Nov 3rd at 6:45am for 1h30m', 'Flight', '2026-11-03T06:45:00-05:00', '2026-11-03T08:15:00-05:00'],
+      ['Dinner tonight at 7', 'Dinner', '2026-10-18T19:00:00-04:00', '2026-10-18T20:00:00-04:00'],
+      ['Gym at 5', 'Gym', '2026-10-18T17:00:00-04:00', '2026-10-18T18:00:00-04:00'],
+      ['Standup 9:30 15m', 'Standup', '2026-10-19T09:30:00-04:00', '2026-10-19T09:45:00-04:00'],
+      ['Schedule dentist appointment Wednesday at noon', 'Dentist appointment', '2026-10-21T12:00:00-04:00', '2026-10-21T13:00:00-04:00']
+    ];
+    for (const [text, title, startTime, endTime] of cases) {
+      const draft = parse(text);
+      assert.deepStrictEqual([draft.title, draft.startTime, draft.endTime], [title, startTime, endTime], text);
+    }
+    console.log('✅ Weekdays, ranges, relative times and past times (moved to tomorrow) resolved');
+
+    // Test 3: all-day events
+    console.log('\n📝 Test 3: All-day events...');
+    const vacation = parse('Vacation Oct 20 for 5 days');
+    assert.deepStrictEqual([vacation.allDay, vacation.startTime, vacation.endTime], [true, '2026-10-20', '2026-10-24']);
+    const offsite = parse('Offsite on the 25th of October all day');
+    assert.deepStrictEqual([offsite.title, offsite.startTime, offsite.endTime], ['Offsite', '2026-10-25', '2026-10-25']);
+    const nextYear = parse('Birthday Jan 5');
+    assert.strictEqual(nextYear.startTime, '2027-01-05');
+    console.log('✅ Dates without times are all-day; past dates are next year');
+
+    // Test 4: attendees
+    console.log('\n📝 Test 4: Attendees...');
+    const coffee = parse('Coffee with ana@example.com and bob@example.org Tue 9am @ Blue Bottle');
+    assert.deepStrictEqual([coffee.title, coffee.attendees, coffee.location], ['Coffee', ['ana@example.com', 'bob@example.org'], 'Blue Bottle']);
+    console.log('✅ Attendees found');
+
+    // Test 5: only explicit requests for a new event are added without the AI
+    console.log('\n📝 Test 5: Requests added without the AI...');
+    assert.strictEqual(lunch.complete, false);
+    for (const text of ['Add lunch with Sam tomorrow 12:30', 'Please schedule a meeting: budget review Friday 3pm', 'create dentist appointment Oct 22']) {
+      assert.strictEqual(parse(text).complete, true, text);
+    }
+    for (const text of [
+      'Move my lunch to 3pm',
+      'Is there time for a walk tomorrow at 4pm?',
+      'Please cancel lunch tomorrow',
+      'Am I free tomorrow at 3pm',
+      'I need to move my dentist appointment to Friday',
+      'Tell me about my meetings tomorrow',
+      'Remind me to call mom tomorrow at 5',
+      'Could you schedule lunch tomorrow at 1pm',
+      'Add cancel standup Friday 9am'
+    ]) {
+      assert.strictEqual(parse(text).complete, false, text);
+    }
+    console.log('✅ Other requests left to the AI');
+
+    // Test 6: missing parts are reported
+    console.log('\n📝 Test 6: Errors...');
+    assert.throws(() => parse('Book club'), /Could not find a date or time/);
+    assert.throws(() => parse('tomorrow at 3pm'), /Could not find what the event is/);
+    assert.throws(() => parseQuickAdd('Lunch tomorrow', { timezone: 'Mars/Base', now }), /Unknown timezone/);
+    console.log('✅ Missing parts reported');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testQuickAdd();
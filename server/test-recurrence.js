@@ -0,0 +1,148 @@
+// Tests for the recurrence helpers: parsing and normalizing RRULE lines, expanding a series into
+// occurrences, instance ids and the RRULEs rebuilt when a series is split ("this and following").
+// Runs offline: node test-recurrence.js
+const assert = require('assert');
+const {
+  parseRRule,
+  normalizeRecurrence,
+  expandRecurrence,
+  buildInstance,
+  parseInstanceId,
+  truncateRecurrence,
+  continueRecurrence,
+  isFirstInstance
+} = require('./utils/recurrence');
+
+// Monday 2026-10-19 09:00 New York (13:00 UTC)
+const series = (recurrence, extra = {}) => ({
+  id: 'standup',
+  summary: 'Standup',
+  start: { dateTime: '2026-10-19T09:00:00-04:00', timeZone: 'America/New_York' },
+  end: { dateTime: '2026-10-19T09:15:00-04:00', timeZone: 'America/New_York' },
+  recurrence,
+  ...extra
+});
+const allDaySeries = (recurrence) => ({
+  id: 'trash',
+  summary: 'Trash day',
+  start: { date: '2026-10-20' },
+  end: { date: '2026-10-21' },
+  recurrence
+});
+const dates = (occurrences) => occurrences.map(({ date }) => `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`);
+
+async function testRecurrence() {
+  console.log('🧪 Testing recurrence helpers...');
+
+  try {
+    // Test 1: RRULE parsing
+    console.log('\n📝 Test 1: Parsing RRULE lines...');
+    const weekly = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6;WKST=SU');
+    assert.strictEqual(weekly.freq, 'WEEKLY');
+    assert.strictEqual(weekly.interval, 2);
+    assert.strictEqual(weekly.count, 6);
+    assert.strictEqual(weekly.weekStart, 0);
+    assert.deepStrictEqual(weekly.byDay, [{ ordinal: null, weekday: 1 }, { ordinal: null, weekday: 3 }]);
+    assert.deepStrictEqual(parseRRule('freq=monthly;byday=-1fr').byDay, [{ ordinal: -1, weekday: 5 }]);
+    assert.deepStrictEqual(parseRRule('FREQ=DAILY;UNTIL=20261031').until, { date: { year: 2026, month: 10, day: 31 } });
+    assert.deepStrictEqual(parseRRule('FREQ=DAILY;UNTIL=20261031T235959Z').until, { instant: Date.UTC(2026, 9, 31, 23, 59, 59) });
+    for (const [line, message] of [
+      ['INTERVAL=2', /must specify FREQ/],
+      ['FREQ=HOURLY', /Unsupported FREQ/],
+      ['FREQ=DAILY;COUNT=0', /Invalid COUNT/],
+      ['FREQ=DAILY;COUNT=3;UNTIL=20261031', /both COUNT and UNTIL/],
+      ['FREQ=WEEKLY;BYDAY=XX', /Invalid BYDAY/],
+      ['FREQ=MONTHLY;BYMONTHDAY=32', /Invalid BYMONTHDAY/],
+      ['FREQ=YEARLY;BYMONTH=13', /Invalid BYMONTH/]
+    ]) {
+      assert.throws(() => parseRRule(line), message, line);
+    }
+    console.log('✅ Parts, ordinals and end conditions parsed, malformed rules rejected');
+
+    // Test 2: normalizing recurrence arrays
+    console.log('\n📝 Test 2: Normalizing recurrence...');
+    assert.deepStrictEqual(normalizeRecurrence('freq=weekly;byday=mo'), ['RRULE:FREQ=WEEKLY;BYDAY=MO']);
+    assert.deepStrictEqual(
+      normalizeRecurrence(['RRULE:FREQ=DAILY;COUNT=5', 'EXDATE;TZID=America/New_York:20261021T090000']),
+      ['RRULE:FREQ=DAILY;COUNT=5', 'EXDATE;TZID=America/New_York:20261021T090000']
+    );
+    assert.deepStrictEqual(normalizeRecurrence([]), []);
+    assert.throws(() => normalizeRecurrence(['EXDATE:20261021']), /exactly one RRULE/);
+    assert.throws(() => normalizeRecurrence(['FREQ=DAILY', 'FREQ=WEEKLY']), /exactly one RRULE/);
+    assert.throws(() => normalizeRecurrence(['FREQ=DAILY', 'X-FOO:bar']), /Unsupported recurrence line/);
+    assert.throws(() => normalizeRecurrence('FREQ=MONTHLY;BYSETPOS=-1;BYDAY=FR'), /Unsupported RRULE parts: BYSETPOS/);
+    console.log('✅ Bare rules prefixed, unsupported lines and parts rejected');
+
+    // Test 3: expanding series
+    console.log('\n📝 Test 3: Expanding occurrences...');
+    assert.deepStrictEqual(
+      dates(expandRecurrence(series(['RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=5']))),
+      ['2026-10-19', '2026-10-21', '2026-10-23', '2026-10-26', '2026-10-28']
+    );
+    assert.deepStrictEqual(
+      dates(expandRecurrence(series(['RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20261117T000000Z']))),
+      ['2026-10-19', '2026-11-02', '2026-11-16']
+    );
+    assert.deepStrictEqual(
+      dates(expandRecurrence(series(['RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3']))),
+      ['2026-10-30', '2026-11-27', '2026-12-25']
+    );
+    assert.deepStrictEqual(dates(expandRecurrence(allDaySeries(['RRULE:FREQ=WEEKLY;COUNT=3']))), ['2026-10-20', '2026-10-27', '2026-11-03']);
+    assert.deepStrictEqual(dates(expandRecurrence(allDaySeries(['RRULE:FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3']))), ['2026-10-31', '2026-11-30', '2026-12-31']);
+    // Wall-clock time is kept across the daylight saving change (New York leaves DST on 2026-11-01)
+    const daily = expandRecurrence(series(['RRULE:FREQ=DAILY']), { timeMin: '2026-10-31T00:00:00Z', timeMax: '2026-11-03T00:00:00Z' });
+    assert.deepStrictEqual(daily.map(({ instant }) => new Date(instant).toISOString()), [
+      '2026-10-31T13:00:00.000Z',
+      '2026-11-01T14:00:00.000Z',
+      '2026-11-02T14:00:00.000Z'
+    ]);
+    // COUNT includes excluded occurrences
+    const withExdate = series(['RRULE:FREQ=DAILY;COUNT=3', 'EXDATE;TZID=America/New_York:20261020T090000']);
+    assert.deepStrictEqual(dates(expandRecurrence(withExdate)), ['2026-10-19', '2026-10-21']);
+    assert.deepStrictEqual(dates(expandRecurrence(withExdate, { includeExcluded: true })), ['2026-10-19', '2026-10-20', '2026-10-21']);
+    assert.deepStrictEqual(expandRecurrence(series(undefined)), []);
+    console.log('✅ Weekdays, intervals, ordinals, month ends, DST and EXDATE handled');
+
+    // Test 4: instances and their ids
+    console.log('\n📝 Test 4: Instances...');
+    const [, second] = expandRecurrence(series(['RRULE:FREQ=DAILY;COUNT=3']));
+    const instance = buildInstance(series(['RRULE:FREQ=DAILY;COUNT=3']), second);
+    assert.strictEqual(instance.id, 'standup_20261020T130000Z');
+    assert.strictEqual(instance.recurringEventId, 'standup');
+    assert.strictEqual(instance.recurrence, undefined);
+    assert.deepStrictEqual(instance.start, { dateTime: '2026-10-20T09:00:00-04:00', timeZone: 'America/New_York' });
+    assert.deepStrictEqual(instance.end, { dateTime: '2026-10-20T09:15:00-04:00', timeZone: 'America/New_York' });
+    assert.deepStrictEqual(parseInstanceId(instance.id), { recurringEventId: 'standup', instant: Date.UTC(2026, 9, 20, 13) });
+    const allDayInstance = buildInstance(allDaySeries(['RRULE:FREQ=WEEKLY']), expandRecurrence(allDaySeries(['RRULE:FREQ=WEEKLY']), { limit: 2 })[1]);
+    assert.strictEqual(allDayInstance.id, 'trash_20261027');
+    assert.deepStrictEqual([allDayInstance.start, allDayInstance.end], [{ date: '2026-10-27' }, { date: '2026-10-28' }]);
+    assert.deepStrictEqual(parseInstanceId('trash_20261027'), { recurringEventId: 'trash', date: { year: 2026, month: 10, day: 27 } });
+    assert.strictEqual(parseInstanceId('standup'), null);
+    console.log('✅ Google-style instance ids built and parsed');
+
+    // Test 5: splitting a series rebuilds the RRULE end conditions
+    console.log('\n📝 Test 5: Splitting a series...');
+    const counted = series(['RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6', 'EXDATE;TZID=America/New_York:20261021T090000']);
+    const third = buildInstance(counted, expandRecurrence(counted)[1]);
+    assert.strictEqual(third.id, 'standup_20261026T130000Z');
+    assert.deepStrictEqual(truncateRecurrence(counted, third), [
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261026T125959Z',
+      'EXDATE;TZID=America/New_York:20261021T090000'
+    ]);
+    assert.deepStrictEqual(continueRecurrence(counted, third)[0], 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4');
+    assert.deepStrictEqual(continueRecurrence(series(['RRULE:FREQ=DAILY']), third), ['RRULE:FREQ=DAILY']);
+    const trash = allDaySeries(['RRULE:FREQ=WEEKLY;UNTIL=20261231']);
+    assert.deepStrictEqual(truncateRecurrence(trash, { originalStartTime: { date: '2026-11-03' } }), ['RRULE:FREQ=WEEKLY;UNTIL=20261102']);
+    assert.strictEqual(isFirstInstance(counted, buildInstance(counted, expandRecurrence(counted)[0])), true);
+    assert.strictEqual(isFirstInstance(counted, third), false);
+    console.log('✅ Earlier part ends before the split, later part keeps the remaining count');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testRecurrence();
@@ -0,0 +1,52 @@
+// Tests for event reminders: natural-language parsing and the reminders object stored on events.
+// Runs offline: node test-reminders.js
+const assert = require('assert');
+const { parseReminder, normalizeReminders } = require('./utils/reminders');
+
+function testReminders() {
+  console.log('🧪 Testing reminders...');
+
+  try {
+    // Test 1: natural language, numbers and objects
+    console.log('\n📝 Test 1: Parsing reminders...');
+    const parsed = [
+      '15 minutes before',
+      '1 day before by email',
+      'the day before',
+      'an hour before',
+      '1h30m',
+      'half an hour before via notification',
+      'at start',
+      45,
+      { minutes: '10', method: 'email' }
+    ].map(parseReminder);
+    assert.deepStrictEqual(parsed.map(reminder => [reminder.minutes, reminder.method]), [
+      [15, 'popup'], [1440, 'email'], [1440, 'popup'], [60, 'popup'], [90, 'popup'],
+      [30, 'popup'], [0, 'popup'], [45, 'popup'], [10, 'email']
+    ]);
+    assert.throws(() => parseReminder('next year'), /Could not understand reminder/);
+    assert.throws(() => parseReminder('5 weeks before'), /Could not understand reminder/);
+    assert.throws(() => parseReminder({ minutes: 5, method: 'sms' }), /Unknown reminder method/);
+    console.log('✅ 1-day reminders stay 1 day, methods are kept');
+
+    // Test 2: the stored reminders object
+    console.log('\n📝 Test 2: Normalizing reminders...');
+    assert.deepStrictEqual(normalizeReminders(['default']), { useDefault: true });
+    assert.deepStrictEqual(normalizeReminders({ useDefault: true, overrides: [] }), { useDefault: true });
+    assert.deepStrictEqual(normalizeReminders([]), { useDefault: false, overrides: [] });
+    assert.deepStrictEqual(normalizeReminders(['1 day before by email', '15 minutes before', 15]), {
+      useDefault: false,
+      overrides: [{ method: 'popup', minutes: 15 }, { method: 'email', minutes: 1440 }]
+    });
+    assert.throws(() => normalizeReminders([5, 10, 15, 20, 25, 30]), /At most 5 reminders/);
+    console.log('✅ Defaults, no reminders, duplicates and limits handled');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testReminders();
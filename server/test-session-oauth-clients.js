@@ -0,0 +1,113 @@
+// Regression test: concurrent Google requests from two sessions must each run under their own
+// credentials, and tokens refreshed by a session's client must be saved back to that session.
+// Runs offline against a local stand-in for the Google APIs: node test-session-oauth-clients.js
+const assert = require('assert');
+const http = require('http');
+const { initSessions, getSessionOAuthClient, refreshTokenIfNeeded } = require('./utils/session');
+const { getCalendarProvider } = require('./utils/calendarProvider');
+
+const HOUR = 60 * 60 * 1000;
+
+// Fake Google API: event lists answer with the bearer token they were called with, and are held
+// until `barrierSize` of them are in flight so the sessions' requests overlap
+function startFakeGoogle(barrierSize) {
+  const waiting = [];
+  let refreshes = 0;
+  const server = http.createServer((req, res) => {
+    const send = (body) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url.startsWith('/token')) {
+      refreshes++;
+      return send({ access_token: `refreshed-${refreshes}`, expires_in: 3600, token_type: 'Bearer' });
+    }
+
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    waiting.push(() => send({ items: [{ id: 'event', summary: token }] }));
+    if (waiting.length >= barrierSize) {
+      // Answer in reverse order to interleave the responses as well
+      waiting.splice(0).reverse().forEach(respond => respond());
+    }
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Same steps as requireAuth: per-session client, refresh if needed, provider bound to that client.
+// The client's requests (API calls and token refreshes) are redirected to the fake Google.
+async function authenticate(sessions, sessionId, baseUrl) {
+  const session = await sessions.get(sessionId);
+  const oauthClient = getSessionOAuthClient(sessionId, session);
+  const request = oauthClient.transporter.request.bind(oauthClient.transporter);
+  oauthClient.transporter.request = (options) => {
+    const url = new URL(options.url);
+    return request({ ...options, url: new URL(url.pathname + url.search, baseUrl).href });
+  };
+  await refreshTokenIfNeeded(sessionId, session, oauthClient);
+  return { calendar: getCalendarProvider(await sessions.get(sessionId), oauthClient), oauthClient };
+}
+
+async function testSessionOAuthClients() {
+  console.log('🧪 Testing per-session OAuth clients...');
+
+  const server = await startFakeGoogle(2);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+  const sessions = await initSessions({ type: 'memory' });
+  const createSession = (id, tokens) => sessions.set(id, { tokens, calendarProvider: 'google', conversationHistory: [] });
+
+  try {
+    // Test 1: two sessions authenticated before either calls Google, with overlapping requests
+    console.log('\n📝 Test 1: Interleaving requests from two sessions...');
+    await createSession('session-a', { access_token: 'token-a', refresh_token: 'refresh-a', expiry_date: Date.now() + HOUR });
+    await createSession('session-b', { access_token: 'token-b', refresh_token: 'refresh-b', expiry_date: Date.now() + HOUR });
+
+    const { calendar: calendarA } = await authenticate(sessions, 'session-a', baseUrl);
+    const { calendar: calendarB } = await authenticate(sessions, 'session-b', baseUrl);
+    const [eventsA, eventsB] = await Promise.all([
+      calendarA.list({ calendarId: 'primary' }),
+      calendarB.list({ calendarId: 'primary' })
+    ]);
+    assert.strictEqual(eventsA.items[0].summary, 'token-a');
+    assert.strictEqual(eventsB.items[0].summary, 'token-b');
+    console.log('✅ Each session called Google with its own token');
+
+    // Test 2: refreshing one session's token stores it on that session only
+    console.log('\n📝 Test 2: Refreshing an expiring token...');
+    await createSession('session-c', { access_token: 'token-c', refresh_token: 'refresh-c', expiry_date: Date.now() + 60 * 1000 });
+    await authenticate(sessions, 'session-c', baseUrl);
+    const refreshed = (await sessions.get('session-c')).tokens;
+    assert.strictEqual(refreshed.access_token, 'refreshed-1');
+    assert.strictEqual(refreshed.refresh_token, 'refresh-c');
+    assert.ok(refreshed.expiry_date > Date.now() + HOUR / 2);
+    assert.strictEqual((await sessions.get('session-a')).tokens.access_token, 'token-a');
+    console.log('✅ Refreshed token saved to its session, other sessions untouched');
+
+    // Test 3: a token the client refreshes on its own during an API call is persisted too
+    console.log('\n📝 Test 3: Refresh during an API call...');
+    await createSession('session-d', { access_token: 'token-d', refresh_token: 'refresh-d', expiry_date: Date.now() + HOUR });
+    const { calendar: calendarD, oauthClient: clientD } = await authenticate(sessions, 'session-d', baseUrl);
+    // The access token expires between authentication and the API call
+    clientD.credentials.expiry_date = Date.now() - 1000;
+    const [eventsD, eventsA2] = await Promise.all([
+      calendarD.list({ calendarId: 'primary' }),
+      calendarA.list({ calendarId: 'primary' })
+    ]);
+    assert.strictEqual(eventsD.items[0].summary, 'refreshed-2');
+    assert.strictEqual(eventsA2.items[0].summary, 'token-a');
+    assert.strictEqual((await sessions.get('session-d')).tokens.access_token, 'refreshed-2');
+    console.log('✅ Automatically refreshed token saved to its session');
+
+    console.log('\n✅ All tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+// Run the test
+testSessionOAuthClients();
@@ -1,4 +1,7 @@
 
+const { validateToolParameters } = require('./toolSchema');
+const { redactTokens } = require('./tokenEncryption');
+
 // Parse AI response and extract tools if any
 function parseAiResponse(aiResponseText) {
   const text = aiResponseText.trim();
@@ -49,22 +52,158 @@ function parseAiResponse(aiResponseText) {
   };
 }
 
-// Generic tool processor
-const processTool = async (tool, parameters, sessionId, oauth2Client, toolHandlers) => {
+// Extract tools and message from a Gemini response. Native functionCall parts take precedence;
+// responses without them go through the JSON-in-text protocol parser.
+function extractAiResponse(modelResult) {
+  const parts = modelResult?.candidates?.[0]?.content?.parts || [];
+  const text = parts
+    .filter(part => typeof part.text === 'string' && !part.thought)
+    .map(part => part.text)
+    .join('');
+  const functionCalls = parts.filter(part => part.functionCall);
+
+  if (functionCalls.length === 0) {
+    return parseAiResponse(text);
+  }
+
+  return {
+    tools: functionCalls.map(part => ({
+      tool: part.functionCall.name,
+      parameters: part.functionCall.args || {}
+    })),
+    message: text.trim(),
+    isJson: false,
+    nativeTools: true,
+    // Raw parts are replayed in the history so each functionCall is followed by its functionResponse
+    parts
+  };
+}
+
+// Decode the JSON string starting at `start` as far as it has arrived; `complete` once its closing quote is in
+function decodePartialJsonString(text, start) {
+  let value = '';
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      return { value, complete: true };
+    }
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+    const length = text[i + 1] === 'u' ? 6 : 2;
+    if (i + length > text.length) break; // Escape sequence not complete yet
+    try {
+      value += JSON.parse(`"${text.slice(i, i + length)}"`);
+    } catch (e) {
+      value += text.slice(i + 1, i + length);
+    }
+    i += length - 1;
+  }
+  return { value, complete: false };
+}
+
+// Forward the user-visible reply of a streaming model turn to `onMessageDelta`. Plain text replies
+// (native tool protocol) are forwarded as they arrive; JSON-in-text replies only forward the
+// `message` field. Tool calls are still read from the complete response by extractAiResponse.
+function createMessageStreamer(onMessageDelta) {
+  let raw = '';
+  let mode = null; // 'text', 'json' or 'done'
+  let sent = 0;
+
+  const send = (visible) => {
+    if (visible.length > sent) {
+      onMessageDelta(visible.slice(sent));
+      sent = visible.length;
+    }
+  };
+
+  return (textDelta) => {
+    raw += textDelta;
+    if (mode === 'done') return;
+    if (!mode) {
+      const start = raw.trimStart();
+      if (!start) return;
+      mode = start.startsWith('{') || start.startsWith('`') ? 'json' : 'text';
+    }
+
+    if (mode === 'text') {
+      // Stop at a JSON block the model appended, and hold back what may be the start of one
+      const jsonStart = raw.search(/```|\{\s*"/);
+      if (jsonStart !== -1) {
+        mode = 'done';
+        send(raw.slice(0, jsonStart).trimEnd());
+        return;
+      }
+      send(raw.replace(/[`{\s]+$/, ''));
+      return;
+    }
+
+    const field = raw.match(/"message"\s*:\s*"/);
+    if (!field) return;
+    const { value, complete } = decodePartialJsonString(raw, field.index + field[0].length);
+    if (complete) mode = 'done';
+    send(value);
+  };
+}
+
+// Build functionResponse parts answering each native function call with its tool result
+function buildFunctionResponseParts(tools, toolResults) {
+  return tools.map((toolRequest, index) => ({
+    functionResponse: {
+      name: toolRequest.tool,
+      response: toolResults[index] || { success: false, message: 'Tool was not executed' }
+    }
+  }));
+}
+
+// Validate a tool call against its schema. Returns the normalized parameters, or a structured
+// error result that is sent back to the model so it can correct the call.
+function validateToolCall(tool, parameters, toolHandlers) {
   const toolConfig = toolHandlers[tool];
 
   if (!toolConfig) {
-    // This should not happen since the AI knows what tools are available
     console.error(`❌ [SERVER] Unknown tool requested: ${tool}`);
     return {
-      success: false,
-      message: `Unknown tool: ${tool}`,
-      requiresConfirmation: false
+      valid: false,
+      error: {
+        success: false,
+        error: { type: 'UNKNOWN_TOOL', tool, availableTools: Object.keys(toolHandlers) },
+        message: `Unknown tool: ${tool}. Use one of: ${Object.keys(toolHandlers).join(', ')}.`,
+        requiresConfirmation: false
+      }
     };
   }
 
+  const validation = validateToolParameters(toolConfig, parameters);
+  if (!validation.valid) {
+    console.log(`⚠️ [SERVER] Invalid parameters for ${tool}:`, validation.issues);
+    return {
+      valid: false,
+      error: {
+        success: false,
+        error: { type: 'INVALID_PARAMETERS', tool, issues: validation.issues },
+        message: `Invalid parameters for ${tool}: ${validation.issues.map(issue => `${issue.path} ${issue.message}`).join('; ')}. Fix the parameters and call the tool again.`,
+        requiresConfirmation: false
+      }
+    };
+  }
+
+  return { valid: true, parameters: validation.parameters };
+}
+
+// Generic tool processor. `context` is passed on to the handler: { timezone } is the user's
+// timezone, for times the model sends without one
+const processTool = async (tool, parameters, sessionId, calendar, toolHandlers, context = {}) => {
+  const validation = validateToolCall(tool, parameters, toolHandlers);
+  if (!validation.valid) {
+    return validation.error;
+  }
+
+  const toolConfig = toolHandlers[tool];
+
   try {
-    const result = await toolConfig.handler(parameters, sessionId, oauth2Client);
+    const result = await toolConfig.handler(validation.parameters, sessionId, calendar, context);
 
     // Ensure requiresConfirmation is set from tool config
     return {
@@ -72,7 +211,7 @@ const processTool = async (tool, parameters, sessionId, oauth2Client, toolHandle
       requiresConfirmation: toolConfig.requiresConfirmation || false
     };
   } catch (error) {
-    console.error(`❌ [SERVER] Tool ${tool} failed:`, error);
+    console.error(`❌ [SERVER] Tool ${tool} failed:`, redactTokens(error));
     return {
       success: false,
       message: `Failed to ${tool}: ${error.message}`,
@@ -83,5 +222,9 @@ const processTool = async (tool, parameters, sessionId, oauth2Client, toolHandle
 
 module.exports = {
   parseAiResponse,
+  extractAiResponse,
+  createMessageStreamer,
+  buildFunctionResponseParts,
+  validateToolCall,
   processTool
 }; 
\ No newline at end of file
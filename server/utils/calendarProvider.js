@@ -0,0 +1,389 @@
+const { google } = require('googleapis');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { expandRecurrence, buildInstance, parseInstanceId } = require('./recurrence');
+
+// Calendar providers - every calendar backend exposes the same interface:
+//   calendarList()   -> { items: [...] }        (Google calendarList.list response shape)
+//   list(params)     -> { items: [...] }        (Google events.list response shape)
+//   instances(params)-> { items: [...] }        (occurrences of a recurring series)
+//   get(params)      -> event
+//   insert(params)   -> event
+//   update(params)   -> event
+//   delete(params)   -> void
+//   freebusy(params) -> { calendars: { [id]: { busy: [{ start, end }] } } }  (params: timeMin, timeMax, items;
+//                       items may be calendar ids or people's emails)
+//   watch(params)    -> channel ({ id, resourceId, expiration })
+//   stopWatch(params)-> void
+// Params mirror the Google Calendar API (calendarId, eventId, resource, timeMin, ...)
+// and errors carry a numeric `code` (404, 410, 429, ...) so callers can handle
+// every provider the same way.
+
+const DEFAULT_CALENDAR_PROVIDER = process.env.CALENDAR_PROVIDER || 'google';
+const LOCAL_CALENDAR_PATH = process.env.LOCAL_CALENDAR_PATH || path.join(__dirname, '../local-calendar.json');
+
+const createProviderError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Google Calendar provider - thin wrapper around googleapis using the session's OAuth client
+const createGoogleCalendarProvider = (oauth2Client) => {
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+
+  return {
+    name: 'google',
+    calendarList: async () => (await calendar.calendarList.list()).data,
+    list: async (params) => (await calendar.events.list(params)).data,
+    instances: async (params) => (await calendar.events.instances(params)).data,
+    get: async (params) => (await calendar.events.get(params)).data,
+    insert: async (params) => (await calendar.events.insert(params)).data,
+    update: async (params) => (await calendar.events.update(params)).data,
+    delete: async (params) => {
+      await calendar.events.delete(params);
+    },
+    freebusy: async ({ timeMin, timeMax, timeZone, items }) =>
+      (await calendar.freebusy.query({ resource: { timeMin, timeMax, timeZone, items } })).data,
+    watch: async (params) => (await calendar.events.watch(params)).data,
+    stopWatch: async ({ id, resourceId }) => {
+      await calendar.channels.stop({ resource: { id, resourceId } });
+    }
+  };
+};
+
+// Local file-backed store shared by all local providers pointing at the same file
+const localStores = new Map(); // filePath -> { data, writeQueue }
+
+const loadLocalStore = async (filePath) => {
+  if (localStores.has(filePath)) {
+    return localStores.get(filePath);
+  }
+
+  let data = { calendars: {} };
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    console.log(`📁 [SERVER] Loaded local calendar store from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ [SERVER] Error loading local calendar store:', error.message);
+    }
+  }
+
+  const store = { data, writeQueue: Promise.resolve() };
+  localStores.set(filePath, store);
+  return store;
+};
+
+const persistLocalStore = (filePath, store) => {
+  // Chain writes so concurrent mutations never interleave on disk
+  store.writeQueue = store.writeQueue.then(async () => {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(store.data, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }).catch(error => {
+    console.error('❌ [SERVER] Error saving local calendar store:', error.message);
+  });
+  return store.writeQueue;
+};
+
+// Colors for local calendars, in the order they are created
+const LOCAL_CALENDAR_COLORS = ['#4285f4', '#0b8043', '#d50000', '#f4511e', '#8e24aa', '#f6bf26', '#039be5', '#616161'];
+
+const getEventBoundary = (eventTime) => {
+  if (!eventTime) return null;
+  return new Date(eventTime.dateTime || eventTime.date);
+};
+
+// Local calendar provider - keeps events in a JSON file so the app and the AI tool loop
+// can run offline (development, CI) without a Google account.
+// Recurring series are stored once (with `recurrence`) and expanded on read like Google's
+// singleEvents; modified or deleted occurrences are stored as exceptions under their instance id.
+const createLocalCalendarProvider = ({ filePath = LOCAL_CALENDAR_PATH } = {}) => {
+  // Calendars other than 'primary' are created by the first event inserted into them
+  const getCalendarEvents = async (calendarId = 'primary', { create = false } = {}) => {
+    const store = await loadLocalStore(filePath);
+    if (!store.data.calendars[calendarId]) {
+      if (calendarId !== 'primary' && !create) {
+        throw createProviderError('Not Found', 404);
+      }
+      store.data.calendars[calendarId] = { events: {} };
+    }
+    return { store, events: store.data.calendars[calendarId].events };
+  };
+
+  // Exceptions of a deleted series are gone with it
+  const isActive = (events, event) =>
+    event.status !== 'cancelled' &&
+    (!event.recurringEventId || events[event.recurringEventId]?.status !== 'cancelled');
+
+  const findEvent = (events, eventId) => {
+    const event = events[eventId];
+    if (!event) {
+      throw createProviderError('Not Found', 404);
+    }
+    if (!isActive(events, event)) {
+      throw createProviderError('Resource has been deleted', 410);
+    }
+    return event;
+  };
+
+  // Resolve an event id, including occurrences of a series that have no stored exception
+  const resolveEvent = (events, eventId) => {
+    if (events[eventId]) {
+      return findEvent(events, eventId);
+    }
+
+    const instanceId = parseInstanceId(eventId);
+    const master = instanceId && events[instanceId.recurringEventId];
+    if (master?.recurrence && isActive(events, master)) {
+      const at = instanceId.instant ?? Date.UTC(instanceId.date.year, instanceId.date.month - 1, instanceId.date.day);
+      const [occurrence] = expandRecurrence(master, { timeMin: at, timeMax: at + 1, limit: 1 });
+      if (occurrence) {
+        return buildInstance(master, occurrence);
+      }
+    }
+    throw createProviderError('Not Found', 404);
+  };
+
+  // Occurrences of a series starting before rangeEnd and ending after rangeStart, minus stored exceptions
+  const expandSeries = (events, master, rangeStart, rangeEnd) => {
+    const durationMs = getEventBoundary(master.end) - getEventBoundary(master.start);
+    return expandRecurrence(master, {
+      timeMin: rangeStart ? rangeStart.getTime() - durationMs : null,
+      timeMax: rangeEnd
+    })
+      .map(occurrence => buildInstance(master, occurrence))
+      .filter(instance => !events[instance.id]);
+  };
+
+  const listEvents = async ({ calendarId, timeMin, timeMax, q, singleEvents } = {}) => {
+    const { events } = await getCalendarEvents(calendarId);
+    const rangeStart = timeMin ? new Date(timeMin) : null;
+    const rangeEnd = timeMax ? new Date(timeMax) : null;
+    const searchTerm = q ? q.toLowerCase() : null;
+
+    const stored = Object.values(events).filter(event => isActive(events, event));
+    const candidates = singleEvents
+      ? [
+        ...stored.filter(event => !event.recurrence),
+        ...stored.filter(event => event.recurrence).flatMap(master => expandSeries(events, master, rangeStart, rangeEnd))
+      ]
+      : stored;
+
+    const items = candidates
+      .filter(event => {
+        const start = getEventBoundary(event.start);
+        const end = getEventBoundary(event.end) || start;
+        // Without singleEvents a series is listed once, by its first occurrence
+        if (event.recurrence) return !rangeEnd || start < rangeEnd;
+        if (rangeStart && end <= rangeStart) return false;
+        if (rangeEnd && start >= rangeEnd) return false;
+        return true;
+      })
+      .filter(event => {
+        if (!searchTerm) return true;
+        return [event.summary, event.description, event.location]
+          .some(field => field && field.toLowerCase().includes(searchTerm));
+      })
+      .sort((a, b) => getEventBoundary(a.start) - getEventBoundary(b.start));
+
+    return { kind: 'calendar#events', items };
+  };
+
+  return {
+    name: 'local',
+
+    // Every calendar id that has been written to is a calendar; 'primary' always exists
+    calendarList: async () => {
+      const { store } = await getCalendarEvents('primary');
+      const items = Object.entries(store.data.calendars).map(([id, calendar], index) => ({
+        kind: 'calendar#calendarListEntry',
+        id,
+        summary: calendar.summary || (id === 'primary' ? 'Local Calendar' : id),
+        description: calendar.description,
+        timeZone: calendar.timeZone || 'UTC',
+        backgroundColor: calendar.backgroundColor || LOCAL_CALENDAR_COLORS[index % LOCAL_CALENDAR_COLORS.length],
+        foregroundColor: calendar.foregroundColor || '#ffffff',
+        accessRole: 'owner',
+        selected: true,
+        ...(id === 'primary' && { primary: true })
+      }));
+      return { kind: 'calendar#calendarList', items };
+    },
+
+    list: listEvents,
+
+    instances: async ({ calendarId, eventId, timeMin, timeMax }) => {
+      const { events } = await getCalendarEvents(calendarId);
+      const master = findEvent(events, eventId);
+      if (!master.recurrence) {
+        throw createProviderError('Event is not recurring', 400);
+      }
+
+      // Expanded occurrences plus modified occurrences stored as exceptions
+      const rangeStart = timeMin ? new Date(timeMin) : null;
+      const rangeEnd = timeMax ? new Date(timeMax) : null;
+      const exceptions = Object.values(events)
+        .filter(event => event.recurringEventId === eventId && isActive(events, event))
+        .filter(event => {
+          const start = getEventBoundary(event.start);
+          const end = getEventBoundary(event.end);
+          return (!rangeStart || end > rangeStart) && (!rangeEnd || start < rangeEnd);
+        });
+      const items = [...expandSeries(events, master, rangeStart, rangeEnd), ...exceptions]
+        .sort((a, b) => getEventBoundary(a.start) - getEventBoundary(b.start));
+
+      return { kind: 'calendar#events', items };
+    },
+
+    get: async ({ calendarId, eventId }) => {
+      const { events } = await getCalendarEvents(calendarId);
+      return resolveEvent(events, eventId);
+    },
+
+    insert: async ({ calendarId, resource }) => {
+      if (!resource || !resource.start || !resource.end) {
+        throw createProviderError('Missing start or end time', 400);
+      }
+
+      const { store, events } = await getCalendarEvents(calendarId, { create: true });
+      const now = new Date().toISOString();
+      const id = crypto.randomBytes(13).toString('hex');
+      const event = {
+        ...resource,
+        kind: 'calendar#event',
+        id,
+        iCalUID: `${id}@vibe-calendar.local`,
+        status: 'confirmed',
+        created: now,
+        updated: now,
+        organizer: { email: 'local', self: true },
+        creator: { email: 'local', self: true }
+      };
+
+      events[id] = event;
+      await persistLocalStore(filePath, store);
+      return event;
+    },
+
+    update: async ({ calendarId, eventId, resource }) => {
+      const { store, events } = await getCalendarEvents(calendarId);
+      // Like Google, updating a deleted event with status 'confirmed' restores it
+      const existing = resource.status === 'confirmed' && events[eventId]?.status === 'cancelled'
+        ? events[eventId]
+        : resolveEvent(events, eventId);
+
+      // Full replacement like Google's events.update, keeping server-managed fields
+      // (an updated occurrence becomes an exception of its series)
+      const event = {
+        ...resource,
+        kind: existing.kind,
+        id: existing.id,
+        iCalUID: existing.iCalUID,
+        recurringEventId: existing.recurringEventId,
+        originalStartTime: existing.originalStartTime,
+        status: resource.status || existing.status,
+        created: existing.created,
+        updated: new Date().toISOString(),
+        organizer: existing.organizer,
+        creator: existing.creator
+      };
+
+      // Moving a series invalidates its exceptions: they are keyed by the old occurrence starts
+      if (existing.recurrence && getEventBoundary(event.start)?.getTime() !== getEventBoundary(existing.start)?.getTime()) {
+        Object.values(events)
+          .filter(stored => stored.recurringEventId === existing.id)
+          .forEach(stored => { delete events[stored.id]; });
+      }
+
+      events[eventId] = event;
+      await persistLocalStore(filePath, store);
+      return event;
+    },
+
+    delete: async ({ calendarId, eventId }) => {
+      const { store, events } = await getCalendarEvents(calendarId);
+      const existing = resolveEvent(events, eventId);
+
+      // Keep a tombstone so repeated deletes report 410 like Google does
+      events[eventId] = { ...existing, status: 'cancelled', updated: new Date().toISOString() };
+      await persistLocalStore(filePath, store);
+    },
+
+    // Busy intervals from non-transparent events, in the shape of Google's freebusy.query.
+    // An email without a local calendar of its own is busy during the local events it attends
+    // (and has not declined), standing in for other people's calendars.
+    freebusy: async ({ timeMin, timeMax, items = [{ id: 'primary' }] }) => {
+      const calendars = {};
+      const { store } = await getCalendarEvents('primary');
+
+      const attendedEvents = async (email) => {
+        const attending = [];
+        for (const calendarId of Object.keys(store.data.calendars)) {
+          const { items: events } = await listEvents({ calendarId, timeMin, timeMax, singleEvents: true });
+          attending.push(...events.filter(event => (event.attendees || []).some(attendee =>
+            attendee.email?.toLowerCase() === email.toLowerCase() && attendee.responseStatus !== 'declined')));
+        }
+        return attending;
+      };
+
+      for (const { id } of items) {
+        let events;
+        try {
+          events = !store.data.calendars[id] && id.includes('@')
+            ? await attendedEvents(id)
+            : (await listEvents({ calendarId: id, timeMin, timeMax, singleEvents: true })).items;
+        } catch (error) {
+          // Google reports unknown calendars per entry instead of failing the query
+          calendars[id] = { busy: [], errors: [{ domain: 'global', reason: 'notFound' }] };
+          continue;
+        }
+        calendars[id] = {
+          busy: events
+            .filter(event => event.transparency !== 'transparent')
+            .map(event => ({
+              start: getEventBoundary(event.start).toISOString(),
+              end: getEventBoundary(event.end).toISOString()
+            }))
+        };
+      }
+
+      return { kind: 'calendar#freeBusy', timeMin, timeMax, calendars };
+    },
+
+    // The local store has no push notifications; return a channel so callers can treat it uniformly
+    watch: async ({ calendarId = 'primary', resource }) => ({
+      kind: 'api#channel',
+      id: resource?.id,
+      resourceId: `local-${calendarId}`,
+      expiration: String(Date.now() + Number(resource?.params?.ttl || 0) * 1000)
+    }),
+
+    stopWatch: async () => { }
+  };
+};
+
+// Resolve the calendar provider for a session ('google' unless the session or env picks another).
+// The provider carries the session's visible calendars (null until the user picks some).
+const getCalendarProvider = (session, oauth2Client) => {
+  const providerName = session?.calendarProvider || DEFAULT_CALENDAR_PROVIDER;
+  const visibleCalendarIds = session?.visibleCalendars || null;
+
+  if (providerName === 'local') {
+    return { ...createLocalCalendarProvider(), visibleCalendarIds };
+  }
+
+  if (providerName !== 'google') {
+    console.error(`❌ [SERVER] Unknown calendar provider "${providerName}", falling back to google`);
+  }
+  return { ...createGoogleCalendarProvider(oauth2Client), visibleCalendarIds };
+};
+
+module.exports = {
+  DEFAULT_CALENDAR_PROVIDER,
+  createGoogleCalendarProvider,
+  createLocalCalendarProvider,
+  getCalendarProvider
+};
@@ -0,0 +1,58 @@
+// Server-sent event streams that push calendar changes to the browser, per session.
+// A session may have several streams open (one per tab).
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+function createCalendarPushHub() {
+  const streams = new Map(); // sessionId -> Set of SSE responses
+
+  const write = (res, message) => {
+    res.write(`data: ${JSON.stringify(message)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => {
+    for (const sessionStreams of streams.values()) {
+      sessionStreams.forEach(res => res.write(': keep-alive\n\n'));
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    // Register an open SSE response; it is dropped when the browser disconnects
+    subscribe(sessionId, res, readyMessage) {
+      if (!streams.has(sessionId)) {
+        streams.set(sessionId, new Set());
+      }
+      streams.get(sessionId).add(res);
+      res.on('close', () => {
+        const sessionStreams = streams.get(sessionId);
+        sessionStreams?.delete(res);
+        if (sessionStreams?.size === 0) {
+          streams.delete(sessionId);
+        }
+      });
+      if (readyMessage) {
+        write(res, readyMessage);
+      }
+    },
+
+    // Send a message to every open stream of the session; returns how many received it
+    publish(sessionId, message) {
+      const sessionStreams = streams.get(sessionId);
+      if (!sessionStreams) return 0;
+      sessionStreams.forEach(res => write(res, message));
+      return sessionStreams.size;
+    },
+
+    // Close the session's streams (logout)
+    close(sessionId) {
+      streams.get(sessionId)?.forEach(res => res.end());
+      streams.delete(sessionId);
+    }
+  };
+}
+
+module.exports = {
+  createCalendarPushHub
+};
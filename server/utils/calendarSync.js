@@ -0,0 +1,65 @@
+// Incremental calendar sync with Google sync tokens: after a push notification only the events
+// changed since the previous sync are listed and turned into messages for the browser.
+// Series are synced unexpanded (singleEvents off) so the first listing stays small; a changed
+// series or a large batch of changes asks the browser to reload its events instead.
+
+// More changes than this are cheaper to reload than to apply one by one
+const MAX_PUSHED_CHANGES = 50;
+
+// Page through an events listing, returning its items and the sync token of the last page
+async function listAllPages(calendar, params) {
+  const items = [];
+  let pageToken;
+  let response;
+  do {
+    response = await calendar.list({ ...params, pageToken });
+    items.push(...(response.items || []));
+    pageToken = response.nextPageToken;
+  } while (pageToken);
+  return { items, nextSyncToken: response.nextSyncToken };
+}
+
+// Full listing that only establishes a sync token; the browser loads the events itself
+async function createSyncToken(calendar, calendarId) {
+  const { nextSyncToken } = await listAllPages(calendar, { calendarId, maxResults: 2500 });
+  return nextSyncToken;
+}
+
+const toMessage = (event, calendarId) => (event.status === 'cancelled'
+  ? { type: 'event-deleted', eventId: event.id, calendarId }
+  : { type: 'event-changed', event: { ...event, calendarId } });
+
+// Changes since `syncToken` as push messages, with the token for the next sync.
+// Without a token, or when Google expired it (410 Gone), a new token is created and the browser
+// is asked to reload.
+async function syncCalendarChanges(calendar, { calendarId, syncToken }) {
+  const resync = async () => ({
+    messages: [{ type: 'resync', calendarId }],
+    nextSyncToken: await createSyncToken(calendar, calendarId)
+  });
+
+  if (!syncToken) {
+    return resync();
+  }
+
+  let changes;
+  try {
+    changes = await listAllPages(calendar, { calendarId, syncToken, maxResults: 250 });
+  } catch (error) {
+    if (error.code === 410) {
+      console.log('⚠️ [SERVER] Sync token expired, starting a full sync:', { calendarId });
+      return resync();
+    }
+    throw error;
+  }
+
+  const { items, nextSyncToken } = changes;
+  if (items.length > MAX_PUSHED_CHANGES || items.some(event => event.recurrence)) {
+    return { messages: [{ type: 'resync', calendarId }], nextSyncToken };
+  }
+  return { messages: items.map(event => toMessage(event, calendarId)), nextSyncToken };
+}
+
+module.exports = {
+  syncCalendarChanges
+};
@@ -0,0 +1,296 @@
+// Google Calendar watch channels (push notifications) for Google sessions.
+// A session has one channel per visible calendar. Channels are stored on the session
+// (`session.watchChannels`) so they survive restarts, renewed before they expire, and every
+// notification must carry the id and secret token of one of the session's channels.
+const crypto = require('crypto');
+const { getCalendarProvider } = require('./calendarProvider');
+const { getSessionOAuthClient } = require('./session');
+const { getVisibleCalendarIds } = require('./calendars');
+
+// Longest lifetime Google grants to event watch channels
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Channels are replaced when they have less than this left
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+const RENEWAL_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// X-Goog-Resource-State values: 'sync' confirms a new channel, the others report changes
+const RESOURCE_STATES = ['sync', 'exists', 'not_exists'];
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Public https base URL Google can reach, e.g. https://api.example.com (WEBHOOK_BASE_URL)
+function getWebhookBaseUrl(env = process.env) {
+  const baseUrl = (env.WEBHOOK_BASE_URL || '').replace(/\/+$/, '');
+  return baseUrl.startsWith('https://') ? baseUrl : null;
+}
+
+// Channels of sessions stored before calendars were watched separately
+const storedChannels = (session) => session.watchChannels || (session.watchChannel ? [session.watchChannel] : []);
+
+// `onChannelCreated(sessionId, channel)` runs after a calendar's first channel is created (e.g. to take a sync token)
+function createCalendarWatchManager({ sessions, webhookBaseUrl = getWebhookBaseUrl(), onChannelCreated = () => {} }) {
+  const channels = new Map(); // sessionId -> session.watchChannels
+  const updates = new Map(); // sessionId -> promise of the latest queued channel update
+  let renewalTimer = null;
+
+  const getCalendar = (sessionId, session) => getCalendarProvider(session, getSessionOAuthClient(sessionId, session));
+
+  const saveChannels = async (sessionId, list) => {
+    await sessions.update(sessionId, (session) => {
+      delete session.watchChannel;
+      if (list.length > 0) {
+        session.watchChannels = list;
+      } else {
+        delete session.watchChannels;
+      }
+    });
+    if (list.length > 0) {
+      channels.set(sessionId, list);
+    } else {
+      channels.delete(sessionId);
+    }
+  };
+
+  // Channel changes run one at a time per session so concurrent updates never drop a channel
+  const queueUpdate = (sessionId, update) => {
+    const run = (updates.get(sessionId) || Promise.resolve()).then(update);
+    const queued = run.catch(() => {}).finally(() => {
+      if (updates.get(sessionId) === queued) {
+        updates.delete(sessionId);
+      }
+    });
+    updates.set(sessionId, queued);
+    return run;
+  };
+
+  const stopChannel = async (calendar, channel) => {
+    try {
+      await calendar.stopWatch({ id: channel.id, resourceId: channel.resourceId });
+    } catch (error) {
+      // An expired or already stopped channel is gone either way
+      console.log('⚠️ [SERVER] Could not stop watch channel:', { channelId: channel.id, error: error.message });
+    }
+  };
+
+  const createChannel = async (sessionId, session, calendarId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const response = await getCalendar(sessionId, session).watch({
+      calendarId,
+      resource: {
+        id: crypto.randomUUID(),
+        type: 'web_hook',
+        address: `${webhookBaseUrl}/api/calendar/webhook/${sessionId}`,
+        token,
+        params: { ttl: String(CHANNEL_TTL_SECONDS) }
+      }
+    });
+    return {
+      id: response.id,
+      resourceId: response.resourceId,
+      expiration: Number(response.expiration),
+      token,
+      calendarId
+    };
+  };
+
+  // Replace channels that expire soon (or already did while the server was down)
+  const renewSession = async (sessionId) => {
+    const current = channels.get(sessionId) || [];
+    if (!current.some(channel => channel.expiration - Date.now() <= RENEW_BEFORE_MS)) return;
+
+    const session = await sessions.get(sessionId);
+    if (!session) {
+      // Session logged out or expired; the channels lapse on their own
+      channels.delete(sessionId);
+      return;
+    }
+
+    const kept = [];
+    for (const channel of current) {
+      if (channel.expiration - Date.now() > RENEW_BEFORE_MS) {
+        kept.push(channel);
+        continue;
+      }
+      try {
+        const renewed = await createChannel(sessionId, session, channel.calendarId);
+        kept.push(renewed);
+        await stopChannel(getCalendar(sessionId, session), channel);
+        console.log('✅ [SERVER] Google Calendar watch renewed:', {
+          sessionId: sessionId.substring(0, 8) + '...',
+          calendarId: channel.calendarId,
+          channelId: renewed.id,
+          expiration: new Date(renewed.expiration).toISOString()
+        });
+      } catch (error) {
+        console.error('❌ [SERVER] Failed to renew Google Calendar watch:', {
+          sessionId: sessionId.substring(0, 8) + '...',
+          calendarId: channel.calendarId,
+          error: error.message,
+          status: error.code
+        });
+        if (channel.expiration > Date.now()) {
+          kept.push(channel);
+        }
+      }
+    }
+    await saveChannels(sessionId, kept);
+  };
+
+  const renewDue = async () => {
+    for (const sessionId of [...channels.keys()]) {
+      await queueUpdate(sessionId, () => renewSession(sessionId));
+    }
+  };
+
+  // Open channels for visible calendars that have none and stop those of hidden calendars
+  const watchVisibleCalendars = async (sessionId, session) => {
+    const calendar = getCalendar(sessionId, session);
+    const calendarIds = await getVisibleCalendarIds(calendar);
+    const current = channels.get(sessionId) || [];
+
+    const kept = [];
+    for (const channel of current) {
+      if (calendarIds.includes(channel.calendarId)) {
+        kept.push(channel);
+      } else {
+        await stopChannel(calendar, channel);
+      }
+    }
+
+    const created = [];
+    for (const calendarId of calendarIds) {
+      if (kept.some(channel => channel.calendarId === calendarId)) continue;
+      try {
+        created.push(await createChannel(sessionId, session, calendarId));
+      } catch (error) {
+        console.error('❌ [SERVER] Failed to setup Google Calendar watch:', {
+          sessionId: sessionId.substring(0, 8) + '...',
+          calendarId,
+          error: error.message,
+          status: error.code
+        });
+      }
+    }
+
+    const list = [...kept, ...created];
+    await saveChannels(sessionId, list);
+    if (created.length > 0 || kept.length < current.length) {
+      console.log('✅ [SERVER] Google Calendar watch setup successful:', {
+        sessionId: sessionId.substring(0, 8) + '...',
+        calendarIds: list.map(channel => channel.calendarId),
+        stopped: current.length - kept.length
+      });
+    }
+    created.forEach(channel => onChannelCreated(sessionId, channel));
+    return list;
+  };
+
+  return {
+    isActive: (sessionId) => (channels.get(sessionId) || []).some(channel => channel.expiration > Date.now()),
+
+    // Watch the session's visible calendars (Google sessions only); call again when the visible
+    // calendars change. Returns the session's channels, or null when watching is unavailable.
+    async start(sessionId, session) {
+      if (session.calendarProvider === 'local') {
+        return null;
+      }
+      if (!webhookBaseUrl) {
+        console.log('⚠️ [SERVER] Skipping Google Calendar watch setup: set WEBHOOK_BASE_URL to a public https URL of this server');
+        return null;
+      }
+
+      console.log('🔄 [SERVER] Setting up Google Calendar watch for session:', sessionId.substring(0, 8) + '...');
+      return queueUpdate(sessionId, () => watchVisibleCalendars(sessionId, session)).catch((error) => {
+        console.error('❌ [SERVER] Failed to setup Google Calendar watch:', {
+          sessionId: sessionId.substring(0, 8) + '...',
+          error: error.message,
+          status: error.code
+        });
+        return null;
+      });
+    },
+
+    // Stop the session's channels (logout)
+    async stop(sessionId) {
+      await queueUpdate(sessionId, async () => {
+        const current = channels.get(sessionId);
+        if (!current) {
+          console.log('⚠️ [SERVER] No active watch subscription found for session:', sessionId.substring(0, 8) + '...');
+          return;
+        }
+
+        console.log('🔄 [SERVER] Stopping Google Calendar watch for session:', sessionId.substring(0, 8) + '...');
+        const session = await sessions.get(sessionId);
+        if (session) {
+          const calendar = getCalendar(sessionId, session);
+          for (const channel of current) {
+            await stopChannel(calendar, channel);
+          }
+          await saveChannels(sessionId, []);
+        } else {
+          channels.delete(sessionId);
+        }
+        console.log('✅ [SERVER] Google Calendar watch stopped successfully:', {
+          sessionId: sessionId.substring(0, 8) + '...',
+          channels: current.length
+        });
+      });
+    },
+
+    // Load the channels stored on sessions (server start)
+    async restore() {
+      let count = 0;
+      for (const sessionId of await sessions.ids()) {
+        const session = await sessions.get(sessionId);
+        const stored = session ? storedChannels(session) : [];
+        if (stored.length > 0) {
+          channels.set(sessionId, stored);
+          count += stored.length;
+        }
+      }
+      console.log(`📁 [SERVER] Restored ${count} Google Calendar watch channels`);
+    },
+
+    renewDue,
+
+    startRenewal(intervalMs = RENEWAL_CHECK_INTERVAL_MS) {
+      const renew = () => renewDue().catch((error) => {
+        console.error('❌ [SERVER] Watch renewal check failed:', error.message);
+      });
+      renew();
+      renewalTimer = setInterval(renew, intervalMs);
+      renewalTimer.unref();
+    },
+
+    stopRenewal() {
+      clearInterval(renewalTimer);
+    },
+
+    // Check a webhook request against the session's channels.
+    // Returns { valid: true, state, calendarId } or { valid: false, status, reason }.
+    verifyNotification(sessionId, headers) {
+      const current = channels.get(sessionId);
+      if (!current) {
+        return { valid: false, status: 404, reason: 'Subscription not found' };
+      }
+      const channel = current.find(entry => safeEqual(headers['x-goog-channel-id'], entry.id));
+      if (!channel || !safeEqual(headers['x-goog-channel-token'], channel.token)) {
+        return { valid: false, status: 403, reason: 'Unknown channel or token' };
+      }
+      const state = headers['x-goog-resource-state'];
+      if (!RESOURCE_STATES.includes(state)) {
+        return { valid: false, status: 400, reason: `Unexpected resource state: ${state}` };
+      }
+      return { valid: true, state, calendarId: channel.calendarId };
+    }
+  };
+}
+
+module.exports = {
+  getWebhookBaseUrl,
+  createCalendarWatchManager
+};
@@ -0,0 +1,75 @@
+// Calendar list helpers shared by the REST routes and the AI tools.
+// A session shows the calendars in `session.visibleCalendars` (calendar ids); until the user
+// picks any, the calendars selected in their calendar list (or just the primary one) are shown.
+
+const DEFAULT_CALENDAR_ID = 'primary';
+
+// Calendars that may have been removed or unshared since they were picked
+const SKIPPABLE_CALENDAR_ERRORS = [403, 404, 410];
+
+const isCalendarVisible = (entry, visibleCalendarIds) => {
+  if (Array.isArray(visibleCalendarIds)) {
+    return visibleCalendarIds.includes(entry.id) ||
+      (!!entry.primary && visibleCalendarIds.includes(DEFAULT_CALENDAR_ID));
+  }
+  return !!entry.primary || !!entry.selected;
+};
+
+// Calendar list entry in the shape returned to the client and the AI
+const formatCalendar = (entry, visibleCalendarIds) => ({
+  id: entry.id,
+  summary: entry.summaryOverride || entry.summary || entry.id,
+  description: entry.description,
+  timeZone: entry.timeZone,
+  backgroundColor: entry.backgroundColor,
+  foregroundColor: entry.foregroundColor,
+  accessRole: entry.accessRole,
+  primary: !!entry.primary,
+  visible: isCalendarVisible(entry, visibleCalendarIds)
+});
+
+// All calendars of the user, primary first
+async function listCalendars(calendar, visibleCalendarIds = calendar.visibleCalendarIds) {
+  const { items = [] } = await calendar.calendarList();
+  return items
+    .map(entry => formatCalendar(entry, visibleCalendarIds))
+    .sort((a, b) => Number(b.primary) - Number(a.primary));
+}
+
+// Ids of the calendars the session shows
+async function getVisibleCalendarIds(calendar, visibleCalendarIds = calendar.visibleCalendarIds) {
+  const calendars = await listCalendars(calendar, visibleCalendarIds);
+  const visible = calendars.filter(entry => entry.visible).map(entry => entry.id);
+  return visible.length > 0 ? visible : [DEFAULT_CALENDAR_ID];
+}
+
+// List events of several calendars as one time-ordered list. Each event carries the
+// calendarId it belongs to, which update/delete calls need. Calendars the user can no
+// longer read are skipped; other errors (e.g. 429) are thrown so callers can retry.
+async function listEventsAcrossCalendars(calendar, calendarIds, params) {
+  const results = await Promise.all(calendarIds.map(async (calendarId) => {
+    try {
+      const response = await calendar.list({ ...params, calendarId });
+      return (response.items || []).map(event => ({ ...event, calendarId }));
+    } catch (error) {
+      if (!SKIPPABLE_CALENDAR_ERRORS.includes(error.code) || calendarIds.length === 1) {
+        throw error;
+      }
+      console.log('⚠️ [SERVER] Skipping unreadable calendar:', { calendarId, status: error.code, error: error.message });
+      return [];
+    }
+  }));
+
+  const getStart = (event) => new Date(event.start?.dateTime || event.start?.date).getTime();
+  return {
+    kind: 'calendar#events',
+    items: results.flat().sort((a, b) => getStart(a) - getStart(b))
+  };
+}
+
+module.exports = {
+  DEFAULT_CALENDAR_ID,
+  listCalendars,
+  getVisibleCalendarIds,
+  listEventsAcrossCalendars
+};
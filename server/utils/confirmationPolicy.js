@@ -0,0 +1,201 @@
+// Confirmation policies: per-session rules that decide which AI tool calls wait for the user's
+// confirmation, on top of each tool's static `requiresConfirmation`. Rules are stored on the session
+// (`session.confirmationPolicy = { rules: [...] }`); a rule
+//   { id, name, effect: 'confirm' | 'auto', tools: [...], when: { externalAttendees, ownedByMe, noGuests, eventCountAbove } }
+// matches a tool call when the tool is listed and every condition it sets holds. A matching 'confirm'
+// rule always wins; otherwise a matching 'auto' rule runs the call without asking; otherwise the
+// tool's own `requiresConfirmation` decides.
+const crypto = require('crypto');
+const { DEFAULT_CALENDAR_ID } = require('./calendars');
+
+// Tools that change events; event counts count these calls
+const EVENT_TOOLS = ['create_event', 'update_event', 'delete_event'];
+
+const POLICY_EFFECTS = ['confirm', 'auto'];
+
+// Rules per session
+const MAX_POLICY_RULES = 20;
+
+// Conditions a rule can set. Boolean conditions match when the fact equals the value given;
+// eventCountAbove matches when the assistant's request changes more events than the number given,
+// counting the changes it already made for the same message and the events each call changes.
+const POLICY_CONDITIONS = {
+  externalAttendees: { type: 'boolean', desc: 'The event has guests outside your email domain' },
+  ownedByMe: { type: 'boolean', desc: 'You organize the event (always true for new events)' },
+  noGuests: { type: 'boolean', desc: 'The event has no guests besides you' },
+  eventCountAbove: { type: 'integer', desc: 'The assistant changes more than this many events for one message (a repeating series counts as more than any number)' }
+};
+
+// Ready-made rules the settings page offers
+const POLICY_PRESETS = [
+  {
+    name: 'Always confirm events with external attendees',
+    effect: 'confirm',
+    tools: EVENT_TOOLS,
+    when: { externalAttendees: true }
+  },
+  {
+    name: 'Auto-approve deletes of events I own with no guests',
+    effect: 'auto',
+    tools: ['delete_event'],
+    when: { ownedByMe: true, noGuests: true }
+  },
+  {
+    name: 'Auto-approve updates of events I own with no guests',
+    effect: 'auto',
+    tools: ['update_event'],
+    when: { ownedByMe: true, noGuests: true }
+  },
+  {
+    name: 'Confirm anything touching more than 3 events',
+    effect: 'confirm',
+    tools: EVENT_TOOLS,
+    when: { eventCountAbove: 3 }
+  },
+  {
+    name: 'Always confirm new events',
+    effect: 'confirm',
+    tools: ['create_event'],
+    when: {}
+  }
+];
+
+// Check and normalize rules sent by the client (rules without an id get one).
+// Returns { valid: true, rules } or { valid: false, error }.
+function validatePolicyRules(rules, toolHandlers) {
+  if (!Array.isArray(rules)) {
+    return { valid: false, error: 'rules must be an array' };
+  }
+  if (rules.length > MAX_POLICY_RULES) {
+    return { valid: false, error: `At most ${MAX_POLICY_RULES} rules are allowed` };
+  }
+
+  const normalized = [];
+  for (const [index, rule] of rules.entries()) {
+    const label = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      return { valid: false, error: `${label} must be an object` };
+    }
+    if (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > 100) {
+      return { valid: false, error: `${label} needs a name of at most 100 characters` };
+    }
+    if (!POLICY_EFFECTS.includes(rule.effect)) {
+      return { valid: false, error: `${label}: effect must be one of ${POLICY_EFFECTS.join(', ')}` };
+    }
+    if (!Array.isArray(rule.tools) || rule.tools.length === 0) {
+      return { valid: false, error: `${label} must apply to at least one tool` };
+    }
+    const unknownTool = rule.tools.find(tool => !toolHandlers[tool]);
+    if (unknownTool) {
+      return { valid: false, error: `${label}: unknown tool "${unknownTool}"` };
+    }
+
+    const when = rule.when || {};
+    if (typeof when !== 'object' || Array.isArray(when)) {
+      return { valid: false, error: `${label}: when must be an object of conditions` };
+    }
+    for (const [condition, value] of Object.entries(when)) {
+      const definition = POLICY_CONDITIONS[condition];
+      if (!definition) {
+        return { valid: false, error: `${label}: unknown condition "${condition}"` };
+      }
+      const validValue = definition.type === 'boolean' ? typeof value === 'boolean' : Number.isInteger(value) && value >= 0;
+      if (!validValue) {
+        return { valid: false, error: `${label}: ${condition} must be ${definition.type === 'boolean' ? 'true or false' : 'a whole number'}` };
+      }
+    }
+
+    normalized.push({
+      id: typeof rule.id === 'string' && rule.id ? rule.id : crypto.randomUUID(),
+      name: rule.name.trim(),
+      effect: rule.effect,
+      tools: [...new Set(rule.tools)],
+      when
+    });
+  }
+  return { valid: true, rules: normalized };
+}
+
+const domainOf = (email) => (email || '').split('@')[1]?.toLowerCase() || null;
+
+// Facts about one tool call that rules can test. `event` is the event the call targets as stored now
+// (null for new events or when it could not be loaded); `ownerEmail` the user's address if known.
+function describeToolCall({ tool, parameters }, event, ownerEmail, eventCount) {
+  const ownerDomain = domainOf(ownerEmail);
+  const proposed = (parameters?.event?.attendees || []).map(email => ({ email }));
+  const guests = [...(event?.attendees || []), ...proposed]
+    .filter(attendee => !attendee.self && attendee.email?.toLowerCase() !== ownerEmail?.toLowerCase());
+
+  return {
+    // Without a known domain every guest counts as external
+    externalAttendees: guests.some(attendee => !ownerDomain || domainOf(attendee.email) !== ownerDomain),
+    // Unknown ownership (event not loaded) never counts as owned
+    ownedByMe: tool === 'create_event' || (!!event && (!event.organizer || !!event.organizer.self)),
+    noGuests: guests.length === 0,
+    eventCount
+  };
+}
+
+// Events a tool call changes. A whole repeating series, or its following occurrences, may have no
+// end, so it counts as more than any limit; a series scope on an event that could not be loaded too.
+function countEventChanges({ tool, parameters }, event) {
+  if (!EVENT_TOOLS.includes(tool)) return 0;
+  if (tool === 'create_event') {
+    return parameters?.event?.recurrence ? Infinity : 1;
+  }
+  const seriesScope = ['following', 'all'].includes(parameters?.scope);
+  return seriesScope && (!event || !!event.recurringEventId || !!event.recurrence) ? Infinity : 1;
+}
+
+const ruleMatches = (rule, tool, facts) =>
+  rule.tools.includes(tool) &&
+  Object.entries(rule.when || {}).every(([condition, value]) =>
+    (condition === 'eventCountAbove' ? facts.eventCount > value : facts[condition] === value));
+
+// Decide for each tool call of a batch whether it needs confirmation. `loadEvent({ calendarId, eventId })`
+// resolves to the stored event (null if unavailable) and `loadOwnerEmail()` to the user's email; both are
+// only called when a rule needs them. `eventsChangedBefore` is the number of events the assistant already
+// changed for the same message. Resolves to [{ requiresConfirmation, reason }] in batch order, where
+// reason names the rule (or the tool default) that asked for confirmation.
+async function evaluateConfirmationPolicy({ rules = [], tools, toolHandlers, loadEvent, loadOwnerEmail, eventsChangedBefore = 0 }) {
+  const needsEvents = rules.some(rule => Object.keys(rule.when || {}).some(condition => condition !== 'eventCountAbove'));
+  const countsEvents = rules.some(rule => rule.when?.eventCountAbove !== undefined);
+  const ownerEmail = needsEvents ? await loadOwnerEmail() : null;
+
+  // Events are loaded for calls rules test, and for series scopes when events are counted
+  const events = await Promise.all(tools.map(({ tool, parameters }) => {
+    const { calendarId = DEFAULT_CALENDAR_ID, eventId, scope } = parameters || {};
+    const needed = (needsEvents && rules.some(rule => rule.tools.includes(tool))) ||
+      (countsEvents && EVENT_TOOLS.includes(tool) && ['following', 'all'].includes(scope));
+    return needed && eventId ? loadEvent({ calendarId, eventId }) : null;
+  }));
+  const eventCount = tools.reduce((count, toolRequest, index) => count + countEventChanges(toolRequest, events[index]), eventsChangedBefore);
+
+  return tools.map((toolRequest, index) => {
+    const defaultConfirmation = !!toolHandlers[toolRequest.tool]?.requiresConfirmation;
+    const applicable = rules.filter(rule => rule.tools.includes(toolRequest.tool));
+    if (applicable.length === 0) {
+      return { requiresConfirmation: defaultConfirmation, reason: defaultConfirmation ? 'Default for this tool' : null };
+    }
+
+    const facts = describeToolCall(toolRequest, events[index], ownerEmail, eventCount);
+    const matching = applicable.filter(rule => ruleMatches(rule, toolRequest.tool, facts));
+
+    const confirmRule = matching.find(rule => rule.effect === 'confirm');
+    if (confirmRule) {
+      return { requiresConfirmation: true, reason: confirmRule.name };
+    }
+    if (matching.some(rule => rule.effect === 'auto')) {
+      return { requiresConfirmation: false, reason: null };
+    }
+    return { requiresConfirmation: defaultConfirmation, reason: defaultConfirmation ? 'Default for this tool' : null };
+  });
+}
+
+module.exports = {
+  EVENT_TOOLS,
+  POLICY_CONDITIONS,
+  POLICY_PRESETS,
+  validatePolicyRules,
+  evaluateConfirmationPolicy
+};
@@ -0,0 +1,49 @@
+// Read a text/event-stream response body (axios `responseType: 'stream'`) and yield the data of each event.
+// Model streaming endpoints (Gemini `alt=sse`, OpenAI `stream: true`) send one JSON payload per event.
+async function* readEventStream(stream) {
+  let buffer = '';
+  let data = [];
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line === '') {
+        // A blank line ends the event
+        if (data.length > 0) {
+          yield data.join('\n');
+          data = [];
+        }
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+  if (buffer.startsWith('data:')) {
+    data.push(buffer.slice(5).replace(/^ /, ''));
+  }
+  if (data.length > 0) {
+    yield data.join('\n');
+  }
+}
+
+// Read the body of a failed streaming request, so errors carry the API's message like regular requests
+async function readErrorBody(error) {
+  const body = error.response?.data;
+  if (!body || typeof body.on !== 'function') return;
+  let text = '';
+  for await (const chunk of body) {
+    text += chunk.toString('utf8');
+  }
+  try {
+    error.response.data = JSON.parse(text);
+  } catch (e) {
+    error.response.data = text;
+  }
+}
+
+module.exports = {
+  readEventStream,
+  readErrorBody
+};
@@ -0,0 +1,133 @@
+// Event start/end resources for timed and all-day events. Google Calendar stores all-day events as
+// { date: 'YYYY-MM-DD' } with an exclusive end date (a one-day event on the 20th ends on the 21st),
+// while clients and the AI give the last day of the event, so the end date is moved one day on.
+const { addDays, formatIsoWithOffset, zonedTimeToDate } = require('./timeUtils');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The calendar date a date or date-time string names, as written ("2026-10-24T23:59:59-07:00" is the 24th)
+const datePart = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || '').trim());
+  return match ? { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) } : null;
+};
+
+const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+const isDateOnly = (value) => DATE_ONLY.test(String(value || '').trim());
+
+// Whether an event (or its start) is all-day
+const isAllDayEvent = (event) => !!event?.start?.date;
+
+// Build { start, end } for an event. `allDay` defaults to whether the times are plain dates.
+// For all-day events `endTime` is the last day of the event (inclusive); a date-time at midnight
+// after the start day is read as the exclusive end. Throws an Error describing the problem.
+function buildEventTimes({ startTime, endTime, allDay, timezone = 'UTC' }) {
+  const isAllDay = allDay ?? (isDateOnly(startTime) && (!endTime || isDateOnly(endTime)));
+
+  if (!isAllDay) {
+    return {
+      start: { dateTime: startTime, timeZone: timezone },
+      end: { dateTime: endTime, timeZone: timezone }
+    };
+  }
+
+  const startDate = datePart(startTime);
+  if (!startDate) {
+    throw new Error(`All-day events need a start date (YYYY-MM-DD), got "${startTime}"`);
+  }
+  let endDate = endTime ? datePart(endTime) : startDate;
+  if (!endDate) {
+    throw new Error(`All-day events need an end date (YYYY-MM-DD), got "${endTime}"`);
+  }
+
+  const endsAtMidnight = !isDateOnly(endTime) && /T00:00(:00(\.0+)?)?/.test(String(endTime));
+  if (!(endsAtMidnight && formatDate(endDate) > formatDate(startDate))) {
+    endDate = addDays(endDate, 1);
+  }
+  if (formatDate(endDate) <= formatDate(startDate)) {
+    throw new Error('The end date of an all-day event cannot be before its start date');
+  }
+
+  return {
+    start: { date: formatDate(startDate) },
+    end: { date: formatDate(endDate) }
+  };
+}
+
+const createTimesError = (message) => {
+  const error = new Error(message);
+  error.code = 400;
+  return error;
+};
+
+// The instant a date-time names; without an offset it is a wall-clock time in `timezone`
+const toInstant = (value, timezone) => {
+  const text = String(value || '').trim();
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/.exec(text);
+  if (!match) return new Date(text);
+  const instant = zonedTimeToDate({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]), hours: Number(match[4]), minutes: Number(match[5]) }, timezone);
+  return new Date(instant.getTime() + Number(match[6] || 0) * 1000);
+};
+
+const daysBetween = (from, to) => Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / 86400000);
+
+// New { start, end } for an update of `existingEvent`, or null when no time is sent. With both
+// bounds (or a start and `allDay`) the event gets exactly those times; with only one, the other
+// comes from the existing event: a new start keeps the event's duration, a new end keeps its start.
+// Timed events keep their timezone unless one is sent; events without one (all-day events made timed)
+// get `defaultTimezone`. Throws an Error with code 400 on bad times.
+function resolveEventTimes(existingEvent, { startTime, endTime, allDay, timezone, defaultTimezone = 'UTC' }) {
+  if (!startTime && !endTime) return null;
+  const eventTimezone = timezone || existingEvent?.start?.timeZone || defaultTimezone;
+
+  let times;
+  try {
+    if (startTime && (endTime || allDay)) {
+      times = buildEventTimes({ startTime, endTime, allDay, timezone: eventTimezone });
+    } else {
+      const wasAllDay = isAllDayEvent(existingEvent);
+      if (!existingEvent?.start || (allDay !== undefined && allDay !== wasAllDay)) {
+        throw new Error('startTime and endTime must be sent together');
+      }
+      if (wasAllDay) {
+        // The last day of the event (Google's end date is exclusive)
+        const lastDay = startTime && datePart(startTime)
+          ? formatDate(addDays(datePart(startTime), daysBetween(datePart(existingEvent.start.date), datePart(existingEvent.end.date)) - 1))
+          : endTime;
+        times = buildEventTimes({ startTime: startTime || existingEvent.start.date, endTime: lastDay, allDay: true });
+      } else {
+        const duration = toInstant(existingEvent.end.dateTime, existingEvent.end.timeZone || eventTimezone) -
+          toInstant(existingEvent.start.dateTime, existingEvent.start.timeZone || eventTimezone);
+        times = buildEventTimes({
+          startTime: startTime || existingEvent.start.dateTime,
+          endTime: endTime || formatIsoWithOffset(new Date(toInstant(startTime, eventTimezone).getTime() + duration), eventTimezone),
+          allDay: false,
+          timezone: eventTimezone
+        });
+      }
+    }
+  } catch (error) {
+    throw createTimesError(error.message);
+  }
+
+  if (times.start.dateTime) {
+    const start = toInstant(times.start.dateTime, times.start.timeZone);
+    const end = toInstant(times.end.dateTime, times.end.timeZone);
+    if (isNaN(start) || isNaN(end)) {
+      throw createTimesError('Start and end times must be ISO date-times');
+    }
+    if (!(end > start)) {
+      throw createTimesError('End time must be after start time');
+    }
+  }
+  return times;
+}
+
+module.exports = {
+  isDateOnly,
+  isAllDayEvent,
+  buildEventTimes,
+  resolveEventTimes
+};
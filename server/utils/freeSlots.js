@@ -0,0 +1,146 @@
+const { getZonedDateParts, zonedTimeToDate, addDays, formatZonedDateTime } = require('./timeUtils');
+
+const MINUTE = 60 * 1000;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Sort and merge overlapping busy intervals ({ start, end } in ms)
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+// Free gaps of a window once the (merged, sorted) busy intervals are removed
+function subtractIntervals(window, busy) {
+  const gaps = [];
+  let cursor = window.start;
+  for (const interval of busy) {
+    if (interval.end <= cursor) continue;
+    if (interval.start >= window.end) break;
+    if (interval.start > cursor) {
+      gaps.push({ start: cursor, end: interval.start });
+    }
+    cursor = Math.max(cursor, interval.end);
+  }
+  if (cursor < window.end) {
+    gaps.push({ start: cursor, end: window.end });
+  }
+  return gaps;
+}
+
+// Score a candidate slot; higher is better
+function scoreSlot(start, end, gap, dayIndex) {
+  let score = 0;
+  const reasons = [];
+
+  // Slots at the edge of a gap keep the remaining free time in one piece
+  if (start === gap.start || end === gap.end) {
+    score += 2;
+    reasons.push('keeps remaining free time contiguous');
+  }
+  if (start % (30 * MINUTE) === 0) {
+    score += 1;
+    reasons.push('starts on the half hour');
+  }
+  // Sooner is better
+  score -= dayIndex * 0.5;
+
+  return { score, reasons };
+}
+
+// Find free slots of `durationMinutes` inside working hours, avoiding busy intervals
+// (+/- bufferMinutes). Busy intervals are { start, end } ISO strings or Dates, e.g. freebusy data.
+// Returns up to maxResults non-overlapping slots, best first.
+function findFreeSlots({
+  busy = [],
+  rangeStart,
+  rangeEnd,
+  durationMinutes,
+  workingHoursStart = { hours: 9, minutes: 0 },
+  workingHoursEnd = { hours: 18, minutes: 0 },
+  bufferMinutes = 0,
+  includeWeekends = false,
+  timezone = 'UTC',
+  maxResults = 5,
+  stepMinutes = 30
+}) {
+  const durationMs = durationMinutes * MINUTE;
+  const bufferMs = bufferMinutes * MINUTE;
+  const stepMs = stepMinutes * MINUTE;
+  const rangeStartMs = new Date(rangeStart).getTime();
+  const rangeEndMs = new Date(rangeEnd).getTime();
+
+  const busyIntervals = mergeIntervals(busy.map(interval => ({
+    start: new Date(interval.start).getTime() - bufferMs,
+    end: new Date(interval.end).getTime() + bufferMs
+  })));
+
+  const firstDay = getZonedDateParts(rangeStartMs, timezone);
+  const lastDay = getZonedDateParts(rangeEndMs, timezone);
+  const lastDayKey = Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day);
+
+  const candidates = [];
+  for (let dayIndex = 0; ; dayIndex++) {
+    const day = addDays(firstDay, dayIndex);
+    if (Date.UTC(day.year, day.month - 1, day.day) > lastDayKey) break;
+    if (!includeWeekends && (day.weekday === 0 || day.weekday === 6)) continue;
+
+    const window = {
+      start: Math.max(zonedTimeToDate({ ...day, ...workingHoursStart }, timezone).getTime(), rangeStartMs),
+      end: Math.min(zonedTimeToDate({ ...day, ...workingHoursEnd }, timezone).getTime(), rangeEndMs)
+    };
+    if (window.end - window.start < durationMs) continue;
+
+    for (const gap of subtractIntervals(window, busyIntervals)) {
+      if (gap.end - gap.start < durationMs) continue;
+
+      // Candidates: both edges of the gap plus every step-aligned start in between
+      const starts = new Set([gap.start, gap.end - durationMs]);
+      for (let start = Math.ceil(gap.start / stepMs) * stepMs; start + durationMs <= gap.end; start += stepMs) {
+        starts.add(start);
+      }
+
+      for (const start of starts) {
+        const end = start + durationMs;
+        candidates.push({ start, end, weekday: day.weekday, ...scoreSlot(start, end, gap, dayIndex) });
+      }
+    }
+  }
+
+  // Best first, then earliest; skip candidates overlapping an already chosen slot
+  candidates.sort((a, b) => b.score - a.score || a.start - b.start);
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= maxResults) break;
+    if (chosen.some(slot => candidate.start < slot.end && candidate.end > slot.start)) continue;
+    chosen.push(candidate);
+  }
+
+  return chosen.map((slot, index) => ({
+    rank: index + 1,
+    start: new Date(slot.start).toISOString(),
+    end: new Date(slot.end).toISOString(),
+    localStart: formatZonedDateTime(slot.start, timezone),
+    localEnd: formatZonedDateTime(slot.end, timezone),
+    weekday: WEEKDAY_NAMES[slot.weekday],
+    score: slot.score,
+    reasons: slot.reasons
+  }));
+}
+
+module.exports = {
+  mergeIntervals,
+  subtractIntervals,
+  findFreeSlots
+};
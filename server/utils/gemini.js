@@ -1,11 +1,14 @@
 const axios = require('axios');
 const HttpsProxyAgent = require('https-proxy-agent');
 const { compactConversationHistory } = require('./conversationUtils');
+const { readEventStream, readErrorBody } = require('./eventStream');
 
 // Configure Gemini API variables
 const geminiProxy = process.env.HTTPS_PROXY || process.env.https_proxy;
 const geminiApiKey = process.env.GEMINI_API_KEY;
 const geminiAgent = geminiProxy ? new (HttpsProxyAgent.HttpsProxyAgent || HttpsProxyAgent)(geminiProxy) : undefined;
+// 'native' uses Gemini function calling, 'text' forces the JSON-in-text tool protocol for every model
+const geminiToolProtocol = process.env.GEMINI_TOOL_PROTOCOL || 'native';
 
 const GLOBAL_MODEL_CONFIG = {
   // Primary model to use for all AI operations (using faster model for better performance)
@@ -26,6 +29,9 @@ const GLOBAL_MODEL_CONFIG = {
   allModels: [],
   modelStatus: {},
 
+  // Models that rejected function declarations; they fall back to the JSON-in-text tool protocol
+  textToolProtocolModels: [],
+
   // Update configuration based on available models from API
   updateFromAvailableModels: (availableModels) => {
     if (!availableModels || availableModels.length === 0) {
@@ -66,27 +72,101 @@ function getModelStatus() {
   return GLOBAL_MODEL_CONFIG.modelStatus;
 }
 
+// Whether a model should receive tools as functionDeclarations (Gemma and older models lack function calling)
+function supportsNativeTools(model) {
+  return geminiToolProtocol === 'native' &&
+    /^gemini-/.test(model) &&
+    !GLOBAL_MODEL_CONFIG.textToolProtocolModels.includes(model);
+}
+
+// What a 400 answering a request with function declarations says about tools: 'unsupported' when the
+// model cannot call functions at all, 'rejected' when this request's declarations or calls were refused
+// (e.g. a function response without its call), null when the error is not about tools
+function toolErrorKind(error) {
+  const message = error.response?.data?.error?.message || '';
+  if (!/function|tool/i.test(message)) return null;
+  return /not supported|unsupported|not enabled|not available|does not support/i.test(message) ? 'unsupported' : 'rejected';
+}
+
+const hasPart = (msg, key) => Array.isArray(msg?.parts) && msg.parts.some(part => part[key]);
+
+// Convert a history message into Gemini content. Native function call/response parts are only
+// replayed when their counterpart is adjacent (compaction may have dropped one side of the pair)
+// and the model is called with tools; otherwise the message's text content is used.
+function toGeminiContent(msg, index, messages, useNativeTools) {
+  if (useNativeTools && hasPart(msg, 'functionCall') && hasPart(messages[index + 1], 'functionResponse')) {
+    return { role: msg.role, parts: msg.parts };
+  }
+  if (useNativeTools && hasPart(msg, 'functionResponse') && hasPart(messages[index - 1], 'functionCall')) {
+    return { role: msg.role, parts: msg.parts };
+  }
+  return {
+    role: msg.role,
+    parts: [{ text: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content) }]
+  };
+}
+
+// Call streamGenerateContent, passing reply text to onTextDelta as it arrives (thoughts are not forwarded).
+// Resolves to the chunks combined into one generateContent response.
+async function streamGeminiContent(model, body, options, onTextDelta, state) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${geminiApiKey}`;
+  const response = await axios.post(url, body, { ...options, responseType: 'stream' });
+
+  const parts = [];
+  let lastChunk = {};
+  for await (const data of readEventStream(response.data)) {
+    const chunk = JSON.parse(data);
+    lastChunk = chunk;
+    (chunk.candidates?.[0]?.content?.parts || []).forEach((part) => {
+      const previous = parts[parts.length - 1];
+      if (typeof part.text === 'string' && typeof previous?.text === 'string' && !!previous.thought === !!part.thought) {
+        previous.text += part.text;
+      } else {
+        parts.push({ ...part });
+      }
+      if (typeof part.text === 'string' && !part.thought && part.text) {
+        state.streamed = true;
+        onTextDelta(part.text);
+      }
+    });
+  }
+
+  return {
+    candidates: [{ ...lastChunk.candidates?.[0], content: { role: 'model', parts } }],
+    usageMetadata: lastChunk.usageMetadata
+  };
+}
+
 async function geminiGenerateContent({
   model,
   conversationHistory = [],
   currentMessage,
+  currentParts = null,
   systemPrompt = null,
+  functionDeclarations = null,
   requestId = null,
   enableModelSwitching = true,
-  enableCompaction = true
+  enableCompaction = true,
+  onTextDelta = null
 }) {
   const maxRetries = 3;
   const baseDelay = 1000; // 1 second
   const startTime = Date.now();
 
   // Build the list of models to try: primary first, then fallbacks
-  const modelsToTry = [model, ...GLOBAL_MODEL_CONFIG.fallbackModels.filter(m => m !== model)];
+  const modelsToTry = enableModelSwitching
+    ? [model, ...GLOBAL_MODEL_CONFIG.fallbackModels.filter(m => m !== model)]
+    : [model];
 
   for (let modelIdx = 0; modelIdx < modelsToTry.length; modelIdx++) {
     const tryModel = modelsToTry[modelIdx];
     let lastError = null;
     let usedCompaction = false;
+    // Set when the model refused this request's tools; the retries use the text protocol
+    let textProtocol = false;
     for (let retry = 0; retry < maxRetries; retry++) {
+      const useNativeTools = !!functionDeclarations && !textProtocol && supportsNativeTools(tryModel);
+
       // For fallbacks, compact history if enabled
       let history = conversationHistory;
       if (enableCompaction && modelIdx > 0 && conversationHistory.length > 10) {
@@ -99,33 +179,63 @@ async function geminiGenerateContent({
 
       // Build request
       const url = `https://generativelanguage.googleapis.com/v1beta/models/${tryModel}:generateContent?key=${geminiApiKey}`;
+      // The system prompt may depend on the tool protocol, so it can be passed as a builder
+      const promptText = typeof systemPrompt === 'function'
+        ? systemPrompt({ nativeTools: useNativeTools })
+        : systemPrompt;
+      const messages = [
+        ...(history || []),
+        ...(currentMessage || currentParts ? [{ role: 'user', content: currentMessage || '', parts: currentParts }] : [])
+      ];
       const contents = [
-        ...(systemPrompt ? [{ role: 'user', parts: [{ text: systemPrompt }] }] : []),
-        ...(history || []).map(msg => ({
-          role: msg.role,
-          parts: [{ text: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content) }]
-        })),
-        { role: 'user', parts: [{ text: currentMessage || '' }] }
+        ...(promptText ? [{ role: 'user', parts: [{ text: promptText }] }] : []),
+        ...messages.map((msg, index) => toGeminiContent(msg, index, messages, useNativeTools))
       ];
       const body = { contents };
+      if (useNativeTools) {
+        body.tools = [{ functionDeclarations }];
+        body.toolConfig = { functionCallingConfig: { mode: 'AUTO' } };
+      }
       const options = {
         headers: { 'Content-Type': 'application/json' },
         timeout: modelIdx > 0 ? 20000 : 30000
       };
       if (geminiAgent) options.httpsAgent = geminiAgent;
 
+      const stream = { streamed: false };
       try {
-        const response = await axios.post(url, body, options);
+        const data = onTextDelta
+          ? await streamGeminiContent(tryModel, body, options, onTextDelta, stream)
+          : (await axios.post(url, body, options)).data;
         return {
           success: true,
-          data: response.data,
+          data,
           model: tryModel,
+          nativeTools: useNativeTools,
           switched: modelIdx > 0,
           fallbackModel: modelIdx > 0 ? tryModel : null,
           originalModel: model
         };
       } catch (error) {
         lastError = error;
+        // The client already shows part of this reply, so it is not retried or answered by another model
+        if (stream.streamed) {
+          throw new Error(`Gemini model ${tryModel} stopped streaming: ${error.message}`);
+        }
+        if (onTextDelta) {
+          await readErrorBody(error);
+        }
+        // A 400 about tools is retried with the text protocol; only models that do not support function
+        // calling are switched to it for good, other 400s (bad arguments, history too long) are not about tools
+        const toolError = useNativeTools && error.response?.status === 400 ? toolErrorKind(error) : null;
+        if (toolError) {
+          textProtocol = true;
+          if (toolError === 'unsupported' && !GLOBAL_MODEL_CONFIG.textToolProtocolModels.includes(tryModel)) {
+            GLOBAL_MODEL_CONFIG.textToolProtocolModels.push(tryModel);
+          }
+          console.log(`⚠️ [SERVER] Model ${tryModel} ${toolError === 'unsupported' ? 'does not support function calling' : 'rejected the function calls of this request'}, falling back to text tool protocol:`, error.response.data.error.message);
+          continue;
+        }
         // Retry on 5xx or network errors
         if ((error.response?.status >= 500 || error.code === 'ECONNRESET' || error.code === 'ECONNABORTED') && retry < maxRetries - 1) {
           const delay = baseDelay * Math.pow(2, retry); // Exponential backoff
@@ -144,7 +254,22 @@ async function geminiGenerateContent({
   throw new Error('All Gemini models failed to generate content.');
 }
 
+// Gemini as an LLM provider (see llmProvider.js)
+const geminiProvider = {
+  name: 'gemini',
+  label: 'Google Gemini',
+  get defaultModel() {
+    return GLOBAL_MODEL_CONFIG.primaryModel;
+  },
+  isConfigured: () => !!geminiApiKey,
+  listModels: () => [GLOBAL_MODEL_CONFIG.primaryModel, ...GLOBAL_MODEL_CONFIG.fallbackModels],
+  generateContent: geminiGenerateContent,
+  getModelStatus
+};
+
 module.exports = {
   geminiGenerateContent,
   getModelStatus,
-}; 
+  supportsNativeTools,
+  geminiProvider
+};
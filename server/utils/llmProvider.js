@@ -0,0 +1,62 @@
+const { geminiProvider } = require('./gemini');
+const { openaiProvider } = require('./openaiCompatible');
+const { createMockLLMProvider } = require('./mockLLM');
+
+// LLM providers - every model backend exposes the same interface:
+//   name, label, defaultModel
+//   isConfigured()           -> whether the provider can be used (API key, server URL, ...)
+//   listModels()             -> model names a session can pick
+//   generateContent(request) -> { success, data, model, nativeTools, switched, fallbackModel, originalModel }
+//   getModelStatus()         -> { [model]: { available, lastError, errorCount } }
+// Requests carry { model, conversationHistory, currentMessage, currentParts, systemPrompt,
+// functionDeclarations, sessionId, enableModelSwitching, enableCompaction, onTextDelta }; with
+// onTextDelta the provider streams and passes reply text to it as it is generated. History and `data`
+// use the Gemini generateContent shape (functionCall / functionResponse parts) whatever the
+// backend, so extractAiResponse and stored conversations do not depend on the provider.
+
+const DEFAULT_LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+const providers = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  mock: createMockLLMProvider()
+};
+
+// The scripted mock would answer users without a model, so unless it is enabled it is not offered
+const isOffered = (provider) => provider.name !== 'mock' || provider.isConfigured();
+
+const getLLMProvider = (name = DEFAULT_LLM_PROVIDER) => (providers[name] && isOffered(providers[name]) ? providers[name] : null);
+
+// Replace a provider (tests register a mock with an inline script)
+const registerLLMProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const listLLMProviders = () => Object.values(providers).filter(isOffered).map(provider => ({
+  name: provider.name,
+  label: provider.label,
+  configured: provider.isConfigured(),
+  defaultModel: provider.defaultModel,
+  models: provider.listModels()
+}));
+
+// Provider and model for a session: its own choice, else LLM_PROVIDER and that provider's default model.
+// Sessions from before provider selection only stored a (Gemini) preferredModel.
+function resolveLLMSelection(session) {
+  let providerName = session?.preferredProvider || DEFAULT_LLM_PROVIDER;
+  if (!getLLMProvider(providerName)) {
+    console.error(`❌ [SERVER] Unknown or disabled LLM provider "${providerName}", falling back to gemini`);
+    providerName = 'gemini';
+  }
+  const provider = getLLMProvider(providerName);
+  const ownModel = (session?.preferredProvider || 'gemini') === providerName ? session?.preferredModel : null;
+  return { provider: providerName, model: ownModel || provider.defaultModel };
+}
+
+module.exports = {
+  DEFAULT_LLM_PROVIDER,
+  getLLMProvider,
+  registerLLMProvider,
+  listLLMProviders,
+  resolveLLMSelection
+};
@@ -0,0 +1,125 @@
+// Common free times of the user and a set of attendees. Everyone's busy times come from the
+// calendar provider's freebusy query (attendees by email), and each attendee's working hours are
+// applied in their own timezone by counting the time outside them as busy, so the slot search
+// itself is the same as for the user alone (see freeSlots.js).
+const { findFreeSlots, subtractIntervals } = require('./freeSlots');
+const { getZonedDateParts, zonedTimeToDate, addDays } = require('./timeUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alternatives suggested per attendee when no time suits everyone
+const ALTERNATIVE_SLOTS = 3;
+
+// Time outside someone's working hours (and on their weekends) between rangeStart and rangeEnd,
+// as busy intervals { start, end } in ms
+function offHoursIntervals({ rangeStart, rangeEnd, workingHoursStart, workingHoursEnd, timezone, includeWeekends }) {
+  const rangeStartMs = new Date(rangeStart).getTime();
+  const rangeEndMs = new Date(rangeEnd).getTime();
+
+  // Their days overlapping the range, one day either side for timezones ahead of or behind the user
+  const firstDay = getZonedDateParts(rangeStartMs - DAY_MS, timezone);
+  const windows = [];
+  for (let dayIndex = 0; ; dayIndex++) {
+    const day = addDays(firstDay, dayIndex);
+    const start = zonedTimeToDate({ ...day, ...workingHoursStart }, timezone).getTime();
+    if (start > rangeEndMs + DAY_MS) break;
+    if (!includeWeekends && (day.weekday === 0 || day.weekday === 6)) continue;
+    windows.push({ start, end: zonedTimeToDate({ ...day, ...workingHoursEnd }, timezone).getTime() });
+  }
+
+  return subtractIntervals({ start: rangeStartMs, end: rangeEndMs }, windows);
+}
+
+// Find slots of `durationMinutes` in [rangeStart, rangeEnd] when the user (their calendars
+// `ownCalendarIds`, working hours in `timezone`) and every attendee are free.
+// `attendees` are [{ email, workingHoursStart, workingHoursEnd, timezone }] with parsed working hours.
+// Resolves to { slots, attendees: [{ email, busyKnown, busyCount }], alternatives } where
+// alternatives (only when no slot suits everyone) lists the best slots without each attendee.
+async function findMeetingTimes(calendar, {
+  attendees,
+  ownCalendarIds = [],
+  rangeStart,
+  rangeEnd,
+  durationMinutes,
+  workingHoursStart,
+  workingHoursEnd,
+  timezone = 'UTC',
+  bufferMinutes = 0,
+  includeWeekends = false,
+  maxResults = 5
+}) {
+  const bufferMs = bufferMinutes * 60 * 1000;
+  const ids = [...new Set([...ownCalendarIds, ...attendees.map(attendee => attendee.email)])];
+  const freebusy = await calendar.freebusy({
+    timeMin: new Date(new Date(rangeStart).getTime() - bufferMs).toISOString(),
+    timeMax: new Date(new Date(rangeEnd).getTime() + bufferMs).toISOString(),
+    timeZone: timezone,
+    items: ids.map(id => ({ id }))
+  });
+
+  const ownBusy = [];
+  for (const calendarId of ownCalendarIds) {
+    const entry = freebusy.calendars?.[calendarId] || {};
+    if (entry.errors?.length) {
+      throw new Error(`Could not read busy times of calendar ${calendarId}: ${entry.errors.map(e => e.reason).join(', ')}`);
+    }
+    ownBusy.push(...(entry.busy || []));
+  }
+
+  // Calendars that are not shared with the user report errors; those attendees count as free
+  const attendeeBusy = attendees.map((attendee) => {
+    const entry = freebusy.calendars?.[attendee.email] || { errors: [{ reason: 'notFound' }] };
+    const busyKnown = !entry.errors?.length;
+    const offHours = offHoursIntervals({ rangeStart, rangeEnd, includeWeekends, ...attendee })
+      .map(interval => ({ start: new Date(interval.start), end: new Date(interval.end) }));
+    return {
+      email: attendee.email,
+      busyKnown,
+      busyCount: busyKnown ? (entry.busy || []).length : 0,
+      // Buffers apply around meetings only; off-hours are widened by findFreeSlots too, so shrink them back
+      busy: [
+        ...(busyKnown ? entry.busy || [] : []),
+        ...offHours.map(interval => ({
+          start: new Date(interval.start.getTime() + bufferMs),
+          end: new Date(interval.end.getTime() - bufferMs)
+        }))
+      ]
+    };
+  });
+
+  const search = (busy, limit) => findFreeSlots({
+    busy,
+    rangeStart,
+    rangeEnd,
+    durationMinutes,
+    workingHoursStart,
+    workingHoursEnd,
+    bufferMinutes,
+    includeWeekends,
+    timezone,
+    maxResults: limit
+  });
+
+  const slots = search([...ownBusy, ...attendeeBusy.flatMap(entry => entry.busy)], maxResults);
+
+  // Negotiation fallback: the best times that only one attendee cannot make
+  const alternatives = slots.length > 0 || attendees.length === 0
+    ? []
+    : attendeeBusy
+      .map(excluded => ({
+        without: excluded.email,
+        slots: search([...ownBusy, ...attendeeBusy.filter(entry => entry !== excluded).flatMap(entry => entry.busy)], ALTERNATIVE_SLOTS)
+      }))
+      .filter(alternative => alternative.slots.length > 0);
+
+  return {
+    slots,
+    attendees: attendeeBusy.map(({ email, busyKnown, busyCount }) => ({ email, busyKnown, busyCount })),
+    alternatives
+  };
+}
+
+module.exports = {
+  offHoursIntervals,
+  findMeetingTimes
+};
@@ -0,0 +1,96 @@
+// Scripted mock LLM provider: replays canned model turns in order, so tool loops can be exercised
+// without a model. The script is a JSON array (MOCK_LLM_SCRIPT=path/to/script.json) of turns:
+//   { "text": "Here is your week." }
+//   { "functionCalls": [{ "name": "query_events", "args": { "criteria": { "startDate": "..." } } }], "text": "optional" }
+//   { "error": "Quota exceeded" }                      (the call fails with this message)
+// Each session plays the script from the start. Once a session has used every turn, the mock
+// answers with a fixed text reply echoing the user's message. Sessions can only pick the mock when
+// the server enables it (LLM_PROVIDER=mock or MOCK_LLM_SCRIPT set) or it is given a script.
+const fs = require('fs');
+
+function loadMockScript(scriptPath = process.env.MOCK_LLM_SCRIPT) {
+  if (!scriptPath) return [];
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  if (!Array.isArray(script)) {
+    throw new Error(`Mock LLM script must be a JSON array of turns: ${scriptPath}`);
+  }
+  return script;
+}
+
+// Turn a script entry into Gemini response parts. Without function declarations the calls are
+// written in the JSON-in-text tool protocol, as a text-protocol model would answer.
+function toParts(turn, nativeTools) {
+  const calls = turn.functionCalls || [];
+  if (calls.length > 0 && !nativeTools) {
+    return [{
+      text: JSON.stringify({
+        message: turn.text || '',
+        tools: calls.map(call => ({ tool: call.name, parameters: call.args || {} }))
+      })
+    }];
+  }
+  return [
+    ...(turn.text ? [{ text: turn.text }] : []),
+    ...calls.map(call => ({ functionCall: { name: call.name, args: call.args || {} } }))
+  ];
+}
+
+function createMockLLMProvider({ script = null } = {}) {
+  let turns = script;
+  const cursors = new Map(); // sessionId -> index of the next turn
+
+  const getTurns = () => {
+    if (!turns) {
+      turns = loadMockScript();
+    }
+    return turns;
+  };
+
+  return {
+    name: 'mock',
+    label: 'Scripted mock',
+    defaultModel: 'mock',
+    isConfigured: () => !!script || process.env.LLM_PROVIDER === 'mock' || !!process.env.MOCK_LLM_SCRIPT,
+    listModels: () => ['mock'],
+    getModelStatus: () => ({ mock: { available: true, lastError: null, errorCount: 0 } }),
+
+    async generateContent({ model = 'mock', currentMessage, functionDeclarations = null, sessionId = null, onTextDelta = null }) {
+      const key = sessionId || 'default';
+      const index = cursors.get(key) || 0;
+      cursors.set(key, index + 1);
+
+      const turn = getTurns()[index] || { text: `Mock reply: ${currentMessage || 'done'}` };
+      if (turn.error) {
+        throw new Error(turn.error);
+      }
+
+      const nativeTools = !!functionDeclarations;
+      const parts = toParts(turn, nativeTools);
+      if (onTextDelta) {
+        // Stream text a word at a time, like a model would
+        parts.filter(part => part.text).forEach((part) => {
+          part.text.split(/(?<=\s)/).forEach(word => onTextDelta(word));
+        });
+      }
+      return {
+        success: true,
+        data: { candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }] },
+        model,
+        nativeTools,
+        switched: false,
+        fallbackModel: null,
+        originalModel: model
+      };
+    },
+
+    // Start every session's script over (tests)
+    reset() {
+      cursors.clear();
+    }
+  };
+}
+
+module.exports = {
+  loadMockScript,
+  createMockLLMProvider
+};
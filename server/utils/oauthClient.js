@@ -0,0 +1,27 @@
+// server/utils/oauthClient.js
+// Google OAuth2 clients. Calls made for a user always go through a client holding only that user's
+// tokens, so concurrent requests from different sessions never share credentials. The app client
+// only builds consent URLs and exchanges authorization codes; it never holds user tokens.
+const { google } = require('googleapis');
+
+const createOAuthClient = () => new google.auth.OAuth2(
+  process.env.GOOGLE_CLIENT_ID,
+  process.env.GOOGLE_CLIENT_SECRET,
+  process.env.GOOGLE_REDIRECT_URI
+);
+
+// Client for one session's tokens. The client refreshes expiring access tokens on its own during
+// API calls; `onTokens` receives every refreshed token set so it can be persisted.
+function createSessionOAuthClient(tokens, onTokens) {
+  const client = createOAuthClient();
+  client.setCredentials(tokens);
+  if (onTokens) {
+    client.on('tokens', onTokens);
+  }
+  return client;
+}
+
+module.exports = {
+  createOAuthClient,
+  createSessionOAuthClient
+};
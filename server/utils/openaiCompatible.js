@@ -0,0 +1,250 @@
+// OpenAI-compatible chat completions provider (OpenAI, or a local llama.cpp / Ollama / vLLM server).
+// Conversation history and responses stay in the Gemini shape used across the server (see llmProvider.js);
+// this module converts them to and from chat completion messages.
+const axios = require('axios');
+const { readEventStream, readErrorBody } = require('./eventStream');
+
+const openaiBaseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const openaiApiKey = process.env.OPENAI_API_KEY;
+const openaiModels = (process.env.OPENAI_MODELS || 'llama3.1').split(',').map(model => model.trim()).filter(Boolean);
+// 'native' sends tools as function definitions, 'text' forces the JSON-in-text tool protocol for every model
+const openaiToolProtocol = process.env.OPENAI_TOOL_PROTOCOL || 'native';
+// Local servers can be slow to load a model on the first request
+const openaiTimeout = parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 60000;
+
+const modelStatus = {};
+// Models that rejected tool definitions; they fall back to the JSON-in-text tool protocol
+const textToolProtocolModels = [];
+
+const hasPart = (msg, key) => Array.isArray(msg?.parts) && msg.parts.some(part => part[key]);
+
+const toText = (msg) => (typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content));
+
+// Tool call ids are derived from the position of the calling message, so a functionResponse
+// message answers the calls of the message right before it
+const toolCallId = (messageIndex, callIndex) => `call_${messageIndex}_${callIndex}`;
+
+// Convert history messages into chat completion messages. Native function call/response parts are
+// only replayed as tool calls when both sides of the pair are present, as in the Gemini provider.
+function toChatMessages(messages, useNativeTools) {
+  return messages.flatMap((msg, index) => {
+    const role = msg.role === 'model' ? 'assistant' : 'user';
+
+    if (useNativeTools && hasPart(msg, 'functionCall') && hasPart(messages[index + 1], 'functionResponse')) {
+      const text = msg.parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('');
+      return [{
+        role: 'assistant',
+        content: text || null,
+        tool_calls: msg.parts.filter(part => part.functionCall).map((part, callIndex) => ({
+          id: toolCallId(index, callIndex),
+          type: 'function',
+          function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+        }))
+      }];
+    }
+    if (useNativeTools && hasPart(msg, 'functionResponse') && hasPart(messages[index - 1], 'functionCall')) {
+      return msg.parts.filter(part => part.functionResponse).map((part, callIndex) => ({
+        role: 'tool',
+        tool_call_id: toolCallId(index - 1, callIndex),
+        content: JSON.stringify(part.functionResponse.response)
+      }));
+    }
+    return [{ role, content: toText(msg) }];
+  });
+}
+
+const parseArguments = (value) => {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value || '{}');
+  } catch (e) {
+    // Tool validation reports the malformed parameters back to the model
+    return { arguments: value };
+  }
+};
+
+// Convert a chat completion into the Gemini response shape read by extractAiResponse
+function toGeminiResponse(completion) {
+  const message = completion?.choices?.[0]?.message || {};
+  const parts = [];
+  if (message.content) {
+    parts.push({ text: message.content });
+  }
+  (message.tool_calls || []).forEach((call) => {
+    parts.push({ functionCall: { name: call.function?.name, args: parseArguments(call.function?.arguments) } });
+  });
+  return {
+    candidates: [{
+      content: { role: 'model', parts },
+      finishReason: completion?.choices?.[0]?.finish_reason
+    }],
+    usageMetadata: completion?.usage
+  };
+}
+
+// Read a streamed chat completion, passing content to onTextDelta as it arrives.
+// Resolves to the chunks combined into one chat completion.
+async function readCompletionStream(stream, onTextDelta, state) {
+  const message = { role: 'assistant', content: '', tool_calls: [] };
+  let finishReason = null;
+  let usage;
+  for await (const data of readEventStream(stream)) {
+    if (data === '[DONE]') break;
+    const chunk = JSON.parse(data);
+    usage = chunk.usage || usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    finishReason = choice.finish_reason || finishReason;
+    if (choice.delta?.content) {
+      message.content += choice.delta.content;
+      state.streamed = true;
+      onTextDelta(choice.delta.content);
+    }
+    // Tool calls arrive in fragments keyed by index; arguments are concatenated
+    (choice.delta?.tool_calls || []).forEach((fragment) => {
+      const index = fragment.index ?? message.tool_calls.length;
+      const call = message.tool_calls[index] || (message.tool_calls[index] = { id: fragment.id, type: 'function', function: { name: '', arguments: '' } });
+      if (fragment.function?.name) call.function.name += fragment.function.name;
+      if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+    });
+  }
+  return { choices: [{ message, finish_reason: finishReason }], usage };
+}
+
+// What a 400 answering a request with tool definitions says about tools, as in the Gemini provider:
+// 'unsupported' when the served model cannot call tools at all, 'rejected' when this request's tool
+// definitions or calls were refused, null when the error is not about tools
+function toolErrorKind(error) {
+  const message = error.response?.data?.error?.message || '';
+  if (!/function|tool/i.test(message)) return null;
+  return /not supported|unsupported|not enabled|not available|does not support/i.test(message) ? 'unsupported' : 'rejected';
+}
+
+function supportsNativeTools(model) {
+  return openaiToolProtocol === 'native' && !textToolProtocolModels.includes(model);
+}
+
+async function openaiGenerateContent({
+  model,
+  conversationHistory = [],
+  currentMessage,
+  currentParts = null,
+  systemPrompt = null,
+  functionDeclarations = null,
+  onTextDelta = null
+}) {
+  const maxRetries = 3;
+  const baseDelay = 1000; // 1 second
+  let lastError = null;
+  // Set when the model refused this request's tools; the retries use the text protocol
+  let textProtocol = false;
+
+  for (let retry = 0; retry < maxRetries; retry++) {
+    const useNativeTools = !!functionDeclarations && !textProtocol && supportsNativeTools(model);
+    const promptText = typeof systemPrompt === 'function'
+      ? systemPrompt({ nativeTools: useNativeTools })
+      : systemPrompt;
+    const messages = [
+      ...(conversationHistory || []),
+      ...(currentMessage || currentParts ? [{ role: 'user', content: currentMessage || '', parts: currentParts }] : [])
+    ];
+
+    const body = {
+      model,
+      messages: [
+        ...(promptText ? [{ role: 'system', content: promptText }] : []),
+        ...toChatMessages(messages, useNativeTools)
+      ]
+    };
+    if (useNativeTools) {
+      body.tools = functionDeclarations.map(declaration => ({
+        type: 'function',
+        function: {
+          name: declaration.name,
+          description: declaration.description,
+          parameters: declaration.parameters || { type: 'object', properties: {} }
+        }
+      }));
+      body.tool_choice = 'auto';
+    }
+    if (onTextDelta) {
+      body.stream = true;
+    }
+
+    const stream = { streamed: false };
+    try {
+      const response = await axios.post(`${openaiBaseUrl}/chat/completions`, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(openaiApiKey && { Authorization: `Bearer ${openaiApiKey}` })
+        },
+        timeout: openaiTimeout,
+        ...(onTextDelta && { responseType: 'stream' })
+      });
+      const completion = onTextDelta
+        ? await readCompletionStream(response.data, onTextDelta, stream)
+        : response.data;
+      modelStatus[model] = { available: true, lastError: null, errorCount: 0 };
+      return {
+        success: true,
+        data: toGeminiResponse(completion),
+        model,
+        nativeTools: useNativeTools,
+        switched: false,
+        fallbackModel: null,
+        originalModel: model
+      };
+    } catch (error) {
+      lastError = error;
+      // The client already shows part of this reply, so it is not retried
+      if (stream.streamed) {
+        throw new Error(`OpenAI-compatible model ${model} stopped streaming: ${error.message}`);
+      }
+      if (onTextDelta) {
+        await readErrorBody(error);
+      }
+      const status = error.response?.status;
+      modelStatus[model] = {
+        available: false,
+        lastError: error.response?.data?.error?.message || error.message,
+        errorCount: (modelStatus[model]?.errorCount || 0) + 1
+      };
+      // A 400 about tools is retried with the text protocol; only models served without tool support
+      // are switched to it for good, other 400s (bad arguments, context too long) are not about tools
+      const toolError = useNativeTools && status === 400 ? toolErrorKind(error) : null;
+      if (toolError) {
+        textProtocol = true;
+        if (toolError === 'unsupported' && !textToolProtocolModels.includes(model)) {
+          textToolProtocolModels.push(model);
+        }
+        console.log(`⚠️ [SERVER] Model ${model} ${toolError === 'unsupported' ? 'does not support tools' : 'rejected the tool calls of this request'}, falling back to text tool protocol:`, error.response.data.error.message);
+        continue;
+      }
+      if ((status >= 500 || error.code === 'ECONNRESET' || error.code === 'ECONNABORTED') && retry < maxRetries - 1) {
+        await new Promise(resolve => setTimeout(resolve, baseDelay * Math.pow(2, retry)));
+        continue;
+      }
+      break;
+    }
+  }
+
+  throw new Error(`OpenAI-compatible model ${model} failed to generate content: ${lastError?.response?.data?.error?.message || lastError?.message}`);
+}
+
+const openaiProvider = {
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: openaiModels[0],
+  // Local servers usually run without an API key, so a base URL is enough
+  isConfigured: () => !!(process.env.OPENAI_BASE_URL || openaiApiKey),
+  listModels: () => openaiModels,
+  generateContent: openaiGenerateContent,
+  getModelStatus: () => modelStatus
+};
+
+module.exports = {
+  toChatMessages,
+  toGeminiResponse,
+  openaiGenerateContent,
+  openaiProvider
+};
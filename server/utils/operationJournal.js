@@ -0,0 +1,242 @@
+// Journal of calendar changes, so they can be undone. Every insert, update and delete made through
+// a journaled calendar provider (AI tools and REST routes alike) is stored on the session
+// (`session.operationJournal`) with the event as it was before and after the change, trimmed to the
+// fields undo puts back (the journal is saved with every session write). Entries are
+// grouped by the request that made them (one assistant reply, one confirmed batch or one API call),
+// and undo works on whole groups.
+const crypto = require('crypto');
+const { DEFAULT_CALENDAR_ID } = require('./calendars');
+
+// Entries kept per session; the oldest are dropped first
+const JOURNAL_LIMIT = 200;
+
+const createJournalError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Fields the calendar manages; a restored event is written without them
+const toResource = ({ etag, htmlLink, created, updated, sequence, calendarId, ...resource }) => resource;
+
+// Fields of an event the journal keeps and undo restores; occurrences also keep the series they belong to
+const SNAPSHOT_FIELDS = ['summary', 'description', 'location', 'start', 'end', 'attendees', 'reminders', 'recurrence', 'recurringEventId', 'originalStartTime'];
+
+const toSnapshot = (event) => (event
+  ? Object.fromEntries(SNAPSHOT_FIELDS.filter(field => event[field] !== undefined).map(field => [field, event[field]]))
+  : null);
+
+// The event with its journaled fields as they were in `snapshot`; other fields stay as they are now
+const restoreResource = (current, snapshot) => {
+  const resource = toResource(current || {});
+  SNAPSHOT_FIELDS.forEach((field) => { delete resource[field]; });
+  return { ...resource, ...toResource(snapshot) };
+};
+
+// What the user sees of an event; an event whose fingerprint still matches the journaled state
+// has not been changed since (attendee replies and server bookkeeping do not count)
+const fingerprint = (event) => JSON.stringify({
+  summary: event.summary,
+  description: event.description,
+  location: event.location,
+  start: event.start,
+  end: event.end,
+  recurrence: event.recurrence,
+  attendees: (event.attendees || []).map(attendee => attendee.email).sort()
+});
+
+// The event as stored now, null once it is deleted
+async function loadCurrent(calendar, entry) {
+  try {
+    const event = await calendar.get({ calendarId: entry.calendarId, eventId: entry.eventId });
+    return event.status === 'cancelled' ? null : event;
+  } catch (error) {
+    if (error.code === 404 || error.code === 410) return null;
+    throw error;
+  }
+}
+
+// Put an event back the way it was before the journaled change. Changes made to the event after
+// the journaled one (in the app or in Google Calendar) are not overwritten: the entry is reported
+// as a conflict instead.
+async function revertEntry(calendar, entry) {
+  const current = await loadCurrent(calendar, entry);
+  const unchanged = current && entry.after && fingerprint(current) === fingerprint(entry.after);
+  const params = { calendarId: entry.calendarId, eventId: entry.eventId, sendUpdates: 'all' };
+
+  switch (entry.action) {
+    case 'create':
+      if (!current) return; // Already deleted
+      if (!unchanged) throw createJournalError('The event was changed after it was created', 409);
+      await calendar.delete(params);
+      return;
+    case 'update':
+      if (!current) throw createJournalError('The event was deleted after this change', 409);
+      if (!unchanged) throw createJournalError('The event was changed again after this change', 409);
+      await calendar.update({ ...params, resource: restoreResource(current, entry.before) });
+      return;
+    case 'delete':
+      if (current) throw createJournalError('The event exists again', 409);
+      await calendar.update({ ...params, resource: { ...restoreResource(null, entry.before), status: 'confirmed' } });
+      return;
+    default:
+      throw createJournalError(`Unknown journal action "${entry.action}"`, 400);
+  }
+}
+
+const describeEntry = (entry) => ({
+  id: entry.id,
+  action: entry.action,
+  calendarId: entry.calendarId,
+  eventId: entry.eventId,
+  title: (entry.after || entry.before)?.summary || ''
+});
+
+function createOperationJournal(sessions) {
+  const record = (sessionId, entry) =>
+    sessions.update(sessionId, (session) => {
+      session.operationJournal = [
+        ...(session.operationJournal || []),
+        { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry }
+      ].slice(-JOURNAL_LIMIT);
+    });
+
+  const list = async (sessionId) => (await sessions.get(sessionId))?.operationJournal || [];
+
+  // Undo groups of changes, newest change first, with a calendar that is not journaled itself.
+  // Resolves to { undone: [...], conflicts: [...] } (entries described by action, event and title).
+  async function undoGroups(sessionId, calendar, groupIds) {
+    const entries = (await list(sessionId))
+      .filter(entry => groupIds.includes(entry.groupId) && !entry.undoneAt)
+      .reverse();
+
+    const undone = [];
+    const conflicts = [];
+    for (const entry of entries) {
+      try {
+        await revertEntry(calendar, entry);
+        undone.push(entry);
+      } catch (error) {
+        console.log('⚠️ [SERVER] Could not undo calendar change:', { action: entry.action, eventId: entry.eventId, error: error.message });
+        conflicts.push({ ...describeEntry(entry), reason: error.message });
+      }
+    }
+
+    const undoneIds = undone.map(entry => entry.id);
+    const undoneAt = new Date().toISOString();
+    await sessions.update(sessionId, (session) => {
+      session.operationJournal = (session.operationJournal || []).map(entry =>
+        (undoneIds.includes(entry.id) ? { ...entry, undoneAt } : entry));
+    });
+
+    console.log('↩️ [SERVER] Undid calendar changes:', {
+      sessionId: sessionId.substring(0, 8) + '...',
+      groups: groupIds.length,
+      undone: undone.length,
+      conflicts: conflicts.length
+    });
+    return { undone: undone.map(describeEntry), conflicts };
+  }
+
+  return {
+    record,
+    list,
+
+    // Changes grouped by the request that made them, newest first
+    async listGroups(sessionId) {
+      const groups = [];
+      (await list(sessionId)).forEach((entry) => {
+        let group = groups.find(candidate => candidate.groupId === entry.groupId);
+        if (!group) {
+          group = { groupId: entry.groupId, source: entry.source, at: entry.at, changes: [] };
+          groups.push(group);
+        }
+        group.at = entry.at;
+        group.changes.push({ ...describeEntry(entry), undone: !!entry.undoneAt });
+      });
+      return groups.reverse().map(group => ({ ...group, undone: group.changes.every(change => change.undone) }));
+    },
+
+    // Undo one group; 404 when it has nothing left to undo
+    async undoGroup(sessionId, calendar, groupId) {
+      const pending = (await list(sessionId)).some(entry => entry.groupId === groupId && !entry.undoneAt);
+      if (!pending) {
+        throw createJournalError('No changes to undo for this operation', 404);
+      }
+      return undoGroups(sessionId, calendar, [groupId]);
+    },
+
+    // Undo the `count` most recent groups that still have changes to undo
+    async undoLast(sessionId, calendar, count = 1) {
+      const groupIds = [];
+      (await list(sessionId))
+        .filter(entry => !entry.undoneAt)
+        .reverse()
+        .forEach((entry) => {
+          if (!groupIds.includes(entry.groupId)) groupIds.push(entry.groupId);
+        });
+      return undoGroups(sessionId, calendar, groupIds.slice(0, count));
+    }
+  };
+}
+
+// Calendar provider that records its changes in the journal. `context` names the group the changes
+// belong to ({ groupId, source }) and counts them in `context.changes`. The provider also gets
+// `undoLastOperations(count)` for the undo tool; the undo itself goes to the wrapped provider.
+// A change that cannot be recorded (or whose prior state cannot be read) is still made.
+const withOperationJournal = (calendar, journal, sessionId, context) => {
+  const record = async (action, calendarId, eventId, before, after) => {
+    context.changes = (context.changes || 0) + 1;
+    try {
+      await journal.record(sessionId, {
+        groupId: context.groupId,
+        source: context.source,
+        action,
+        calendarId: calendarId || DEFAULT_CALENDAR_ID,
+        eventId,
+        before: toSnapshot(before),
+        after: toSnapshot(after)
+      });
+    } catch (error) {
+      console.error('❌ [SERVER] Failed to record calendar change in journal:', error.message);
+    }
+  };
+
+  const loadBefore = ({ calendarId, eventId }) => calendar.get({ calendarId, eventId }).catch(() => null);
+
+  return {
+    ...calendar,
+
+    insert: async (params) => {
+      const created = await calendar.insert(params);
+      await record('create', params.calendarId, created.id, null, created);
+      return created;
+    },
+
+    update: async (params) => {
+      const before = await loadBefore(params);
+      const updated = await calendar.update(params);
+      if (before) {
+        await record('update', params.calendarId, params.eventId, before, updated);
+      }
+      return updated;
+    },
+
+    delete: async (params) => {
+      const before = await loadBefore(params);
+      await calendar.delete(params);
+      if (before) {
+        await record('delete', params.calendarId, params.eventId, before, null);
+      }
+    },
+
+    undoLastOperations: (count) => journal.undoLast(sessionId, calendar, count)
+  };
+};
+
+module.exports = {
+  JOURNAL_LIMIT,
+  eventFingerprint: fingerprint,
+  createOperationJournal,
+  withOperationJournal
+};
@@ -0,0 +1,142 @@
+// Tool batches waiting for the user's confirmation. Batches are stored on the session
+// (`session.pendingConfirmations`) under their own id, so a session can have several, and they survive
+// reloads and server restarts. Outcomes that no open stream received are kept in
+// `session.confirmationResults` until the client reconnects.
+const crypto = require('crypto');
+const { DEFAULT_CALENDAR_ID } = require('./calendars');
+
+// Proposed operations go stale; older batches can no longer be confirmed
+const CONFIRMATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const isLive = (batch) => Date.now() - new Date(batch.createdAt).getTime() < CONFIRMATION_TTL_MS;
+
+function createConfirmationStore(sessions) {
+  return {
+    // Store a batch; returns it with its id
+    async add(sessionId, { message, tools, currentEvents = [], reasons = [], nativeTools, quickAdd, timezone }) {
+      const batch = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        message,
+        tools,
+        currentEvents,
+        reasons, // why each tool needs confirmation (confirmation policy rule), null if it does not
+
+        nativeTools: !!nativeTools,
+        quickAdd: !!quickAdd, // Parsed without the model, which is not asked to summarize the outcome
+        timezone
+      };
+      await sessions.update(sessionId, (session) => {
+        session.pendingConfirmations = [...(session.pendingConfirmations || []).filter(isLive), batch];
+      });
+      return batch;
+    },
+
+    // Outstanding batches, oldest first
+    async list(sessionId) {
+      const session = await sessions.get(sessionId);
+      return (session?.pendingConfirmations || []).filter(isLive);
+    },
+
+    // Remove and return a batch (null if unknown or expired), so it is only ever executed once
+    async take(sessionId, confirmationId) {
+      let batch = null;
+      await sessions.update(sessionId, (session) => {
+        const pending = session.pendingConfirmations || [];
+        batch = pending.find(entry => entry.id === confirmationId) || null;
+        session.pendingConfirmations = pending.filter(entry => entry.id !== confirmationId && isLive(entry));
+      });
+      return batch && isLive(batch) ? batch : null;
+    },
+
+    // Keep an outcome for the next stream that connects
+    async saveResult(sessionId, result) {
+      await sessions.update(sessionId, (session) => {
+        session.confirmationResults = [...(session.confirmationResults || []), result];
+      });
+    },
+
+    // Remove and return the outcomes waiting for delivery
+    async takeResults(sessionId) {
+      let results = [];
+      await sessions.update(sessionId, (session) => {
+        results = session.confirmationResults || [];
+        delete session.confirmationResults;
+      });
+      return results;
+    }
+  };
+}
+
+// Fields of an event as shown in the confirmation card, named like the event tool parameters
+const toReviewFields = (event) => ({
+  title: event.summary || '',
+  startTime: event.start?.dateTime || event.start?.date || null,
+  endTime: event.end?.dateTime || event.end?.date || null,
+  location: event.location || '',
+  description: event.description || '',
+  attendees: (event.attendees || []).map(attendee => attendee.email)
+});
+
+// The events a batch would change or delete, as they are now (one entry per tool, null for tools
+// that do not target an existing event), so the client can show a before/after diff
+async function loadCurrentEvents(calendar, tools) {
+  return Promise.all(tools.map(async ({ tool, parameters }) => {
+    if (!calendar || !parameters?.eventId) return null;
+    try {
+      const event = await calendar.get({ calendarId: parameters.calendarId || DEFAULT_CALENDAR_ID, eventId: parameters.eventId });
+      return toReviewFields(event);
+    } catch (error) {
+      console.log(`⚠️ [SERVER] Could not load event for ${tool} review:`, { eventId: parameters.eventId, code: error.code });
+      return null;
+    }
+  }));
+}
+
+// Per-tool decisions of a confirmation request, in batch order. The request either carries
+// `decisions` ([{ approved, parameters? }], one per tool) or a single `confirmed` flag for the whole
+// batch. Edited parameters are validated like the model's calls (`validate(tool, parameters)`) and may
+// change what a tool does, not which event it targets.
+// Returns { valid: true, decisions: [{ approved, parameters, edited }] } or { valid: false, error }.
+function resolveDecisions(tools, { confirmed, decisions }, validate) {
+  if (decisions === undefined) {
+    return { valid: true, decisions: tools.map(t => ({ approved: !!confirmed, parameters: t.parameters, edited: false })) };
+  }
+  if (!Array.isArray(decisions) || decisions.length !== tools.length) {
+    return { valid: false, error: `Expected ${tools.length} decisions, one per tool in the batch` };
+  }
+
+  const resolved = [];
+  for (const [index, decision] of decisions.entries()) {
+    const toolRequest = tools[index];
+    if (typeof decision?.approved !== 'boolean') {
+      return { valid: false, error: `Decision ${index + 1} must set approved to true or false` };
+    }
+    if (!decision.approved || decision.parameters === undefined) {
+      resolved.push({ approved: decision.approved, parameters: toolRequest.parameters, edited: false });
+      continue;
+    }
+
+    const validation = validate(toolRequest.tool, decision.parameters);
+    if (!validation.valid) {
+      return { valid: false, error: validation.error.message };
+    }
+    const retargeted = ['eventId', 'calendarId'].some(key => validation.parameters[key] !== toolRequest.parameters[key]);
+    if (retargeted) {
+      return { valid: false, error: `Decision ${index + 1} cannot change which event ${toolRequest.tool} applies to` };
+    }
+    resolved.push({
+      approved: true,
+      parameters: validation.parameters,
+      edited: JSON.stringify(validation.parameters) !== JSON.stringify(toolRequest.parameters)
+    });
+  }
+  return { valid: true, decisions: resolved };
+}
+
+module.exports = {
+  CONFIRMATION_TTL_MS,
+  createConfirmationStore,
+  loadCurrentEvents,
+  resolveDecisions
+};
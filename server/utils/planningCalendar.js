@@ -0,0 +1,220 @@
+// Plan-only ("dry run") mode for the AI tool loop. A planning calendar reads from the real calendar
+// with the planned changes applied on top, and records inserts, updates and deletes instead of
+// making them, so the model sees the calendar it is planning while nothing changes. The plan is the
+// net change per event ({ action, calendarId, eventId, before, after }); it is stored on the session
+// (`session.plans`) until the user applies or discards it.
+const crypto = require('crypto');
+const { DEFAULT_CALENDAR_ID } = require('./calendars');
+const { eventFingerprint } = require('./operationJournal');
+
+// Plans older than this can no longer be applied
+const PLAN_TTL_MS = 24 * 60 * 60 * 1000;
+// Plans kept per session; older ones are dropped
+const PLAN_LIMIT = 10;
+
+const PLANNED_ID_PREFIX = 'planned-';
+
+const createPlanError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const getTime = (eventTime) => (eventTime ? new Date(eventTime.dateTime || eventTime.date).getTime() : NaN);
+
+const overlaps = (event, timeMin, timeMax) =>
+  (!timeMax || getTime(event.start) < new Date(timeMax).getTime()) &&
+  (!timeMin || getTime(event.end) > new Date(timeMin).getTime());
+
+const matchesQuery = (event, q) =>
+  !q || [event.summary, event.description, event.location].some(value => value?.toLowerCase().includes(q.toLowerCase()));
+
+// Planned events carry these fields so the client can tell them apart; they are not written on apply
+const toResource = ({ id, planned, status, etag, htmlLink, created, updated, sequence, calendarId, ...resource }) => resource;
+
+function createPlanningCalendar(calendar) {
+  const changes = new Map(); // 'calendarId/eventId' -> { action, calendarId, eventId, before, after }
+  let plannedCount = 0;
+
+  const keyOf = (calendarId, eventId) => `${calendarId || DEFAULT_CALENDAR_ID}/${eventId}`;
+
+  // The event as the plan has it: planned state first, else the real calendar
+  const getPlanned = async ({ calendarId, eventId }) => {
+    const change = changes.get(keyOf(calendarId, eventId));
+    if (change) {
+      if (!change.after) throw createPlanError('Resource has been deleted', 410);
+      return change.after;
+    }
+    return calendar.get({ calendarId, eventId });
+  };
+
+  // Apply the planned changes to a page of real events
+  const overlay = (items, calendarId) => items
+    .map(event => changes.get(keyOf(calendarId, event.id))?.after ?? (changes.has(keyOf(calendarId, event.id)) ? null : event))
+    .filter(Boolean);
+
+  const plannedEvents = (calendarId) => [...changes.values()]
+    .filter(change => change.calendarId === (calendarId || DEFAULT_CALENDAR_ID) && change.after);
+
+  return {
+    ...calendar,
+
+    get: getPlanned,
+
+    // Moved and created events show up in the ranges they were planned into. Occurrences of a
+    // series whose rule is changed by the plan are still listed as the real calendar has them.
+    list: async (params) => {
+      const result = await calendar.list(params);
+      const items = overlay(result.items || [], params.calendarId)
+        .filter(event => overlaps(event, params.timeMin, params.timeMax));
+      const listed = new Set(items.map(event => event.id));
+      plannedEvents(params.calendarId)
+        .filter(change => !listed.has(change.eventId))
+        .filter(change => !(params.singleEvents && change.after.recurrence))
+        .filter(change => overlaps(change.after, params.timeMin, params.timeMax) && matchesQuery(change.after, params.q))
+        .forEach(change => items.push(change.after));
+      if (params.orderBy === 'startTime') {
+        items.sort((a, b) => getTime(a.start) - getTime(b.start));
+      }
+      return { ...result, items };
+    },
+
+    instances: async (params) => {
+      const result = await calendar.instances(params);
+      return { ...result, items: overlay(result.items || [], params.calendarId) };
+    },
+
+    // Planned events are added to the busy times; time freed by the plan still counts as busy
+    freebusy: async (params) => {
+      const result = await calendar.freebusy(params);
+      Object.entries(result.calendars || {}).forEach(([calendarId, entry]) => {
+        plannedEvents(calendarId)
+          .filter(change => change.after.transparency !== 'transparent' && overlaps(change.after, params.timeMin, params.timeMax))
+          .forEach((change) => {
+            entry.busy = [...(entry.busy || []), {
+              start: new Date(getTime(change.after.start)).toISOString(),
+              end: new Date(getTime(change.after.end)).toISOString()
+            }];
+          });
+      });
+      return result;
+    },
+
+    insert: async ({ calendarId, resource }) => {
+      if (!resource || !resource.start || !resource.end) {
+        throw createPlanError('Missing start or end time', 400);
+      }
+      plannedCount++;
+      const eventId = `${PLANNED_ID_PREFIX}${plannedCount}`;
+      const event = { ...resource, id: eventId, status: 'confirmed', planned: true };
+      changes.set(keyOf(calendarId, eventId), { action: 'create', calendarId: calendarId || DEFAULT_CALENDAR_ID, eventId, before: null, after: event });
+      return event;
+    },
+
+    update: async ({ calendarId, eventId, resource }) => {
+      const key = keyOf(calendarId, eventId);
+      const existing = await getPlanned({ calendarId, eventId });
+      const event = {
+        ...resource,
+        id: existing.id,
+        recurringEventId: existing.recurringEventId,
+        originalStartTime: existing.originalStartTime,
+        status: 'confirmed',
+        planned: true
+      };
+      const previous = changes.get(key);
+      changes.set(key, previous
+        ? { ...previous, after: event }
+        : { action: 'update', calendarId: calendarId || DEFAULT_CALENDAR_ID, eventId, before: existing, after: event });
+      return event;
+    },
+
+    delete: async ({ calendarId, eventId }) => {
+      const key = keyOf(calendarId, eventId);
+      const existing = await getPlanned({ calendarId, eventId });
+      const previous = changes.get(key);
+      if (previous?.action === 'create') {
+        changes.delete(key);
+        return;
+      }
+      changes.set(key, { action: 'delete', calendarId: calendarId || DEFAULT_CALENDAR_ID, eventId, before: previous?.before || existing, after: null });
+    },
+
+    undoLastOperations: async () => {
+      throw createPlanError('Undo is not available while planning; nothing has been changed yet', 400);
+    },
+
+    // The net changes of the plan, in the order the events were first touched
+    plannedChanges: () => [...changes.values()]
+  };
+}
+
+// Make a plan's changes on a calendar (journaled by the caller, so the result can be undone).
+// Events changed since the plan was made are skipped and reported as conflicts.
+async function applyPlan(calendar, plan) {
+  const applied = [];
+  const conflicts = [];
+  for (const change of plan.changes) {
+    const { action, calendarId, eventId } = change;
+    try {
+      if (action === 'create') {
+        const created = await calendar.insert({ calendarId, resource: toResource(change.after), sendUpdates: 'all' });
+        applied.push({ action, calendarId, eventId: created.id, title: created.summary });
+        continue;
+      }
+
+      const current = await calendar.get({ calendarId, eventId });
+      if (current.status === 'cancelled' || eventFingerprint(current) !== eventFingerprint(change.before)) {
+        throw createPlanError('The event was changed after the plan was made', 409);
+      }
+      if (action === 'update') {
+        await calendar.update({ calendarId, eventId, resource: toResource(change.after), sendUpdates: 'all' });
+      } else {
+        await calendar.delete({ calendarId, eventId, sendUpdates: 'all' });
+      }
+      applied.push({ action, calendarId, eventId, title: (change.after || change.before).summary });
+    } catch (error) {
+      console.log('⚠️ [SERVER] Could not apply planned change:', { action, eventId, error: error.message });
+      conflicts.push({ action, calendarId, eventId, title: (change.after || change.before)?.summary || '', reason: error.message });
+    }
+  }
+  return { applied, conflicts };
+}
+
+const isLive = (plan) => Date.now() - new Date(plan.createdAt).getTime() < PLAN_TTL_MS;
+
+function createPlanStore(sessions) {
+  return {
+    // Store a plan; returns it with its id
+    async add(sessionId, { changes, summary }) {
+      const plan = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), summary, changes };
+      await sessions.update(sessionId, (session) => {
+        session.plans = [...(session.plans || []).filter(isLive), plan].slice(-PLAN_LIMIT);
+      });
+      return plan;
+    },
+
+    async get(sessionId, planId) {
+      const session = await sessions.get(sessionId);
+      return (session?.plans || []).filter(isLive).find(plan => plan.id === planId) || null;
+    },
+
+    // Remove and return a plan (null if unknown or expired), so it is only ever applied once
+    async take(sessionId, planId) {
+      let plan = null;
+      await sessions.update(sessionId, (session) => {
+        const plans = session.plans || [];
+        plan = plans.find(entry => entry.id === planId) || null;
+        session.plans = plans.filter(entry => entry.id !== planId && isLive(entry));
+      });
+      return plan && isLive(plan) ? plan : null;
+    }
+  };
+}
+
+module.exports = {
+  PLAN_TTL_MS,
+  createPlanningCalendar,
+  applyPlan,
+  createPlanStore
+};
@@ -0,0 +1,353 @@
+// Quick add without the LLM: a deterministic parser for phrases such as
+// "Lunch with Sam tomorrow 12:30 for 45m at Cafe Roma". It finds the date (today, tomorrow,
+// weekdays, "in 3 days", "Oct 20", "10/20", "2026-10-20"), the time or time range, the duration,
+// the location and attendee emails, resolves them in the user's timezone and keeps the rest of
+// the text as the title. The draft has the shape POST /api/calendar/events takes, for the user
+// to confirm before anything is created.
+//
+// Rules worth knowing:
+//   - a date without a time makes an all-day event; a time without a date is today, or tomorrow
+//     once the time has passed
+//   - times without am/pm from 1 to 6 are afternoon ("at 3" is 15:00), as are all times after
+//     "tonight", "afternoon" or "evening"; "09:00" is read as written
+//   - a weekday is the next one, today included; dates without a year are the next such date
+//   - events without a duration or end time last an hour
+const { getZonedDateParts, zonedTimeToDate, addDays, formatIsoWithOffset, isValidTimezone } = require('./timeUtils');
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY_PATTERN = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)';
+const TIME_PATTERN = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+const END = '(?=$|[\\s,.;!])'; // A token ends at the end of the text, a space or punctuation
+const EMAIL = /[^\s@,;]+@[^\s@,;]+\.[a-z]{2,}/gi;
+
+const WORD_AMOUNTS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const UNIT_MINUTES = [
+  [/^(m|mins?|minutes?)$/, 1],
+  [/^(h|hrs?|hours?)$/, 60],
+  [/^(d|days?)$/, 24 * 60],
+  [/^(w|wks?|weeks?)$/, 7 * 24 * 60]
+];
+const DURATION_PATTERN = '((?:half an? hour|an? hour and a half|(?:\\d+(?:\\.\\d+)?|an?|one|two|three|four|five|six)\\s*(?:minutes?|mins?|m|hours?|hrs?|h|days?|d)(?=\\d|\\s|$|[,.;!])(?:\\s*and\\s+|\\s*)?)+)';
+
+// Default times for parts of the day named without a time, and whether times named with them
+// are am or pm
+const PART_OF_DAY_MINUTES = { morning: 9 * 60, afternoon: 14 * 60, evening: 18 * 60, night: 19 * 60, tonight: 19 * 60 };
+const PART_OF_DAY_MERIDIEM = { morning: 'am', afternoon: 'pm', evening: 'pm', night: 'pm', tonight: 'pm' };
+
+// Explicit requests for a new event ("add", "schedule"...); only these are added without the AI
+const ADD_COMMAND = /^(please\s+)?(add|schedule|create|put in|set up)\s+(an?\s+)?((event|meeting)\s*:?\s+)?/i;
+
+// Requests that ask for something other than a new event, left to the AI
+const OTHER_INTENT = /^(move|reschedule|delete|remove|cancel|clear|find|search|show|list|what|when|where|who|how|why|which|can|could|would|should|is|are|do|does|did|will|update|change|rename|edit|undo|plan|suggest|help|check)\b/i;
+
+const unitMinutes = (unit) => UNIT_MINUTES.find(([pattern]) => pattern.test(unit.toLowerCase()))?.[1];
+
+const pad = (value) => String(value).padStart(2, '0');
+const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+const compareDates = (a, b) => formatDate(a).localeCompare(formatDate(b));
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Minutes in "45m", "1h30m", "1.5 hours", "an hour and a half" or "2 days"; null if none
+function parseDuration(text) {
+  text = text.toLowerCase().trim();
+  if (/^half an? hour$/.test(text)) return 30;
+  if (/^an? hour and a half$/.test(text)) return 90;
+
+  let minutes = null;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?|an?|one|two|three|four|five|six)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d)(?=\d|\s|$|[,.;!])/g)) {
+    const value = /^\d/.test(amount) ? Number(amount) : WORD_AMOUNTS[amount];
+    minutes = (minutes || 0) + value * unitMinutes(unit);
+  }
+  return minutes === null ? null : Math.round(minutes);
+}
+
+// { hours, minutes, meridiem, explicit } from the parts of a TIME_PATTERN match; explicit is
+// whether it is clearly a time (has minutes or am/pm)
+const readTime = (hours, minutes, meridiem) => ({
+  hours: Number(hours),
+  minutes: minutes ? Number(minutes) : 0,
+  meridiem: meridiem ? meridiem.toLowerCase().replace(/\./g, '') : null,
+  leadingZero: hours.length === 2 && hours.startsWith('0'),
+  explicit: !!(minutes || meridiem)
+});
+
+// Minutes after midnight of a time read by readTime, or null if it is not a valid time.
+// `impliedMeridiem` comes from words like "tonight" ("tonight at 7" is 19:00).
+function minutesOfDay({ hours, minutes, meridiem, leadingZero }, impliedMeridiem = null) {
+  if (minutes > 59) return null;
+  if (!meridiem && impliedMeridiem && hours >= 1 && hours <= 12 && !leadingZero) {
+    meridiem = impliedMeridiem;
+  }
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    return ((hours % 12) + (meridiem === 'pm' ? 12 : 0)) * 60 + minutes;
+  }
+  if (hours > 23) return null;
+  // Bare 1-6 is afternoon ("at 3", "3:30"), unless written as "03:30"
+  const afternoon = hours >= 1 && hours <= 6 && !leadingZero;
+  return (hours + (afternoon ? 12 : 0)) * 60 + minutes;
+}
+
+// Parse a quick-add phrase. `now` and `timezone` give "today" and the wall clock the times are in.
+// Returns { title, startTime, endTime, allDay, location, attendees, timezone, understood, complete }:
+// startTime/endTime are ISO date-times with the timezone's offset, or for all-day events the first
+// and last day (YYYY-MM-DD); `understood` lists what was found besides the title; `complete` is
+// whether the text explicitly asks to add an event with a date or time ("Add lunch with Sam
+// tomorrow"), so it can be added without the AI. Other phrases are only drafts for the user to check.
+// Throws an Error when the text has no title or no date or time.
+function parseQuickAdd(text, { timezone = 'UTC', now = new Date() } = {}) {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone "${timezone}"`);
+  }
+  const original = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!original) {
+    throw new Error('Nothing to add: describe the event, e.g. "Lunch with Sam tomorrow 12:30 at Cafe Roma"');
+  }
+
+  const today = getZonedDateParts(now, timezone);
+  const nowMinutes = today.hours * 60 + today.minutes;
+  const understood = new Set();
+  const withoutCommand = original.replace(ADD_COMMAND, '');
+  let rest = ` ${withoutCommand} `;
+
+  // Remove the first match of `pattern` that `accept` takes (accept returns false to skip it)
+  const take = (pattern, accept, flags = 'gi') => {
+    for (const match of rest.matchAll(new RegExp(pattern, flags))) {
+      if (accept(match) !== false) {
+        rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  let date = null; // { year, month, day }
+  let startMinutes = null; // Minutes after midnight
+  let endMinutes = null;
+  let durationMinutes = null;
+  let defaultMinutes = null; // From "morning", "tonight"...
+  let impliedMeridiem = null;
+  let allDay = false;
+  let startInstant = null; // For "in 2 hours"
+  let location = null;
+
+  // Attendee emails, before "@ place" locations
+  const attendees = rest.match(EMAIL) || [];
+  rest = rest.replace(EMAIL, ' ');
+  if (attendees.length > 0) understood.add('attendees');
+
+  if (take('(^|\\s)all[- ]day' + END, () => {})) {
+    allDay = true;
+  }
+
+  // Duration: "for 45m", "for an hour", or compact "45m" / "1h30m"
+  take(`(^|\\s)for\\s+${DURATION_PATTERN}`, (match) => {
+    durationMinutes = parseDuration(match[2]);
+    if (!durationMinutes) return false;
+  }) || take('(^|\\s)(\\d+(?:\\.\\d+)?(?:h|hrs?|m|mins?)(?:\\d+(?:m|mins?))?)' + END, (match) => {
+    durationMinutes = parseDuration(match[2].replace(/(\d)(?=[a-z])/gi, '$1 ').replace(/([a-z])(?=\d)/gi, '$1 '));
+    if (!durationMinutes) return false;
+  });
+  if (durationMinutes) understood.add('duration');
+
+  // Relative: "in 2 hours" starts then; "in 3 days" / "in 2 weeks" is a date
+  take('(^|\\s)in\\s+(\\d+|an?|one|two|three|four|five|six)\\s*(minutes?|mins?|hours?|hrs?|days?|weeks?)' + END, (match) => {
+    const amount = /^\d/.test(match[2]) ? Number(match[2]) : WORD_AMOUNTS[match[2].toLowerCase()];
+    const minutes = amount * unitMinutes(match[3]);
+    if (minutes < 24 * 60) {
+      startInstant = new Date(new Date(now).getTime() + minutes * 60 * 1000);
+      understood.add('time');
+    } else {
+      date = addDays(today, minutes / (24 * 60));
+    }
+  });
+
+  // Explicit dates; without a year, the next such date
+  const setDate = (year, month, day) => {
+    if (month < 1 || month > 12 || day < 1) return false;
+    const candidate = { year: year || today.year, month, day };
+    if (!year && compareDates(candidate, today) < 0) candidate.year++;
+    if (day > daysInMonth(candidate.year, month)) return false;
+    date = candidate;
+  };
+  const monthNumber = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+  if (!date) {
+    take('(^|\\s)(?:on\\s+)?(\\d{4})-(\\d{2})-(\\d{2})' + END, (match) => setDate(Number(match[2]), Number(match[3]), Number(match[4]))) ||
+      take('(^|\\s)(?:on\\s+)?(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?' + END, (match) => {
+        const year = match[4] ? Number(match[4].length === 2 ? `20${match[4]}` : match[4]) : null;
+        return setDate(year, Number(match[2]), Number(match[3]));
+      }) ||
+      take(`(^|\\s)(?:on\\s+)?(?:${WEEKDAY_PATTERN},?\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${END}`,
+        (match) => setDate(match[5] ? Number(match[5]) : null, monthNumber(match[3]), Number(match[4]))) ||
+      take(`(^|\\s)(?:on\\s+)?(?:${WEEKDAY_PATTERN},?\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?${END}`,
+        (match) => setDate(match[5] ? Number(match[5]) : null, monthNumber(match[4]), Number(match[3])));
+  }
+
+  // Relative days and weekdays
+  if (!date) {
+    take('(^|\\s)(?:the\\s+)?day after (?:tomorrow|tmrw)' + END, () => {
+      date = addDays(today, 2);
+    }) ||
+      take('(^|\\s)(today|tonight|tomorrow|tmrw|tmr)' + END, (match) => {
+        const word = match[2].toLowerCase();
+        date = word === 'today' || word === 'tonight' ? { ...today } : addDays(today, 1);
+        if (word === 'tonight') {
+          defaultMinutes = PART_OF_DAY_MINUTES.tonight;
+          impliedMeridiem = PART_OF_DAY_MERIDIEM.tonight;
+        }
+      }) ||
+      take(`(^|\\s)(?:on\\s+|this\\s+|next\\s+)?${WEEKDAY_PATTERN}${END}`, (match) => {
+        const weekday = WEEKDAYS.indexOf(match[2].slice(0, 3).toLowerCase());
+        date = addDays(today, (weekday - today.weekday + 7) % 7);
+      });
+  }
+  if (date) understood.add('date');
+
+  take('(^|\\s)(?:in the\\s+|this\\s+)?(morning|afternoon|evening|night)' + END, (match) => {
+    if (!date && !startInstant) return false; // "Night shift" is a title
+    defaultMinutes = PART_OF_DAY_MINUTES[match[2].toLowerCase()];
+    impliedMeridiem = PART_OF_DAY_MERIDIEM[match[2].toLowerCase()];
+  });
+
+  // Time range: "2-3pm", "from 2 to 3:30pm", "14:00-15:30"
+  if (!startInstant) {
+    take(`(^|\\s)(from\\s+|at\\s+)?${TIME_PATTERN}\\s*(?:-|–|to|until|till)\\s*${TIME_PATTERN}${END}`, (match) => {
+      const start = readTime(match[3], match[4], match[5]);
+      const end = readTime(match[6], match[7], match[8]);
+      if (!match[2] && !start.explicit && !end.explicit) return false;
+      if (!start.meridiem && end.meridiem && start.hours <= 12) {
+        // "11-1pm" is 11am to 1pm, "2-3pm" is 2pm to 3pm
+        const sameMeridiem = minutesOfDay({ ...start, meridiem: end.meridiem });
+        const endOfRange = minutesOfDay(end);
+        start.meridiem = sameMeridiem !== null && sameMeridiem < endOfRange ? end.meridiem : (end.meridiem === 'pm' ? 'am' : 'pm');
+      }
+      startMinutes = minutesOfDay(start, impliedMeridiem);
+      endMinutes = minutesOfDay(end, impliedMeridiem);
+      if (startMinutes === null || endMinutes === null) return false;
+      if (endMinutes <= startMinutes) endMinutes += 12 * 60;
+      if (endMinutes <= startMinutes) endMinutes += 12 * 60;
+    });
+
+    // Single time: "12:30", "9am", "at 3", "noon"
+    if (startMinutes === null) {
+      take('(^|\\s)(?:at\\s+|@\\s*)?(noon|midday|midnight)' + END, (match) => {
+        startMinutes = match[2].toLowerCase() === 'midnight' ? 0 : 12 * 60;
+      }) ||
+        take(`(^|\\s)(at\\s+|@\\s*)?${TIME_PATTERN}${END}`, (match) => {
+          const time = readTime(match[3], match[4], match[5]);
+          if (!match[2] && !time.explicit) return false;
+          startMinutes = minutesOfDay(time, impliedMeridiem);
+          if (startMinutes === null) return false;
+        });
+    }
+    if (startMinutes !== null) understood.add('time');
+  }
+
+  // "until 5pm" after a start time
+  if (startMinutes !== null && endMinutes === null) {
+    take(`(^|\\s)(?:until|till|to)\\s+${TIME_PATTERN}${END}`, (match) => {
+      const end = readTime(match[2], match[3], match[4]);
+      endMinutes = minutesOfDay(end, impliedMeridiem);
+      if (endMinutes === null) return false;
+      while (endMinutes <= startMinutes) endMinutes += 12 * 60;
+    });
+  }
+
+  // Location: "at Cafe Roma", "@ the office", "in Room 4" (in only before a capitalised name)
+  take('(^|\\s)(?:at|@)\\s+(?!\\d)([^,;]+?)(?=\\s+with\\s|[,;]|\\s*$)', (match) => {
+    location = match[2].trim();
+  }) || take('(^|\\s)in\\s+([A-Z][^,;]*?)(?=\\s+with\\s|[,;]|\\s*$)', (match) => {
+    location = match[2].trim();
+  }, 'g');
+  if (location) understood.add('location');
+
+  const title = rest
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;!])/g, '$1')
+    .trim()
+    .replace(/^((on|at|from|for|with|and|to|in)\s+|[,.;:\-–]\s*)+/i, '')
+    .replace(/(\s+(on|at|from|for|with|and|to|in|the)|\s*[,.;:\-–])+$/i, '')
+    .trim();
+  if (!title) {
+    throw new Error(`Could not find what the event is in "${original}"`);
+  }
+  if (!date && startMinutes === null && !startInstant && !allDay) {
+    throw new Error(`Could not find a date or time in "${original}"; add one, e.g. "tomorrow 3pm" or "Friday"`);
+  }
+
+  const draft = {
+    // "schedule dentist Friday" is titled "Dentist"
+    title: withoutCommand !== original ? title.charAt(0).toUpperCase() + title.slice(1) : title,
+    allDay: false,
+    ...(location && { location }),
+    attendees,
+    timezone,
+    understood: [...understood],
+    complete: (understood.has('date') || understood.has('time')) &&
+      withoutCommand !== original &&
+      !OTHER_INTENT.test(withoutCommand) &&
+      !original.includes('?')
+  };
+
+  // All-day: a date (or all day) without a time; durations in days make it span several days
+  if (allDay || (startMinutes === null && !startInstant && defaultMinutes === null)) {
+    const firstDay = date || today;
+    const days = durationMinutes && durationMinutes >= 24 * 60 ? Math.round(durationMinutes / (24 * 60)) : 1;
+    return { ...draft, allDay: true, startTime: formatDate(firstDay), endTime: formatDate(addDays(firstDay, days - 1)) };
+  }
+
+  let start;
+  if (startInstant) {
+    start = startInstant;
+  } else {
+    const minutes = startMinutes !== null ? startMinutes : defaultMinutes;
+    // A time without a date that has passed today is tomorrow
+    const day = date || (minutes <= nowMinutes ? addDays(today, 1) : today);
+    start = zonedTimeToDate({ ...day, hours: Math.floor(minutes / 60), minutes: minutes % 60 }, timezone);
+  }
+  const end = endMinutes !== null
+    ? new Date(start.getTime() + (endMinutes - startMinutes) * 60 * 1000)
+    : new Date(start.getTime() + (durationMinutes || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+
+  return { ...draft, startTime: formatIsoWithOffset(start, timezone), endTime: formatIsoWithOffset(end, timezone) };
+}
+
+// "Lunch with Sam" on Mon, Oct 19, 12:30 PM - 1:15 PM at Cafe Roma
+function describeQuickAdd(draft) {
+  let when;
+  if (draft.allDay) {
+    const formatDay = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+    when = draft.startTime === draft.endTime ? `on ${formatDay(draft.startTime)}` : `from ${formatDay(draft.startTime)} to ${formatDay(draft.endTime)}`;
+  } else {
+    const formatTime = (date, options) => new Date(date).toLocaleString('en-US', { timeZone: draft.timezone, hour: 'numeric', minute: '2-digit', ...options });
+    when = `on ${formatTime(draft.startTime, { weekday: 'short', month: 'short', day: 'numeric' })} - ${formatTime(draft.endTime)}`;
+  }
+  return `"${draft.title}" ${when}${draft.location ? ` at ${draft.location}` : ''}`;
+}
+
+// The create_event tool call for a draft, as the AI would make it
+const quickAddToolCall = (draft) => ({
+  tool: 'create_event',
+  parameters: {
+    event: {
+      title: draft.title,
+      startTime: draft.startTime,
+      endTime: draft.endTime,
+      allDay: draft.allDay,
+      ...(draft.location && { location: draft.location }),
+      ...(draft.attendees.length > 0 && { attendees: draft.attendees }),
+      timezone: draft.timezone
+    }
+  }
+});
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  parseQuickAdd,
+  describeQuickAdd,
+  quickAddToolCall
+};
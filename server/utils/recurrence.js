@@ -0,0 +1,380 @@
+const { getZonedDateParts, zonedTimeToDate, addDays, formatIsoWithOffset, isValidTimezone } = require('./timeUtils');
+
+// RFC 5545 recurrence helpers: validating RRULE lines, expanding a recurring event into
+// occurrences (local calendar provider) and splitting a series ("this and following").
+// Supported RRULE parts: FREQ (DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL, COUNT, UNTIL,
+// BYDAY (with ordinals for MONTHLY/YEARLY), BYMONTHDAY, BYMONTH and WKST; EXDATE lines are honoured.
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+const MAX_PERIODS = 5000; // Safety cap for open-ended rules
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+const dateKey = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+const weekdayOf = (date) => new Date(dateKey(date)).getUTCDay();
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+const parseDateString = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return { year, month, day };
+};
+
+// Parse an RFC 5545 DATE or DATE-TIME ("20261020", "20261020T140000Z", or floating "20261020T140000",
+// resolved in `timezone`). Returns { date } for dates and { instant } (ms) for date-times.
+function parseRecurrenceDate(value, timezone = 'UTC') {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = { year: Number(year), month: Number(month), day: Number(day) };
+  if (hours === undefined) {
+    return { date };
+  }
+  if (utc) {
+    return { instant: Date.UTC(date.year, date.month - 1, date.day, Number(hours), Number(minutes), Number(seconds)) };
+  }
+  return { instant: zonedTimeToDate({ ...date, hours: Number(hours), minutes: Number(minutes) }, timezone).getTime() + Number(seconds) * 1000 };
+}
+
+// Format an instant as an RFC 5545 UTC DATE-TIME ("20261020T140000Z")
+function formatUtcDateTime(instant) {
+  const date = new Date(instant);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+const formatBasicDate = ({ year, month, day }) => `${year}${pad(month)}${pad(day)}`;
+
+// Parse an RRULE line into a rule object; throws on malformed input
+function parseRRule(line) {
+  const body = String(line).trim().replace(/^RRULE:/i, '');
+  const rule = { interval: 1, parts: [], unsupported: [] };
+
+  for (const pair of body.split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = pair.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+    rule.parts.push([key, value]);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`Unsupported FREQ "${rawValue}"`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) throw new Error(`Invalid INTERVAL "${rawValue}"`);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) throw new Error(`Invalid COUNT "${rawValue}"`);
+        break;
+      case 'UNTIL':
+        rule.until = parseRecurrenceDate(value);
+        if (!rule.until) throw new Error(`Invalid UNTIL "${rawValue}"`);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) throw new Error(`Invalid BYDAY "${item}"`);
+          return { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAY_CODES.indexOf(match[2]) };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number);
+        if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+          throw new Error(`Invalid BYMONTHDAY "${rawValue}"`);
+        }
+        break;
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map(Number);
+        if (rule.byMonth.some(month => !Number.isInteger(month) || month < 1 || month > 12)) {
+          throw new Error(`Invalid BYMONTH "${rawValue}"`);
+        }
+        break;
+      case 'WKST':
+        rule.weekStart = WEEKDAY_CODES.indexOf(value);
+        if (rule.weekStart === -1) throw new Error(`Invalid WKST "${rawValue}"`);
+        break;
+      default:
+        rule.unsupported.push(key);
+    }
+  }
+
+  if (!rule.freq) throw new Error('RRULE must specify FREQ');
+  if (rule.count && rule.until) throw new Error('RRULE cannot have both COUNT and UNTIL');
+  return rule;
+}
+
+// Rebuild an RRULE line, replacing its end condition (COUNT/UNTIL)
+function formatRRuleWithEnd(rule, { count, until }) {
+  const parts = rule.parts.filter(([key]) => key !== 'COUNT' && key !== 'UNTIL');
+  if (count) parts.push(['COUNT', String(count)]);
+  if (until) parts.push(['UNTIL', until]);
+  return `RRULE:${parts.map(([key, value]) => `${key}=${value}`).join(';')}`;
+}
+
+const findRRuleLine = (recurrence = []) => recurrence.find(line => /^RRULE[:;]/i.test(line));
+
+// Normalize and validate a recurrence array ("FREQ=..." becomes "RRULE:FREQ=...").
+// Throws an Error describing the problem.
+function normalizeRecurrence(recurrence) {
+  const lines = (Array.isArray(recurrence) ? recurrence : [recurrence])
+    .map(line => String(line).trim())
+    .filter(Boolean)
+    .map(line => (/^FREQ=/i.test(line) ? `RRULE:${line}` : line));
+
+  if (lines.length === 0) return [];
+
+  const rruleLines = lines.filter(line => /^RRULE:/i.test(line));
+  if (rruleLines.length !== 1) {
+    throw new Error('Recurrence must contain exactly one RRULE line');
+  }
+  for (const line of lines) {
+    if (!/^(RRULE|EXDATE|RDATE)[:;]/i.test(line)) {
+      throw new Error(`Unsupported recurrence line "${line}"`);
+    }
+  }
+
+  const rule = parseRRule(rruleLines[0]);
+  if (rule.unsupported.length > 0) {
+    throw new Error(`Unsupported RRULE parts: ${rule.unsupported.join(', ')} (supported: ${SUPPORTED_PARTS.join(', ')})`);
+  }
+  return lines.map(line => (/^RRULE:/i.test(line) ? `RRULE:${line.slice(6).toUpperCase()}` : line));
+}
+
+// Start of a series in wall-clock terms
+function getSeriesStart(event) {
+  if (event.start.date) {
+    const date = parseDateString(event.start.date);
+    return { allDay: true, timezone: 'UTC', ...date, weekday: weekdayOf(date), hours: 0, minutes: 0, seconds: 0 };
+  }
+  const timezone = event.start.timeZone && isValidTimezone(event.start.timeZone) ? event.start.timeZone : 'UTC';
+  return { allDay: false, timezone, ...getZonedDateParts(event.start.dateTime, timezone) };
+}
+
+// EXDATE values as a set of instants (timed events) or date keys (all-day events)
+function getExcludedStarts(recurrence, seriesStart) {
+  const excluded = new Set();
+  for (const line of recurrence.filter(item => /^EXDATE[:;]/i.test(item))) {
+    const [params, values = ''] = line.split(/:(.*)/s);
+    const tzid = /TZID=([^;:]+)/i.exec(params)?.[1] || seriesStart.timezone;
+    for (const value of values.split(',')) {
+      const parsed = parseRecurrenceDate(value, tzid);
+      if (!parsed) continue;
+      excluded.add(parsed.date ? dateKey(parsed.date) : parsed.instant);
+    }
+  }
+  return excluded;
+}
+
+// Days of a month matching the rule's BYMONTHDAY/BYDAY (or the series start day)
+function getMonthDays(rule, year, month, seriesStart) {
+  const lastDay = daysInMonth(year, month);
+
+  if (rule.byMonthDay) {
+    return rule.byMonthDay
+      .map(day => (day < 0 ? lastDay + day + 1 : day))
+      .filter(day => day >= 1 && day <= lastDay);
+  }
+
+  if (rule.byDay) {
+    const days = [];
+    for (const { ordinal, weekday } of rule.byDay) {
+      const matching = [];
+      for (let day = 1; day <= lastDay; day++) {
+        if (weekdayOf({ year, month, day }) === weekday) matching.push(day);
+      }
+      if (ordinal === null) {
+        days.push(...matching);
+      } else {
+        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (day) days.push(day);
+      }
+    }
+    return days;
+  }
+
+  return seriesStart.day <= lastDay ? [seriesStart.day] : [];
+}
+
+// Candidate dates for the n-th period of the rule, in chronological order
+function getPeriodDates(rule, seriesStart, periodIndex) {
+  const step = periodIndex * rule.interval;
+  let dates = [];
+
+  switch (rule.freq) {
+    case 'DAILY':
+      dates = [addDays(seriesStart, step)];
+      break;
+    case 'WEEKLY': {
+      const weekStart = rule.weekStart ?? 1;
+      const firstDayOfWeek = addDays(seriesStart, -((seriesStart.weekday - weekStart + 7) % 7) + step * 7);
+      const weekdays = rule.byDay ? rule.byDay.map(item => item.weekday) : [seriesStart.weekday];
+      for (let offset = 0; offset < 7; offset++) {
+        const date = addDays(firstDayOfWeek, offset);
+        if (weekdays.includes(date.weekday)) dates.push(date);
+      }
+      break;
+    }
+    case 'MONTHLY': {
+      const monthIndex = seriesStart.month - 1 + step;
+      const year = seriesStart.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      dates = getMonthDays(rule, year, month, seriesStart).map(day => ({ year, month, day }));
+      break;
+    }
+    case 'YEARLY': {
+      const year = seriesStart.year + step;
+      for (const month of rule.byMonth || [seriesStart.month]) {
+        dates.push(...getMonthDays(rule, year, month, seriesStart).map(day => ({ year, month, day })));
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return dates
+    .filter(date => !rule.byMonth || rule.freq === 'YEARLY' || rule.byMonth.includes(date.month))
+    .filter(date => rule.freq !== 'DAILY' || !rule.byDay || rule.byDay.some(item => item.weekday === weekdayOf(date)))
+    .filter(date => !['DAILY', 'WEEKLY'].includes(rule.freq) || !rule.byMonthDay || rule.byMonthDay.includes(date.day))
+    .sort((a, b) => dateKey(a) - dateKey(b));
+}
+
+// Expand a recurring event into occurrence starts ({ date, instant }) with start in [timeMin, timeMax).
+// COUNT is applied before EXDATE exclusion, as in RFC 5545.
+function expandRecurrence(event, { timeMin = null, timeMax = null, limit = 1000, includeExcluded = false } = {}) {
+  const rruleLine = findRRuleLine(event.recurrence);
+  if (!rruleLine) return [];
+
+  const rule = parseRRule(rruleLine);
+  const seriesStart = getSeriesStart(event);
+  const excluded = includeExcluded ? new Set() : getExcludedStarts(event.recurrence, seriesStart);
+  const minMs = timeMin !== null ? new Date(timeMin).getTime() : -Infinity;
+  const maxMs = timeMax !== null ? new Date(timeMax).getTime() : Infinity;
+  const seriesStartKey = dateKey(seriesStart);
+
+  const occurrences = [];
+  let generated = 0;
+
+  for (let periodIndex = 0; periodIndex < MAX_PERIODS; periodIndex++) {
+    for (const date of getPeriodDates(rule, seriesStart, periodIndex)) {
+      if (dateKey(date) < seriesStartKey) continue;
+
+      const instant = seriesStart.allDay
+        ? dateKey(date)
+        : zonedTimeToDate({ ...date, hours: seriesStart.hours, minutes: seriesStart.minutes }, seriesStart.timezone).getTime() + seriesStart.seconds * 1000;
+
+      if (rule.until) {
+        const pastUntil = rule.until.date ? dateKey(date) > dateKey(rule.until.date) : instant > rule.until.instant;
+        if (pastUntil) return occurrences;
+      }
+      if (rule.count && generated >= rule.count) return occurrences;
+      if (instant >= maxMs) return occurrences;
+
+      generated++;
+      const excludedKey = seriesStart.allDay ? dateKey(date) : instant;
+      if (instant >= minMs && !excluded.has(excludedKey)) {
+        occurrences.push({ date: { year: date.year, month: date.month, day: date.day }, instant });
+        if (occurrences.length >= limit) return occurrences;
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+// Instance id suffix as used by Google ("<seriesId>_20261020T140000Z", all-day "<seriesId>_20261020")
+function getInstanceSuffix(occurrence, allDay) {
+  return allDay ? formatBasicDate(occurrence.date) : formatUtcDateTime(occurrence.instant);
+}
+
+// Split "<seriesId>_<suffix>" into its parts, or null if the id is not an instance id
+function parseInstanceId(eventId) {
+  const match = /^(.+)_(\d{8}(?:T\d{6}Z)?)$/.exec(String(eventId));
+  if (!match) return null;
+  const parsed = parseRecurrenceDate(match[2]);
+  return parsed ? { recurringEventId: match[1], ...parsed } : null;
+}
+
+// Build a single instance of a recurring event, shaped like Google's singleEvents expansion
+function buildInstance(master, occurrence) {
+  const seriesStart = getSeriesStart(master);
+  const { recurrence, ...rest } = master;
+  const id = `${master.id}_${getInstanceSuffix(occurrence, seriesStart.allDay)}`;
+
+  if (seriesStart.allDay) {
+    const durationDays = Math.round((dateKey(parseDateString(master.end.date)) - dateKey(parseDateString(master.start.date))) / DAY);
+    const start = { date: formatDate(occurrence.date) };
+    return {
+      ...rest,
+      id,
+      recurringEventId: master.id,
+      originalStartTime: start,
+      start,
+      end: { date: formatDate(addDays(occurrence.date, durationDays)) }
+    };
+  }
+
+  const durationMs = new Date(master.end.dateTime) - new Date(master.start.dateTime);
+  const endTimezone = master.end.timeZone && isValidTimezone(master.end.timeZone) ? master.end.timeZone : seriesStart.timezone;
+  const start = { dateTime: formatIsoWithOffset(occurrence.instant, seriesStart.timezone), timeZone: master.start.timeZone };
+  return {
+    ...rest,
+    id,
+    recurringEventId: master.id,
+    originalStartTime: start,
+    start,
+    end: { dateTime: formatIsoWithOffset(occurrence.instant + durationMs, endTimezone), timeZone: master.end.timeZone }
+  };
+}
+
+// Start of an instance as ms (timed) or date key (all-day), from its originalStartTime
+function getOriginalStart(instance) {
+  const original = instance.originalStartTime || instance.start;
+  return original.date ? dateKey(parseDateString(original.date)) : new Date(original.dateTime).getTime();
+}
+
+// Recurrence of the series truncated so it ends before `instance` ("this and following" split)
+function truncateRecurrence(master, instance) {
+  const rule = parseRRule(findRRuleLine(master.recurrence));
+  const splitStart = getOriginalStart(instance);
+  const until = master.start.date
+    ? formatBasicDate(getZonedDateParts(splitStart - DAY, 'UTC'))
+    : formatUtcDateTime(splitStart - 1000);
+
+  return master.recurrence.map(line => (line === findRRuleLine(master.recurrence) ? formatRRuleWithEnd(rule, { until }) : line));
+}
+
+// Recurrence for a new series continuing the master from `instance` (COUNT reduced by the
+// occurrences that stay with the original series)
+function continueRecurrence(master, instance) {
+  const rruleLine = findRRuleLine(master.recurrence);
+  const rule = parseRRule(rruleLine);
+  if (!rule.count) return [...master.recurrence];
+
+  const before = expandRecurrence(master, { timeMax: getOriginalStart(instance), includeExcluded: true, limit: Infinity }).length;
+  const count = Math.max(rule.count - before, 1);
+  return master.recurrence.map(line => (line === rruleLine ? formatRRuleWithEnd(rule, { count }) : line));
+}
+
+// Whether `instance` is the first occurrence of its series
+function isFirstInstance(master, instance) {
+  const [first] = expandRecurrence(master, { limit: 1, includeExcluded: true });
+  return !!first && first.instant === getOriginalStart(instance);
+}
+
+module.exports = {
+  parseRRule,
+  normalizeRecurrence,
+  expandRecurrence,
+  buildInstance,
+  parseInstanceId,
+  getOriginalStart,
+  truncateRecurrence,
+  continueRecurrence,
+  isFirstInstance
+};
@@ -0,0 +1,128 @@
+const { truncateRecurrence, continueRecurrence, isFirstInstance } = require('./recurrence');
+
+// Edit/delete scopes for occurrences of a recurring series, shared by the AI tools and the REST routes:
+//   'instance'  - only this occurrence
+//   'following' - this occurrence and all later ones (the series is split in two)
+//   'all'       - every occurrence (the series itself)
+const RECURRENCE_SCOPES = ['instance', 'following', 'all'];
+
+const createScopeError = (message) => {
+  const error = new Error(message);
+  error.code = 400;
+  return error;
+};
+
+// Fields Google manages per event; they must not be copied into a new series
+const stripServerFields = ({ id, iCalUID, recurringEventId, originalStartTime, etag, htmlLink, created, updated, sequence, kind, organizer, creator, status, ...resource }) => resource;
+
+const shiftEventTime = (eventTime, deltaMs) => {
+  if (!deltaMs) return eventTime;
+  if (eventTime.date) {
+    const date = new Date(`${eventTime.date}T00:00:00Z`);
+    return { date: new Date(date.getTime() + deltaMs).toISOString().slice(0, 10) };
+  }
+  return { ...eventTime, dateTime: new Date(new Date(eventTime.dateTime).getTime() + deltaMs).toISOString() };
+};
+
+const getTime = (eventTime) => new Date(eventTime.dateTime || eventTime.date).getTime();
+
+// Load the target event and, for occurrences, the series it belongs to
+async function loadTarget(calendar, calendarId, eventId, scope) {
+  if (!RECURRENCE_SCOPES.includes(scope)) {
+    throw createScopeError(`Invalid scope "${scope}", expected one of: ${RECURRENCE_SCOPES.join(', ')}`);
+  }
+
+  const target = await calendar.get({ calendarId, eventId });
+  if (target.recurrence && scope !== 'all') {
+    throw createScopeError('This id refers to the whole recurring series; use an occurrence id (from the event list) or scope "all"');
+  }
+
+  const master = target.recurringEventId
+    ? await calendar.get({ calendarId, eventId: target.recurringEventId })
+    : target;
+  return { target, master, isRecurring: !!master.recurrence };
+}
+
+// Update an event, honouring the scope for occurrences of a recurring series.
+// `applyChanges(event)` returns the full updated resource for the given event (an occurrence or
+// a plain event); for scope 'all' its time change is carried over to the series start.
+async function updateEventWithScope(calendar, { calendarId = 'primary', eventId, scope = 'instance', applyChanges, sendUpdates = 'all' }) {
+  const { target, master, isRecurring } = await loadTarget(calendar, calendarId, eventId, scope);
+  const changed = applyChanges(target);
+
+  if (!isRecurring || scope === 'instance') {
+    return calendar.update({ calendarId, eventId: target.id, resource: changed, sendUpdates });
+  }
+
+  if (scope === 'following' && target.id !== master.id && !isFirstInstance(master, target)) {
+    // End the original series before this occurrence and start a new series from it
+    await calendar.update({
+      calendarId,
+      eventId: master.id,
+      resource: { ...master, recurrence: truncateRecurrence(master, target) },
+      sendUpdates
+    });
+
+    return calendar.insert({
+      calendarId,
+      resource: {
+        ...stripServerFields(changed),
+        recurrence: changed.recurrence || continueRecurrence(master, target)
+      },
+      sendUpdates
+    });
+  }
+
+  // Whole series: apply the changes to the series, shifting its times by the occurrence's time change
+  if (!changed.start.date !== !target.start.date) {
+    throw createScopeError('Switching a whole recurring series between all-day and timed is not supported; recreate the series instead');
+  }
+  const { recurringEventId, originalStartTime, ...changedFields } = changed;
+  return calendar.update({
+    calendarId,
+    eventId: master.id,
+    resource: {
+      ...changedFields,
+      id: master.id,
+      start: shiftEventTime(master.start, getTime(changed.start) - getTime(target.start)),
+      end: shiftEventTime(master.end, getTime(changed.end) - getTime(target.end)),
+      recurrence: changed.recurrence || master.recurrence
+    },
+    sendUpdates
+  });
+}
+
+// Delete an event, honouring the scope for occurrences of a recurring series.
+// Returns { deleted: 'event' | 'instance' | 'following' | 'series', event } describing what was removed.
+async function deleteEventWithScope(calendar, { calendarId = 'primary', eventId, scope = 'instance', sendUpdates = 'all' }) {
+  const { target, master, isRecurring } = await loadTarget(calendar, calendarId, eventId, scope);
+
+  if (!isRecurring) {
+    await calendar.delete({ calendarId, eventId: target.id, sendUpdates });
+    return { deleted: 'event', event: target };
+  }
+
+  if (scope === 'instance') {
+    await calendar.delete({ calendarId, eventId: target.id, sendUpdates });
+    return { deleted: 'instance', event: target };
+  }
+
+  if (scope === 'following' && target.id !== master.id && !isFirstInstance(master, target)) {
+    await calendar.update({
+      calendarId,
+      eventId: master.id,
+      resource: { ...master, recurrence: truncateRecurrence(master, target) },
+      sendUpdates
+    });
+    return { deleted: 'following', event: target };
+  }
+
+  await calendar.delete({ calendarId, eventId: master.id, sendUpdates });
+  return { deleted: 'series', event: master };
+}
+
+module.exports = {
+  RECURRENCE_SCOPES,
+  updateEventWithScope,
+  deleteEventWithScope
+};
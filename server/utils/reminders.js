@@ -0,0 +1,123 @@
+// Event reminders in the shape Google Calendar stores them: { useDefault, overrides: [{ method, minutes }] }.
+// Clients and the AI may send any of
+//   'default' or { useDefault: true }               -> the calendar's default reminders
+//   [] or { useDefault: false, overrides: [] }      -> no reminders
+//   [30, '1 day before by email', { minutes: 10, method: 'popup' }]  -> these reminders
+// Reminders given without a method are notifications (popup), as in Google Calendar's own UI.
+
+const REMINDER_METHODS = ['email', 'popup'];
+const DEFAULT_REMINDER_METHOD = 'popup';
+const MAX_REMINDERS = 5; // Google rejects more overrides
+const MAX_REMINDER_MINUTES = 4 * 7 * 24 * 60; // Four weeks, Google's limit
+
+const UNIT_MINUTES = [
+  [/^(m|mins?|minutes?)$/, 1],
+  [/^(h|hrs?|hours?)$/, 60],
+  [/^(d|days?)$/, 24 * 60],
+  [/^(w|wks?|weeks?)$/, 7 * 24 * 60]
+];
+const WORD_AMOUNTS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, ten: 10, fifteen: 15, thirty: 30 };
+
+const unitMinutes = (unit) => UNIT_MINUTES.find(([pattern]) => pattern.test(unit))?.[1];
+
+// Minutes before the event from text such as "15 minutes before", "1h30m", "half an hour",
+// "the day before" or "at start". Returns null when the text names no time.
+function parseReminderMinutes(text) {
+  if (/^(at (the )?(start|time of (the )?event)|when it starts|on time)$/.test(text)) return 0;
+  if (/^(the )?(day|night) before$/.test(text)) return 24 * 60;
+  if (/^(the )?week before$/.test(text)) return 7 * 24 * 60;
+
+  text = text.replace(/\b(before|prior|ahead|earlier|in advance)\b/g, ' ').replace(/\s+/g, ' ').trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  if (/^half an hour$/.test(text)) return 30;
+
+  let minutes = null;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?\s*|\b[a-z]+\s+)([a-z]+)/g)) {
+    const value = /^\d/.test(amount) ? Number(amount) : WORD_AMOUNTS[amount.trim()];
+    const perUnit = unitMinutes(unit);
+    if (value === undefined || !perUnit) continue;
+    minutes = (minutes || 0) + value * perUnit;
+  }
+  return minutes === null ? null : Math.round(minutes);
+}
+
+// One reminder from a number of minutes, a { minutes, method } object or natural language
+// ("1 day before by email", "10 min popup"). Throws an Error describing the problem.
+function parseReminder(reminder) {
+  let minutes;
+  let method = DEFAULT_REMINDER_METHOD;
+
+  if (typeof reminder === 'number') {
+    minutes = reminder;
+  } else if (reminder && typeof reminder === 'object') {
+    minutes = typeof reminder.minutes === 'string' ? Number(reminder.minutes) : reminder.minutes;
+    method = reminder.method || DEFAULT_REMINDER_METHOD;
+  } else if (typeof reminder === 'string') {
+    let text = reminder.trim().toLowerCase();
+    if (/\be-?mails?\b/.test(text)) {
+      method = 'email';
+    }
+    text = text
+      .replace(/\b(by|via|as|an?)?\s*(e-?mails?|pop-?ups?|notifications?|alerts?)\b/g, ' ')
+      .replace(/\b(reminders?|remind me)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    minutes = parseReminderMinutes(text);
+  }
+
+  if (!REMINDER_METHODS.includes(method)) {
+    throw new Error(`Unknown reminder method "${method}" (expected ${REMINDER_METHODS.join(' or ')})`);
+  }
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_REMINDER_MINUTES) {
+    throw new Error(`Could not understand reminder ${JSON.stringify(reminder)}: give a time from 0 minutes to 4 weeks before the event, e.g. "15 minutes before" or "1 day before by email"`);
+  }
+  return { method, minutes };
+}
+
+// Build the reminders object to store from what a client or the AI sent; duplicates are dropped
+// and overrides are ordered soonest first. Throws an Error describing the problem.
+function normalizeReminders(reminders) {
+  if (reminders === null) {
+    return { useDefault: false, overrides: [] };
+  }
+  if (typeof reminders === 'string' && reminders.trim().toLowerCase() === 'default') {
+    return { useDefault: true };
+  }
+  if (reminders && typeof reminders === 'object' && !Array.isArray(reminders) && reminders.minutes === undefined) {
+    if (reminders.useDefault) return { useDefault: true };
+    reminders = reminders.overrides || [];
+  }
+
+  const list = Array.isArray(reminders) ? reminders : [reminders];
+  if (list.length === 1 && typeof list[0] === 'string' && list[0].trim().toLowerCase() === 'default') {
+    return { useDefault: true };
+  }
+
+  const overrides = [];
+  for (const reminder of list.map(parseReminder)) {
+    if (!overrides.some(existing => existing.method === reminder.method && existing.minutes === reminder.minutes)) {
+      overrides.push(reminder);
+    }
+  }
+  if (overrides.length > MAX_REMINDERS) {
+    throw new Error(`At most ${MAX_REMINDERS} reminders are allowed per event`);
+  }
+  return { useDefault: false, overrides: overrides.sort((a, b) => a.minutes - b.minutes) };
+}
+
+// "1 day before (email)" for messages
+function describeReminder({ minutes, method }) {
+  const units = [[7 * 24 * 60, 'week'], [24 * 60, 'day'], [60, 'hour'], [1, 'minute']];
+  const [size, unit] = units.find(([unitSize]) => minutes % unitSize === 0 && minutes >= unitSize) || [1, 'minute'];
+  const amount = minutes / size;
+  const when = minutes === 0 ? 'at start' : `${amount} ${unit}${amount === 1 ? '' : 's'} before`;
+  return `${when} (${method === 'email' ? 'email' : 'notification'})`;
+}
+
+module.exports = {
+  REMINDER_METHODS,
+  MAX_REMINDERS,
+  parseReminder,
+  normalizeReminders,
+  describeReminder
+};
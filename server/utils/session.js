@@ -1,135 +1,131 @@
 // server/utils/session.js
-const fs = require('fs').promises;
 const path = require('path');
+const { createSessionStore, DEFAULT_SESSION_TTL_MS } = require('./sessionStore');
+const { loadKeyring, withTokenEncryption } = require('./tokenEncryption');
+const { createSessionOAuthClient } = require('./oauthClient');
+const { resolveLLMSelection } = require('./llmProvider');
+
+// Expired sessions are unreadable as soon as their TTL passes; the purge only reclaims storage
+const SESSION_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
 let sessions = null;
-let saveSessions = null;
-let SESSIONS_FILE = null;
 
-function initializeSessionHandling(sessionsMap, saveSessionsFn, sessionsFilePath) {
-    sessions = sessionsMap;
-    saveSessions = saveSessionsFn || saveSessionsInternal;
-    SESSIONS_FILE = sessionsFilePath || path.join(__dirname, '../sessions.json');
-    console.log('✅ [SERVER] Initialized session handling');
+// Store options from the environment:
+//   SESSION_STORE=file|sqlite|memory (default file), SESSIONS_PATH for the file store,
+//   SESSIONS_DB_PATH for the SQLite store, SESSION_TTL_DAYS for the idle lifetime of a session
+function getSessionStoreOptions(env = process.env) {
+    const type = env.SESSION_STORE || 'file';
+    const ttlDays = parseFloat(env.SESSION_TTL_DAYS);
+    return {
+        type,
+        filePath: type === 'sqlite'
+            ? env.SESSIONS_DB_PATH || path.join(__dirname, '../sessions.db')
+            : env.SESSIONS_PATH || path.join(__dirname, '../sessions.json'),
+        ttlMs: ttlDays > 0 ? ttlDays * 24 * 60 * 60 * 1000 : DEFAULT_SESSION_TTL_MS
+    };
 }
 
-// Load sessions from file
-async function loadSessions(sessionsMap, sessionsFilePath) {
-    const filePath = sessionsFilePath || path.join(__dirname, '../sessions.json');
-    try {
-        const data = await fs.readFile(filePath, 'utf8');
-        const sessionsData = JSON.parse(data);
-        let loaded = 0, skipped = 0;
-        for (const [sessionId, sessionData] of Object.entries(sessionsData)) {
-            if (sessionData.tokens && sessionData.tokens.expiry_date && sessionData.tokens.expiry_date > Date.now()) {
-                sessionsMap.set(sessionId, sessionData);
-                loaded++;
-            } else {
-                skipped++;
+// Create the session store used by the server and the helpers below.
+// OAuth tokens are encrypted at rest; the memory store never writes them anywhere.
+async function initSessions(options = getSessionStoreOptions()) {
+    const store = createSessionStore(options);
+    sessions = options.type === 'memory' ? store : withTokenEncryption(store, loadKeyring(), () => loadKeyring());
+    console.log(`✅ [SERVER] Initialized ${options.type} session store`);
+    return sessions;
+}
+
+// Periodically purge expired sessions from storage
+function startSessionCleanup(intervalMs = SESSION_PURGE_INTERVAL_MS) {
+    const purge = async () => {
+        try {
+            const removed = await sessions.cleanup();
+            if (removed > 0) {
+                console.log(`🧹 [SERVER] Cleaned up ${removed} expired sessions`);
             }
+        } catch (error) {
+            console.error('❌ [SERVER] Session cleanup failed:', error.message);
         }
-        console.log(`📁 [SERVER] Loaded ${loaded} valid sessions from storage${skipped ? `, skipped ${skipped} expired` : ''}`);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('📁 [SERVER] No existing sessions file found, starting fresh');
-        } else {
-            console.error('❌ [SERVER] Error loading sessions:', error.message);
-        }
-    }
+    };
+    purge();
+    const timer = setInterval(purge, intervalMs);
+    timer.unref();
+    return timer;
 }
 
-async function saveSessionsInternal() {
-    try {
-        const sessionsData = {};
-        for (const [sessionId, sessionData] of sessions.entries()) {
-            sessionsData[sessionId] = sessionData;
-        }
-        await fs.writeFile(SESSIONS_FILE, JSON.stringify(sessionsData, null, 2));
-        console.log(`💾 [SERVER] Saved ${sessions.size} sessions to storage`);
-    } catch (error) {
-        console.error('❌ [SERVER] Error saving sessions:', error.message);
+// Flush pending writes and close the store (graceful shutdown)
+async function closeSessions() {
+    if (sessions) {
+        await sessions.close();
     }
 }
 
-async function updateSessionModel(sessionId, newModel) {
-    if (sessionId && sessions?.has(sessionId)) {
-        const session = sessions.get(sessionId);
-        if (session.preferredModel !== newModel) {
-            session.preferredModel = newModel;
-            sessions.set(sessionId, session);
-            await saveSessions?.();
-            console.log(`💾 [SERVER] Updated session ${sessionId.substring(0, 8)}... preferred model to: ${newModel}`);
+// Store the session's model, and its LLM provider when given (the model must belong to that provider)
+async function updateSessionModel(sessionId, newModel, provider = null) {
+    if (!sessionId || !sessions) return;
+    let changed = false;
+    await sessions.update(sessionId, (session) => {
+        changed = session.preferredModel !== newModel || (!!provider && session.preferredProvider !== provider);
+        session.preferredModel = newModel;
+        if (provider) {
+            session.preferredProvider = provider;
         }
+    });
+    if (changed) {
+        console.log(`💾 [SERVER] Updated session ${sessionId.substring(0, 8)}... preferred model to: ${provider ? `${provider}/` : ''}${newModel}`);
     }
 }
 
-function getCurrentModel(sessionId = null) {
-    if (sessionId && sessions?.has(sessionId)) {
-        const session = sessions.get(sessionId);
-        return session.preferredModel || 'gemini-2.5-pro';
-    }
-    return 'gemini-2.5-pro';
+// { provider, model } the session's model calls go to
+async function getSessionLLM(sessionId = null) {
+    const session = sessionId && sessions ? await sessions.get(sessionId) : null;
+    return resolveLLMSelection(session);
 }
 
-// Cleanup expired sessions
-async function cleanupExpiredSessions(sessionsMap, saveSessionsFn) {
-    const now = Date.now();
-    let cleanedCount = 0;
-    for (const [sessionId, session] of sessionsMap.entries()) {
-        if (session.tokens.expiry_date && session.tokens.expiry_date < now) {
-            sessionsMap.delete(sessionId);
-            cleanedCount++;
-        }
-    }
-    if (cleanedCount > 0) {
-        await saveSessionsFn();
-        console.log(`🧹 [SERVER] Cleaned up ${cleanedCount} expired sessions`);
-    }
+async function getCurrentModel(sessionId = null) {
+    return (await getSessionLLM(sessionId)).model;
 }
 
-// Helper to initialize sessions and session handling
-async function initSessions(sessionsFilePath) {
-    const sessionsMap = new Map();
-    await loadSessions(sessionsMap, sessionsFilePath);
-    initializeSessionHandling(sessionsMap, saveSessionsInternal, sessionsFilePath);
-    return sessionsMap;
+// Per-session OAuth client (null without Google tokens). Tokens it refreshes are merged into `session` and the stored session
+// (Google only returns a refresh token on consent, so the stored one is kept).
+function getSessionOAuthClient(sessionId, session) {
+    if (!session?.tokens) return null;
+    return createSessionOAuthClient(session.tokens, async (tokens) => {
+        session.tokens = { ...session.tokens, ...tokens };
+        try {
+            await sessions.update(sessionId, (stored) => {
+                stored.tokens = { ...stored.tokens, ...tokens };
+            });
+            console.log('💾 [SERVER] Saved refreshed tokens for session:', sessionId.substring(0, 8) + '...');
+        } catch (error) {
+            console.error('❌ [SERVER] Failed to save refreshed tokens for session:', sessionId.substring(0, 8) + '...', error.message);
+        }
+    });
 }
 
-// Refresh token if needed
-async function refreshTokenIfNeeded(sessionId, session, oauth2Client, saveSessionsFn) {
+// Refresh token if needed, through the session's client from getSessionOAuthClient
+async function refreshTokenIfNeeded(sessionId, session, oauth2Client) {
     try {
-        if (session.tokens.expiry_date && session.tokens.expiry_date <= Date.now() + 5 * 60 * 1000) { // 5 minutes before expiry
+        if (session.tokens?.expiry_date && session.tokens.expiry_date <= Date.now() + 5 * 60 * 1000) { // 5 minutes before expiry
             console.log('🔄 [SERVER] Refreshing token for session:', sessionId.substring(0, 8) + '...');
-            oauth2Client.setCredentials(session.tokens);
-            const { credentials } = await oauth2Client.refreshAccessToken();
-            session.tokens = credentials;
-            if (sessions && sessions.has(sessionId)) {
-                sessions.set(sessionId, session);
-            }
-            if (saveSessionsFn) {
-                await saveSessionsFn();
-            }
+            // The client's 'tokens' listener persists the new tokens
+            await oauth2Client.refreshAccessToken();
             console.log('✅ [SERVER] Token refreshed for session:', sessionId.substring(0, 8) + '...');
         }
     } catch (error) {
         console.error('❌ [SERVER] Token refresh failed for session:', sessionId.substring(0, 8) + '...', error.message);
         // Remove the session if refresh fails
-        if (sessions && sessions.has(sessionId)) {
-            sessions.delete(sessionId);
-        }
-        if (saveSessionsFn) {
-            await saveSessionsFn();
-        }
+        await sessions.delete(sessionId);
     }
 }
 
 module.exports = {
-    initializeSessionHandling,
+    getSessionStoreOptions,
+    initSessions,
+    startSessionCleanup,
+    closeSessions,
     updateSessionModel,
+    getSessionLLM,
     getCurrentModel,
-    saveSessions: saveSessionsInternal,
-    loadSessions,
-    cleanupExpiredSessions,
-    initSessions,
+    getSessionOAuthClient,
     refreshTokenIfNeeded
-}; 
\ No newline at end of file
+};
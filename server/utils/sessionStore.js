@@ -0,0 +1,274 @@
+// server/utils/sessionStore.js
+// Pluggable session storage. Every store implements the same async interface:
+//   get(id)              -> session object, or null when missing/expired
+//   has(id)              -> boolean
+//   set(id, session)     -> stores the session and renews its TTL
+//   update(id, updater)  -> atomic read-modify-write; the updater runs synchronously and either
+//                           mutates the session or returns a replacement. Resolves to the stored
+//                           session, or null (updater not called) when the session is missing
+//   touch(id)            -> renews the TTL without rewriting the session
+//   delete(id)
+//   count()              -> number of live sessions
+//   ids()                -> ids of all live sessions (maintenance tasks such as re-encryption)
+//   cleanup()            -> purges expired sessions, resolves to how many were removed
+//   close()              -> flushes pending writes and releases the storage
+// Sessions are stored as JSON, so callers always get a fresh copy (Dates come back as strings).
+// A session expires when it has not been written or touched for `ttlMs` (sliding TTL).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FILE_FORMAT_VERSION = 1;
+
+const applyUpdater = (session, updater) => {
+  const result = updater(session);
+  if (result && typeof result.then === 'function') {
+    throw new Error('Session updaters must be synchronous');
+  }
+  return result === undefined ? session : result;
+};
+
+// Sessions kept in a Map as JSON strings; `persist` is called after every change
+function createMapSessionStore({ ttlMs = DEFAULT_SESSION_TTL_MS, entries = new Map(), persist = async () => {} } = {}) {
+  const isLive = (entry) => !!entry && entry.expiresAt > Date.now();
+
+  const read = (id) => {
+    const entry = entries.get(id);
+    if (!isLive(entry)) return null;
+    return JSON.parse(entry.data);
+  };
+
+  const write = (id, session) => {
+    entries.set(id, { data: JSON.stringify(session), expiresAt: Date.now() + ttlMs });
+  };
+
+  return {
+    get: async (id) => read(id),
+    has: async (id) => isLive(entries.get(id)),
+    set: async (id, session) => {
+      write(id, session);
+      await persist();
+    },
+    update: async (id, updater) => {
+      const session = read(id);
+      if (!session) return null;
+      const updated = applyUpdater(session, updater);
+      write(id, updated);
+      await persist();
+      return updated;
+    },
+    touch: async (id) => {
+      const entry = entries.get(id);
+      if (!isLive(entry)) return;
+      entry.expiresAt = Date.now() + ttlMs;
+      await persist();
+    },
+    delete: async (id) => {
+      if (entries.delete(id)) {
+        await persist();
+      }
+    },
+    count: async () => [...entries.values()].filter(isLive).length,
+    ids: async () => [...entries].filter(([, entry]) => isLive(entry)).map(([id]) => id),
+    cleanup: async () => {
+      let removed = 0;
+      for (const [id, entry] of entries) {
+        if (!isLive(entry)) {
+          entries.delete(id);
+          removed++;
+        }
+      }
+      if (removed > 0) {
+        await persist();
+      }
+      return removed;
+    },
+    close: async () => {}
+  };
+}
+
+// In-memory store for tests and throwaway servers
+function createMemorySessionStore({ ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+  return { ...createMapSessionStore({ ttlMs }), name: 'memory' };
+}
+
+// Read a sessions file; legacy files (a flat { sessionId: session } object) get a fresh TTL
+function loadSessionsFile(filePath, ttlMs) {
+  const entries = new Map();
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.log('📁 [SERVER] No existing sessions file found, starting fresh');
+      return entries;
+    }
+    throw error;
+  }
+
+  const parsed = JSON.parse(raw);
+  if (parsed.version === FILE_FORMAT_VERSION) {
+    for (const [id, { session, expiresAt }] of Object.entries(parsed.sessions || {})) {
+      entries.set(id, { data: JSON.stringify(session), expiresAt });
+    }
+  } else {
+    const expiresAt = Date.now() + ttlMs;
+    for (const [id, session] of Object.entries(parsed)) {
+      entries.set(id, { data: JSON.stringify(session), expiresAt });
+    }
+    console.log(`📁 [SERVER] Migrating ${entries.size} sessions from the legacy sessions file format`);
+  }
+  console.log(`📁 [SERVER] Loaded ${entries.size} sessions from storage`);
+  return entries;
+}
+
+// JSON file store (the original storage). Writes go to a temp file that is renamed over the
+// sessions file, are serialized, and changes made while a write is queued share that write.
+function createFileSessionStore({ filePath, ttlMs = DEFAULT_SESSION_TTL_MS }) {
+  const entries = loadSessionsFile(filePath, ttlMs);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  let writeChain = Promise.resolve();
+  let writeQueued = false;
+
+  const writeFile = async () => {
+    // Entries already hold JSON, so the file is assembled without re-parsing every session
+    const body = [...entries]
+      .map(([id, entry]) => `${JSON.stringify(id)}:{"expiresAt":${entry.expiresAt},"session":${entry.data}}`)
+      .join(',');
+    await fs.promises.writeFile(tempPath, `{"version":${FILE_FORMAT_VERSION},"sessions":{${body}}}`, { mode: 0o600 });
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  const persist = () => {
+    if (writeQueued) return writeChain;
+    writeQueued = true;
+    writeChain = writeChain.then(() => {
+      writeQueued = false;
+      return writeFile();
+    }).catch((error) => {
+      console.error('❌ [SERVER] Error saving sessions:', error.message);
+    });
+    return writeChain;
+  };
+
+  return {
+    ...createMapSessionStore({ ttlMs, entries, persist }),
+    name: 'file',
+    close: async () => {
+      await writeChain;
+    }
+  };
+}
+
+// Embedded SQLite store (node:sqlite, Node.js 22.5+): one row per session, so a chat turn only
+// rewrites its own session and several server processes can share the database
+function createSqliteSessionStore({ filePath, ttlMs = DEFAULT_SESSION_TTL_MS }) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (error) {
+    throw new Error(`The SQLite session store needs Node.js 22.5 or newer (node:sqlite is unavailable: ${error.message})`);
+  }
+
+  const db = new DatabaseSync(filePath);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA busy_timeout = 5000;
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT data FROM sessions WHERE id = ? AND expires_at > ?'),
+    upsert: db.prepare(`INSERT INTO sessions (id, data, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at`),
+    touch: db.prepare('UPDATE sessions SET expires_at = ? WHERE id = ? AND expires_at > ?'),
+    delete: db.prepare('DELETE FROM sessions WHERE id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?'),
+    ids: db.prepare('SELECT id FROM sessions WHERE expires_at > ?'),
+    cleanup: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+  };
+
+  const read = (id) => {
+    const row = statements.get.get(id, Date.now());
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const write = (id, session) => {
+    statements.upsert.run(id, JSON.stringify(session), Date.now() + ttlMs);
+  };
+
+  let closed = false;
+
+  console.log(`📁 [SERVER] Opened SQLite session store: ${filePath}`);
+
+  return {
+    name: 'sqlite',
+    get: async (id) => read(id),
+    has: async (id) => !!statements.get.get(id, Date.now()),
+    set: async (id, session) => write(id, session),
+    update: async (id, updater) => {
+      // BEGIN IMMEDIATE takes the write lock up front so other processes cannot interleave
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const session = read(id);
+        let updated = null;
+        if (session) {
+          updated = applyUpdater(session, updater);
+          write(id, updated);
+        }
+        db.exec('COMMIT');
+        return updated;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    touch: async (id) => {
+      const now = Date.now();
+      statements.touch.run(now + ttlMs, id, now);
+    },
+    delete: async (id) => {
+      statements.delete.run(id);
+    },
+    count: async () => statements.count.get(Date.now()).count,
+    ids: async () => statements.ids.all(Date.now()).map(row => row.id),
+    cleanup: async () => Number(statements.cleanup.run(Date.now()).changes),
+    close: async () => {
+      if (!closed) {
+        closed = true;
+        db.close();
+      }
+    }
+  };
+}
+
+const SESSION_STORES = {
+  file: createFileSessionStore,
+  sqlite: createSqliteSessionStore,
+  memory: createMemorySessionStore
+};
+
+// Create the store named by `type` ('file', 'sqlite' or 'memory')
+function createSessionStore({ type = 'file', filePath, ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+  const factory = SESSION_STORES[type];
+  if (!factory) {
+    throw new Error(`Unknown session store "${type}", expected one of: ${Object.keys(SESSION_STORES).join(', ')}`);
+  }
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  return factory({ filePath, ttlMs });
+}
+
+module.exports = {
+  DEFAULT_SESSION_TTL_MS,
+  createSessionStore,
+  createFileSessionStore,
+  createSqliteSessionStore,
+  createMemorySessionStore
+};
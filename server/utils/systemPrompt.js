@@ -1,12 +1,40 @@
 
 // Generate global system prompt for AI assistant
-function generateGlobalSystemPrompt(userTimezone = 'UTC', toolHandlers = {}) {
+// With nativeTools the tools are sent as Gemini functionDeclarations, so the prompt only covers behaviour;
+// otherwise the tools are described in prose and the model must answer in the JSON-in-text protocol.
+// With planOnly the calendar tools only simulate their changes (see utils/planningCalendar.js).
+function generateGlobalSystemPrompt(userTimezone = 'UTC', toolHandlers = {}, { nativeTools = false, planOnly = false } = {}) {
   const currentTimeInUserTZ = new Date().toLocaleString('en-US', { timeZone: userTimezone });
+  const planNote = planOnly ? `
+
+PLAN MODE:
+- The calendar is in plan-only mode: creating, updating and deleting events only simulates the change, and later tool calls see the calendar as if it had been made.
+- Nothing is changed until the user applies the plan. Describe your changes as a proposal (e.g. "I would move..."), never as done.` : '';
+
+  const eventNote = `
+
+EVENTS:
+- Make events that span whole days (vacations, trips, conferences, birthdays, holidays) all-day: set allDay with startTime and endTime as plain dates (YYYY-MM-DD), endTime being the last day, e.g. a vacation from Monday to Friday ends on Friday. Never model them as 00:00-23:59 timed events.
+- Events listed with start.date/end.date are all-day; their end.date is the day after the last day.`;
+
+  if (nativeTools) {
+    return `You are Vibe, a friendly personal assistant. Respond in the same language as the user. Apart from your own knowledge, you can call the provided functions to serve the user.
+
+CRITICAL RULES:
+- Use the function calling interface to call tools. Never write tool calls or JSON in your reply text.
+- Always reply to the user in plain natural language, in the same language as the user.
+- Use function results naturally in your responses, but NEVER mention "tool output", "function results", or technical formats to users.
+
+CONTEXT:
+User timezone: ${userTimezone}
+Current time: ${currentTimeInUserTZ}${eventNote}${planNote}`;
+  }
+
   // Inline the tool parameter prompt logic here
   let toolPrompt = 'AVAILABLE TOOLS:';
   for (const [tool, def] of Object.entries(toolHandlers)) {
     toolPrompt += `\n- ${tool}: ${def.description}`;
-    if (def.parameters) {
+    if (def.parameters && Object.keys(def.parameters).length > 0) {
       toolPrompt += '\n  Input parameters:';
       for (const [param, meta] of Object.entries(def.parameters)) {
         if (meta.fields) {
@@ -27,7 +55,7 @@ function generateGlobalSystemPrompt(userTimezone = 'UTC', toolHandlers = {}) {
     }
   }
 
-  systemPrompt = `You are Vibe, a friendly personal assistant. Respond in the same language as the user. Apart from your own knowledge, you have access to the following tools to serve the user:
+  const systemPrompt = `You are Vibe, a friendly personal assistant. Respond in the same language as the user. Apart from your own knowledge, you have access to the following tools to serve the user:
 
 ${toolPrompt}
 
@@ -46,7 +74,7 @@ CRITICAL RULES:
 
 CONTEXT:
 User timezone: ${userTimezone}
-Current time: ${currentTimeInUserTZ}`;
+Current time: ${currentTimeInUserTZ}${eventNote}${planNote}`;
 
   return systemPrompt;
 }
@@ -0,0 +1,119 @@
+// Timezone helpers built on Intl, so wall-clock times (working hours, "tomorrow at 9")
+// can be resolved in the user's timezone without a date library
+
+const partsFormatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+const getPartsFormatter = (timezone) => {
+  if (!partsFormatters.has(timezone)) {
+    partsFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partsFormatters.get(timezone);
+};
+
+// Whether a string is an IANA timezone Intl understands
+function isValidTimezone(timezone) {
+  try {
+    getPartsFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date/time parts of an instant in a timezone (month is 1-based, weekday 0 = Sunday)
+function getZonedDateParts(date, timezone) {
+  const parts = getPartsFormatter(timezone).formatToParts(new Date(date));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const year = get('year');
+  const month = get('month');
+  const day = get('day');
+
+  return {
+    year,
+    month,
+    day,
+    hours: get('hour'),
+    minutes: get('minute'),
+    seconds: get('second'),
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  };
+}
+
+// Offset of a timezone from UTC at the given instant, in milliseconds
+function getTimezoneOffset(timezone, date) {
+  const instant = new Date(date);
+  const parts = getZonedDateParts(instant, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return asUtc - (instant.getTime() - instant.getUTCMilliseconds());
+}
+
+// Convert a wall-clock time in a timezone to a Date
+function zonedTimeToDate({ year, month, day, hours = 0, minutes = 0 }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = getTimezoneOffset(timezone, guess);
+  const result = guess - offset;
+
+  // Re-check the offset at the result in case the guess crossed a DST transition
+  const correctedOffset = getTimezoneOffset(timezone, result);
+  return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+}
+
+// Add whole days to a calendar date ({ year, month, day }), ignoring time of day
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+// Parse "HH:mm" into { hours, minutes }, or null if malformed
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return { hours, minutes };
+}
+
+// Format an instant as "YYYY-MM-DD HH:mm" in a timezone
+function formatZonedDateTime(date, timezone) {
+  const { year, month, day, hours, minutes } = getZonedDateParts(date, timezone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hours)}:${pad(minutes)}`;
+}
+
+// Format an instant as an RFC 3339 date-time with the timezone's UTC offset ("2026-03-02T09:30:00-05:00")
+function formatIsoWithOffset(date, timezone) {
+  const instant = new Date(date);
+  const { year, month, day, hours, minutes, seconds } = getZonedDateParts(instant, timezone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const offsetMinutes = Math.round(getTimezoneOffset(timezone, instant) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absOffset = Math.abs(offsetMinutes);
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+}
+
+module.exports = {
+  isValidTimezone,
+  getZonedDateParts,
+  getTimezoneOffset,
+  zonedTimeToDate,
+  addDays,
+  parseTimeOfDay,
+  formatZonedDateTime,
+  formatIsoWithOffset
+};
@@ -0,0 +1,194 @@
+// server/utils/tokenEncryption.js
+// Encrypts session OAuth tokens at rest with AES-256-GCM.
+// Keys come from SESSION_ENCRYPTION_KEY (plus SESSION_ENCRYPTION_PREVIOUS_KEYS, comma separated,
+// during a rotation) or from a key file with one key per line, newest first
+// (SESSION_ENCRYPTION_KEY_FILE, default server/session.key). Keys are 32 bytes, base64 or hex.
+// Tokens are encrypted with the newest key; older keys only decrypt until sessions are re-encrypted.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const DEFAULT_KEY_FILE = path.join(__dirname, '../session.key');
+const REDACTED = '[REDACTED]';
+
+const createKeyError = (message) => {
+  const error = new Error(message);
+  error.code = 500;
+  return error;
+};
+
+const parseKey = (value) => {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw createKeyError(`Session encryption keys must be ${KEY_BYTES} bytes (base64 or hex encoded)`);
+  }
+  return key;
+};
+
+// Short fingerprint stored with each ciphertext so the right key can be picked for decryption
+const getKeyId = (key) => crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+
+const generateKey = () => crypto.randomBytes(KEY_BYTES).toString('base64');
+
+// Keyring from encoded keys, newest first
+function createKeyring(encodedKeys) {
+  const keys = encodedKeys.filter(value => value && value.trim()).map(parseKey);
+  if (keys.length === 0) {
+    throw createKeyError('No session encryption key configured');
+  }
+  return {
+    currentKeyId: getKeyId(keys[0]),
+    keys: new Map(keys.map(key => [getKeyId(key), key]))
+  };
+}
+
+const readKeyFile = (keyFile) => fs.readFileSync(keyFile, 'utf8').split('\n').filter(line => line.trim() && !line.startsWith('#'));
+
+const writeKeyFile = (keyFile, encodedKeys) => {
+  fs.writeFileSync(keyFile, `${encodedKeys.join('\n')}\n`, { mode: 0o600 });
+};
+
+// Load the keyring from the environment or the key file. Outside production a missing default
+// key file is created, so development setups encrypt tokens without extra configuration.
+function loadKeyring(env = process.env) {
+  if (env.SESSION_ENCRYPTION_KEY) {
+    return createKeyring([env.SESSION_ENCRYPTION_KEY, ...(env.SESSION_ENCRYPTION_PREVIOUS_KEYS || '').split(',')]);
+  }
+
+  const keyFile = env.SESSION_ENCRYPTION_KEY_FILE || DEFAULT_KEY_FILE;
+  if (!fs.existsSync(keyFile)) {
+    if (env.SESSION_ENCRYPTION_KEY_FILE || env.NODE_ENV === 'production') {
+      throw createKeyError(`Session encryption key file not found: ${keyFile}. Set SESSION_ENCRYPTION_KEY or SESSION_ENCRYPTION_KEY_FILE`);
+    }
+    writeKeyFile(keyFile, [generateKey()]);
+    console.log(`🔑 [SERVER] Generated session encryption key: ${keyFile}`);
+  }
+  return createKeyring(readKeyFile(keyFile));
+}
+
+const isEncrypted = (value) => !!value && value.alg === ALGORITHM && typeof value.data === 'string';
+
+// The session id is authenticated with the ciphertext, so tokens cannot be moved to another session
+function encryptValue(value, keyring, sessionId) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyring.keys.get(keyring.currentKeyId), iv);
+  cipher.setAAD(Buffer.from(sessionId));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    alg: ALGORITHM,
+    kid: keyring.currentKeyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptValue(envelope, keyring, sessionId) {
+  const key = keyring.keys.get(envelope.kid);
+  if (!key) {
+    throw createKeyError(`Unknown session encryption key ${envelope.kid}`);
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAAD(Buffer.from(sessionId));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+// Wrap a session store so `session.tokens` is encrypted on write and decrypted on read.
+// Plaintext tokens from older storage are read as-is and encrypted on the next write.
+// Tokens encrypted with a key the keyring lacks (another process rotated the key file) make it
+// reload the keyring with `reloadKeyring`, once per unknown key; after that the new key is current.
+// Sessions whose tokens cannot be decrypted (e.g. the key was removed) are treated as missing.
+function withTokenEncryption(store, keyring, reloadKeyring = null) {
+  const triedKeyIds = new Set();
+
+  const ensureKey = (keyId) => {
+    if (keyring.keys.has(keyId) || !reloadKeyring || triedKeyIds.has(keyId)) return;
+    triedKeyIds.add(keyId);
+    try {
+      keyring = reloadKeyring();
+      console.log('🔑 [SERVER] Reloaded session encryption keys:', { currentKeyId: keyring.currentKeyId, found: keyring.keys.has(keyId) });
+    } catch (error) {
+      console.error('❌ [SERVER] Could not reload session encryption keys:', error.message);
+    }
+  };
+
+  const encryptSession = (sessionId, session) => (session.tokens && !isEncrypted(session.tokens)
+    ? { ...session, tokens: encryptValue(session.tokens, keyring, sessionId) }
+    : session);
+
+  const decryptSession = (sessionId, session) => {
+    if (!session || !isEncrypted(session.tokens)) return session;
+    ensureKey(session.tokens.kid);
+    return { ...session, tokens: decryptValue(session.tokens, keyring, sessionId) };
+  };
+
+  const readSession = (sessionId, session) => {
+    try {
+      return decryptSession(sessionId, session);
+    } catch (error) {
+      console.error('❌ [SERVER] Could not decrypt session tokens:', sessionId.substring(0, 8) + '...', error.message);
+      return null;
+    }
+  };
+
+  return {
+    ...store,
+    get: async (id) => readSession(id, await store.get(id)),
+    has: async (id) => !!readSession(id, await store.get(id)),
+    set: (id, session) => store.set(id, encryptSession(id, session)),
+    update: async (id, updater) => {
+      let updated = null;
+      await store.update(id, (stored) => {
+        const session = decryptSession(id, stored);
+        const result = updater(session);
+        if (result && typeof result.then === 'function') {
+          throw new Error('Session updaters must be synchronous');
+        }
+        updated = result === undefined ? session : result;
+        return encryptSession(id, updated);
+      });
+      return updated;
+    }
+  };
+}
+
+// Copy of a value with OAuth tokens and other credentials replaced, for logs and exports.
+// Errors keep their message and stack; Google API errors carry request headers and bodies.
+function redactTokens(value, seen = new WeakSet()) {
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map(entry => redactTokens(entry, seen));
+  }
+  const source = value instanceof Error ? { name: value.name, message: value.message, stack: value.stack, ...value } : value;
+  return Object.fromEntries(Object.entries(source).map(([key, entry]) => (
+    /^tokens$|token$|^authorization$|secret/i.test(key) && entry !== undefined && entry !== null
+      ? [key, REDACTED]
+      : [key, redactTokens(entry, seen)]
+  )));
+}
+
+module.exports = {
+  DEFAULT_KEY_FILE,
+  generateKey,
+  createKeyring,
+  loadKeyring,
+  readKeyFile,
+  writeKeyFile,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  withTokenEncryption,
+  redactTokens
+};
@@ -0,0 +1,195 @@
+// Convert the parameter metadata in toolHandlers ({ required, desc, type, format, fields, ... })
+// into JSON schema, used for Gemini function declarations and for validating tool calls
+
+// Build the JSON schema for a single parameter or nested field
+function buildParameterSchema(meta = {}) {
+  if (meta.fields) {
+    return buildObjectSchema(meta.fields, meta.desc);
+  }
+
+  const schema = { type: meta.type || 'string' };
+  if (meta.desc) schema.description = meta.desc;
+  if (meta.format) schema.format = meta.format;
+  if (meta.enum) schema.enum = meta.enum;
+  if (schema.type === 'array') {
+    schema.items = typeof meta.items === 'object'
+      ? buildParameterSchema(meta.items)
+      : { type: meta.items || 'string' };
+  }
+  return schema;
+}
+
+// Build an object schema from a map of parameter definitions
+function buildObjectSchema(definitions = {}, description = null) {
+  const schema = { type: 'object', properties: {} };
+  if (description) schema.description = description;
+
+  const required = [];
+  for (const [name, meta] of Object.entries(definitions)) {
+    schema.properties[name] = buildParameterSchema(meta);
+    if (meta.required) required.push(name);
+  }
+  if (required.length > 0) schema.required = required;
+
+  return schema;
+}
+
+// Build the JSON schema describing a tool's full parameter object
+function buildToolSchema(toolDef) {
+  return buildObjectSchema(toolDef.parameters || {});
+}
+
+// Convert the tool registry into Gemini functionDeclarations
+function buildFunctionDeclarations(toolHandlers = {}) {
+  return Object.entries(toolHandlers).map(([name, def]) => {
+    // Declarations carry no result schema, so describe the returned fields in the description
+    const returns = Object.entries(def.returns || {}).map(([field, meta]) => `${field} (${meta.desc})`);
+    const declaration = {
+      name,
+      description: returns.length > 0 ? `${def.description} Returns: ${returns.join(', ')}.` : def.description
+    };
+    if (def.parameters && Object.keys(def.parameters).length > 0) {
+      declaration.parameters = buildToolSchema(def);
+    }
+    return declaration;
+  });
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Coerce common near-misses from the model (stringified JSON, numeric strings, single values for arrays)
+function coerceValue(schema, value) {
+  if (schema.type === 'object' && typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  if (schema.type === 'array' && !Array.isArray(value)) {
+    if (typeof value === 'string') {
+      try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed;
+      } catch (e) {
+        // Not JSON, treat as a comma separated list
+      }
+      // Structured values (e.g. "RRULE:FREQ=WEEKLY;BYDAY=MO,WE") contain commas of their own
+      if (/[;=]/.test(value)) return [value];
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return [value];
+  }
+  if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (schema.type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+  return value;
+}
+
+// Validate (and coerce) a value against a schema built above. Unknown object keys are dropped.
+// Returns the normalized value; problems are pushed to `issues` as { path, message }.
+function validateValue(schema, value, path, issues) {
+  const coerced = coerceValue(schema, value);
+
+  switch (schema.type) {
+    case 'object': {
+      if (!isPlainObject(coerced)) {
+        issues.push({ path, message: 'must be an object' });
+        return coerced;
+      }
+      const result = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        const propertyPath = path ? `${path}.${key}` : key;
+        const propertyValue = coerced[key];
+        if (propertyValue === undefined || propertyValue === null || propertyValue === '') {
+          if ((schema.required || []).includes(key)) {
+            issues.push({ path: propertyPath, message: 'is required' });
+          }
+          continue;
+        }
+        result[key] = validateValue(propertySchema, propertyValue, propertyPath, issues);
+      }
+      return result;
+    }
+    case 'array': {
+      if (!Array.isArray(coerced)) {
+        issues.push({ path, message: 'must be an array' });
+        return coerced;
+      }
+      return coerced.map((item, index) => validateValue(schema.items || { type: 'string' }, item, `${path}[${index}]`, issues));
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof coerced !== 'number' || isNaN(coerced) || (schema.type === 'integer' && !Number.isInteger(coerced))) {
+        issues.push({ path, message: `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}` });
+      }
+      break;
+    }
+    case 'boolean': {
+      if (typeof coerced !== 'boolean') {
+        issues.push({ path, message: 'must be a boolean' });
+      }
+      break;
+    }
+    default: {
+      if (typeof coerced !== 'string') {
+        issues.push({ path, message: 'must be a string' });
+        return coerced;
+      }
+      if (schema.format === 'date-time' && isNaN(Date.parse(coerced))) {
+        issues.push({ path, message: `must be an ISO 8601 date-time, got "${coerced}"` });
+      }
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    issues.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  return coerced;
+}
+
+// Normalize known parameter shape variants before validation:
+// - fields of a nested object parameter sent at the top level (flat `title` instead of `event.title`)
+// - an omitted object parameter whose fields are all optional (`query_events` without `criteria`)
+function normalizeToolParameters(toolDef, parameters) {
+  const normalized = isPlainObject(parameters) ? { ...parameters } : {};
+
+  for (const [name, meta] of Object.entries(toolDef.parameters || {})) {
+    if (!meta.fields || normalized[name] !== undefined) continue;
+
+    const flatFields = Object.keys(meta.fields).filter(field =>
+      normalized[field] !== undefined && !(toolDef.parameters || {})[field]
+    );
+    if (flatFields.length > 0) {
+      normalized[name] = {};
+      for (const field of flatFields) {
+        normalized[name][field] = normalized[field];
+        delete normalized[field];
+      }
+    } else if (!Object.values(meta.fields).some(field => field.required)) {
+      normalized[name] = {};
+    }
+  }
+
+  return normalized;
+}
+
+// Normalize and validate tool call parameters against the tool's schema
+function validateToolParameters(toolDef, parameters) {
+  const issues = [];
+  const value = validateValue(buildToolSchema(toolDef), normalizeToolParameters(toolDef, parameters), '', issues);
+  return { valid: issues.length === 0, parameters: value, issues };
+}
+
+module.exports = {
+  buildParameterSchema,
+  buildToolSchema,
+  buildFunctionDeclarations,
+  validateToolParameters
+};
@@ -1,4 +1,11 @@
-const { google } = require('googleapis');
+const { findFreeSlots } = require('./freeSlots');
+const { findMeetingTimes } = require('./meetingTimes');
+const { isValidTimezone, parseTimeOfDay } = require('./timeUtils');
+const { normalizeRecurrence } = require('./recurrence');
+const { normalizeReminders } = require('./reminders');
+const { buildEventTimes, resolveEventTimes } = require('./eventTimes');
+const { RECURRENCE_SCOPES, updateEventWithScope, deleteEventWithScope } = require('./recurringEvents');
+const { DEFAULT_CALENDAR_ID, listCalendars, getVisibleCalendarIds, listEventsAcrossCalendars } = require('./calendars');
 
 // Global rate limiting for calendar operations
 const calendarRateLimiter = new Map(); // sessionId -> lastOperationTime
@@ -20,20 +27,44 @@ const enforceCalendarRateLimit = async (sessionId) => {
 
 // Tool handlers registry - easily extensible for future tools
 const toolHandlers = {
+  'list_calendars': {
+    description: "List the user's calendars (work, shared, on-call, ...) with their IDs, access role and whether they are shown.",
+    parameters: {},
+    returns: {
+      success: { desc: "Tool success status" },
+      calendars: { desc: "Calendars with id, summary, accessRole (owner/writer can create events), primary and visible" },
+      message: { desc: "User message" }
+    },
+    handler: async (parameters, sessionId, calendar) => {
+      const calendars = await listCalendars(calendar);
+      return {
+        success: true,
+        calendars: calendars.map(({ id, summary, description, accessRole, primary, visible, timeZone }) => ({
+          id, summary, description, accessRole, primary, visible, timeZone
+        })),
+        message: `Found ${calendars.length} calendars. Pass a calendar's id as calendarId to work with its events.`
+      };
+    },
+    requiresConfirmation: false
+  },
+
   'create_event': {
     description: "Create a new event.",
     parameters: {
+      calendarId: { required: false, desc: "Calendar to create the event in (id from list_calendars, default primary)" },
       event: {
         required: true,
         fields: {
           title: { required: true, desc: "Event title" },
-          startTime: { required: true, desc: "Start time (ISO)" },
-          endTime: { required: true, desc: "End time (ISO)" },
+          startTime: { required: true, format: "date-time", desc: "Start time (ISO); for all-day events the first day (YYYY-MM-DD)" },
+          endTime: { required: true, format: "date-time", desc: "End time (ISO); for all-day events the last day, inclusive (YYYY-MM-DD)" },
+          allDay: { required: false, type: "boolean", desc: "All-day event, e.g. vacations, conferences, birthdays (default: true when start and end are plain dates)" },
           description: { required: false, desc: "Event details" },
           location: { required: false, desc: "Event location" },
-          attendees: { required: false, desc: "Attendee emails" },
-          reminders: { required: false, desc: "Reminders" },
-          timezone: { required: false, desc: "Timezone" }
+          attendees: { required: false, type: "array", items: "string", desc: "Attendee emails" },
+          reminders: { required: false, type: "array", items: "string", desc: "Reminders before the event, e.g. [\"15 minutes before\", \"1 day before by email\"] (notifications unless email is named); [\"default\"] for the calendar's default reminders, [] for none; omit for the calendar's defaults" },
+          timezone: { required: false, desc: "Timezone of times without an offset (default: the user's)" },
+          recurrence: { required: false, type: "array", items: "string", desc: "Repeat rule for recurring events (RFC 5545), e.g. [\"RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10\"] or [\"RRULE:FREQ=MONTHLY;UNTIL=20261231T235959Z\"]; omit for one-off events" }
         }
       }
     },
@@ -42,114 +73,71 @@ const toolHandlers = {
       event: { desc: "Created event data" },
       message: { desc: "User message" }
     },
-    handler: async (parameters, sessionId, oauth2Client) => {
-      // Support both nested event format and direct field format
-      let event = parameters.event;
-
-      // If no nested event, check if fields are directly in parameters
-      if (!event) {
-        const { title, startTime, endTime, description, location, attendees, reminders, timezone } = parameters;
-        if (title && startTime && endTime) {
-          event = { title, startTime, endTime, description, location, attendees, reminders, timezone };
-        }
-      }
+    handler: async (parameters, sessionId, calendar, context = {}) => {
+      // Parameters are validated and normalized to the nested event format by processTool
+      const { event, calendarId = DEFAULT_CALENDAR_ID } = parameters;
 
-      if (!event || !event.title || !event.startTime || !event.endTime) {
-        throw new Error('Missing required event fields');
-      }
-
-      // Get user's timezone from the event or use UTC as fallback
-      const userTimezone = event.timezone || 'UTC';
+      // Get the timezone from the event, else the user's, with UTC as fallback
+      const userTimezone = event.timezone || context.timezone || 'UTC';
 
       const calendarEvent = {
         summary: event.title,
         description: event.description,
-        start: {
-          dateTime: event.startTime,
-          timeZone: userTimezone,
-        },
-        end: {
-          dateTime: event.endTime,
-          timeZone: userTimezone,
-        },
+        ...buildEventTimes({ startTime: event.startTime, endTime: event.endTime, allDay: event.allDay, timezone: userTimezone }),
         location: event.location,
         attendees: event.attendees ? event.attendees.map(email => ({ email })) : [],
-        reminders: {
-          useDefault: false,
-          overrides: event.reminders ? event.reminders.map(reminder => ({
-            method: 'email',
-            minutes: reminder === '15 minutes before' ? 15 : 60
-          })) : []
-        }
+        // Without reminders the calendar's default reminders apply
+        reminders: event.reminders ? normalizeReminders(event.reminders) : { useDefault: true }
       };
 
-      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-      const response = await calendar.events.insert({
-        calendarId: 'primary',
+      if (event.recurrence) {
+        calendarEvent.recurrence = normalizeRecurrence(event.recurrence);
+      }
+
+      const createdEvent = await calendar.insert({
+        calendarId,
         resource: calendarEvent,
         sendUpdates: 'all'
       });
 
       return {
         success: true,
-        event: response.data,
-        message: `Event "${event.title}" created successfully!`
+        event: { ...createdEvent, calendarId },
+        message: calendarEvent.recurrence
+          ? `Recurring event "${event.title}" created successfully!`
+          : `Event "${event.title}" created successfully!`
       };
     },
     requiresConfirmation: false
   },
 
   'query_events': {
-    description: "Access user's Google Calendar to view scheduled events and find available time slots.",
+    description: "Access user's Google Calendar to view scheduled events. Use find_free_slots to find available times. Recurring events are listed per occurrence; occurrences carry recurringEventId and the series' recurrence rule. Without calendarId, all calendars the user shows are searched; each event carries its calendarId.",
     parameters: {
+      calendarId: { required: false, desc: "Only search this calendar (id from list_calendars)" },
       criteria: {
         required: true,
         fields: {
-          startDate: { required: false, desc: "Start date (ISO)" },
-          endDate: { required: false, desc: "End date (ISO)" },
+          startDate: { required: false, format: "date-time", desc: "Start date (ISO)" },
+          endDate: { required: false, format: "date-time", desc: "End date (ISO)" },
           searchTerm: { required: false, desc: "Search keyword" }
         }
       }
     },
     returns: {
       success: { desc: "Tool success status" },
-      events: { desc: "Found events array with IDs" },
+      events: { desc: "Found events array with IDs (occurrence ids for recurring events) and calendarId" },
       count: { desc: "Event count" },
       message: { desc: "User message" }
     },
-    handler: async (parameters, sessionId, oauth2Client) => {
-      // Handle both direct parameters and nested criteria format
-      const { criteria = {} } = parameters;
-      let { startDate, endDate, searchTerm } = criteria;
-
-      // If not found in criteria, check direct parameters (AI often sends them this way)
-      if (!startDate && parameters.startDate) startDate = parameters.startDate;
-      if (!endDate && parameters.endDate) endDate = parameters.endDate;
-      if (!searchTerm && parameters.searchTerm) searchTerm = parameters.searchTerm;
-
-      // Validate and format dates
-      let validStartDate, validEndDate;
-
-      try {
-        if (startDate) {
-          validStartDate = new Date(startDate).toISOString();
-        }
-        if (endDate) {
-          validEndDate = new Date(endDate).toISOString();
-        }
-      } catch (dateError) {
-        console.error('❌ [SERVER] Invalid date format in query_events:', {
-          startDate,
-          endDate,
-          error: dateError.message
-        });
-        return {
-          success: false,
-          message: 'Invalid date format provided. Please use ISO date format (YYYY-MM-DDTHH:mm:ss.sssZ).'
-        };
-      }
+    handler: async (parameters, sessionId, calendar) => {
+      // Flat criteria fields are folded into `criteria` and dates validated by processTool
+      const { startDate, endDate, searchTerm } = parameters.criteria;
+      const calendarIds = parameters.calendarId ? [parameters.calendarId] : await getVisibleCalendarIds(calendar);
 
-      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      // Format dates for the calendar API
+      const validStartDate = startDate ? new Date(startDate).toISOString() : null;
+      const validEndDate = endDate ? new Date(endDate).toISOString() : null;
 
       // Ensure proper date formatting for Google Calendar API
       const now = new Date();
@@ -160,12 +148,12 @@ const toolHandlers = {
         startDate: defaultStartDate,
         endDate: defaultEndDate,
         searchTerm: searchTerm || 'none',
+        calendarIds,
         originalStartDate: startDate,
         originalEndDate: endDate
       });
 
-      const response = await calendar.events.list({
-        calendarId: 'primary',
+      const response = await listEventsAcrossCalendars(calendar, calendarIds, {
         timeMin: defaultStartDate,
         timeMax: defaultEndDate,
         singleEvents: true,
@@ -173,25 +161,296 @@ const toolHandlers = {
         q: searchTerm
       });
 
-      const events = response.data.items || [];
+      const events = response.items || [];
+
+      // Look up the series of recurring occurrences so the model can tell an occurrence from a one-off event
+      const seriesCalendars = new Map(events
+        .filter(event => event.recurringEventId)
+        .map(event => [event.recurringEventId, event.calendarId]));
+      const seriesRecurrence = new Map();
+      await Promise.all([...seriesCalendars].map(async ([seriesId, calendarId]) => {
+        try {
+          const series = await calendar.get({ calendarId, eventId: seriesId });
+          seriesRecurrence.set(seriesId, series.recurrence);
+        } catch (error) {
+          console.error('❌ [SERVER] Failed to load recurring series:', { seriesId, calendarId, error: error.message });
+        }
+      }));
 
       // Return events in original Google Calendar format to maintain compatibility
       const formattedEvents = events.map(event => ({
         id: event.id,
+        calendarId: event.calendarId,
         summary: event.summary,
         start: event.start,
         end: event.end,
         description: event.description,
         location: event.location,
         attendees: event.attendees,
-        reminders: event.reminders
+        reminders: event.reminders,
+        ...(event.recurringEventId && {
+          recurringEventId: event.recurringEventId,
+          recurrence: seriesRecurrence.get(event.recurringEventId)
+        })
       }));
 
       return {
         success: true,
         events: formattedEvents,
         count: events.length,
-        message: `Found ${events.length} events matching your criteria. Each event has an ID that can be used for deletion.`
+        message: `Found ${events.length} events matching your criteria. Each event has an ID that can be used for updates and deletion; for recurring occurrences choose a scope (instance, following or all).`
+      };
+    },
+    requiresConfirmation: false
+  },
+
+  'find_free_slots': {
+    description: "Find free time slots for a new event, based on the busy times of the calendars the user shows. Always use this instead of computing gaps between events yourself.",
+    parameters: {
+      startDate: { required: true, format: "date-time", desc: "Start of the search range (ISO)" },
+      endDate: { required: true, format: "date-time", desc: "End of the search range (ISO)" },
+      durationMinutes: { required: true, type: "integer", desc: "Event duration in minutes" },
+      workingHoursStart: { required: false, desc: "Earliest start time of day, HH:mm (default 09:00)" },
+      workingHoursEnd: { required: false, desc: "Latest end time of day, HH:mm (default 18:00)" },
+      bufferMinutes: { required: false, type: "integer", desc: "Free minutes to keep before and after existing events (default 0)" },
+      includeWeekends: { required: false, type: "boolean", desc: "Also search Saturdays and Sundays (default false)" },
+      timezone: { required: false, desc: "Timezone of the working hours (default UTC)" },
+      maxResults: { required: false, type: "integer", desc: "Maximum number of slots to return (default 5)" },
+      calendarIds: { required: false, type: "array", items: "string", desc: "Only use the busy times of these calendars (ids from list_calendars)" }
+    },
+    returns: {
+      success: { desc: "Tool success status" },
+      slots: { desc: "Ranked free slots, best first, with UTC and local start/end times" },
+      count: { desc: "Slot count" },
+      message: { desc: "User message" }
+    },
+    handler: async (parameters, sessionId, calendar) => {
+      const {
+        startDate,
+        endDate,
+        durationMinutes,
+        workingHoursStart = '09:00',
+        workingHoursEnd = '18:00',
+        bufferMinutes = 0,
+        includeWeekends = false,
+        timezone = 'UTC',
+        maxResults = 5
+      } = parameters;
+      const calendarIds = parameters.calendarIds?.length ? parameters.calendarIds : await getVisibleCalendarIds(calendar);
+
+      const rangeStart = new Date(startDate);
+      const rangeEnd = new Date(endDate);
+      const dayStart = parseTimeOfDay(workingHoursStart);
+      const dayEnd = parseTimeOfDay(workingHoursEnd);
+
+      if (rangeEnd <= rangeStart) {
+        throw new Error('endDate must be after startDate');
+      }
+      if (durationMinutes <= 0 || bufferMinutes < 0) {
+        throw new Error('durationMinutes must be positive and bufferMinutes must not be negative');
+      }
+      if (!dayStart || !dayEnd || dayStart.hours * 60 + dayStart.minutes >= dayEnd.hours * 60 + dayEnd.minutes) {
+        throw new Error('Working hours must be HH:mm with workingHoursStart before workingHoursEnd');
+      }
+      if (!isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+      }
+
+      // Include events just outside the range, their buffers can still reach into it
+      const bufferMs = bufferMinutes * 60 * 1000;
+      const freebusy = await calendar.freebusy({
+        timeMin: new Date(rangeStart.getTime() - bufferMs).toISOString(),
+        timeMax: new Date(rangeEnd.getTime() + bufferMs).toISOString(),
+        timeZone: timezone,
+        items: calendarIds.map(id => ({ id }))
+      });
+
+      const busy = [];
+      for (const calendarId of calendarIds) {
+        const entry = freebusy.calendars?.[calendarId] || {};
+        if (entry.errors?.length) {
+          throw new Error(`Could not read busy times of calendar ${calendarId}: ${entry.errors.map(e => e.reason).join(', ')}`);
+        }
+        busy.push(...(entry.busy || []));
+      }
+
+      const slots = findFreeSlots({
+        busy,
+        rangeStart,
+        rangeEnd,
+        durationMinutes,
+        workingHoursStart: dayStart,
+        workingHoursEnd: dayEnd,
+        bufferMinutes,
+        includeWeekends,
+        timezone,
+        maxResults
+      });
+
+      console.log('🔍 [SERVER] Free slots search:', {
+        startDate: rangeStart.toISOString(),
+        endDate: rangeEnd.toISOString(),
+        durationMinutes,
+        calendarIds,
+        busyCount: busy.length,
+        slotCount: slots.length,
+        sessionId: sessionId.substring(0, 8) + '...'
+      });
+
+      return {
+        success: true,
+        slots,
+        count: slots.length,
+        message: slots.length > 0
+          ? `Found ${slots.length} free slots of ${durationMinutes} minutes, best first. Times are given in UTC (start/end) and in ${timezone} (localStart/localEnd).`
+          : `No free slot of ${durationMinutes} minutes within working hours in this range.`
+      };
+    },
+    requiresConfirmation: false
+  },
+
+  'find_meeting_times': {
+    description: "Find times when the user and other people are all free, from everyone's busy times and working hours. Use this before inviting attendees to a new event instead of find_free_slots. People whose calendar is not shared with the user count as free and are reported.",
+    parameters: {
+      attendees: { required: true, type: "array", items: "string", desc: "Emails of the people who should attend (not the user)" },
+      startDate: { required: true, format: "date-time", desc: "Start of the search range (ISO)" },
+      endDate: { required: true, format: "date-time", desc: "End of the search range (ISO)" },
+      durationMinutes: { required: true, type: "integer", desc: "Meeting duration in minutes" },
+      workingHoursStart: { required: false, desc: "Earliest start time of day, HH:mm, for the user and for attendees without known working hours (default 09:00)" },
+      workingHoursEnd: { required: false, desc: "Latest end time of day, HH:mm, for the user and for attendees without known working hours (default 18:00)" },
+      attendeeWorkingHours: {
+        required: false,
+        type: "array",
+        items: {
+          fields: {
+            email: { required: true, desc: "Attendee email" },
+            start: { required: true, desc: "Start of their working day, HH:mm" },
+            end: { required: true, desc: "End of their working day, HH:mm" },
+            timezone: { required: false, desc: "Their timezone (default: their calendar's, else the user's)" }
+          }
+        },
+        desc: "Working hours of attendees when known (e.g. the user said Bob works 10:00-16:00 in New York)"
+      },
+      bufferMinutes: { required: false, type: "integer", desc: "Free minutes to keep before and after existing events (default 0)" },
+      includeWeekends: { required: false, type: "boolean", desc: "Also search Saturdays and Sundays (default false)" },
+      timezone: { required: false, desc: "The user's timezone, for their working hours and local times (default UTC)" },
+      maxResults: { required: false, type: "integer", desc: "Maximum number of slots to return (default 5)" }
+    },
+    returns: {
+      success: { desc: "Tool success status" },
+      slots: { desc: "Ranked slots when everyone is free, best first, with UTC and local start/end times" },
+      attendees: { desc: "Per attendee: whether their busy times are known, and the working hours used" },
+      alternatives: { desc: "When no slot suits everyone: the best slots without each attendee (without, slots)" },
+      message: { desc: "User message" }
+    },
+    handler: async (parameters, sessionId, calendar) => {
+      const {
+        startDate,
+        endDate,
+        durationMinutes,
+        workingHoursStart = '09:00',
+        workingHoursEnd = '18:00',
+        attendeeWorkingHours = [],
+        bufferMinutes = 0,
+        includeWeekends = false,
+        timezone = 'UTC',
+        maxResults = 5
+      } = parameters;
+      const emails = [...new Set(parameters.attendees.map(email => email.trim().toLowerCase()).filter(Boolean))];
+
+      const rangeStart = new Date(startDate);
+      const rangeEnd = new Date(endDate);
+      const dayStart = parseTimeOfDay(workingHoursStart);
+      const dayEnd = parseTimeOfDay(workingHoursEnd);
+      const isValidDay = (start, end) => start && end && start.hours * 60 + start.minutes < end.hours * 60 + end.minutes;
+
+      if (emails.length === 0) {
+        throw new Error('At least one attendee email is required');
+      }
+      if (rangeEnd <= rangeStart) {
+        throw new Error('endDate must be after startDate');
+      }
+      if (durationMinutes <= 0 || bufferMinutes < 0) {
+        throw new Error('durationMinutes must be positive and bufferMinutes must not be negative');
+      }
+      if (!isValidDay(dayStart, dayEnd)) {
+        throw new Error('Working hours must be HH:mm with workingHoursStart before workingHoursEnd');
+      }
+      if (!isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+      }
+
+      // Working hours per attendee: given by the user, else the defaults in their calendar's timezone
+      // (known for colleagues' calendars the user has added), else in the user's timezone
+      const calendarTimezones = new Map(((await calendar.calendarList().catch(() => ({}))).items || [])
+        .map(entry => [entry.id.toLowerCase(), entry.timeZone]));
+      const attendees = emails.map((email) => {
+        const known = attendeeWorkingHours.find(entry => entry.email.trim().toLowerCase() === email);
+        const attendeeTimezone = known?.timezone || calendarTimezones.get(email) || timezone;
+        const start = known ? parseTimeOfDay(known.start) : dayStart;
+        const end = known ? parseTimeOfDay(known.end) : dayEnd;
+        if (!isValidDay(start, end)) {
+          throw new Error(`Working hours of ${email} must be HH:mm with start before end`);
+        }
+        if (!isValidTimezone(attendeeTimezone)) {
+          throw new Error(`Unknown timezone for ${email}: ${attendeeTimezone}`);
+        }
+        return {
+          email,
+          workingHoursStart: start,
+          workingHoursEnd: end,
+          timezone: attendeeTimezone,
+          workingHoursSource: known ? 'given' : calendarTimezones.has(email) ? 'calendar timezone' : 'default'
+        };
+      });
+
+      const result = await findMeetingTimes(calendar, {
+        attendees,
+        ownCalendarIds: await getVisibleCalendarIds(calendar),
+        rangeStart,
+        rangeEnd,
+        durationMinutes,
+        workingHoursStart: dayStart,
+        workingHoursEnd: dayEnd,
+        timezone,
+        bufferMinutes,
+        includeWeekends,
+        maxResults
+      });
+
+      const formatHours = ({ hours, minutes }) => `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+      const attendeeSummaries = result.attendees.map((entry, index) => ({
+        ...entry,
+        workingHours: `${formatHours(attendees[index].workingHoursStart)}-${formatHours(attendees[index].workingHoursEnd)} ${attendees[index].timezone}`,
+        workingHoursSource: attendees[index].workingHoursSource
+      }));
+      const unknown = attendeeSummaries.filter(entry => !entry.busyKnown).map(entry => entry.email);
+
+      console.log('🔍 [SERVER] Meeting time search:', {
+        startDate: rangeStart.toISOString(),
+        endDate: rangeEnd.toISOString(),
+        durationMinutes,
+        attendees: emails.length,
+        unknownBusy: unknown.length,
+        slotCount: result.slots.length,
+        alternatives: result.alternatives.length,
+        sessionId: sessionId.substring(0, 8) + '...'
+      });
+
+      let message = result.slots.length > 0
+        ? `Found ${result.slots.length} times of ${durationMinutes} minutes when everyone is free, best first. Times are given in UTC (start/end) and in ${timezone} (localStart/localEnd).`
+        : `No time of ${durationMinutes} minutes suits everyone in this range.${result.alternatives.length > 0 ? ' alternatives lists the best times without each attendee.' : ''}`;
+      if (unknown.length > 0) {
+        message += ` The calendars of ${unknown.join(', ')} are not shared with the user, so they were treated as free.`;
+      }
+
+      return {
+        success: true,
+        slots: result.slots,
+        count: result.slots.length,
+        attendees: attendeeSummaries,
+        alternatives: result.alternatives,
+        message
       };
     },
     requiresConfirmation: false
@@ -200,18 +459,22 @@ const toolHandlers = {
   'update_event': {
     description: "Update an existing event in the calendar.",
     parameters: {
-      eventId: { required: true, desc: "ID of event to update" },
+      eventId: { required: true, desc: "ID of event to update (occurrence id for recurring events)" },
+      calendarId: { required: false, desc: "Calendar the event belongs to (calendarId from query_events, default primary)" },
+      scope: { required: false, enum: RECURRENCE_SCOPES, desc: "For recurring events: only this occurrence (instance, default), this and following occurrences (following), or the whole series (all)" },
       event: {
         required: true,
         fields: {
           title: { required: false, desc: "New title" },
-          startTime: { required: false, desc: "New start time (ISO)" },
-          endTime: { required: false, desc: "New end time (ISO)" },
+          startTime: { required: false, format: "date-time", desc: "New start time (ISO); for all-day events the first day (YYYY-MM-DD)" },
+          endTime: { required: false, format: "date-time", desc: "New end time (ISO); for all-day events the last day, inclusive (YYYY-MM-DD)" },
+          allDay: { required: false, type: "boolean", desc: "Make the event all-day (true, with startTime and optionally endTime as dates) or timed (false, with startTime and endTime)" },
           description: { required: false, desc: "New details" },
           location: { required: false, desc: "New location" },
-          attendees: { required: false, desc: "New attendee emails" },
-          reminders: { required: false, desc: "New reminders" },
-          timezone: { required: false, desc: "New timezone" }
+          attendees: { required: false, type: "array", items: "string", desc: "New attendee emails" },
+          reminders: { required: false, type: "array", items: "string", desc: "New reminders, same format as create_event (e.g. [\"1 hour before\", \"1 day before by email\"], [\"default\"] or [] for none); omit to keep the current ones" },
+          timezone: { required: false, desc: "New timezone (default: the event's current one)" },
+          recurrence: { required: false, type: "array", items: "string", desc: "New repeat rule (RFC 5545 RRULE lines), only with scope following or all" }
         }
       }
     },
@@ -220,60 +483,60 @@ const toolHandlers = {
       event: { desc: "Updated event data" },
       message: { desc: "User message" }
     },
-    handler: async (parameters, sessionId, oauth2Client) => {
-      const { eventId, event } = parameters;
+    handler: async (parameters, sessionId, calendar, context = {}) => {
+      const { eventId, event, scope = 'instance', calendarId = DEFAULT_CALENDAR_ID } = parameters;
       if (!eventId || !event) {
         throw new Error('Missing event ID or event data');
       }
+      const recurrence = event.recurrence ? normalizeRecurrence(event.recurrence) : null;
+      const reminders = event.reminders ? normalizeReminders(event.reminders) : null;
+
+      // Build update object by merging the existing event (or occurrence) with new data
+      const applyChanges = (existingEvent) => {
+        const calendarEvent = {
+          ...existingEvent,
+          summary: event.title || existingEvent.summary,
+          description: event.description !== undefined ? event.description : existingEvent.description,
+          location: event.location !== undefined ? event.location : existingEvent.location,
+          // Attendees who stay keep their response status
+          attendees: event.attendees
+            ? event.attendees.map(email =>
+              (existingEvent.attendees || []).find(attendee => attendee.email === email) || { email })
+            : existingEvent.attendees,
+          reminders: reminders || existingEvent.reminders
+        };
 
-      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-      // First, get the existing event to preserve required fields
-      const existingEvent = await calendar.events.get({
-        calendarId: 'primary',
-        eventId: eventId
-      });
+        // Times the model did not send are kept or, for just one of start and end, completed from the
+        // event; the event keeps its timezone unless the model sends one
+        const times = resolveEventTimes(existingEvent, {
+          startTime: event.startTime,
+          endTime: event.endTime,
+          allDay: event.allDay,
+          timezone: event.timezone,
+          defaultTimezone: context.timezone
+        });
+        if (times) {
+          calendarEvent.start = times.start;
+          calendarEvent.end = times.end;
+        }
 
-      // Build update object by merging existing event with new data
-      const calendarEvent = {
-        ...existingEvent.data,
-        summary: event.title || existingEvent.data.summary,
-        description: event.description !== undefined ? event.description : existingEvent.data.description,
-        location: event.location !== undefined ? event.location : existingEvent.data.location,
-        attendees: event.attendees ? event.attendees.map(email => ({ email })) : existingEvent.data.attendees,
-        reminders: event.reminders ? {
-          useDefault: false,
-          overrides: event.reminders.map(reminder => ({
-            method: 'email',
-            minutes: reminder === '15 minutes before' ? 15 : 60
-          }))
-        } : existingEvent.data.reminders
+        if (recurrence) {
+          calendarEvent.recurrence = recurrence;
+        }
+        return calendarEvent;
       };
 
-      // Only update start/end times if both are provided
-      if (event.startTime && event.endTime) {
-        const userTimezone = event.timezone || 'UTC';
-        calendarEvent.start = {
-          dateTime: event.startTime,
-          timeZone: userTimezone,
-        };
-        calendarEvent.end = {
-          dateTime: event.endTime,
-          timeZone: userTimezone,
-        };
-      }
-
-      const response = await calendar.events.update({
-        calendarId: 'primary',
-        eventId: eventId,
-        resource: calendarEvent,
-        sendUpdates: 'all'
+      const updatedEvent = await updateEventWithScope(calendar, {
+        calendarId,
+        eventId,
+        scope,
+        applyChanges
       });
 
       return {
         success: true,
-        event: response.data,
-        message: `Event "${event.title || response.data.summary || 'Unknown'}" updated successfully!`
+        event: { ...updatedEvent, calendarId },
+        message: `Event "${event.title || updatedEvent.summary || 'Unknown'}" updated successfully!`
       };
     },
     requiresConfirmation: true
@@ -282,15 +545,17 @@ const toolHandlers = {
   'delete_event': {
     description: "Delete an event from the calendar.",
     parameters: {
-      eventId: { required: true, desc: "ID of event to delete" },
-      eventTitle: { required: false, desc: "Title of the event" }
+      eventId: { required: true, desc: "ID of event to delete (occurrence id for recurring events)" },
+      calendarId: { required: false, desc: "Calendar the event belongs to (calendarId from query_events, default primary)" },
+      eventTitle: { required: false, desc: "Title of the event" },
+      scope: { required: false, enum: RECURRENCE_SCOPES, desc: "For recurring events: only this occurrence (instance, default), this and following occurrences (following), or the whole series (all)" }
     },
     returns: {
       success: { desc: "Tool success status" },
       message: { desc: "User message" }
     },
-    handler: async (parameters, sessionId, oauth2Client) => {
-      const { eventId, eventTitle } = parameters;
+    handler: async (parameters, sessionId, calendar) => {
+      const { eventId, eventTitle, scope = 'instance', calendarId = DEFAULT_CALENDAR_ID } = parameters;
       if (!eventId) {
         throw new Error('Missing event ID');
       }
@@ -298,6 +563,8 @@ const toolHandlers = {
       console.log('🗑️ [SERVER] Deleting calendar event:', {
         eventId,
         eventTitle: eventTitle || 'Unknown',
+        scope,
+        calendarId,
         sessionId: sessionId.substring(0, 8) + '...'
       });
 
@@ -305,11 +572,10 @@ const toolHandlers = {
         // Enforce rate limiting before making API call
         await enforceCalendarRateLimit(sessionId, 'delete');
 
-        const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-        console.log('🌐 [SERVER] Making Google Calendar API call to delete event...', {
+        console.log('🌐 [SERVER] Making calendar API call to delete event...', {
           sessionId: sessionId.substring(0, 8) + '...',
-          calendarId: 'primary',
+          provider: calendar.name,
+          calendarId,
           eventId
         });
 
@@ -318,12 +584,13 @@ const toolHandlers = {
         const maxRetries = 5;
         const baseDelay = 2000; // 2 seconds base delay
 
+        let result;
         while (retryCount <= maxRetries) {
           try {
-            await calendar.events.delete({
-              calendarId: 'primary',
+            result = await deleteEventWithScope(calendar, {
+              calendarId,
               eventId: eventId,
-              sendUpdates: 'all'
+              scope
             });
             break; // Success, exit retry loop
           } catch (error) {
@@ -339,15 +606,25 @@ const toolHandlers = {
           }
         }
 
-        console.log('✅ [SERVER] Google Calendar API event deleted:', {
+        console.log('✅ [SERVER] Calendar event deleted:', {
           sessionId: sessionId.substring(0, 8) + '...',
           eventId,
-          eventTitle: eventTitle || 'Unknown'
+          eventTitle: eventTitle || 'Unknown',
+          deleted: result.deleted
         });
 
+        const deletedLabels = {
+          instance: 'This occurrence of',
+          following: 'This and following occurrences of',
+          series: 'All occurrences of'
+        };
+        const title = eventTitle || result.event.summary || 'Unknown';
+
         return {
           success: true,
-          message: `Event "${eventTitle || 'Unknown'}" deleted successfully!`,
+          message: result.deleted === 'event'
+            ? `Event "${title}" deleted successfully!`
+            : `${deletedLabels[result.deleted]} "${title}" deleted successfully!`,
           eventId: eventId,
           eventTitle: eventTitle
         };
@@ -380,6 +657,8 @@ const toolHandlers = {
           errorMessage = 'Event not found - it may have been deleted already';
         } else if (error.code === 429) {
           errorMessage = 'Rate limit exceeded - please try again later';
+        } else if (error.code === 400) {
+          errorMessage = error.message;
         }
 
         return {
@@ -392,12 +671,50 @@ const toolHandlers = {
       }
     },
     requiresConfirmation: true  // Server-side only, AI doesn't see this
+  },
+
+  'undo_last_operations': {
+    description: "Undo the most recent calendar changes (made by you or by the user in the app), restoring the events as they were before. One change is everything done for a single request, e.g. all events created in one reply. Events edited again since are left alone and reported as conflicts.",
+    parameters: {
+      count: { required: false, type: "integer", desc: "Number of recent changes to undo, newest first (default 1)" }
+    },
+    returns: {
+      success: { desc: "Tool success status" },
+      undone: { desc: "Undone event operations (action, eventId, title)" },
+      conflicts: { desc: "Operations that could not be undone, with the reason" },
+      message: { desc: "User message" }
+    },
+    handler: async (parameters, sessionId, calendar) => {
+      const { count = 1 } = parameters;
+      if (!calendar.undoLastOperations) {
+        throw new Error('Undo is not available for this calendar');
+      }
+      if (count < 1) {
+        throw new Error('count must be at least 1');
+      }
+
+      console.log('↩️ [SERVER] Undoing recent calendar changes:', {
+        count,
+        sessionId: sessionId.substring(0, 8) + '...'
+      });
+
+      const { undone, conflicts } = await calendar.undoLastOperations(count);
+      return {
+        success: conflicts.length === 0,
+        undone,
+        conflicts,
+        message: undone.length === 0 && conflicts.length === 0
+          ? 'There are no recent changes to undo.'
+          : `Undid ${undone.length} event operations${conflicts.length > 0 ? `; ${conflicts.length} could not be undone` : ''}.`
+      };
+    },
+    requiresConfirmation: true
   }
 
   // Easy to add new tools here:
   // 'new_tool': {
   //   description: "Description of what this tool does",
-  //   handler: async (parameters, sessionId, oauth2Client) => {
+  //   handler: async (parameters, sessionId, calendar) => {
   //     // Implementation here
   //   },
   //   requiresConfirmation: false // or true if destructive